@@ -0,0 +1,226 @@
+/**
+ * AchievementTracker
+ *
+ * Persistent achievements. Each achievement in the registry (AchievementTracker.ACHIEVEMENTS) is a
+ * predicate over running stats and the latest game event; it unlocks the first time it holds, and
+ * stays unlocked across planets and sessions. Events the game records:
+ *
+ *   - {type: 'discover', planetId, seed, object}: an object or point of interest was discovered
+ *   - {type: 'drive', distance}: surface distance driven this tick
+ *   - {type: 'landing', impact, broken}: a touchdown after a drop, and the subsystems it broke
+ *   - {type: 'visit', planetId, seed, presets, objectTypes}: landed on a planet; presets lists every
+ *     preset planet id, objectTypes the kinds of collectible found on this one
+ *
+ * Usage:
+ *   const achievements = new AchievementTracker({ storageKey: GameConfig.storageKeyAchievements });
+ *   achievements.load();
+ *   const unlocked = achievements.record({ type: 'drive', distance: 0.8 });
+ *   unlocked.forEach(achievement => toastManager.success(`${AchievementTracker.renderBadge(achievement)} ${achievement.name}`));
+ *   achievements.getAll(); // [{...achievement, unlockedAt}]
+ */
+
+class AchievementTracker {
+    /**
+     * Create a tracker with nothing unlocked
+     * @param {object} options - {storage, storageKey}
+     */
+    constructor(options = {}) {
+        this.storage = StorageUtils.resolveStorage(options.storage);
+        this.storageKey = options.storageKey || 'pixelPlanetRover_achievements';
+
+        // achievementId -> unlock timestamp
+        this.unlocked = {};
+        this.stats = AchievementTracker.createStats();
+    }
+
+    /**
+     * Fresh stats, before anything has happened
+     * @returns {object} {discoveries, distance, visited: planet ids, planets: planetId:seed -> {objectTypes, found}}
+     */
+    static createStats() {
+        return { discoveries: 0, distance: 0, visited: [], planets: {} };
+    }
+
+    /**
+     * Achievement definition by id
+     * @param {string} id
+     * @returns {object|null}
+     */
+    static getAchievement(id) {
+        return AchievementTracker.ACHIEVEMENTS.find(achievement => achievement.id === id) || null;
+    }
+
+    /**
+     * Pixel-art badge for an achievement, as inline SVG markup
+     * @param {object} achievement - From the registry
+     * @param {number} size - Rendered size in pixels
+     * @returns {string}
+     */
+    static renderBadge(achievement, size = 24) {
+        const rows = achievement.badge.pixels;
+        const rects = [];
+        rows.forEach((row, y) => {
+            [...row].forEach((pixel, x) => {
+                if (pixel === '#') rects.push(`<rect x="${x}" y="${y}" width="1" height="1"/>`);
+            });
+        });
+
+        return `<svg class="achievement-badge" width="${size}" height="${size}" viewBox="0 0 ${rows[0].length} ${rows.length}" ` +
+            `fill="${achievement.badge.color}" shape-rendering="crispEdges">${rects.join('')}</svg>`;
+    }
+
+    /**
+     * Load unlocks and stats from storage
+     * @returns {boolean} Whether any data was loaded
+     */
+    load() {
+        const data = StorageUtils.loadJSON(this.storage, this.storageKey, 'AchievementTracker');
+        if (!data) return false;
+
+        this.unlocked = data.unlocked || {};
+        this.stats = { ...AchievementTracker.createStats(), ...data.stats };
+        return true;
+    }
+
+    /**
+     * Write unlocks and stats to storage
+     */
+    save() {
+        StorageUtils.saveJSON(this.storage, this.storageKey, { unlocked: this.unlocked, stats: this.stats }, 'AchievementTracker');
+    }
+
+    /**
+     * Update the stats from a game event and unlock whatever now holds
+     * @param {object} event - {type, ...} (see above)
+     * @returns {array} Achievements unlocked by this event
+     */
+    record(event) {
+        this.updateStats(event);
+
+        const unlocked = AchievementTracker.ACHIEVEMENTS.filter(achievement =>
+            !this.unlocked[achievement.id] && achievement.test(this.stats, event));
+        unlocked.forEach(achievement => {
+            this.unlocked[achievement.id] = Date.now();
+        });
+
+        // Driving adds up every tick, so it waits for the next autosave or other change to be written
+        if (unlocked.length > 0 || event.type !== 'drive') this.save();
+        return unlocked;
+    }
+
+    /**
+     * Fold an event into the running stats
+     * @param {object} event
+     */
+    updateStats(event) {
+        const stats = this.stats;
+
+        if (event.type === 'drive') {
+            stats.distance += Math.abs(event.distance);
+        } else if (event.type === 'visit') {
+            if (!stats.visited.includes(event.planetId)) stats.visited.push(event.planetId);
+            const planet = this.getPlanetStats(event.planetId, event.seed);
+            planet.objectTypes = [...event.objectTypes];
+        } else if (event.type === 'discover') {
+            stats.discoveries++;
+            const planet = this.getPlanetStats(event.planetId, event.seed);
+            if (!planet.found.includes(event.object.type)) planet.found.push(event.object.type);
+        }
+    }
+
+    /**
+     * Stats for one planet, created on first use. Generated planets share ids across seeds, so
+     * the seed is part of the key.
+     * @param {string} planetId
+     * @param {number} seed
+     * @returns {object} {objectTypes, found}
+     */
+    getPlanetStats(planetId, seed) {
+        const key = `${planetId}:${seed}`;
+        if (!this.stats.planets[key]) {
+            this.stats.planets[key] = { objectTypes: [], found: [] };
+        }
+        return this.stats.planets[key];
+    }
+
+    /**
+     * Whether an achievement is unlocked
+     * @param {string} id
+     * @returns {boolean}
+     */
+    isUnlocked(id) {
+        return Boolean(this.unlocked[id]);
+    }
+
+    /**
+     * Every achievement with its unlock time
+     * @returns {array} Registry entries plus unlockedAt (timestamp, or null while locked)
+     */
+    getAll() {
+        return AchievementTracker.ACHIEVEMENTS.map(achievement => ({
+            ...achievement,
+            unlockedAt: this.unlocked[achievement.id] || null
+        }));
+    }
+}
+
+// Surface distance for the long drive achievement, reading units as metres
+AchievementTracker.LONG_DRIVE_DISTANCE = 10000;
+
+// Landing impact (units/tick) a drop must reach to count as hard: damage starts at 3 (see RoverDamage),
+// and long falls reach about 5
+AchievementTracker.HARD_LANDING_IMPACT = 4;
+
+// The registry. test(stats, event) is checked after every event until it first holds; badges are
+// 8x8 pixel art, '#' for a lit pixel.
+AchievementTracker.ACHIEVEMENTS = [
+    {
+        id: 'firstDiscovery',
+        name: 'First Contact',
+        description: 'Discover your first object',
+        badge: { color: '#fc4', pixels: ['...##...', '..####..', '.##..##.', '##.##.##', '##.##.##', '.##..##.', '..####..', '...##...'] },
+        test: (stats) => stats.discoveries >= 1
+    },
+    {
+        id: 'fullSurvey',
+        name: 'Full Survey',
+        description: 'Discover every kind of collectible on one planet',
+        badge: { color: '#4cf', pixels: ['########', '#......#', '#.#..#.#', '#......#', '#.####.#', '#......#', '#.#..#.#', '########'] },
+        test: (stats, event) => {
+            if (event.type !== 'discover') return false;
+            const planet = stats.planets[`${event.planetId}:${event.seed}`];
+            return planet.objectTypes.length > 0 && planet.objectTypes.every(type => planet.found.includes(type));
+        }
+    },
+    {
+        id: 'longDrive',
+        name: 'Long Haul',
+        description: 'Drive 10 km',
+        badge: { color: '#8c8', pixels: ['........', '..####..', '.#....#.', '########', '########', '.##..##.', '.##..##.', '........'] },
+        test: (stats) => stats.distance >= AchievementTracker.LONG_DRIVE_DISTANCE
+    },
+    {
+        id: 'grandTour',
+        name: 'Grand Tour',
+        description: 'Visit every preset planet',
+        badge: { color: '#c8f', pixels: ['..####..', '.#.##.#.', '#..##..#', '########', '########', '#..##..#', '.#.##.#.', '..####..'] },
+        test: (stats, event) => event.type === 'visit' && event.presets.every(id => stats.visited.includes(id))
+    },
+    {
+        id: 'hardLanding',
+        name: 'Stuck the Landing',
+        description: 'Survive a hard drop without breaking anything',
+        badge: { color: '#f84', pixels: ['...##...', '...##...', '...##...', '.######.', '..####..', '...##...', '........', '########'] },
+        test: (stats, event) => event.type === 'landing' &&
+            event.impact >= AchievementTracker.HARD_LANDING_IMPACT && event.broken.length === 0
+    }
+];
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.AchievementTracker = AchievementTracker;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AchievementTracker;
+}
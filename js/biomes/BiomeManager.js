@@ -158,6 +158,22 @@ class BiomeManager {
         };
     }
 
+    // Base colour of a biome as a hex number, or null for unknown biomes
+    getBiomeColor(biome) {
+        const biomeRanges = planetGenerator.getBiomeGenerationRanges()[biome];
+        if (!biomeRanges) return null;
+
+        return parseInt(biomeRanges.material.color[0].replace('0x', ''), 16);
+    }
+
+    // Surface material of a biome (traction, slope grip, sinkage, drag), or null for unknown biomes
+    getSurfaceMaterial(biome) {
+        const biomeRanges = planetGenerator.getBiomeGenerationRanges()[biome];
+        if (!biomeRanges || !biomeRanges.surface) return null;
+
+        return { ...biomeRanges.surface };
+    }
+
     // Vertex coloring for biome regions
     addVertexColorsForBiomes(geometry, uniqueVertices, vertexBiomes) {
         const vertices = geometry.attributes.position.array;
@@ -182,12 +198,10 @@ class BiomeManager {
             let color = 0x8B4513; // Default mars color
             let biomeName = 'default';
 
-            if (biome) {
-                const biomeRanges = planetGenerator.getBiomeGenerationRanges()[biome];
-                if (biomeRanges) {
-                    color = parseInt(biomeRanges.material.color[0].replace('0x', ''), 16);
-                    biomeName = biome;
-                }
+            const biomeColor = biome ? this.getBiomeColor(biome) : null;
+            if (biomeColor !== null) {
+                color = biomeColor;
+                biomeName = biome;
             }
 
             // Count colors for debugging
@@ -223,9 +237,17 @@ class BiomeManager {
     setCurrentBiomeRegionData(data) {
         this.currentBiomeRegionData = data;
         // Also set it globally for backward compatibility
-        window.currentBiomeRegionData = data;
+        if (typeof window !== 'undefined') {
+            window.currentBiomeRegionData = data;
+        }
     }
 }
 
 // Export for global use
-window.BiomeManager = BiomeManager;
\ No newline at end of file
+if (typeof window !== 'undefined') {
+    window.BiomeManager = BiomeManager;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BiomeManager;
+}
\ No newline at end of file
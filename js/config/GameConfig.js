@@ -19,9 +19,22 @@ const GameConfig = {
     roverMovementSensitivity: 1.0,
     planetRotationSensitivity: 0.5,
 
+    // Gamepad
+    gamepadDeadZone: 0.15,          // Stick travel ignored around centre (0-1)
+    gamepadCameraSpeed: 2.5,        // Camera orbit speed at full right-stick deflection (radians/second)
+
     // Performance
-    maxFrameSkip: 2,            // Maximum frames to skip when catching up
-    physicsSubsteps: 1,         // Number of physics updates per frame
+    physicsTickRate: 60,        // Fixed simulation ticks per second (physics constants are tuned per tick)
+    maxFrameSkip: 2,            // Maximum extra ticks simulated in one frame when catching up
+    physicsSubsteps: 1,         // Number of physics integration substeps per tick
+
+    // Rollover recovery
+    selfRightEnergyCost: 10,        // Battery charge the self-right winch uses
+    selfRightSeconds: 1.5,          // Time to turn the rover back onto its wheels
+    selfRightUnpoweredSeconds: 8,   // Time it takes when the battery can't cover the cost
+
+    // Saving
+    autosaveInterval: 10,       // Seconds of play between automatic saves
 
     // Particle effects
     dustParticleCount: 50,
@@ -40,6 +53,11 @@ const GameConfig = {
     // Storage keys
     storageKeyGeneratedPlanets: 'pixelPlanetRover_generatedPlanets',
     storageKeyCurrentState: 'pixelPlanetRover_currentState',
+    storageKeyJournal: 'pixelPlanetRover_journal',
+    storageKeyBindings: 'pixelPlanetRover_bindings',
+    storageKeyAchievements: 'pixelPlanetRover_achievements',
+    storageKeyInventory: 'pixelPlanetRover_inventory',
+    storageKeyUpgrades: 'pixelPlanetRover_upgrades',
 
     /**
      * Validate configuration values
@@ -51,6 +69,12 @@ const GameConfig = {
         if (this.defaultPlanetRadius <= 0) errors.push('defaultPlanetRadius must be positive');
         if (this.maxPlanets <= 0) errors.push('maxPlanets must be positive');
         if (this.physicsSubsteps < 1) errors.push('physicsSubsteps must be at least 1');
+        if (this.physicsTickRate <= 0) errors.push('physicsTickRate must be positive');
+        if (this.maxFrameSkip < 0) errors.push('maxFrameSkip must not be negative');
+        if (this.autosaveInterval <= 0) errors.push('autosaveInterval must be positive');
+        if (this.selfRightEnergyCost < 0) errors.push('selfRightEnergyCost must not be negative');
+        if (this.selfRightSeconds <= 0 || this.selfRightUnpoweredSeconds <= 0) errors.push('self-right times must be positive');
+        if (this.gamepadDeadZone < 0 || this.gamepadDeadZone >= 1) errors.push('gamepadDeadZone must be between 0 and 1');
 
         return errors;
     },
@@ -6,11 +6,19 @@
  */
 
 const PhysicsConfig = {
-    // Gravity and damping
+    // Gravity and damping. `gravity` is standard gravity (1 g) per tick; planets scale it
     gravity: -0.3,
     groundDamping: 0.7,
     airDamping: 0.99,
 
+    // Planet gravity derived from size: surface gravity grows with radius x density, and a
+    // planet of the reference radius and density has 1 g
+    referenceRadius: 80,
+    referenceDensity: 1.0,
+    minGravity: 0.1,   // In g
+    maxGravity: 3.0,
+    vacuumAirDamping: 0.999,  // Airless worlds barely slow a falling rover
+
     // Rover dimensions
     wheelBase: 4,      // Distance between front and rear axles
     wheelTrack: 5,     // Distance between left and right wheels
@@ -23,7 +31,16 @@ const PhysicsConfig = {
 
     // Wheel contact
     wheelContactThreshold: 2.0,  // Distance to terrain before wheel is considered in contact
-    wheelSuspensionTravel: 1.5,  // Max suspension compression
+    wheelSuspensionTravel: 0.9,  // Max suspension compression before the bump stops
+
+    // Suspension: a spring-damper per wheel, from the body origin down to the wheel centre.
+    // Forces are accelerations of the whole rover per tick (unit mass), so at 1 g the four
+    // springs sag by -gravity / (4 * suspensionStiffness)
+    suspensionRestLength: 0.6,   // Unloaded length
+    suspensionStiffness: 0.1875, // Spring rate per unit of compression
+    suspensionDamping: 0.2,      // Damper rate per unit of compression speed
+    pitchInertia: 4,             // Resistance to rocking nose to tail
+    rollInertia: 5,              // Resistance to rocking side to side
 
     // Friction
     staticFriction: 0.8,
@@ -45,10 +62,46 @@ const PhysicsConfig = {
         if (this.wheelBase <= 0) errors.push('wheelBase must be positive');
         if (this.wheelTrack <= 0) errors.push('wheelTrack must be positive');
         if (this.maxAcceleration <= 0) errors.push('maxAcceleration must be positive');
+        if (this.suspensionRestLength <= 0) errors.push('suspensionRestLength must be positive');
+        if (this.suspensionStiffness <= 0) errors.push('suspensionStiffness must be positive');
+        if (this.suspensionDamping < 0) errors.push('suspensionDamping must not be negative');
+        if (this.wheelSuspensionTravel <= 0) errors.push('wheelSuspensionTravel must be positive');
+        if (this.pitchInertia <= 0 || this.rollInertia <= 0) errors.push('pitchInertia and rollInertia must be positive');
+        if (this.referenceRadius <= 0) errors.push('referenceRadius must be positive');
+        if (this.referenceDensity <= 0) errors.push('referenceDensity must be positive');
+        if (this.minGravity <= 0 || this.minGravity > this.maxGravity) errors.push('minGravity must be positive and at most maxGravity');
+        if (this.vacuumAirDamping < 0 || this.vacuumAirDamping > 1) errors.push('vacuumAirDamping must be between 0 and 1');
 
         return errors;
     },
 
+    /**
+     * Resolve a planet's gravity and air damping. Explicit values win; otherwise gravity is
+     * derived from radius and density, and air damping from whether the planet has an atmosphere.
+     * @param {object} planet - {radius, density, gravity (in g), airDamping, hasAtmosphere}
+     * @returns {object} {gravity (in g), acceleration (per tick, negative = down), airDamping}
+     */
+    getPlanetPhysics(planet = {}) {
+        let gravity = planet.gravity;
+        if (gravity === undefined || gravity === null) {
+            const radius = planet.radius || this.referenceRadius;
+            const density = planet.density !== undefined ? planet.density : this.referenceDensity;
+            gravity = (radius / this.referenceRadius) * (density / this.referenceDensity);
+        }
+        gravity = Math.max(this.minGravity, Math.min(this.maxGravity, gravity));
+
+        let airDamping = planet.airDamping;
+        if (airDamping === undefined || airDamping === null) {
+            airDamping = planet.hasAtmosphere === false ? this.vacuumAirDamping : this.airDamping;
+        }
+
+        return {
+            gravity: gravity,
+            acceleration: this.gravity * gravity,
+            airDamping: airDamping
+        };
+    },
+
     /**
      * Get rover half-dimensions
      */
@@ -0,0 +1,69 @@
+/**
+ * FixedTimestepLoop
+ *
+ * Accumulator for running the simulation at a fixed tick rate regardless of display refresh rate.
+ * Each rendered frame adds its elapsed time; whole ticks are consumed and the leftover fraction
+ * is returned as an interpolation factor for rendering between the last two simulated states.
+ *
+ * Usage:
+ *   const loop = new FixedTimestepLoop({ tickRate: 60, maxFrameSkip: GameConfig.maxFrameSkip });
+ *   const { steps, alpha } = loop.advance(frameSeconds);
+ *   for (let i = 0; i < steps; i++) simulateTick();
+ *   renderInterpolated(alpha);
+ */
+
+class FixedTimestepLoop {
+    /**
+     * Create a fixed timestep loop
+     * @param {object} options - {tickRate, maxFrameSkip}
+     */
+    constructor(options = {}) {
+        this.tickRate = options.tickRate || 60;
+        this.maxFrameSkip = options.maxFrameSkip !== undefined ? options.maxFrameSkip : 2;
+        this.stepSeconds = 1 / this.tickRate;
+
+        // Unsimulated time carried between frames, in seconds
+        this.accumulator = 0;
+    }
+
+    /**
+     * Add a frame's elapsed time and work out how many ticks to simulate
+     * @param {number} frameSeconds - Time since the previous frame
+     * @returns {object} {steps, alpha} - Ticks to run, and blend factor (0-1) between previous and current state
+     */
+    advance(frameSeconds) {
+        if (!(frameSeconds > 0)) {
+            frameSeconds = 0;
+        }
+
+        this.accumulator += frameSeconds;
+
+        // Small epsilon so frames that are exactly one tick long don't alternate between 0 and 2 steps
+        let steps = Math.floor(this.accumulator / this.stepSeconds + 1e-6);
+        const maxSteps = this.maxFrameSkip + 1;
+
+        if (steps > maxSteps) {
+            // Too far behind (slow device or a backgrounded tab) - drop the backlog instead of spiralling
+            steps = maxSteps;
+            this.accumulator = 0;
+        } else {
+            this.accumulator = Math.max(0, this.accumulator - steps * this.stepSeconds);
+        }
+
+        return {
+            steps,
+            alpha: Math.min(1, this.accumulator / this.stepSeconds),
+        };
+    }
+
+    /**
+     * Discard any accumulated time
+     */
+    reset() {
+        this.accumulator = 0;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FixedTimestepLoop;
+}
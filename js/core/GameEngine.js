@@ -8,27 +8,76 @@ class GameEngine {
         this.planet = null;
         this.rover = null;
 
+        // Rebindable keyboard controls, shared with the simulation so it reads driving keys through them
+        this.inputBindings = new InputBindings({ storageKey: GameConfig.storageKeyBindings });
+        this.inputBindings.load();
+
+        // Cargo and the objects collected from each planet, kept between sessions
+        this.inventory = new RoverInventory({ storageKey: GameConfig.storageKeyInventory });
+        this.inventory.load();
+
+        // Upgrades bought with cargo; their definitions are fetched in initialize
+        this.upgrades = new RoverUpgrades({ storageKey: GameConfig.storageKeyUpgrades });
+        this.upgrades.load();
+
+        // Headless simulation (planet, terrain, physics, energy, objects); everything else here presents it
+        this.world = new GameWorld({ inputBindings: this.inputBindings, inventory: this.inventory, upgrades: this.upgrades });
+
         // Game state
         this.planetRadius = 80;
         this.roverPosition = { lat: 0, lon: 0 };
-        this.roverHeading = Math.PI / 2; // rover's facing direction in radians (start facing north)
-        this.planetQuaternion = new THREE.Quaternion(); // Use quaternion instead of Euler rotations
+        this.planetQuaternion = this.world.planetQuaternion;
         this.keys = {};
 
         // System modules
-        this.terrainGenerator = new TerrainGenerator();
-        this.roverPhysics = new RoverPhysics();
+        this.terrainGenerator = this.world.terrainGenerator;
+        this.roverPhysics = this.world.roverPhysics;
         this.particleSystem = new ParticleSystem();
         this.renderingEngine = new RenderingEngine();
-        this.biomeManager = new BiomeManager();
+        this.biomeManager = this.world.biomeManager;
+        this.discoveryJournal = new DiscoveryJournal({ storageKey: GameConfig.storageKeyJournal });
+        this.achievements = new AchievementTracker({ storageKey: GameConfig.storageKeyAchievements });
+        this.roverEnergy = this.world.roverEnergy;
+        this.dayNightCycle = this.world.dayNightCycle;
+        this.headlightLight = null; // Spotlight that switches on as night falls
+        this.headlightPower = 1;    // Brightness multiplier from headlight upgrades
+        this.hudManager = null;
+        this.minimap = null;
+
+        // Save state, written periodically once the player has chosen to continue or start fresh
+        this.saveStateService = new SaveStateService({ storageKey: GameConfig.storageKeyCurrentState });
+        this.autosaveEnabled = false;
+        this.ticksSinceSave = 0;
 
         // Animation frame tracking
         this.animationId = null;
         this.lastUpdateTime = 0;
 
+        // Fixed-timestep simulation, with the previous tick's state kept for render interpolation
+        this.fixedTimestep = new FixedTimestepLoop({
+            tickRate: GameConfig.physicsTickRate,
+            maxFrameSkip: GameConfig.maxFrameSkip
+        });
+        this.previousRoverPosition = new THREE.Vector3();
+        this.previousRoverRotation = { pitch: 0, roll: 0, yaw: 0 };
+        this.previousWheelLengths = {};
+        this.previousPlanetQuaternion = new THREE.Quaternion();
+
+        // Stranded state last tick, to warn only when the battery first runs flat
+        this.wasStranded = false;
+
+        // Scratch objects for the rover's planet-local frame on the minimap
+        this.minimapInverseQuaternion = new THREE.Quaternion();
+        this.minimapUp = new THREE.Vector3();
+        this.minimapForward = new THREE.Vector3();
+
         // Mobile input handler
         this.mobileInputHandler = null;
 
+        // Gamepad input, polled once per frame; its drive controls are held for the frame's ticks
+        this.gamepadInputHandler = null;
+        this.gamepadDrive = null;
+
         // UI state
         this.inputEnabled = true; // Disable input when UI menus are open
     }
@@ -37,6 +86,14 @@ class GameEngine {
         // Load planet configurations first
         await planetTypeManager.loadPlanetConfigs();
 
+        // Fit the upgrades bought in earlier sessions
+        await this.upgrades.loadDefinitions();
+        this.world.applyUpgrades();
+
+        // Load discovery journal so rediscovered objects map back to their entries
+        this.discoveryJournal.load();
+        this.achievements.load();
+
         // Create scene
         this.scene = new THREE.Scene();
         this.scene.background = new THREE.Color(0x0a0a0a);
@@ -52,9 +109,14 @@ class GameEngine {
         this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
         document.getElementById('container').appendChild(this.renderer.domElement);
 
+        // Heads-up display gauges and minimap
+        this.hudManager = new HudManager();
+        this.minimap = new Minimap();
+        this.updateBindingLabels();
+
         // Initialize all systems with references
         this.renderingEngine.setReferences(this.renderer, this.camera, this.scene, this.rover, this.planetRadius);
-        this.roverPhysics.setReferences(this.terrainGenerator, this.planet, this.planetRadius);
+        this.roverPhysics.setReferences(this.terrainGenerator, this.planetQuaternion, this.planetRadius);
         this.particleSystem.setReferences(this.scene, this.planetQuaternion, this.planetRadius);
 
         // Setup rendering
@@ -91,41 +153,32 @@ class GameEngine {
     createPlanet(planetType = null) {
         // Get planet configuration
         const materialProps = planetTypeManager.getMaterialProperties(planetType);
-        const terrainProps = planetTypeManager.getTerrainProperties(planetType);
-        const configuredRadius = planetTypeManager.getPlanetRadius(planetType);
         const planetConfig = planetTypeManager.getPlanetConfig(planetType);
 
-        // Update global planetRadius with configured value
-        this.planetRadius = configuredRadius;
+        // Configure terrain, physics, energy and day length, and drop the rover above the surface
+        this.world.loadPlanet(planetType);
+        this.planetRadius = this.world.planetRadius;
 
-        // Update all systems with new planet radius
-        this.roverPhysics.setReferences(this.terrainGenerator, this.planet, this.planetRadius);
+        // Update presentation systems with new planet radius
         this.particleSystem.setReferences(this.scene, this.planetQuaternion, this.planetRadius);
+        this.particleSystem.setGravity(this.world.planetPhysics.gravity);
+        this.particleSystem.setSeed(planetTypeManager.getPlanetSeed(planetType) + 3000);
         this.renderingEngine.setReferences(this.renderer, this.camera, this.scene, this.rover, this.planetRadius);
 
-        // Reset rover physics position to start above the new planet surface
-        this.roverPhysics.roverPhysicsPosition.set(0, this.planetRadius + 20, 0);
-
         // Check if this planet has biome mixing
         const hasBiomeMixing = planetConfig && planetConfig.biomeMix;
-        let biomeRegionData = null;
 
         console.log('Creating planet with biome mixing:', hasBiomeMixing);
         if (planetConfig) {
             console.log('Planet config biomeMix:', planetConfig.biomeMix);
         }
 
-        if (hasBiomeMixing) {
-            // Initialize biome region generation
-            biomeRegionData = this.biomeManager.initializeBiomeRegions(planetConfig.biomeMix, planetConfig.seed || 12345);
-            console.log('Initialized biome regions:', biomeRegionData);
-        }
+        // Biome regions were laid out by the world, which drives on them too
+        const biomeRegionData = this.world.biomeRegionData;
 
         // Use fallback values if configuration isn't loaded
         const planetColor = materialProps ? materialProps.color : 0x8B4513;
         const flatShading = materialProps ? materialProps.flatShading : true;
-        const noiseScale = terrainProps ? terrainProps.noiseScale : 0.1;
-        const heightVariation = terrainProps ? terrainProps.heightVariation : 3;
 
         // Create higher quality planet sphere with subdivision level scaled to radius
         const baseRadius = 80; // Reference radius for subdivision calibration
@@ -151,29 +204,9 @@ class GameEngine {
 
                 // Use terrain properties from planet config (already calculated and finalized)
                 // For biome mixing, these are pre-blended values. For single biomes, they're pre-selected
-                let baseNoise = this.terrainGenerator.generateLayeredNoise(x, y, z, noiseScale, terrainProps.heightVariation || heightVariation);
-
-                // Add mountain and hill formations
-                const mountainNoise = this.terrainGenerator.generateMountains(x, y, z, this.planetRadius, terrainProps);
-                baseNoise += mountainNoise * (terrainProps.mountainDensity || 0.3);
-
-                // Add valleys and canyons
-                const valleyNoise = this.terrainGenerator.generateValleys(x, y, z, this.planetRadius, terrainProps);
-                baseNoise += valleyNoise * (terrainProps.valleyDensity || 0.2);
-
-                // Add cliff faces and steep terrain
-                const cliffNoise = this.terrainGenerator.generateCliffs(x, y, z, this.planetRadius, terrainProps);
-                baseNoise += cliffNoise * (terrainProps.cliffDensity || 0.15);
+                const elevation = this.terrainGenerator.elevationAt(x, y, z);
 
-                // Add mesa and plateau formations
-                const mesaNoise = this.terrainGenerator.generateMesas(x, y, z, this.planetRadius, terrainProps);
-                baseNoise += mesaNoise * (terrainProps.mesaDensity || 0.1);
-
-                // Add crater features
-                const craterNoise = this.terrainGenerator.generateCraters(x, y, z, this.planetRadius, terrainProps);
-                baseNoise += craterNoise * (terrainProps.craterDensity || 0.25);
-
-                const newDistance = distance + baseNoise;
+                const newDistance = distance + elevation;
 
                 vertex.normalize().multiplyScalar(newDistance);
                 uniqueVertices.set(key, vertex);
@@ -239,28 +272,68 @@ class GameEngine {
         this.planet.receiveShadow = true;
         this.scene.add(this.planet);
 
-        // Update rover physics reference to new planet
-        this.roverPhysics.setReferences(this.terrainGenerator, this.planet, this.planetRadius);
+        // Map the new planet from the same terrain and biome data
+        if (this.minimap) {
+            this.minimap.setPlanet(this.terrainGenerator, this.biomeManager, this.planetRadius, planetColor);
+        }
     }
 
     createPlanetObjects() {
-        // Get current planet configuration
-        const currentConfig = planetTypeManager.getCurrentPlanetConfig();
-        if (!currentConfig) {
-            console.warn('No planet configuration available for object generation');
-            return;
+        // Restore discovered flags for objects already logged in the journal
+        const planetId = planetTypeManager.getCurrentPlanetType();
+        const discoveredIds = this.discoveryJournal.getDiscoveredObjectIds(planetId, planetTypeManager.getPlanetSeed());
+
+        // Objects are children of the planet mesh so they rotate with it
+        this.world.populateObjects(this.planet, discoveredIds);
+
+        const objectTypes = new Set(planetObjectManager.objects.filter(obj => obj.canCollect).map(obj => obj.type));
+        this.recordAchievementEvent({
+            type: 'visit',
+            planetId: planetId,
+            seed: planetTypeManager.getPlanetSeed(),
+            presets: planetTypeManager.getAvailablePlanetTypes().filter(p => p.type === 'preset').map(p => p.id),
+            objectTypes: [...objectTypes]
+        });
+    }
+
+    recordDiscovery(obj) {
+        const planetId = planetTypeManager.getCurrentPlanetType();
+        const planetConfig = planetTypeManager.getCurrentPlanetConfig();
+
+        const { isNew } = this.discoveryJournal.recordDiscovery({
+            planetId: planetId,
+            planetName: planetConfig ? planetConfig.name : planetId,
+            seed: planetTypeManager.getPlanetSeed(),
+            objectId: obj.id,
+            objectType: obj.type,
+            objectName: obj.definition.name,
+            position: obj.position
+        });
+
+        if (isNew) {
+            console.log(`📓 Journal entry added: ${obj.definition.name}`);
         }
 
-        // Create seeded RNG for consistent object placement
-        const seed = currentConfig.seed || Date.now() % 1000000;
-        const rng = planetObjectManager.createSeededRNG(seed);
+        this.recordAchievementEvent({ type: 'discover', planetId: planetId, seed: planetTypeManager.getPlanetSeed(), object: obj });
+    }
 
-        // Generate objects using the new system
-        planetObjectManager.generateObjects(currentConfig, rng, this.planet);
+    // Feed an event to the achievements and announce any it unlocks
+    recordAchievementEvent(event) {
+        for (const achievement of this.achievements.record(event)) {
+            console.log(`🏆 Achievement unlocked: ${achievement.name}`);
+            if (window.toastManager) {
+                window.toastManager.success(
+                    `${AchievementTracker.renderBadge(achievement)} Achievement unlocked: ${achievement.name}! ${achievement.description}`,
+                    6000
+                );
+            }
+        }
     }
 
     createRover() {
         const roverGroup = new THREE.Group();
+        const upgrades = this.upgrades;
+        this.headlightPower = upgrades.getModifiers().headlightPower || 1;
 
         // Main body - a box
         const bodyGeometry = new THREE.BoxGeometry(4, 2, 6);
@@ -274,24 +347,38 @@ class GameEngine {
         body.castShadow = true;
         roverGroup.add(body);
 
-        // Wheels - 4 cylinders
-        const wheelGeometry = new THREE.CylinderGeometry(1, 1, 0.5, 8);
+        // Wheels - 4 cylinders, as big as the physics wheels (suspension upgrades enlarge them)
+        const wheelRadius = this.roverPhysics.wheelRadius;
+        const wheelGeometry = new THREE.CylinderGeometry(wheelRadius, wheelRadius, 0.5, 8);
         const wheelMaterial = new THREE.MeshPhongMaterial({
             color: 0x333333,
             emissive: 0x222222, // Strong emissive to resist ambient lighting
             shininess: 10
         });
 
-        const wheelPositions = [
-            [-2.5, 0, 2], [2.5, 0, 2], [-2.5, 0, -2], [2.5, 0, -2]
-        ];
+        const hubGeometry = new THREE.CylinderGeometry(wheelRadius * 0.45, wheelRadius * 0.45, 0.3, 8);
+        const hubMaterial = new THREE.MeshPhongMaterial({
+            color: 0xcc7722,
+            emissive: 0x663311,
+            shininess: 40
+        });
 
-        wheelPositions.forEach(pos => {
+        // Wheels hang below the body on their suspension, so they ride up as it compresses
+        this.roverWheels = {};
+        this.roverPhysics.wheelOffsets.forEach(offset => {
             const wheel = new THREE.Mesh(wheelGeometry, wheelMaterial);
-            wheel.position.set(pos[0], pos[1], pos[2]);
+            wheel.position.set(offset.x, -this.roverPhysics.wheelContacts[offset.name].length, offset.z);
             wheel.rotation.z = Math.PI / 2;
             wheel.castShadow = true;
             roverGroup.add(wheel);
+            this.roverWheels[offset.name] = wheel;
+
+            // Motor upgrades add a hub motor on the outside of each wheel, turning with it
+            if (upgrades.hasPart('hubMotors')) {
+                const hub = new THREE.Mesh(hubGeometry, hubMaterial);
+                hub.position.y = -Math.sign(offset.x) * 0.35; // Wheel axis is local Y, outward after the roll
+                wheel.add(hub);
+            }
         });
 
         // Solar panel - thin box on top
@@ -306,16 +393,59 @@ class GameEngine {
         panel.castShadow = true;
         roverGroup.add(panel);
 
-        // Headlight to show front direction
+        // Battery upgrades fold out a second panel, raised and tilted behind the first
+        if (upgrades.hasPart('secondPanel')) {
+            const secondPanel = new THREE.Mesh(new THREE.BoxGeometry(3, 0.1, 2.5), panelMaterial);
+            secondPanel.position.set(0, 3.1, -1.8);
+            secondPanel.rotation.x = -0.35;
+            secondPanel.castShadow = true;
+            roverGroup.add(secondPanel);
+        }
+
+        // Scanner upgrades add a sensor mast at the rear, topped with a dish at the highest level
+        if (upgrades.hasPart('scannerMast')) {
+            const scannerMaterial = new THREE.MeshPhongMaterial({
+                color: 0xaaaaaa,
+                emissive: 0x444444,
+                shininess: 60
+            });
+            const mast = new THREE.Mesh(new THREE.CylinderGeometry(0.1, 0.1, 2, 6), scannerMaterial);
+            mast.position.set(-1.5, 3, -2.5);
+            mast.castShadow = true;
+            roverGroup.add(mast);
+
+            if (upgrades.hasPart('scannerDish')) {
+                const dish = new THREE.Mesh(new THREE.CylinderGeometry(0.7, 0.1, 0.3, 8), scannerMaterial);
+                dish.position.set(-1.5, 4.1, -2.5);
+                dish.rotation.x = 0.5; // Tipped towards the front
+                dish.castShadow = true;
+                roverGroup.add(dish);
+            }
+        }
+
+        // Headlight to show front direction; headlight upgrades fit a pair
         const headlightGeometry = new THREE.SphereGeometry(0.3, 8, 8);
         const headlightMaterial = new THREE.MeshPhongMaterial({
             color: 0xffff00,
             emissive: 0x666600 // Strong yellow emissive like before
         });
-        const headlight = new THREE.Mesh(headlightGeometry, headlightMaterial);
-        headlight.position.set(0, 1, 3.2); // Front of rover (positive Z)
-        headlight.castShadow = true;
-        roverGroup.add(headlight);
+        const lampOffsets = upgrades.hasPart('twinHeadlights') ? [-1, 1] : [0];
+        lampOffsets.forEach(x => {
+            const headlight = new THREE.Mesh(headlightGeometry, headlightMaterial);
+            headlight.position.set(x, 1, 3.2); // Front of rover (positive Z)
+            headlight.castShadow = true;
+            roverGroup.add(headlight);
+        });
+
+        // Real light from the headlight, faded in by the day/night cycle; upgrades make it reach further
+        const headlightLight = new THREE.SpotLight(0xffffcc, 0, 60 * this.headlightPower, Math.PI / 6, 0.4, 1);
+        headlightLight.position.set(0, 1, 3.2);
+        const headlightTarget = new THREE.Object3D();
+        headlightTarget.position.set(0, -1, 20); // Ahead of the rover, angled slightly at the ground
+        roverGroup.add(headlightTarget);
+        headlightLight.target = headlightTarget;
+        roverGroup.add(headlightLight);
+        this.headlightLight = headlightLight;
 
         // Front indicator bar for even clearer direction
         const frontBarGeometry = new THREE.BoxGeometry(2, 0.3, 0.3);
@@ -328,6 +458,8 @@ class GameEngine {
         frontBar.castShadow = true;
         roverGroup.add(frontBar);
 
+        // Yaw first, then pitch and roll about the rover's own axes, as the suspension tilts it
+        roverGroup.rotation.order = 'YXZ';
         this.rover = roverGroup;
 
         this.positionRoverOnPlanet();
@@ -342,7 +474,7 @@ class GameEngine {
         this.planet.quaternion.copy(this.planetQuaternion);
 
         // Update rover physics heading
-        this.roverPhysics.updateHeading(this.roverHeading);
+        this.roverPhysics.updateHeading(this.world.roverHeading);
 
         // Update position display with wheel contact info
         const contactResults = this.roverPhysics.calculateGroundContact();
@@ -359,15 +491,27 @@ class GameEngine {
             console.log('Desktop device detected - keyboard/mouse controls enabled');
         }
 
+        // Gamepad controls, picked up whenever a controller connects
+        if (typeof GamepadInputHandler !== 'undefined') {
+            this.gamepadInputHandler = new GamepadInputHandler({
+                deadZone: GameConfig.gamepadDeadZone,
+                onConnectionChange: (status, gamepad) => {
+                    console.log(`Gamepad ${status}:`, gamepad.id);
+                    if (window.toastManager) {
+                        if (status === 'connected') {
+                            window.toastManager.info('Gamepad connected');
+                        } else {
+                            window.toastManager.warning('Gamepad disconnected');
+                        }
+                    }
+                }
+            });
+        }
+
         // Keyboard controls
         document.addEventListener('keydown', (event) => {
             this.keys[event.code] = true;
-
-            // Handle pixel size controls
-            if (this.renderingEngine.handlePixelSizeControls(this.keys)) {
-                // Pixel size was changed, prevent further processing
-                this.keys[event.code] = false;
-            }
+            this.handleBoundKey(event);
         });
 
         document.addEventListener('keyup', (event) => {
@@ -383,103 +527,209 @@ class GameEngine {
         });
     }
 
-    handleRoverMovement() {
-        // Skip input processing when UI menus are open
-        if (!this.inputEnabled) return;
+    // Run the one-shot action bound to a pressed key. Driving keys are read per tick instead.
+    handleBoundKey(event) {
+        const controlId = this.inputBindings.getControlForKey(event.code);
+
+        if (controlId === 'openPlanets' && !event.repeat && this.inputEnabled && window.showPlanetModal) {
+            this.keys[event.code] = false;
+            window.showPlanetModal();
+        } else if (controlId === 'toggleMinimap' && !event.repeat && this.minimap) {
+            // Toggle the minimap between the local and full-planet views
+            this.minimap.toggleView();
+        } else if (controlId === 'selfRight' && !event.repeat && this.inputEnabled) {
+            this.selfRight();
+        } else if (controlId === 'collect' && !event.repeat && this.inputEnabled) {
+            this.collect();
+        } else if (controlId === 'jettison' && !event.repeat && this.inputEnabled) {
+            this.jettison();
+        } else if (controlId === 'pixelUp' || controlId === 'pixelDown') {
+            // Pixel size steps on every press, and repeats while held
+            this.renderingEngine.changePixelSize(controlId === 'pixelUp' ? 1 : -1);
+            this.keys[event.code] = false;
+        }
+    }
 
-        // Merge keyboard and touch inputs
-        let inputKeys = { ...this.keys };
+    // Show the current key bindings wherever the UI names a key
+    updateBindingLabels(layoutMap = null) {
+        if (this.minimap) {
+            this.minimap.setToggleKeyLabel(InputBindings.formatKey(this.inputBindings.getKeys('toggleMinimap')[0], layoutMap));
+        }
+        if (this.hudManager) {
+            this.hudManager.setSelfRightKeyLabel(InputBindings.formatKey(this.inputBindings.getKeys('selfRight')[0], layoutMap));
+        }
+    }
+
+    // Keyboard input for this tick, or null while UI menus are open
+    getInputKeys() {
+        if (!this.inputEnabled) return null;
+
+        return { ...this.keys };
+    }
+
+    // Continuous throttle and steering from the touch joystick and gamepad, added to the keys
+    getDriveInput() {
+        const drive = { throttle: 0, steer: 0 };
 
-        // Add touch input if mobile handler is active
         if (this.mobileInputHandler) {
-            const touchKeys = this.mobileInputHandler.getTouchAsKeyboardInput();
-            inputKeys = { ...inputKeys, ...touchKeys };
+            const touchDrive = this.mobileInputHandler.getDriveInput();
+            drive.throttle += touchDrive.throttle;
+            drive.steer += touchDrive.steer;
         }
 
-        const movementResult = this.roverPhysics.handleMovement(
-            inputKeys,
-            this.roverHeading,
-            this.planetQuaternion,
-            this.planetRadius
-        );
+        if (this.gamepadDrive) {
+            drive.throttle += this.gamepadDrive.throttle;
+            drive.steer += this.gamepadDrive.steer;
+        }
 
-        if (movementResult.moved) {
-            // Spawn dust particles when rover moves on ground
-            if (movementResult.forwardMovement) {
-                this.particleSystem.spawnMovementDust(
-                    this.roverPhysics.roverPhysicsPosition,
-                    this.roverPhysics.roverRotation,
-                    this.roverHeading,
-                    this.roverPhysics.isGrounded
-                );
-            }
+        return drive;
+    }
 
-            // Update rover heading from physics
-            this.roverHeading = -this.roverPhysics.roverRotation.yaw;
+    // Warn when the battery first runs flat and keep the HUD gauge current
+    handleEnergyState(energyState) {
+        if (energyState.stranded && !this.wasStranded && window.toastManager) {
+            window.toastManager.warning('Battery depleted! The rover is stranded until the solar panel recharges it.');
+        }
+        this.wasStranded = energyState.stranded;
 
-            // Wrap longitude for display purposes only
-            if (this.roverPosition.lon > 180) this.roverPosition.lon -= 360;
-            if (this.roverPosition.lon < -180) this.roverPosition.lon += 360;
+        if (this.hudManager) {
+            this.hudManager.updateEnergy(energyState);
+        }
+    }
 
-            this.positionRoverOnPlanet();
+    // Report damage and rollovers, and keep the condition gauges current
+    handleRoverCondition(events) {
+        for (const impact of events.impacts) {
+            console.log(`💥 Rover damaged by ${impact.source === 'landing' ? 'a hard landing' : 'a collision'}`, impact.damage);
+            if (impact.broken.length > 0 && window.toastManager) {
+                const names = impact.broken.map(subsystem => GameEngine.SUBSYSTEM_NAMES[subsystem] || subsystem);
+                window.toastManager.error(`${names.join(' and ')} broken!`);
+            }
+        }
+
+        if (events.rover.rolledOver && window.toastManager) {
+            const key = InputBindings.formatKey(this.inputBindings.getKeys('selfRight')[0]);
+            window.toastManager.warning(`Rover overturned! Press ${key} to self-right.`);
+        }
+
+        if (this.hudManager) {
+            this.hudManager.updateDamage(this.world.roverDamage.getState());
+            this.hudManager.updateRoverStatus(events.rover);
+            this.hudManager.updateCargo(this.inventory);
         }
     }
 
-    checkObjectCollisions() {
-        // Get rover position in world coordinates
-        const roverWorldPos = this.rover.position.clone();
+    // Toast a newly reached point of interest and what it gave the rover
+    announceSite(site) {
+        if (!window.toastManager) return;
+
+        const rewards = [];
+        if (site.reward.charge) rewards.push(`+${site.reward.charge} battery charge`);
+        if (site.reward.repair) rewards.push('salvaged parts patched up the rover');
+        window.toastManager.success(`Discovered ${site.definition.name}! ${rewards.join(', ')}`);
+    }
 
-        // Check for collisions with objects
-        const collisions = planetObjectManager.checkCollisions(roverWorldPos);
+    // Toast finished objectives and missions, and keep the mission tracker current
+    handleMissions(updates) {
+        for (const update of updates) {
+            if (!update.objective.completed || !window.toastManager) continue;
 
-        if (collisions.length > 0) {
-            // Handle collision response
-            for (const collision of collisions) {
-                this.handleObjectCollision(collision);
+            if (update.missionCompleted) {
+                window.toastManager.success(`Mission complete: ${update.mission.title}!`);
+            } else {
+                window.toastManager.info(`Objective complete: ${update.objective.label}`);
             }
         }
 
-        // Check for objects in discovery range
-        const nearbyObjects = planetObjectManager.getObjectsInRange(roverWorldPos, 8);
+        if (this.hudManager) {
+            this.hudManager.updateMissions(this.world.missionTracker.getActiveMission());
+        }
+    }
 
-        for (const obj of nearbyObjects) {
-            if (!obj.discovered && obj.canCollect) {
-                // Auto-discover collectible objects when close
-                const objectWorldPos = new THREE.Vector3();
-                obj.mesh.getWorldPosition(objectWorldPos);
-                const distance = roverWorldPos.distanceTo(objectWorldPos);
-                if (distance < 4) {
-                    planetObjectManager.discoverObject(obj.id);
-                    console.log(`🎯 Discovered ${obj.definition.name}! ${obj.definition.description}`);
-                }
+    // Load the nearest collectible into the cargo hold
+    collect() {
+        const result = this.world.collect();
+        if (result.discovered) {
+            this.recordDiscovery(result.object);
+        }
+        if (result.collected) {
+            console.log(`📦 Collected ${result.object.definition.name}`);
+            if (window.toastManager) {
+                window.toastManager.info(`Collected ${result.object.definition.name} (cargo ${this.inventory.getMass()}/${this.inventory.capacity})`);
             }
+        } else if (result.full && window.toastManager) {
+            window.toastManager.warning(`Cargo hold full - no room for the ${result.object.definition.name}.`);
+        }
+
+        this.handleMissions(result.missions);
+        if (this.hudManager) {
+            this.hudManager.updateCargo(this.inventory);
         }
     }
 
-    handleObjectCollision(collision) {
-        // Simple collision response - prevent rover from passing through objects
-        const objectPos = collision.worldPosition || collision.object.position;
-        const direction = this.rover.position.clone().sub(objectPos).normalize();
-        const pushDistance = collision.object.collisionRadius + planetObjectManager.collisionRadius - collision.distance + 0.5;
+    // Spend cargo on an upgrade's next level and rebuild the rover to show it
+    purchaseUpgrade(upgradeId) {
+        const result = this.world.purchaseUpgrade(upgradeId);
+        if (!result.upgrade) return result;
 
-        if (pushDistance > 0) {
-            // Push rover away from object
-            const pushVector = direction.multiplyScalar(pushDistance);
-            this.rover.position.add(pushVector);
-            this.roverPhysics.roverPhysicsPosition.add(pushVector);
+        if (result.purchased) {
+            console.log(`🔧 Upgraded ${result.upgrade.name} to level ${result.level}`);
+            this.disposeRover();
+            this.createRover();
+            this.storePreviousState();
+            if (window.toastManager) {
+                window.toastManager.success(`${result.upgrade.name} upgraded to level ${result.level}!`);
+            }
+        } else if (result.missing.length > 0 && window.toastManager) {
+            const missing = result.missing.map(item => `${item.count} ${RoverUpgrades.getResourceName(item.type)}`);
+            window.toastManager.warning(`Not enough cargo for ${result.upgrade.name}: need ${missing.join(', ')} more.`);
+        }
 
-            // Add more noticeable visual feedback
-            if (this.roverPhysics.roverAngularVelocity) {
-                this.roverPhysics.roverAngularVelocity.x += (Math.random() - 0.5) * 0.05;
-                this.roverPhysics.roverAngularVelocity.z += (Math.random() - 0.5) * 0.05;
+        if (this.hudManager) {
+            this.hudManager.updateCargo(this.inventory);
+        }
+        return result;
+    }
+
+    // Remove the rover mesh from the scene and free its resources
+    disposeRover() {
+        if (!this.rover) return;
+
+        // Traverse rover group and dispose all mesh resources
+        this.rover.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) {
+                if (Array.isArray(child.material)) {
+                    child.material.forEach(m => m.dispose());
+                } else {
+                    child.material.dispose();
+                }
             }
+        });
+        this.scene.remove(this.rover);
+    }
 
-            // Add velocity dampening for impact feel
-            if (this.roverPhysics.roverVelocity) {
-                this.roverPhysics.roverVelocity.multiplyScalar(0.7); // Slow down on impact
+    // Dump the heaviest load in the hold to make room
+    jettison(objectType = null) {
+        const dropped = this.world.jettison(objectType);
+        if (window.toastManager) {
+            if (dropped) {
+                window.toastManager.info(`Jettisoned ${dropped.name} x${dropped.count} (cargo ${this.inventory.getMass()}/${this.inventory.capacity})`);
+            } else {
+                window.toastManager.info('Cargo hold is empty.');
             }
+        }
+        if (this.hudManager) {
+            this.hudManager.updateCargo(this.inventory);
+        }
+        return dropped;
+    }
 
-            console.log(`💥 Collision with ${collision.object.definition.name}!`);
+    // Winch an overturned rover back onto its wheels
+    selfRight() {
+        const result = this.world.selfRight();
+        if (result.started && !result.powered && window.toastManager) {
+            window.toastManager.warning('Battery too low for the winch - self-righting slowly.');
         }
     }
 
@@ -500,24 +750,15 @@ class GameEngine {
             }
 
             // Remove and dispose existing rover and recreate it with updated materials
-            if (this.rover) {
-                // Traverse rover group and dispose all mesh resources
-                this.rover.traverse((child) => {
-                    if (child.geometry) child.geometry.dispose();
-                    if (child.material) {
-                        if (Array.isArray(child.material)) {
-                            child.material.forEach(m => m.dispose());
-                        } else {
-                            child.material.dispose();
-                        }
-                    }
-                });
-                this.scene.remove(this.rover);
-            }
+            this.disposeRover();
 
             // Clean up particle systems
             this.particleSystem.cleanupParticles();
 
+            // Land on the new planet with a full battery and a repaired rover
+            this.roverEnergy.reset();
+            this.world.repairRover();
+
             // Create new planet with the selected type
             this.createPlanet(planetType);
 
@@ -540,47 +781,192 @@ class GameEngine {
             // Reset rover position on new planet
             this.positionRoverOnPlanet();
 
+            // Don't interpolate from the previous planet's state
+            this.storePreviousState();
+
+            if (this.autosaveEnabled) {
+                this.saveGame();
+            }
+
             console.log('Switched to planet:', planetType);
             return true;
         }
         return false;
     }
 
-    startAnimationLoop() {
-        const animate = () => {
-            this.animationId = requestAnimationFrame(animate);
+    // Remember the current simulation state so rendering can blend toward the next tick
+    storePreviousState() {
+        this.previousRoverPosition.copy(this.roverPhysics.roverPhysicsPosition);
+        this.previousRoverRotation = { ...this.roverPhysics.roverRotation };
+        this.previousWheelLengths = this.roverPhysics.getWheelLengths();
+        this.previousPlanetQuaternion.copy(this.planetQuaternion);
+    }
 
-            this.handleRoverMovement();
+    // Advance the simulation by one fixed tick and present what happened
+    stepSimulation() {
+        this.storePreviousState();
+
+        const keys = this.getInputKeys();
+        const events = this.world.step({ keys: keys, drive: keys ? this.getDriveInput() : null });
+
+        // Spawn dust particles when rover moves on ground
+        if (events.movement && events.movement.forwardMovement) {
+            this.particleSystem.spawnMovementDust(
+                this.roverPhysics.roverPhysicsPosition,
+                this.roverPhysics.roverRotation,
+                this.world.roverHeading,
+                this.roverPhysics.isGrounded
+            );
+        }
 
-            // Update rover physics
-            const physicsResult = this.roverPhysics.updatePhysics();
+        // Handle landing dust particles
+        for (const landing of events.landings) {
+            this.particleSystem.spawnLandingDust(landing.position, landing.impact);
+        }
 
-            // Handle landing dust particles
-            if (!physicsResult.wasGrounded && physicsResult.isGrounded && physicsResult.landingImpact > 0) {
-                this.particleSystem.spawnLandingDust(
-                    this.roverPhysics.roverPhysicsPosition,
-                    physicsResult.landingImpact
-                );
+        if (events.movement.speed) {
+            this.recordAchievementEvent({ type: 'drive', distance: events.movement.speed / GameConfig.physicsTickRate });
+        }
+        for (const landing of events.landings) {
+            if (landing.planetfall) continue;
+            const broken = events.impacts.filter(impact => impact.source === 'landing').flatMap(impact => impact.broken);
+            this.recordAchievementEvent({ type: 'landing', impact: landing.impact, broken: broken });
+        }
+
+        this.handleEnergyState(events.energy);
+        this.handleRoverCondition(events);
+
+        for (const collision of events.collisions) {
+            console.log(`💥 Collision with ${collision.object.definition.name}!`);
+        }
+
+        for (const obj of events.discoveries) {
+            this.recordDiscovery(obj);
+            console.log(`🎯 Discovered ${obj.definition.name}! ${obj.definition.description}`);
+            if (obj.reward) this.announceSite(obj);
+        }
+
+        this.handleMissions(events.missions);
+
+        if (this.autosaveEnabled && ++this.ticksSinceSave >= GameConfig.autosaveInterval * GameConfig.physicsTickRate) {
+            this.saveGame();
+        }
+    }
+
+    // Blend the previous and current simulation state for display
+    applyInterpolatedState(alpha) {
+        const rotation = this.roverPhysics.roverRotation;
+        const previous = this.previousRoverRotation;
+
+        // Update rover visual position to match physics
+        this.rover.position.lerpVectors(this.previousRoverPosition, this.roverPhysics.roverPhysicsPosition, alpha);
+
+        // Apply rover rotation; the suspension keeps it rocking in the air too
+        this.rover.rotation.set(
+            previous.pitch + (rotation.pitch - previous.pitch) * alpha,
+            previous.yaw + (rotation.yaw - previous.yaw) * alpha,
+            previous.roll + (rotation.roll - previous.roll) * alpha
+        );
+
+        // Wheels follow their suspension
+        const wheelLengths = this.roverPhysics.getWheelLengths();
+        for (const [name, wheel] of Object.entries(this.roverWheels)) {
+            const previousLength = this.previousWheelLengths[name] !== undefined ? this.previousWheelLengths[name] : wheelLengths[name];
+            wheel.position.y = -(previousLength + (wheelLengths[name] - previousLength) * alpha);
+        }
+
+        // Planet rotation is how the rover moves across the surface
+        this.planet.quaternion.copy(this.previousPlanetQuaternion).slerp(this.planetQuaternion, alpha);
+    }
+
+    // Position the sun for the rendered planet orientation and fade lights between day and night
+    updateDayNightLighting() {
+        const sunDirection = this.world.getSunDirection(this.planet.quaternion);
+        const daylight = DayNightCycle.daylightFactor(sunDirection);
+
+        this.renderingEngine.updateDaylight(sunDirection, daylight);
+
+        if (this.headlightLight) {
+            // A damaged headlight gives less light, an upgraded one more
+            this.headlightLight.intensity = 1.5 * this.headlightPower * (1 - daylight) * this.world.roverDamage.getHeadlightLevel();
+        }
+    }
+
+    // Read the gamepad once per frame: drive controls for the coming ticks, camera orbit and button actions
+    pollGamepad(frameSeconds) {
+        this.gamepadDrive = null;
+        if (!this.gamepadInputHandler) return;
+
+        const input = this.gamepadInputHandler.poll();
+        const planetModal = document.getElementById('planetModal');
+        const planetModalOpen = planetModal && planetModal.style.display === 'block';
+
+        // Start opens and closes the planet menu
+        if (input.pressed.has('openPlanets')) {
+            if (planetModalOpen) {
+                window.closePlanetModal();
+            } else if (this.inputEnabled && window.showPlanetModal) {
+                window.showPlanetModal();
             }
+        }
+
+        if (!this.inputEnabled) return;
 
-            // Update rover visual position to match physics
-            this.rover.position.copy(this.roverPhysics.roverPhysicsPosition);
+        this.gamepadDrive = { throttle: input.throttle, steer: input.steer };
 
-            // Apply rover rotation
-            if (physicsResult.isGrounded) {
-                this.rover.rotation.set(
-                    this.roverPhysics.roverRotation.pitch,
-                    this.roverPhysics.roverRotation.yaw,
-                    this.roverPhysics.roverRotation.roll
-                );
+        if (input.pressed.has('selfRight')) this.selfRight();
+        if (input.pressed.has('collect')) this.collect();
+        if (input.pressed.has('jettison')) this.jettison();
+
+        const cameraStep = GameConfig.gamepadCameraSpeed * Math.min(frameSeconds, 0.1);
+        if (input.camera.x !== 0 || input.camera.y !== 0) {
+            this.renderingEngine.orbitCamera(-input.camera.x * cameraStep, input.camera.y * cameraStep);
+        }
+
+        if (input.pressed.has('pixelDown')) this.renderingEngine.changePixelSize(-1);
+        if (input.pressed.has('pixelUp')) this.renderingEngine.changePixelSize(1);
+    }
+
+    // Show the rover's rendered position and heading on the minimap
+    updateMinimap() {
+        if (!this.minimap) return;
+
+        // The rover sits on top of the world facing +Z after its yaw; move both into planet-local space
+        const heading = this.world.roverHeading;
+        this.minimapInverseQuaternion.copy(this.planet.quaternion).invert();
+        this.minimapUp.set(0, 1, 0).applyQuaternion(this.minimapInverseQuaternion);
+        this.minimapForward.set(-Math.sin(heading), 0, Math.cos(heading)).applyQuaternion(this.minimapInverseQuaternion);
+
+        this.minimap.update(this.minimapUp, this.minimapForward, planetObjectManager.objects);
+    }
+
+    startAnimationLoop() {
+        this.storePreviousState();
+        this.fixedTimestep.reset();
+        this.lastUpdateTime = performance.now();
+
+        const animate = (time) => {
+            this.animationId = requestAnimationFrame(animate);
+
+            const now = time !== undefined ? time : performance.now();
+            const frameSeconds = (now - this.lastUpdateTime) / 1000;
+            this.lastUpdateTime = now;
+
+            this.pollGamepad(frameSeconds);
+
+            // Run as many fixed ticks as the elapsed time allows
+            const { steps, alpha } = this.fixedTimestep.advance(frameSeconds);
+            for (let i = 0; i < steps; i++) {
+                this.stepSimulation();
             }
 
+            this.applyInterpolatedState(alpha);
+            this.updateDayNightLighting();
+            this.updateMinimap();
+
             // Update particle systems
             this.particleSystem.update();
 
-            // Check for object collisions
-            this.checkObjectCollisions();
-
             // Update camera to continuously follow rover
             this.renderingEngine.updateCameraPosition();
 
@@ -598,6 +984,78 @@ class GameEngine {
         }
     }
 
+    // Snapshot everything needed to resume this expedition after a reload
+    captureSaveState() {
+        const planetId = planetTypeManager.getCurrentPlanetType();
+        const roverState = this.roverPhysics.getRoverState();
+        const q = this.planetQuaternion;
+
+        return {
+            planet: {
+                id: planetId,
+                seed: planetTypeManager.getPlanetSeed(),
+                // Generated planets can be deleted, so keep their config with the save
+                config: planetTypeManager.generatedPlanets.get(planetId) || null
+            },
+            planetQuaternion: { x: q.x, y: q.y, z: q.z, w: q.w },
+            roverHeading: this.world.roverHeading,
+            rover: {
+                position: { x: roverState.position.x, y: roverState.position.y, z: roverState.position.z },
+                velocity: { x: roverState.velocity.x, y: roverState.velocity.y, z: roverState.velocity.z },
+                rotation: roverState.rotation,
+                isGrounded: roverState.isGrounded
+            },
+            discoveredObjectIds: planetObjectManager.getDiscoveredIds(),
+            missions: this.world.missionTracker.getState()
+        };
+    }
+
+    saveGame() {
+        this.ticksSinceSave = 0;
+        this.achievements.save(); // Distance driven since the last unlock
+        return this.saveStateService.save(this.captureSaveState());
+    }
+
+    // Begin periodic saving (held off until the player has answered the Continue prompt)
+    startAutosave() {
+        this.autosaveEnabled = true;
+        this.ticksSinceSave = 0;
+    }
+
+    // Rebuild the saved planet and put the rover back where it was
+    restoreSaveState(state) {
+        const { planet } = state;
+
+        if (planet.config && !planetTypeManager.getPlanetConfig(planet.id)) {
+            planetTypeManager.addGeneratedPlanet(planet.config);
+        }
+
+        if (!this.switchPlanet(planet.id)) {
+            console.warn('Saved planet is no longer available:', planet.id);
+            return false;
+        }
+
+        const q = state.planetQuaternion;
+        this.planetQuaternion.set(q.x, q.y, q.z, q.w).normalize();
+        this.world.roverHeading = state.roverHeading ?? this.world.roverHeading;
+        this.roverPhysics.setRoverState(state.rover);
+        this.world.lastRoverHeight = null;
+
+        // Object ids only match if the planet still generates from the same seed
+        if (planet.seed === planetTypeManager.getPlanetSeed() && state.discoveredObjectIds) {
+            planetObjectManager.markDiscovered(state.discoveredObjectIds);
+        }
+        if (planet.seed === planetTypeManager.getPlanetSeed() && state.missions) {
+            this.world.missionTracker.restoreState(state.missions);
+        }
+
+        this.positionRoverOnPlanet();
+        this.storePreviousState();
+
+        console.log('Restored saved game on planet:', planet.id);
+        return true;
+    }
+
     // Public API for accessing game state
     getRoverState() {
         return this.roverPhysics.getRoverState();
@@ -612,5 +1070,8 @@ class GameEngine {
     }
 }
 
+// Display names for rover subsystems (see RoverDamage.SUBSYSTEMS)
+GameEngine.SUBSYSTEM_NAMES = { wheels: 'Wheels', panel: 'Solar panel', headlight: 'Headlight' };
+
 // Export for global use
 window.GameEngine = GameEngine;
\ No newline at end of file
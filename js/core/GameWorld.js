@@ -0,0 +1,566 @@
+/**
+ * GameWorld
+ *
+ * The simulation half of the game: planet setup, analytic terrain, biome regions, rover physics,
+ * energy, day/night and planet objects, advanced one fixed tick at a time. It has no renderer or DOM
+ * dependencies, so it runs headless under Node; GameEngine wraps it with meshes, particles,
+ * input devices and UI, reacting to the events each tick reports.
+ *
+ * Usage:
+ *   const world = new GameWorld({ planetTypeManager, objectManager });
+ *   world.loadPlanet('mars');
+ *   world.populateObjects();
+ *   for (let i = 0; i < 600; i++) {
+ *       const events = world.step({ keys: { KeyW: true } }); // or { keys: {}, drive: { throttle: 0.5, steer: 0 } }
+ *       events.discoveries.forEach(obj => ...);
+ *       events.missions.forEach(update => ...); // {mission, objective, missionCompleted}
+ *       if (events.rover.overturned) world.selfRight();
+ *   }
+ */
+
+class GameWorld {
+    /**
+     * Create a simulation world
+     * @param {object} options - {planetTypeManager, objectManager, inputBindings, inventory, upgrades};
+     *   managers default to the globals, bindings to the default keys, and the inventory and upgrades
+     *   to unsaved ones
+     */
+    constructor(options = {}) {
+        this.planetTypeManager = options.planetTypeManager ||
+            (typeof planetTypeManager !== 'undefined' ? planetTypeManager : null);
+        this.objectManager = options.objectManager ||
+            (typeof planetObjectManager !== 'undefined' ? planetObjectManager : null);
+        this.inputBindings = options.inputBindings || new InputBindings({ storage: null });
+        this.inventory = options.inventory || new RoverInventory({ storage: null });
+        this.upgrades = options.upgrades || new RoverUpgrades({ storage: null });
+
+        // Planet and rover state
+        this.planetRadius = 80;
+        this.roverHeading = Math.PI / 2; // Rover's facing direction in radians (start facing north)
+        this.planetQuaternion = new THREE.Quaternion(); // The planet rotates under the rover
+        this.tickCount = 0;
+
+        // Simulation systems
+        this.terrainGenerator = new TerrainGenerator();
+        this.roverPhysics = new RoverPhysics();
+        this.roverEnergy = new RoverEnergy();
+        this.roverDamage = new RoverDamage();
+        this.dayNightCycle = new DayNightCycle();
+        this.poiGenerator = new PointOfInterestGenerator();
+        this.missionTracker = new MissionTracker();
+        this.biomeManager = options.biomeManager || new BiomeManager();
+
+        // Biome regions of a mixed planet (null for single-biome planets), and the planet-wide biome
+        // and surface
+        this.biomeRegionData = null;
+        this.planetBiome = null;
+        this.planetSurface = null;
+
+        // Gravity (in g) and air damping of the current planet
+        this.planetPhysics = null;
+
+        // Parent for object meshes: the planet mesh when rendering, a bare group when headless
+        this.objectRoot = null;
+
+        // Collectible objects this close are discovered; collecting reaches a little further, past
+        // the collision radius of larger objects
+        this.discoveryRange = 4;
+        this.collectRange = 6;
+        this.scannerRange = 1; // Discovery range multiplier from scanner upgrades (see applyUpgrades)
+
+        // Seeded jitter for collision response, so runs replay identically
+        this.collisionRng = RNGUtils.createSeededRNG(12345);
+
+        // Scratch objects for planet-local object queries
+        this.inversePlanetQuaternion = new THREE.Quaternion();
+        this.roverLocalPosition = new THREE.Vector3();
+
+        // Energy tracking between ticks
+        this.panelNormal = new THREE.Vector3();
+        this.roverEuler = new THREE.Euler(0, 0, 0, 'YXZ'); // Same rotation order as the rover mesh
+        this.lastRoverHeight = null;
+
+        // The drop onto a new planet doesn't count as a hard landing
+        this.hasLanded = false;
+
+        // Fit whatever was bought in earlier sessions
+        this.applyUpgrades();
+    }
+
+    /**
+     * Configure every system for a planet and drop the rover above its surface
+     * @param {string} planetType - Planet id, or null for the current planet
+     * @returns {boolean} Whether the planet was loaded
+     */
+    loadPlanet(planetType = null) {
+        const manager = this.planetTypeManager;
+        if (planetType && planetType !== manager.getCurrentPlanetType() && !manager.setPlanetType(planetType)) {
+            return false;
+        }
+
+        const seed = manager.getPlanetSeed(planetType);
+        this.planetRadius = manager.getPlanetRadius(planetType);
+
+        // Seed the terrain stack so each planet gets its own landforms, and so physics and
+        // object placement can query the same heights analytically
+        this.terrainGenerator.configure(manager.getTerrainProperties(planetType), this.planetRadius, seed);
+        this.roverPhysics.setReferences(this.terrainGenerator, this.planetQuaternion, this.planetRadius);
+
+        // Mixed planets are split into biome regions, each with its own ground to drive on
+        const config = manager.getPlanetConfig(manager.getCurrentPlanetType());
+        this.biomeRegionData = config && config.biomeMix
+            ? this.biomeManager.initializeBiomeRegions(config.biomeMix, seed)
+            : null;
+        this.biomeManager.setCurrentBiomeRegionData(this.biomeRegionData);
+        this.planetBiome = config ? (config.baseBiome || manager.getCurrentPlanetType()) : null; // Built-in planets are named after their biome
+        this.planetSurface = manager.getSurfaceProperties(planetType);
+        this.roverPhysics.setSurfaceSampler((direction) => this.getSurfaceAt(direction));
+
+        // Gravity and air vary per planet, so drops, bounces and settling feel different on each
+        this.planetPhysics = manager.getPhysicsProperties(planetType);
+        this.roverPhysics.setPlanetPhysics(this.planetPhysics);
+        this.roverPhysics.cargoMass = this.inventory.getMass();
+
+        // Reset rover physics position to start above the new planet surface
+        this.roverPhysics.roverPhysicsPosition.set(0, this.planetRadius + 20, 0);
+        this.lastRoverHeight = null;
+        this.hasLanded = false;
+
+        // Sun strength and battery drain vary per planet
+        this.roverEnergy.configure(manager.getEnergyProperties(planetType));
+
+        // Each planet has its own day length; start the new planet at the configured sun position
+        const lightingProps = manager.getLightingProperties(planetType);
+        if (lightingProps) {
+            this.dayNightCycle.configure({ dayLength: lightingProps.dayLength, sunPosition: lightingProps.sun.position });
+        }
+        this.dayNightCycle.reset();
+
+        this.collisionRng = RNGUtils.createSeededRNG(seed);
+
+        // Each planet brings its own missions, started afresh
+        this.missionTracker.setMissions(config ? config.missions : []);
+        return true;
+    }
+
+    /**
+     * Generate the current planet's objects on the terrain surface
+     * @param {object} parent - Object3D to attach object meshes to (default: a new group)
+     * @param {array} discoveredObjectIds - Ids to flag as already discovered
+     * @returns {boolean} Whether objects were generated. Objects already collected are left out.
+     */
+    populateObjects(parent = null, discoveredObjectIds = []) {
+        const config = this.planetTypeManager.getCurrentPlanetConfig();
+        if (!config) {
+            console.warn('No planet configuration available for object generation');
+            return false;
+        }
+
+        this.objectRoot = parent || new THREE.Group();
+
+        // Seeded RNGs for consistent object placement and appearance
+        const seed = this.planetTypeManager.getPlanetSeed();
+        const rng = this.objectManager.createSeededRNG(seed);
+        const appearanceRng = this.objectManager.createSeededRNG(seed + 2000);
+        const materialProps = this.planetTypeManager.getMaterialProperties();
+        this.objectManager.generateObjects(
+            config,
+            rng,
+            this.objectRoot,
+            this.terrainGenerator,
+            materialProps,
+            appearanceRng,
+            (direction) => this.getBiomeAt(direction)
+        );
+
+        // A few larger multi-part sites, laid out from the same seed
+        this.poiGenerator.populate(this.objectManager, seed, this.planetRadius, this.objectRoot, this.terrainGenerator, materialProps);
+
+        this.inventory.getCollectedIds(this.planetTypeManager.getCurrentPlanetType(), seed)
+            .forEach(id => this.objectManager.removeObject(id));
+        this.objectManager.markDiscovered(discoveredObjectIds);
+        return true;
+    }
+
+    /**
+     * Advance the simulation by one fixed tick
+     * @param {object} input - {keys, drive}: pressed key codes (null when driving input is disabled)
+     *   and optional continuous {throttle, steer} in [-1, 1] from touch or gamepad
+     * @returns {object} {movement, landings, energy, collisions, discoveries, impacts, rover, missions}:
+     *   landings {position, impact, planetfall} with planetfall set for the drop onto a new planet,
+     *   impacts that damaged the rover (see RoverDamage.applyImpact), rover {overturned, selfRighting,
+     *   rolledOver, righted} with rolledOver/righted set on the tick it happened, and mission
+     *   objectives that progressed (see MissionTracker.record)
+     */
+    step(input = {}) {
+        this.dayNightCycle.update(1 / GameConfig.physicsTickRate);
+
+        const movement = this.applyMovement(input.keys, input.drive);
+
+        // Update rover physics, split into substeps for stability
+        const landings = [];
+        const impacts = [];
+        const rover = { rolledOver: false, righted: false };
+        const substeps = Math.max(1, GameConfig.physicsSubsteps);
+        for (let i = 0; i < substeps; i++) {
+            const physicsResult = this.roverPhysics.updatePhysics(1 / substeps);
+
+            if (!physicsResult.wasGrounded && physicsResult.isGrounded && physicsResult.landingImpact > 0) {
+                landings.push({
+                    position: this.roverPhysics.roverPhysicsPosition.clone(),
+                    impact: physicsResult.landingImpact,
+                    planetfall: !this.hasLanded
+                });
+
+                if (this.hasLanded) {
+                    this.recordImpact(impacts, 'landing', physicsResult.landingImpact);
+                }
+            }
+            if (physicsResult.isGrounded) this.hasLanded = true;
+
+            rover.rolledOver = rover.rolledOver || physicsResult.rolledOver;
+            rover.righted = rover.righted || physicsResult.righted;
+        }
+
+        const energy = this.updateEnergy(movement);
+        const { collisions, discoveries } = this.checkObjectCollisions(impacts);
+
+        rover.overturned = this.roverPhysics.overturned;
+        rover.selfRighting = this.roverPhysics.isSelfRighting();
+
+        const missions = this.updateMissions(discoveries);
+
+        this.tickCount++;
+        return { movement, landings, energy, collisions, discoveries, impacts, rover, missions };
+    }
+
+    /**
+     * Drive and steer the rover from pressed keys and continuous controls. Without input the
+     * rover coasts to a stop rather than halting dead.
+     * @param {object} keys - Pressed key codes, or null when driving input is disabled
+     * @param {object} drive - Optional {throttle, steer} in [-1, 1], added to the keys
+     * @returns {object} Movement result from RoverPhysics
+     */
+    applyMovement(keys, drive = null) {
+        const control = this.inputBindings.getDrive(keys);
+        if (keys && drive) {
+            control.throttle = Math.max(-1, Math.min(1, control.throttle + (drive.throttle || 0)));
+            control.steer = Math.max(-1, Math.min(1, control.steer + (drive.steer || 0)));
+        }
+
+        // A flat battery leaves the rover stranded until the panel recharges it, and an overturned
+        // rover can't drive until it is back on its wheels
+        if (!this.roverEnergy.canMove() || this.roverPhysics.overturned) {
+            control.throttle = 0;
+            control.steer = 0;
+        }
+
+        const movement = this.roverPhysics.handleMovement(
+            control,
+            this.roverHeading,
+            this.planetQuaternion,
+            this.planetRadius
+        );
+
+        if (movement.moved) {
+            this.roverHeading = -this.roverPhysics.roverRotation.yaw;
+            this.roverPhysics.updateHeading(this.roverHeading);
+        }
+
+        return movement;
+    }
+
+    /**
+     * Biome at a planet-local direction: the biome region's on mixed planets, otherwise the planet's own
+     * @param {object} direction - {x, y, z}
+     * @returns {string|null} Biome name
+     */
+    getBiomeAt(direction) {
+        if (this.biomeRegionData) {
+            const biome = this.biomeManager.sampleBiomeAtPosition(direction.x, direction.y, direction.z, this.biomeRegionData);
+            if (biome) return biome;
+        }
+
+        return this.planetBiome;
+    }
+
+    /**
+     * Surface material at a planet-local direction: the biome's surface on mixed planets,
+     * otherwise the planet's own
+     * @param {object} direction - {x, y, z}
+     * @returns {object} Surface material (see RoverPhysics.DEFAULT_SURFACE)
+     */
+    getSurfaceAt(direction) {
+        if (this.biomeRegionData) {
+            const biome = this.biomeManager.sampleBiomeAtPosition(direction.x, direction.y, direction.z, this.biomeRegionData);
+            const material = biome ? this.biomeManager.getSurfaceMaterial(biome) : null;
+            if (material) return material;
+        }
+
+        return this.planetSurface;
+    }
+
+    /**
+     * Sun direction in world space
+     * @param {object} quaternion - Planet orientation (default: the simulated orientation)
+     * @returns {object} Unit vector {x, y, z}
+     */
+    getSunDirection(quaternion = this.planetQuaternion) {
+        return this.dayNightCycle.getSunDirection(quaternion);
+    }
+
+    /**
+     * Drain the battery for this tick's activity and recharge it from the solar panel
+     * @param {object} movement - Result of applyMovement
+     * @returns {object} Energy state (see RoverEnergy.getState)
+     */
+    updateEnergy(movement) {
+        // Climbing costs extra: measure height gained while driving over terrain
+        const roverHeight = this.roverPhysics.roverPhysicsPosition.y;
+        const climb = this.lastRoverHeight !== null && this.roverPhysics.isGrounded ? roverHeight - this.lastRoverHeight : 0;
+        this.lastRoverHeight = roverHeight;
+
+        // The panel lies flat on top of the rover, so it faces the rover's up direction
+        const rotation = this.roverPhysics.roverRotation;
+        this.roverEuler.set(rotation.pitch, rotation.yaw, rotation.roll);
+        this.panelNormal.set(0, 1, 0).applyEuler(this.roverEuler);
+
+        // No charging once the sun has set behind the planet
+        const sunDirection = this.getSunDirection();
+
+        return this.roverEnergy.update({
+            driving: movement.throttle !== 0,
+            turning: movement.turned,
+            climb: climb,
+            panelNormal: this.panelNormal,
+            sunDirection: sunDirection,
+            daylight: DayNightCycle.daylightFactor(sunDirection),
+            panelEfficiency: this.roverDamage.getPanelEfficiency()
+        });
+    }
+
+    /**
+     * Damage the rover for an impact and let worn wheels slow it down
+     * @param {array} impacts - Damaging impacts this tick, appended to
+     * @param {string} source - 'collision' or 'landing'
+     * @param {number} speed - Impact speed (see RoverDamage.applyImpact)
+     */
+    recordImpact(impacts, source, speed) {
+        const impact = this.roverDamage.applyImpact(source, speed);
+        if (!impact) return;
+
+        this.roverPhysics.driveEfficiency = this.roverDamage.getDriveFactor();
+        impacts.push(impact);
+    }
+
+    /**
+     * Turn an overturned rover back onto its wheels. With enough charge the winch does it quickly;
+     * on a low battery it takes much longer, so the rover is never stuck on its side.
+     * @returns {object} {started, powered}
+     */
+    selfRight() {
+        if (!this.roverPhysics.overturned || this.roverPhysics.isSelfRighting()) {
+            return { started: false, powered: false };
+        }
+
+        const powered = this.roverEnergy.consume(GameConfig.selfRightEnergyCost);
+        const seconds = powered ? GameConfig.selfRightSeconds : GameConfig.selfRightUnpoweredSeconds;
+        this.roverPhysics.startSelfRight(seconds * GameConfig.physicsTickRate);
+        return { started: true, powered };
+    }
+
+    /**
+     * Apply the bought upgrades to the rover's physics, battery and scanner
+     */
+    applyUpgrades() {
+        const modifiers = this.upgrades.getModifiers();
+        this.roverPhysics.applyUpgrades(modifiers);
+        this.roverEnergy.applyUpgrades(modifiers);
+        this.scannerRange = modifiers.scannerRange || 1;
+    }
+
+    /**
+     * Buy an upgrade's next level with cargo and fit it to the rover
+     * @param {string} upgradeId
+     * @returns {object} See RoverUpgrades.purchase
+     */
+    purchaseUpgrade(upgradeId) {
+        const result = this.upgrades.purchase(upgradeId, this.inventory);
+        if (result.purchased) {
+            this.applyUpgrades();
+            this.roverPhysics.cargoMass = this.inventory.getMass();
+        }
+        return result;
+    }
+
+    /**
+     * Repair the rover and put it back on its wheels, e.g. when landing on a new planet
+     */
+    repairRover() {
+        this.roverDamage.reset();
+        this.roverPhysics.driveEfficiency = this.roverDamage.getDriveFactor();
+        this.roverPhysics.resetRollover();
+    }
+
+    /**
+     * Rover position in planet-local space, where objects are indexed
+     * @returns {THREE.Vector3} Shared scratch vector; copy it to keep it
+     */
+    getRoverLocalPosition() {
+        this.inversePlanetQuaternion.copy(this.planetQuaternion).invert();
+        return this.roverLocalPosition
+            .copy(this.roverPhysics.roverPhysicsPosition)
+            .applyQuaternion(this.inversePlanetQuaternion);
+    }
+
+    /**
+     * Push the rover out of objects it hit and discover collectibles in reach
+     * @param {array} impacts - Damaging impacts this tick, appended to
+     * @returns {object} {collisions, discoveries}: collisions that moved the rover, newly discovered
+     *   objects and points of interest (sites carry a `reward`, already paid out)
+     */
+    checkObjectCollisions(impacts = []) {
+        const roverLocalPos = this.getRoverLocalPosition();
+
+        const collisions = this.objectManager.checkCollisions(roverLocalPos)
+            .filter(collision => this.resolveCollision(collision, impacts));
+
+        // Auto-discover collectible objects when close
+        const discoveries = [];
+        for (const obj of this.objectManager.getObjectsInRange(roverLocalPos, this.discoveryRange * this.scannerRange)) {
+            if (!obj.discovered && obj.canCollect) {
+                this.objectManager.discoverObject(obj.id);
+                discoveries.push(obj);
+            }
+        }
+
+        // Points of interest are discovered on arrival, once
+        for (const site of this.objectManager.getSitesInRange(roverLocalPos)) {
+            this.objectManager.discoverSite(site.id);
+            this.applySiteReward(site);
+            discoveries.push(site);
+        }
+
+        return { collisions, discoveries };
+    }
+
+    /**
+     * Load the nearest collectible in reach into the cargo, taking it off the planet
+     * @returns {object} {object, collected, discovered, full, missions}: the object in reach (null when
+     *   there is none), whether it was collected, whether collecting it also discovered it, whether
+     *   the cargo was too full for it, and mission updates
+     */
+    collect() {
+        const result = { object: null, collected: false, discovered: false, full: false, missions: [] };
+        const nearest = this.objectManager.getObjectsInRange(this.getRoverLocalPosition(), this.collectRange)
+            .find(obj => obj.canCollect);
+        if (!nearest) return result;
+
+        result.object = nearest;
+        const manager = this.planetTypeManager;
+        if (!this.inventory.add(nearest, manager.getCurrentPlanetType(), manager.getPlanetSeed())) {
+            result.full = true;
+            return result;
+        }
+
+        result.discovered = !nearest.discovered;
+        if (result.discovered) {
+            this.objectManager.discoverObject(nearest.id);
+            result.missions.push(...this.missionTracker.record({ type: 'discover', object: nearest }));
+        }
+
+        this.objectManager.removeObject(nearest.id);
+        this.roverPhysics.cargoMass = this.inventory.getMass();
+        result.collected = true;
+        result.missions.push(...this.missionTracker.record({ type: 'collect', object: nearest }));
+        return result;
+    }
+
+    /**
+     * Jettison cargo to make room and lighten the rover
+     * @param {string} objectType - Default: the type weighing most in the hold
+     * @returns {object|null} What was dropped (see RoverInventory.jettison)
+     */
+    jettison(objectType = null) {
+        const dropped = this.inventory.jettison(objectType);
+        this.roverPhysics.cargoMass = this.inventory.getMass();
+        return dropped;
+    }
+
+    /**
+     * Feed this tick's discoveries, the rover's position and the biome under it to the missions
+     * @param {array} discoveries - Objects and sites discovered this tick
+     * @returns {array} Objective updates (see MissionTracker.record)
+     */
+    updateMissions(discoveries) {
+        const tracker = this.missionTracker;
+        const updates = [];
+
+        discoveries.forEach(object => updates.push(...tracker.record({ type: 'discover', object })));
+
+        // Position and biome only matter while an objective wants them
+        const position = this.getRoverLocalPosition();
+        if (tracker.isListening('position')) {
+            updates.push(...tracker.record({ type: 'position', position }));
+        }
+        if (tracker.isListening('biome')) {
+            updates.push(...tracker.record({ type: 'biome', biome: this.getBiomeAt(position) }));
+        }
+
+        return updates;
+    }
+
+    /**
+     * Pay out a point of interest's reward
+     * @param {object} site - From PointOfInterestGenerator
+     */
+    applySiteReward(site) {
+        if (site.reward.charge) {
+            this.roverEnergy.addCharge(site.reward.charge);
+        }
+        if (site.reward.repair) {
+            this.roverDamage.repair(site.reward.repair);
+            this.roverPhysics.driveEfficiency = this.roverDamage.getDriveFactor();
+        }
+    }
+
+    /**
+     * Simple collision response - prevent the rover from passing through an object, and damage
+     * the rover by how fast it was driving into it
+     * @param {object} collision - Result from PlanetObjectManager.checkCollisions
+     * @param {array} impacts - Damaging impacts this tick, appended to
+     * @returns {boolean} Whether the rover was pushed
+     */
+    resolveCollision(collision, impacts = []) {
+        const objectPos = collision.object.position.clone().applyQuaternion(this.planetQuaternion);
+        const direction = this.roverPhysics.roverPhysicsPosition.clone().sub(objectPos).normalize();
+        const pushDistance = collision.object.collisionRadius + this.objectManager.collisionRadius - collision.distance + 0.5;
+
+        if (pushDistance <= 0) return false;
+
+        // Closing speed: the part of the drive speed heading into the object
+        const heading = this.roverHeading;
+        const facing = -(-Math.sin(heading) * direction.x + Math.cos(heading) * direction.z);
+        const closingSpeed = Math.max(0, this.roverPhysics.driveSpeed * facing);
+
+        // Push rover away from object
+        this.roverPhysics.roverPhysicsPosition.add(direction.multiplyScalar(pushDistance));
+
+        // Knock the rover about a little for impact feel
+        this.roverPhysics.roverAngularVelocity.x += (this.collisionRng.next() - 0.5) * 0.05;
+        this.roverPhysics.roverAngularVelocity.z += (this.collisionRng.next() - 0.5) * 0.05;
+
+        // Slow down on impact, losing most of the speed that carried the rover into the object
+        this.roverPhysics.roverVelocity.multiplyScalar(0.7);
+        if (closingSpeed > 0) {
+            this.roverPhysics.driveSpeed -= Math.sign(this.roverPhysics.driveSpeed) * closingSpeed * 0.7;
+            this.recordImpact(impacts, 'collision', closingSpeed);
+        }
+
+        return true;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameWorld;
+}
@@ -44,14 +44,36 @@ async function init() {
     return gameServices;
 }
 
-// Add keyboard shortcut for planet selection
-function handlePlanetSelectionKey() {
-    if (gameServices && gameServices.gameEngine && gameServices.gameEngine.keys && gameServices.gameEngine.keys['KeyP']) {
-        if (gameServices.modalManager) {
-            gameServices.modalManager.showPlanetModal();
-        }
-        gameServices.gameEngine.keys['KeyP'] = false; // Prevent repeat
+// Offer to resume the last saved expedition, then start autosaving
+function offerContinue(gameEngine, planetTypeManager, toastManager) {
+    const savedState = gameEngine.saveStateService.load();
+    if (!savedState) {
+        gameEngine.startAutosave();
+        return;
     }
+
+    const savedConfig = planetTypeManager.getPlanetConfig(savedState.planet.id) || savedState.planet.config;
+    const planetName = savedConfig ? savedConfig.name : savedState.planet.id;
+
+    const startPlaying = () => {
+        gameEngine.inputEnabled = true;
+        gameEngine.startAutosave();
+    };
+
+    gameEngine.inputEnabled = false;
+    showConfirmDialog(
+        `Continue your expedition on ${planetName}?`,
+        () => {
+            if (gameEngine.restoreSaveState(savedState)) {
+                if (toastManager) toastManager.success(`Welcome back to ${planetName}.`);
+            } else if (toastManager) {
+                toastManager.error('Saved game could not be restored. Starting a new expedition.');
+            }
+            startPlaying();
+        },
+        startPlaying,
+        { title: 'Saved Game Found', confirmLabel: 'Continue', cancelLabel: 'New Game' }
+    );
 }
 
 // Start the game
@@ -80,6 +102,14 @@ init().then((services) => {
     if (modalManager) {
         modalManager.initializePlanetModal();
     }
+
+    // Generated planets are loaded by now, so a save on one of them can be restored
+    offerContinue(services.gameEngine, planetTypeManager, toastManager);
+    window.addEventListener('beforeunload', () => {
+        if (services.gameEngine.autosaveEnabled) {
+            services.gameEngine.saveGame();
+        }
+    });
 }).catch((error) => {
     console.error('Failed to initialize game:', error);
     console.error('Stack trace:', error.stack);
@@ -0,0 +1,167 @@
+/**
+ * GamepadInputHandler
+ *
+ * Reads a controller through the Gamepad API using the browser's "standard" button layout.
+ * The left stick (or the triggers) gives analog throttle and steering, the right stick orbits
+ * the camera, and buttons trigger one-shot actions. Controllers are picked up when they
+ * connect and dropped when they disconnect.
+ *
+ * Axis values inside the dead zone read as 0, and the remaining travel is rescaled so output
+ * still starts at 0 and reaches 1 at full deflection.
+ *
+ * Usage:
+ *   const gamepad = new GamepadInputHandler({ deadZone: 0.15 });
+ *   const input = gamepad.poll(); // once per frame
+ *   input.throttle, input.steer, input.camera.x, input.camera.y  // -1..1
+ *   if (input.pressed.has('openPlanets')) { ... }
+ */
+
+class GamepadInputHandler {
+    /**
+     * Create a gamepad handler
+     * @param {object} options - {deadZone, buttons, getGamepads, onConnectionChange, listen}
+     */
+    constructor(options = {}) {
+        this.deadZone = options.deadZone !== undefined ? options.deadZone : 0.15;
+
+        // Action -> standard-layout button index
+        this.buttons = {
+            openPlanets: 9,  // Start
+            selfRight: 3,    // Y
+            collect: 2,      // X
+            jettison: 1,     // B
+            pixelDown: 4,    // Left bumper
+            pixelUp: 5,      // Right bumper
+            ...options.buttons
+        };
+
+        this.getGamepads = options.getGamepads || (() => (
+            typeof navigator !== 'undefined' && navigator.getGamepads ? Array.from(navigator.getGamepads()) : []
+        ));
+        this.onConnectionChange = options.onConnectionChange || null;
+
+        this.gamepadIndex = null;
+        this.previousPressed = new Set(); // Actions held last poll, so presses fire once
+
+        if (options.listen !== false && typeof window !== 'undefined') {
+            window.addEventListener('gamepadconnected', (event) => this.handleConnected(event.gamepad));
+            window.addEventListener('gamepaddisconnected', (event) => this.handleDisconnected(event.gamepad));
+        }
+    }
+
+    /**
+     * Apply a dead zone to a single axis
+     * @param {number} value - Raw axis value, -1..1
+     * @param {number} deadZone - 0..1
+     * @returns {number} 0 inside the dead zone, rescaled to -1..1 outside it
+     */
+    static applyDeadZone(value, deadZone) {
+        const magnitude = Math.abs(value);
+        if (magnitude <= deadZone) return 0;
+
+        return Math.sign(value) * Math.min(1, (magnitude - deadZone) / (1 - deadZone));
+    }
+
+    /**
+     * Apply a dead zone to a stick as a whole, so diagonals aren't clipped to the axes
+     * @param {number} x - Raw horizontal axis, -1..1
+     * @param {number} y - Raw vertical axis, -1..1
+     * @param {number} deadZone - 0..1
+     * @returns {object} {x, y}
+     */
+    static applyRadialDeadZone(x, y, deadZone) {
+        const magnitude = Math.sqrt(x * x + y * y);
+        if (magnitude <= deadZone) return { x: 0, y: 0 };
+
+        const scaled = Math.min(1, (magnitude - deadZone) / (1 - deadZone));
+        return { x: x / magnitude * scaled, y: y / magnitude * scaled };
+    }
+
+    /**
+     * Start using a newly connected controller if none is active
+     * @param {Gamepad} gamepad
+     */
+    handleConnected(gamepad) {
+        if (this.gamepadIndex !== null) return;
+
+        this.gamepadIndex = gamepad.index;
+        this.previousPressed.clear();
+        if (this.onConnectionChange) this.onConnectionChange('connected', gamepad);
+    }
+
+    /**
+     * Stop using a controller that went away, falling back to any other connected one
+     * @param {Gamepad} gamepad
+     */
+    handleDisconnected(gamepad) {
+        if (gamepad.index !== this.gamepadIndex) return;
+
+        this.gamepadIndex = null;
+        this.previousPressed.clear();
+        if (this.onConnectionChange) this.onConnectionChange('disconnected', gamepad);
+
+        const fallback = this.getGamepads().find(pad => pad && pad.connected && pad.index !== gamepad.index);
+        if (fallback) this.handleConnected(fallback);
+    }
+
+    /**
+     * Whether a controller is in use
+     * @returns {boolean}
+     */
+    isConnected() {
+        return this.getGamepad() !== null;
+    }
+
+    /**
+     * The active controller, or null
+     * @returns {Gamepad|null}
+     */
+    getGamepad() {
+        if (this.gamepadIndex === null) return null;
+
+        const gamepad = this.getGamepads()[this.gamepadIndex];
+        return gamepad && gamepad.connected ? gamepad : null;
+    }
+
+    /**
+     * Read the controller. Call once per frame: button presses are reported on the poll they happen.
+     * @returns {object} {throttle, steer, camera: {x, y}, pressed: Set of action names}
+     */
+    poll() {
+        const input = { throttle: 0, steer: 0, camera: { x: 0, y: 0 }, pressed: new Set() };
+        const gamepad = this.getGamepad();
+        if (!gamepad) return input;
+
+        const axis = (index) => gamepad.axes[index] || 0;
+        const buttonValue = (index) => (gamepad.buttons[index] ? gamepad.buttons[index].value : 0);
+
+        // Left stick: up is forward, right is a right turn. Triggers also drive (RT forward, LT reverse)
+        const drive = GamepadInputHandler.applyRadialDeadZone(axis(0), axis(1), this.deadZone);
+        const triggers = GamepadInputHandler.applyDeadZone(buttonValue(7) - buttonValue(6), this.deadZone);
+        input.throttle = Math.max(-1, Math.min(1, -drive.y + triggers));
+        input.steer = drive.x;
+
+        // Right stick orbits the camera
+        input.camera = GamepadInputHandler.applyRadialDeadZone(axis(2), axis(3), this.deadZone);
+
+        const held = new Set();
+        for (const [action, index] of Object.entries(this.buttons)) {
+            if (gamepad.buttons[index] && gamepad.buttons[index].pressed) {
+                held.add(action);
+                if (!this.previousPressed.has(action)) input.pressed.add(action);
+            }
+        }
+        this.previousPressed = held;
+
+        return input;
+    }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.GamepadInputHandler = GamepadInputHandler;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GamepadInputHandler;
+}
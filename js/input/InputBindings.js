@@ -0,0 +1,293 @@
+/**
+ * InputBindings
+ *
+ * Maps keyboard keys to named game actions, so controls can be rebound and saved. Bindings
+ * store KeyboardEvent.code values, which name a physical key position regardless of keyboard
+ * layout; formatKey turns them into the label printed on the player's own keyboard.
+ *
+ * Actions:
+ *   - Axes: 'throttle' and 'steer', each read from a positive and a negative control
+ *     (throttle: forward/reverse, steer: right/left) and reported in -1..1
+ *   - Buttons: 'openPlanets', 'toggleMinimap', 'selfRight', 'collect', 'jettison', 'pixelUp', 'pixelDown'
+ *
+ * Each control holds up to InputBindings.SLOTS keys, and a key can only drive one control.
+ *
+ * Usage:
+ *   const bindings = new InputBindings({ storageKey: GameConfig.storageKeyBindings });
+ *   bindings.load();
+ *   const { throttle, steer } = bindings.getDrive(keys);
+ *   if (bindings.getControlForKey(event.code) === 'openPlanets') { ... }
+ *   const result = bindings.bind('throttleForward', 0, 'KeyZ');
+ *   if (result.conflict) bindings.bind('throttleForward', 0, 'KeyZ', { replace: true });
+ */
+
+class InputBindings {
+    /**
+     * Create bindings, starting from the defaults
+     * @param {object} options - {storage, storageKey}
+     */
+    constructor(options = {}) {
+        this.storage = StorageUtils.resolveStorage(options.storage);
+        this.storageKey = options.storageKey || 'pixelPlanetRover_bindings';
+
+        // controlId -> array of InputBindings.SLOTS key codes (null for an empty slot)
+        this.bindings = InputBindings.getDefaultBindings();
+    }
+
+    /**
+     * Fresh copy of the default bindings
+     * @returns {object} controlId -> key codes
+     */
+    static getDefaultBindings() {
+        const bindings = {};
+        InputBindings.CONTROLS.forEach(control => {
+            bindings[control.id] = InputBindings.fillSlots(control.defaults);
+        });
+        return bindings;
+    }
+
+    /**
+     * Pad or trim a list of key codes to the slot count
+     * @param {array} codes
+     * @returns {array}
+     */
+    static fillSlots(codes) {
+        const slots = [];
+        for (let i = 0; i < InputBindings.SLOTS; i++) {
+            slots.push(typeof codes[i] === 'string' && codes[i] ? codes[i] : null);
+        }
+        return slots;
+    }
+
+    /**
+     * Control definition by id
+     * @param {string} controlId
+     * @returns {object|null}
+     */
+    static getControl(controlId) {
+        return InputBindings.CONTROLS.find(control => control.id === controlId) || null;
+    }
+
+    /**
+     * Human-readable label for a key code
+     * @param {string} code - KeyboardEvent.code
+     * @param {Map} layoutMap - Optional KeyboardLayoutMap (navigator.keyboard.getLayoutMap()),
+     *   so AZERTY, Dvorak and other layouts show the key printed on the player's keyboard
+     * @returns {string}
+     */
+    static formatKey(code, layoutMap = null) {
+        if (!code) return '—';
+
+        if (layoutMap && layoutMap.has(code)) {
+            return layoutMap.get(code).toUpperCase();
+        }
+        if (InputBindings.KEY_NAMES[code]) return InputBindings.KEY_NAMES[code];
+        if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+        if (/^Digit[0-9]$/.test(code)) return code.slice(5);
+        if (/^Numpad[0-9]$/.test(code)) return `Num ${code.slice(6)}`;
+        return code;
+    }
+
+    /**
+     * Load saved bindings, keeping defaults for controls the save doesn't cover
+     * @returns {boolean} Whether saved bindings were applied
+     */
+    load() {
+        const data = StorageUtils.loadJSON(this.storage, this.storageKey, 'InputBindings');
+        if (!data || typeof data.bindings !== 'object' || data.bindings === null) return false;
+
+        const bindings = InputBindings.getDefaultBindings();
+        const usedCodes = new Set();
+        InputBindings.CONTROLS.forEach(control => {
+            const saved = data.bindings[control.id];
+            if (!Array.isArray(saved)) return;
+
+            // A key saved on two controls only keeps the first, so a bad save can't create conflicts
+            bindings[control.id] = InputBindings.fillSlots(saved).map(code => {
+                if (!code || usedCodes.has(code)) return null;
+                usedCodes.add(code);
+                return code;
+            });
+        });
+
+        // Defaults for unsaved controls yield to keys the save has taken
+        InputBindings.CONTROLS.forEach(control => {
+            if (Array.isArray(data.bindings[control.id])) return;
+            bindings[control.id] = bindings[control.id].map(code => (usedCodes.has(code) ? null : code));
+        });
+
+        this.bindings = bindings;
+        return true;
+    }
+
+    /**
+     * Write bindings to storage
+     * @returns {boolean} Whether the bindings were saved
+     */
+    save() {
+        return StorageUtils.saveJSON(this.storage, this.storageKey, { bindings: this.bindings }, 'InputBindings');
+    }
+
+    /**
+     * Keys bound to a control
+     * @param {string} controlId
+     * @returns {array} Key codes, one per slot (null for an empty slot)
+     */
+    getKeys(controlId) {
+        return this.bindings[controlId] ? [...this.bindings[controlId]] : [];
+    }
+
+    /**
+     * Control a key is bound to
+     * @param {string} code - KeyboardEvent.code
+     * @returns {string|null} Control id
+     */
+    getControlForKey(code) {
+        if (!code) return null;
+
+        for (const controlId of Object.keys(this.bindings)) {
+            if (this.bindings[controlId].includes(code)) return controlId;
+        }
+        return null;
+    }
+
+    /**
+     * Whether any key bound to a control is held
+     * @param {string} controlId
+     * @param {object} keys - Held key codes
+     * @returns {boolean}
+     */
+    isActive(controlId, keys) {
+        if (!keys || !this.bindings[controlId]) return false;
+        return this.bindings[controlId].some(code => code && keys[code]);
+    }
+
+    /**
+     * Read an axis action from held keys
+     * @param {string} action - 'throttle' or 'steer'
+     * @param {object} keys - Held key codes
+     * @returns {number} -1, 0 or 1
+     */
+    getAxis(action, keys) {
+        let value = 0;
+        InputBindings.CONTROLS.forEach(control => {
+            if (control.action === action && this.isActive(control.id, keys)) {
+                value += control.direction;
+            }
+        });
+        return Math.max(-1, Math.min(1, value));
+    }
+
+    /**
+     * Drive controls from held keys
+     * @param {object} keys - Held key codes, or null
+     * @returns {object} {throttle, steer}, each -1..1; positive drives forward and steers right
+     */
+    getDrive(keys) {
+        return {
+            throttle: this.getAxis('throttle', keys),
+            steer: this.getAxis('steer', keys)
+        };
+    }
+
+    /**
+     * Bind a key to one of a control's slots. A key bound elsewhere is a conflict: the binding is
+     * refused unless options.replace is set, in which case the key moves to this control.
+     * @param {string} controlId
+     * @param {number} slot - 0..SLOTS-1
+     * @param {string} code - KeyboardEvent.code
+     * @param {object} options - {replace}
+     * @returns {object} {bound, conflict}: conflict is the control id already using the key, or null
+     */
+    bind(controlId, slot, code, options = {}) {
+        if (!this.bindings[controlId] || slot < 0 || slot >= InputBindings.SLOTS || !code) {
+            return { bound: false, conflict: null };
+        }
+
+        const existing = this.getControlForKey(code);
+        if (existing && existing !== controlId) {
+            if (!options.replace) {
+                return { bound: false, conflict: existing };
+            }
+            this.bindings[existing] = this.bindings[existing].map(bound => (bound === code ? null : bound));
+        }
+
+        // Moving a key between this control's own slots leaves no duplicate behind
+        this.bindings[controlId] = this.bindings[controlId].map(bound => (bound === code ? null : bound));
+        this.bindings[controlId][slot] = code;
+        return { bound: true, conflict: existing && existing !== controlId ? existing : null };
+    }
+
+    /**
+     * Clear one of a control's slots
+     * @param {string} controlId
+     * @param {number} slot
+     */
+    unbind(controlId, slot) {
+        if (this.bindings[controlId] && slot >= 0 && slot < InputBindings.SLOTS) {
+            this.bindings[controlId][slot] = null;
+        }
+    }
+
+    /**
+     * Restore every control to its default keys
+     */
+    resetToDefaults() {
+        this.bindings = InputBindings.getDefaultBindings();
+    }
+}
+
+// Keys per control
+InputBindings.SLOTS = 2;
+
+// Rebindable controls. Axis controls add `direction` to their action while held.
+InputBindings.CONTROLS = [
+    { id: 'throttleForward', action: 'throttle', direction: 1, label: 'Drive Forward', defaults: ['KeyW'] },
+    { id: 'throttleReverse', action: 'throttle', direction: -1, label: 'Reverse', defaults: ['KeyS'] },
+    { id: 'steerLeft', action: 'steer', direction: -1, label: 'Steer Left', defaults: ['KeyA'] },
+    { id: 'steerRight', action: 'steer', direction: 1, label: 'Steer Right', defaults: ['KeyD'] },
+    { id: 'openPlanets', action: 'openPlanets', label: 'Planet Menu', defaults: ['KeyP'] },
+    { id: 'toggleMinimap', action: 'toggleMinimap', label: 'Minimap View', defaults: ['KeyM'] },
+    { id: 'selfRight', action: 'selfRight', label: 'Self-Right', defaults: ['KeyR'] },
+    { id: 'collect', action: 'collect', label: 'Collect', defaults: ['KeyE'] },
+    { id: 'jettison', action: 'jettison', label: 'Jettison Cargo', defaults: ['KeyJ'] },
+    { id: 'pixelUp', action: 'pixelUp', label: 'Pixel Size +', defaults: ['Equal', 'NumpadAdd'] },
+    { id: 'pixelDown', action: 'pixelDown', label: 'Pixel Size -', defaults: ['Minus', 'NumpadSubtract'] }
+];
+
+// Labels for codes that don't read well as-is
+InputBindings.KEY_NAMES = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Space: 'Space',
+    Equal: '=',
+    Minus: '-',
+    NumpadAdd: 'Num +',
+    NumpadSubtract: 'Num -',
+    BracketLeft: '[',
+    BracketRight: ']',
+    Semicolon: ';',
+    Quote: "'",
+    Comma: ',',
+    Period: '.',
+    Slash: '/',
+    Backslash: '\\',
+    Backquote: '`',
+    ShiftLeft: 'L Shift',
+    ShiftRight: 'R Shift',
+    ControlLeft: 'L Ctrl',
+    ControlRight: 'R Ctrl',
+    AltLeft: 'L Alt',
+    AltRight: 'R Alt'
+};
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.InputBindings = InputBindings;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InputBindings;
+}
@@ -383,7 +383,7 @@ class MobileInputHandler {
             this.roverInputState.turnRight = turnRightValue > 0.1;
             this.roverInputState.turnLeft = turnLeftValue > 0.1;
 
-            // Store intensity values for future analog control
+            // Intensity values drive the rover proportionally (see getDriveInput)
             this.roverInputState.forwardIntensity = forwardValue;
             this.roverInputState.backwardIntensity = backwardValue;
             this.roverInputState.turnRightIntensity = turnRightValue;
@@ -445,6 +445,10 @@ class MobileInputHandler {
         this.roverInputState.backward = false;
         this.roverInputState.turnLeft = false;
         this.roverInputState.turnRight = false;
+        this.roverInputState.forwardIntensity = 0;
+        this.roverInputState.backwardIntensity = 0;
+        this.roverInputState.turnLeftIntensity = 0;
+        this.roverInputState.turnRightIntensity = 0;
 
         if (this.touches.size === 0) {
             this.cameraInputState.orbiting = false;
@@ -477,6 +481,15 @@ class MobileInputHandler {
         return { ...this.cameraInputState };
     }
 
+    // Joystick deflection as continuous throttle and steering, each -1 to 1
+    getDriveInput() {
+        const state = this.roverInputState;
+        return {
+            throttle: Math.min(1, state.forwardIntensity) - Math.min(1, state.backwardIntensity),
+            steer: Math.min(1, state.turnRightIntensity) - Math.min(1, state.turnLeftIntensity)
+        };
+    }
+
     // Convert touch input to keyboard-like input for compatibility
     getTouchAsKeyboardInput() {
         return {
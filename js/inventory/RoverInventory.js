@@ -0,0 +1,192 @@
+/**
+ * RoverInventory
+ *
+ * Cargo the rover has collected, and which objects it took from each planet. Cargo counts per
+ * object type and has a mass limit; collected object ids are kept per planet and seed, so the
+ * objects stay gone when the same world is generated again. Both persist in storage.
+ *
+ * Usage:
+ *   const inventory = new RoverInventory({ storageKey: GameConfig.storageKeyInventory });
+ *   inventory.load();
+ *   if (inventory.canCarry(obj)) inventory.add(obj, planetId, seed);
+ *   inventory.jettison(); // Drop the heaviest load when the hold is full
+ *   physics.cargoMass = inventory.getMass();
+ *   inventory.getCollectedIds(planetId, seed).forEach(id => planetObjectManager.removeObject(id));
+ */
+
+class RoverInventory {
+    /**
+     * Create an empty inventory
+     * @param {object} options - {storage, storageKey, capacity}
+     */
+    constructor(options = {}) {
+        this.storage = StorageUtils.resolveStorage(options.storage);
+        this.storageKey = options.storageKey || 'pixelPlanetRover_inventory';
+        this.capacity = options.capacity !== undefined ? options.capacity : 40; // Cargo mass the rover can carry
+
+        // objectType -> {name, count, mass}: mass is per item
+        this.cargo = {};
+
+        // planetId:seed -> collected object ids
+        this.collected = {};
+    }
+
+    /**
+     * Key for a planet's collected objects. Generated planets share ids across seeds.
+     * @param {string} planetId
+     * @param {number} seed
+     * @returns {string}
+     */
+    static getPlanetKey(planetId, seed) {
+        return `${planetId}:${seed}`;
+    }
+
+    /**
+     * Mass an object adds to the cargo
+     * @param {object} obj - From PlanetObjectManager
+     * @returns {number}
+     */
+    static getObjectMass(obj) {
+        return obj.definition.mass !== undefined ? obj.definition.mass : 1;
+    }
+
+    /**
+     * Load cargo and collected objects from storage
+     * @returns {boolean} Whether any data was loaded
+     */
+    load() {
+        const data = StorageUtils.loadJSON(this.storage, this.storageKey, 'RoverInventory');
+        if (!data) return false;
+
+        this.cargo = data.cargo || {};
+        this.collected = data.collected || {};
+        return true;
+    }
+
+    /**
+     * Write cargo and collected objects to storage
+     */
+    save() {
+        StorageUtils.saveJSON(this.storage, this.storageKey, { cargo: this.cargo, collected: this.collected }, 'RoverInventory');
+    }
+
+    /**
+     * Total cargo mass
+     * @returns {number}
+     */
+    getMass() {
+        return Object.values(this.cargo).reduce((sum, item) => sum + item.count * item.mass, 0);
+    }
+
+    /**
+     * How full the cargo hold is
+     * @returns {number} 0 (empty) to 1 (full)
+     */
+    getLoad() {
+        return this.capacity > 0 ? Math.min(1, this.getMass() / this.capacity) : 1;
+    }
+
+    /**
+     * Whether an object fits in the remaining capacity
+     * @param {object} obj
+     * @returns {boolean}
+     */
+    canCarry(obj) {
+        return this.getMass() + RoverInventory.getObjectMass(obj) <= this.capacity;
+    }
+
+    /**
+     * Load a collected object into the cargo
+     * @param {object} obj - From PlanetObjectManager
+     * @param {string} planetId
+     * @param {number} seed
+     * @returns {boolean} Whether it fit
+     */
+    add(obj, planetId, seed) {
+        if (!obj.canCollect || !this.canCarry(obj)) return false;
+
+        if (!this.cargo[obj.type]) {
+            this.cargo[obj.type] = { name: obj.definition.name, count: 0, mass: RoverInventory.getObjectMass(obj) };
+        }
+        this.cargo[obj.type].count++;
+
+        const key = RoverInventory.getPlanetKey(planetId, seed);
+        if (!this.collected[key]) this.collected[key] = [];
+        if (!this.collected[key].includes(obj.id)) this.collected[key].push(obj.id);
+
+        this.save();
+        return true;
+    }
+
+    /**
+     * Take items out of the cargo, e.g. to spend them
+     * @param {string} objectType
+     * @param {number} count
+     * @returns {boolean} Whether there were enough
+     */
+    remove(objectType, count = 1) {
+        const item = this.cargo[objectType];
+        if (!item || item.count < count) return false;
+
+        item.count -= count;
+        if (item.count === 0) delete this.cargo[objectType];
+
+        this.save();
+        return true;
+    }
+
+    /**
+     * Dump every item of a type overboard to free up the hold. Jettisoned objects don't return to
+     * the planet.
+     * @param {string} objectType - Default: the type weighing most in the hold
+     * @returns {object|null} What was dropped ({type, name, count, mass}, as getItems), or null
+     *   when the hold had none
+     */
+    jettison(objectType = null) {
+        const item = objectType
+            ? this.getItems().find(entry => entry.type === objectType)
+            : this.getItems()[0];
+        if (!item) return null;
+
+        this.remove(item.type, item.count);
+        return item;
+    }
+
+    /**
+     * Number of an object type in the cargo
+     * @param {string} objectType
+     * @returns {number}
+     */
+    getCount(objectType) {
+        return this.cargo[objectType] ? this.cargo[objectType].count : 0;
+    }
+
+    /**
+     * Cargo contents, heaviest first
+     * @returns {array} {type, name, count, mass}: mass is the total for the type
+     */
+    getItems() {
+        return Object.entries(this.cargo)
+            .map(([type, item]) => ({ type, name: item.name, count: item.count, mass: item.count * item.mass }))
+            .sort((a, b) => b.mass - a.mass);
+    }
+
+    /**
+     * Objects collected from a planet, to leave out when it is generated again
+     * @param {string} planetId
+     * @param {number} seed
+     * @returns {array} Object ids
+     */
+    getCollectedIds(planetId, seed) {
+        return [...(this.collected[RoverInventory.getPlanetKey(planetId, seed)] || [])];
+    }
+}
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.RoverInventory = RoverInventory;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RoverInventory;
+}
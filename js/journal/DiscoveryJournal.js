@@ -0,0 +1,199 @@
+/**
+ * DiscoveryJournal
+ *
+ * Persistent log of every object the rover has discovered, grouped per planet.
+ * Object ids come from seeded generation, so the same object on the same seed
+ * always maps back to the same journal entry, even after the planet is regenerated.
+ *
+ * Usage:
+ *   const journal = new DiscoveryJournal({ storageKey: GameConfig.storageKeyJournal });
+ *   journal.load();
+ *   journal.recordDiscovery({ planetId, seed, objectId, objectType, objectName, position });
+ *   const entries = journal.getEntries({ planetId: 'mars' });
+ */
+
+class DiscoveryJournal {
+    /**
+     * Create a discovery journal
+     * @param {object} options - {storage, storageKey}
+     */
+    constructor(options = {}) {
+        this.storage = StorageUtils.resolveStorage(options.storage);
+        this.storageKey = options.storageKey || 'pixelPlanetRover_journal';
+
+        // planetId -> {name, entries: {entryId -> entry}}. Generated planets reuse their id across
+        // seeds, so entries are keyed by planet, seed and object together.
+        this.planets = {};
+    }
+
+    /**
+     * Build the stable entry id for an object on a planet
+     * @param {string} planetId
+     * @param {number} seed
+     * @param {string} objectId
+     * @returns {string}
+     */
+    static getEntryId(planetId, seed, objectId) {
+        return `${planetId}:${seed}:${objectId}`;
+    }
+
+    /**
+     * Convert a planet-local position to surface latitude/longitude in degrees
+     * @param {object} position - {x, y, z}
+     * @returns {object} {lat, lon}
+     */
+    static toLatLon(position) {
+        const length = Math.sqrt(position.x * position.x + position.y * position.y + position.z * position.z);
+        if (length === 0) {
+            return { lat: 0, lon: 0 };
+        }
+
+        return {
+            lat: Math.asin(position.y / length) * 180 / Math.PI,
+            lon: Math.atan2(position.z, position.x) * 180 / Math.PI,
+        };
+    }
+
+    /**
+     * Load journal data from storage
+     * @returns {boolean} Whether any data was loaded
+     */
+    load() {
+        const data = StorageUtils.loadJSON(this.storage, this.storageKey, 'DiscoveryJournal');
+        if (!data) return false;
+
+        this.planets = data.planets || {};
+        return true;
+    }
+
+    /**
+     * Write journal data to storage
+     */
+    save() {
+        StorageUtils.saveJSON(this.storage, this.storageKey, { planets: this.planets }, 'DiscoveryJournal');
+    }
+
+    /**
+     * Record a discovery. Rediscovering an object returns its existing entry.
+     * @param {object} discovery - {planetId, planetName, seed, objectId, objectType, objectName, position, timestamp}
+     * @returns {object} {entry, isNew}
+     */
+    recordDiscovery(discovery) {
+        const { planetId, seed, objectId } = discovery;
+        if (!planetId || !objectId) {
+            throw new Error('Discovery requires a planetId and objectId');
+        }
+
+        if (!this.planets[planetId]) {
+            this.planets[planetId] = { name: discovery.planetName || planetId, entries: {} };
+        }
+
+        const planet = this.planets[planetId];
+        const id = DiscoveryJournal.getEntryId(planetId, seed, objectId);
+        if (planet.entries[id]) {
+            return { entry: planet.entries[id], isNew: false };
+        }
+
+        const { lat, lon } = discovery.position ? DiscoveryJournal.toLatLon(discovery.position) : { lat: 0, lon: 0 };
+        const entry = {
+            id,
+            planetId,
+            seed,
+            objectId,
+            objectType: discovery.objectType,
+            objectName: discovery.objectName || discovery.objectType,
+            lat: Number(lat.toFixed(2)),
+            lon: Number(lon.toFixed(2)),
+            timestamp: discovery.timestamp || Date.now(),
+        };
+
+        planet.entries[id] = entry;
+        this.save();
+
+        return { entry, isNew: true };
+    }
+
+    /**
+     * Check if an object is already in the journal
+     * @param {string} planetId
+     * @param {string} objectId
+     * @param {number} seed - Optional seed the entry must match
+     * @returns {boolean}
+     */
+    hasEntry(planetId, objectId, seed = undefined) {
+        const planet = this.planets[planetId];
+        if (!planet) return false;
+        if (seed !== undefined) return Boolean(planet.entries[DiscoveryJournal.getEntryId(planetId, seed, objectId)]);
+        return Object.values(planet.entries).some(entry => entry.objectId === objectId);
+    }
+
+    /**
+     * Get journal entries, newest first
+     * @param {object} filter - {planetId, objectType}
+     * @returns {array}
+     */
+    getEntries(filter = {}) {
+        const planetIds = filter.planetId ? [filter.planetId] : Object.keys(this.planets);
+        const entries = [];
+
+        for (const planetId of planetIds) {
+            const planet = this.planets[planetId];
+            if (!planet) continue;
+
+            for (const entry of Object.values(planet.entries)) {
+                if (filter.objectType && entry.objectType !== filter.objectType) continue;
+                entries.push(entry);
+            }
+        }
+
+        return entries.sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    /**
+     * Get planets that have journal entries
+     * @returns {array} Array of {id, name, count}
+     */
+    getPlanets() {
+        return Object.entries(this.planets).map(([id, planet]) => ({
+            id,
+            name: planet.name,
+            count: Object.keys(planet.entries).length,
+        }));
+    }
+
+    /**
+     * Get ids of objects discovered on a planet for a given seed
+     * @param {string} planetId
+     * @param {number} seed
+     * @returns {array}
+     */
+    getDiscoveredObjectIds(planetId, seed) {
+        const planet = this.planets[planetId];
+        if (!planet) return [];
+
+        return Object.values(planet.entries)
+            .filter(entry => entry.seed === seed)
+            .map(entry => entry.objectId);
+    }
+
+    /**
+     * Remove all entries for a planet
+     * @param {string} planetId
+     */
+    clearPlanet(planetId) {
+        delete this.planets[planetId];
+        this.save();
+    }
+
+    /**
+     * Remove every entry
+     */
+    clear() {
+        this.planets = {};
+        this.save();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DiscoveryJournal;
+}
@@ -0,0 +1,137 @@
+/**
+ * FogOfWar
+ *
+ * Records which parts of a planet the rover has driven near, on an equirectangular
+ * latitude/longitude grid that lines up with the full-planet minimap.
+ *
+ * Usage:
+ *   const fog = new FogOfWar({ width: 256, height: 128 });
+ *   fog.reveal(roverDirection, revealRange / planetRadius);
+ *   if (fog.isExplored(direction)) { ... }
+ */
+
+class FogOfWar {
+    /**
+     * Create an unexplored grid
+     * @param {object} options - {width, height} in cells
+     */
+    constructor(options = {}) {
+        this.width = options.width || 256;
+        this.height = options.height || 128;
+        this.cells = new Uint8Array(this.width * this.height);
+
+        // Cell centre directions, precomputed per column and row
+        this.columnCos = new Float32Array(this.width);
+        this.columnSin = new Float32Array(this.width);
+        for (let col = 0; col < this.width; col++) {
+            const lon = (col + 0.5) / this.width * Math.PI * 2 - Math.PI;
+            this.columnCos[col] = Math.cos(lon);
+            this.columnSin[col] = Math.sin(lon);
+        }
+
+        // Rows near the poles cover less surface, so area is weighted by cos(latitude)
+        this.rowLatitudes = new Float32Array(this.height);
+        this.rowWeights = new Float32Array(this.height);
+        this.totalArea = 0;
+        for (let row = 0; row < this.height; row++) {
+            const lat = Math.PI / 2 - (row + 0.5) / this.height * Math.PI;
+            this.rowLatitudes[row] = lat;
+            this.rowWeights[row] = Math.cos(lat);
+            this.totalArea += this.rowWeights[row] * this.width;
+        }
+
+        this.exploredArea = 0;
+    }
+
+    /**
+     * Grid cell containing a direction
+     * @param {object} direction - {x, y, z}
+     * @returns {number} Cell index
+     */
+    cellIndex(direction) {
+        const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y + direction.z * direction.z) || 1;
+        const lat = Math.asin(Math.max(-1, Math.min(1, direction.y / length)));
+        const lon = Math.atan2(direction.z, direction.x);
+
+        const col = Math.min(this.width - 1, Math.floor((lon + Math.PI) / (Math.PI * 2) * this.width));
+        const row = Math.min(this.height - 1, Math.floor((Math.PI / 2 - lat) / Math.PI * this.height));
+        return row * this.width + col;
+    }
+
+    /**
+     * Mark every cell within an angle of a direction as explored
+     * @param {object} direction - Centre {x, y, z}
+     * @param {number} radius - Surface angle in radians
+     * @returns {number} Number of cells newly explored
+     */
+    reveal(direction, radius) {
+        const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y + direction.z * direction.z) || 1;
+        const dx = direction.x / length;
+        const dy = direction.y / length;
+        const dz = direction.z / length;
+        const lat = Math.asin(Math.max(-1, Math.min(1, dy)));
+        const minCos = Math.cos(radius);
+
+        // Only rows inside the latitude band can be in range
+        const firstRow = Math.max(0, Math.floor((Math.PI / 2 - (lat + radius)) / Math.PI * this.height));
+        const lastRow = Math.min(this.height - 1, Math.floor((Math.PI / 2 - (lat - radius)) / Math.PI * this.height));
+
+        let revealed = 0;
+        for (let row = firstRow; row <= lastRow; row++) {
+            const rowLat = this.rowLatitudes[row];
+            const cosLat = Math.cos(rowLat);
+            const y = Math.sin(rowLat) * dy;
+
+            for (let col = 0; col < this.width; col++) {
+                const index = row * this.width + col;
+                if (this.cells[index]) continue;
+
+                const dot = cosLat * this.columnCos[col] * dx + y + cosLat * this.columnSin[col] * dz;
+                if (dot >= minCos) {
+                    this.cells[index] = 1;
+                    this.exploredArea += this.rowWeights[row];
+                    revealed++;
+                }
+            }
+        }
+
+        // Always uncover the cell the rover is in, however small the radius
+        const here = this.cellIndex(direction);
+        if (!this.cells[here]) {
+            this.cells[here] = 1;
+            this.exploredArea += this.rowWeights[Math.floor(here / this.width)];
+            revealed++;
+        }
+
+        return revealed;
+    }
+
+    /**
+     * Whether a direction has been explored
+     * @param {object} direction - {x, y, z}
+     * @returns {boolean}
+     */
+    isExplored(direction) {
+        return this.cells[this.cellIndex(direction)] === 1;
+    }
+
+    /**
+     * Fraction of the planet's surface explored
+     * @returns {number} 0-1
+     */
+    getExploredFraction() {
+        return this.totalArea > 0 ? this.exploredArea / this.totalArea : 0;
+    }
+
+    /**
+     * Forget everything explored
+     */
+    reset() {
+        this.cells.fill(0);
+        this.exploredArea = 0;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FogOfWar;
+}
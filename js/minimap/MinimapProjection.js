@@ -0,0 +1,159 @@
+/**
+ * MinimapProjection
+ *
+ * Map projections between planet-local directions and minimap coordinates.
+ *
+ * - Equirectangular: the whole planet, longitude across and latitude down. Latitude and
+ *   longitude follow the same convention as object placement and the discovery journal.
+ * - Azimuthal equidistant: a disc centred on the rover, rover forward pointing up the map.
+ *   Distances from the centre are true surface angles, so the map scale is even in every
+ *   direction around the rover.
+ *
+ * All directions are plain {x, y, z} unit vectors in planet-local space.
+ *
+ * Usage:
+ *   const { x, y } = MinimapProjection.toEquirectangular(direction, 256, 128);
+ *   const frame = MinimapProjection.createFrame(roverUp, roverForward);
+ *   const direction = MinimapProjection.fromAzimuthal(mapX, mapY, frame, range);
+ */
+
+class MinimapProjection {
+    /**
+     * Latitude and longitude of a direction
+     * @param {object} direction - {x, y, z}
+     * @returns {object} {lat, lon} in radians
+     */
+    static toLatLon(direction) {
+        const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y + direction.z * direction.z) || 1;
+        return {
+            lat: Math.asin(Math.max(-1, Math.min(1, direction.y / length))),
+            lon: Math.atan2(direction.z, direction.x),
+        };
+    }
+
+    /**
+     * Unit direction for a latitude and longitude
+     * @param {number} lat - Radians
+     * @param {number} lon - Radians
+     * @returns {object} {x, y, z}
+     */
+    static fromLatLon(lat, lon) {
+        return {
+            x: Math.cos(lat) * Math.cos(lon),
+            y: Math.sin(lat),
+            z: Math.cos(lat) * Math.sin(lon),
+        };
+    }
+
+    /**
+     * Project a direction onto an equirectangular map
+     * @param {object} direction - {x, y, z}
+     * @param {number} width - Map width (covers 360 degrees of longitude)
+     * @param {number} height - Map height (covers 180 degrees of latitude)
+     * @returns {object} {x, y} with the north pole at y = 0
+     */
+    static toEquirectangular(direction, width, height) {
+        const { lat, lon } = MinimapProjection.toLatLon(direction);
+        return {
+            x: (lon + Math.PI) / (Math.PI * 2) * width,
+            y: (Math.PI / 2 - lat) / Math.PI * height,
+        };
+    }
+
+    /**
+     * Direction at a point on an equirectangular map
+     * @param {number} x
+     * @param {number} y
+     * @param {number} width
+     * @param {number} height
+     * @returns {object} {x, y, z}
+     */
+    static fromEquirectangular(x, y, width, height) {
+        const lon = x / width * Math.PI * 2 - Math.PI;
+        const lat = Math.PI / 2 - y / height * Math.PI;
+        return MinimapProjection.fromLatLon(lat, lon);
+    }
+
+    /**
+     * Build the orthonormal frame an azimuthal map is drawn in
+     * @param {object} up - Direction at the map centre {x, y, z}
+     * @param {object} forward - Direction that points up the map; need not be exactly tangent
+     * @returns {object} {up, forward, right}
+     */
+    static createFrame(up, forward) {
+        const normalize = (v) => {
+            const length = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z) || 1;
+            return { x: v.x / length, y: v.y / length, z: v.z / length };
+        };
+
+        const u = normalize(up);
+
+        // Remove any component of forward along up so the frame stays orthogonal
+        const along = forward.x * u.x + forward.y * u.y + forward.z * u.z;
+        const f = normalize({ x: forward.x - along * u.x, y: forward.y - along * u.y, z: forward.z - along * u.z });
+
+        // right = forward x up
+        const r = {
+            x: f.y * u.z - f.z * u.y,
+            y: f.z * u.x - f.x * u.z,
+            z: f.x * u.y - f.y * u.x,
+        };
+
+        return { up: u, forward: f, right: r };
+    }
+
+    /**
+     * Project a direction onto an azimuthal equidistant map around the frame's up direction
+     * @param {object} direction - {x, y, z} unit vector
+     * @param {object} frame - From createFrame
+     * @param {number} range - Surface angle (radians) from the centre to the map edge
+     * @returns {object} {x, y, distance}: x right and y up the map, both -1..1 at the edge;
+     *   distance is the angle from the centre as a fraction of range
+     */
+    static toAzimuthal(direction, frame, range) {
+        const { up, forward, right } = frame;
+        const cosAngle = direction.x * up.x + direction.y * up.y + direction.z * up.z;
+        const angle = Math.acos(Math.max(-1, Math.min(1, cosAngle)));
+
+        const tx = direction.x * right.x + direction.y * right.y + direction.z * right.z;
+        const ty = direction.x * forward.x + direction.y * forward.y + direction.z * forward.z;
+        const tangentLength = Math.sqrt(tx * tx + ty * ty);
+
+        if (tangentLength === 0) {
+            return { x: 0, y: 0, distance: angle / range };
+        }
+
+        const scale = angle / range / tangentLength;
+        return { x: tx * scale, y: ty * scale, distance: angle / range };
+    }
+
+    /**
+     * Direction at a point on an azimuthal equidistant map
+     * @param {number} x - Right of centre, -1..1 at the edge
+     * @param {number} y - Up the map from centre, -1..1 at the edge
+     * @param {object} frame - From createFrame
+     * @param {number} range - Surface angle (radians) from the centre to the map edge
+     * @returns {object} {x, y, z}
+     */
+    static fromAzimuthal(x, y, frame, range) {
+        const { up, forward, right } = frame;
+        const distance = Math.sqrt(x * x + y * y);
+        if (distance === 0) {
+            return { x: up.x, y: up.y, z: up.z };
+        }
+
+        const angle = distance * range;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle) / distance;
+
+        return {
+            x: up.x * cos + (right.x * x + forward.x * y) * sin,
+            y: up.y * cos + (right.y * x + forward.y * y) * sin,
+            z: up.z * cos + (right.z * x + forward.z * y) * sin,
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MinimapProjection;
+}
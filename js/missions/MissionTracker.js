@@ -0,0 +1,212 @@
+/**
+ * MissionTracker
+ *
+ * Exploration goals for the current planet. Missions are data (the `missions` list of a planet in
+ * config/planets.json, or generated with the planet): each has a title and a list of objectives,
+ * and is complete once every objective is. Progress comes from events the simulation records:
+ *
+ *   - {type: 'discover', object}: an object or point of interest was discovered
+ *   - {type: 'collect', object}: an object was collected into the rover's cargo
+ *   - {type: 'position', position}: where the rover is, planet-local
+ *   - {type: 'biome', biome}: the biome under the rover
+ *
+ * Objective types:
+ *   - collect {objectType, count}: collect that many objects of a type
+ *   - find {target}: discover an object or point of interest of a type
+ *   - reach {lat, lon, radius}: drive within radius (surface units) of a spot, lat/lon in degrees
+ *   - surveyBiomes {count}: drive through that many different biomes
+ *
+ * Every mission progresses at once; the tracker shows the first one still open.
+ *
+ * Usage:
+ *   const tracker = new MissionTracker();
+ *   tracker.setMissions(planetConfig.missions);
+ *   const updates = tracker.record({ type: 'discover', object });
+ *   updates.forEach(update => update.missionCompleted && ...); // {mission, objective, missionCompleted}
+ *   hud.updateMissions(tracker.getActiveMission());
+ */
+
+class MissionTracker {
+    constructor() {
+        this.missions = [];
+    }
+
+    /**
+     * Start tracking a planet's missions from scratch
+     * @param {array} definitions - {id, title, objectives: [{type, label, ...}]}
+     */
+    setMissions(definitions = []) {
+        this.missions = (definitions || []).map(definition => ({
+            id: definition.id,
+            title: definition.title,
+            completed: false,
+            objectives: (definition.objectives || [])
+                .filter(objective => {
+                    if (MissionTracker.OBJECTIVES[objective.type]) return true;
+                    console.warn(`Unknown objective type: ${objective.type}`);
+                    return false;
+                })
+                .map(objective => ({
+                    definition: objective,
+                    label: objective.label || objective.type,
+                    progress: 0,
+                    target: MissionTracker.OBJECTIVES[objective.type].target(objective),
+                    seen: [], // Biomes surveyed so far
+                    completed: false
+                }))
+        }));
+    }
+
+    /**
+     * Whether any open objective listens to an event type, so callers can skip work nobody needs
+     * @param {string} eventType
+     * @returns {boolean}
+     */
+    isListening(eventType) {
+        return this.missions.some(mission => !mission.completed && mission.objectives.some(objective =>
+            !objective.completed && MissionTracker.OBJECTIVES[objective.definition.type].event === eventType));
+    }
+
+    /**
+     * Advance objectives from a game event
+     * @param {object} event - {type, ...} (see above)
+     * @returns {array} {mission, objective, missionCompleted} for every objective that progressed;
+     *   objective.completed tells whether it has just been completed
+     */
+    record(event) {
+        const updates = [];
+
+        for (const mission of this.missions) {
+            if (mission.completed) continue;
+
+            for (const objective of mission.objectives) {
+                const handler = MissionTracker.OBJECTIVES[objective.definition.type];
+                if (objective.completed || handler.event !== event.type || !handler.record(objective, event)) continue;
+
+                objective.completed = objective.progress >= objective.target;
+                mission.completed = mission.objectives.every(o => o.completed);
+                updates.push({ mission, objective, missionCompleted: mission.completed });
+            }
+        }
+
+        return updates;
+    }
+
+    /**
+     * First mission still open
+     * @returns {object|null} {id, title, objectives: [{label, progress, target, completed}]}
+     */
+    getActiveMission() {
+        return this.missions.find(mission => !mission.completed) || null;
+    }
+
+    /**
+     * Progress for saving
+     * @returns {object} missionId -> [{progress, seen}] per objective
+     */
+    getState() {
+        const state = {};
+        this.missions.forEach(mission => {
+            state[mission.id] = mission.objectives.map(objective => ({
+                progress: objective.progress,
+                seen: [...objective.seen]
+            }));
+        });
+        return state;
+    }
+
+    /**
+     * Restore saved progress onto the current missions
+     * @param {object} state - From getState
+     */
+    restoreState(state) {
+        if (!state) return;
+
+        this.missions.forEach(mission => {
+            const saved = state[mission.id];
+            if (!Array.isArray(saved)) return;
+
+            mission.objectives.forEach((objective, index) => {
+                if (!saved[index]) return;
+                objective.progress = Math.min(objective.target, saved[index].progress || 0);
+                objective.seen = Array.isArray(saved[index].seen) ? [...saved[index].seen] : [];
+                objective.completed = objective.progress >= objective.target;
+            });
+            mission.completed = mission.objectives.every(objective => objective.completed);
+        });
+    }
+
+    /**
+     * Unit vector for a latitude/longitude in degrees (see DiscoveryJournal.toLatLon)
+     * @param {number} lat
+     * @param {number} lon
+     * @returns {object} {x, y, z}
+     */
+    static fromLatLon(lat, lon) {
+        const latRad = lat * Math.PI / 180;
+        const lonRad = lon * Math.PI / 180;
+        return {
+            x: Math.cos(latRad) * Math.cos(lonRad),
+            y: Math.sin(latRad),
+            z: Math.cos(latRad) * Math.sin(lonRad)
+        };
+    }
+}
+
+// Objective types: the event each listens to, its target progress, and how an event advances it
+// (returning whether it did)
+MissionTracker.OBJECTIVES = {
+    collect: {
+        event: 'collect',
+        target: (definition) => definition.count || 1,
+        record: (objective, event) => {
+            if (event.object.type !== objective.definition.objectType) return false;
+            objective.progress++;
+            return true;
+        }
+    },
+    find: {
+        event: 'discover',
+        target: () => 1,
+        record: (objective, event) => {
+            if (event.object.type !== objective.definition.target) return false;
+            objective.progress = 1;
+            return true;
+        }
+    },
+    reach: {
+        event: 'position',
+        target: () => 1,
+        record: (objective, event) => {
+            const { lat, lon, radius } = objective.definition;
+            const spot = MissionTracker.fromLatLon(lat, lon);
+            const p = event.position;
+            const length = Math.sqrt(p.x * p.x + p.y * p.y + p.z * p.z);
+            const dx = p.x - spot.x * length;
+            const dy = p.y - spot.y * length;
+            const dz = p.z - spot.z * length;
+            if (Math.sqrt(dx * dx + dy * dy + dz * dz) > (radius || 10)) return false;
+            objective.progress = 1;
+            return true;
+        }
+    },
+    surveyBiomes: {
+        event: 'biome',
+        target: (definition) => definition.count || 1,
+        record: (objective, event) => {
+            if (!event.biome || objective.seen.includes(event.biome)) return false;
+            objective.seen.push(event.biome);
+            objective.progress = objective.seen.length;
+            return true;
+        }
+    }
+};
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.MissionTracker = MissionTracker;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MissionTracker;
+}
@@ -16,6 +16,10 @@ class ParticleSystem {
         this.scene = null;
         this.planetQuaternion = null;
         this.planetRadius = 80;
+        this.gravity = 1; // Planet gravity in g: dust thrown up on light worlds rises higher and hangs longer
+
+        // Every random choice draws from this, seeded per planet, so a seed always plays out the same
+        this.rng = RNGUtils.createSeededRNG(12345);
     }
 
     setReferences(scene, planetQuaternion, planetRadius) {
@@ -24,6 +28,16 @@ class ParticleSystem {
         this.planetRadius = planetRadius;
     }
 
+    // Reseed the particle RNG for a planet
+    setSeed(seed) {
+        this.rng = RNGUtils.createSeededRNG(seed);
+    }
+
+    // Set the planet gravity (in g) dust falls under
+    setGravity(gravity) {
+        this.gravity = gravity;
+    }
+
     createDustParticleSystem() {
         // Clear and dispose any existing dust particles
         this.dustParticles.forEach(particle => {
@@ -54,7 +68,7 @@ class ParticleSystem {
                 velocity: new THREE.Vector3(),
                 life: 0,
                 maxLife: 1.0,
-                size: 0.3 + Math.random() * 0.5, // Variable size 0.3-0.8
+                size: 0.3 + this.rng.next() * 0.5, // Variable size 0.3-0.8
                 alpha: 1.0,
                 planetRotationAtSpawn: new THREE.Quaternion()
             });
@@ -74,8 +88,8 @@ class ParticleSystem {
 
             // Convert world position to planet-local coordinates
             const localPosition = position.clone();
-            localPosition.x += (Math.random() - 0.5) * 4; // Spread around rover
-            localPosition.z += (Math.random() - 0.5) * 4;
+            localPosition.x += (this.rng.next() - 0.5) * 4; // Spread around rover
+            localPosition.z += (this.rng.next() - 0.5) * 4;
 
             // Convert to planet-local coordinates by applying inverse planet rotation
             const inverseQuaternion = this.planetQuaternion.clone().invert();
@@ -86,15 +100,17 @@ class ParticleSystem {
 
             // Convert velocity to planet-local space as well
             const localVelocity = velocity.clone();
-            localVelocity.x += (Math.random() - 0.5) * 0.5; // More sideways spread for movement
-            localVelocity.y += Math.random() * 0.8 + 0.2; // More upward motion for visible arcs
-            localVelocity.z += (Math.random() - 0.5) * 0.5; // More sideways spread
+            localVelocity.x += (this.rng.next() - 0.5) * 0.5; // More sideways spread for movement
+            localVelocity.y += this.rng.next() * 0.8 + 0.2; // More upward motion for visible arcs
+            localVelocity.z += (this.rng.next() - 0.5) * 0.5; // More sideways spread
             localVelocity.applyQuaternion(inverseQuaternion);
 
             particle.velocity.copy(localVelocity);
-            particle.life = 0.8; // Much shorter life for more realistic dust
-            particle.maxLife = 0.8;
-            particle.size = 0.3 + Math.random() * 0.5; // Much smaller size variation
+            // Much shorter life for more realistic dust, lingering longer in low gravity
+            const life = 0.8 * Math.min(2, Math.max(0.5, 1 / Math.sqrt(this.gravity)));
+            particle.life = life;
+            particle.maxLife = life;
+            particle.size = 0.3 + this.rng.next() * 0.5; // Much smaller size variation
             particle.alpha = 0.8;
             particle.planetRotationAtSpawn.copy(this.planetQuaternion); // Store current planet rotation
         }
@@ -116,7 +132,7 @@ class ParticleSystem {
                 // Apply gentler radial gravity toward planet center (simulates planetary gravity)
                 if (distanceFromCenter > this.planetRadius + 5) { // Only apply when significantly above surface
                     const gravityDirection = particle.position.clone().normalize().multiplyScalar(-1);
-                    const gravityStrength = 0.02; // Much gentler gravity
+                    const gravityStrength = 0.02 * this.gravity; // Much gentler gravity
                     const gravityForce = gravityDirection.multiplyScalar(gravityStrength);
                     particle.velocity.add(gravityForce);
                 }
@@ -196,9 +212,9 @@ class ParticleSystem {
             const particleMesh = new THREE.Mesh(particleGeometry, particleMaterial);
 
             // Random position around planet
-            const distance = this.planetRadius + 20 + Math.random() * 40;
-            const lat = (Math.random() - 0.5) * Math.PI;
-            const lon = Math.random() * Math.PI * 2;
+            const distance = this.planetRadius + 20 + this.rng.next() * 40;
+            const lat = (this.rng.next() - 0.5) * Math.PI;
+            const lon = this.rng.next() * Math.PI * 2;
 
             const x = distance * Math.cos(lat) * Math.cos(lon);
             const y = distance * Math.sin(lat);
@@ -211,14 +227,14 @@ class ParticleSystem {
                 mesh: particleMesh,
                 position: new THREE.Vector3(x, y, z),
                 velocity: new THREE.Vector3(
-                    (Math.random() - 0.5) * 0.1,
-                    (Math.random() - 0.5) * 0.05,
-                    (Math.random() - 0.5) * 0.1
+                    (this.rng.next() - 0.5) * 0.1,
+                    (this.rng.next() - 0.5) * 0.05,
+                    (this.rng.next() - 0.5) * 0.1
                 ),
-                time: Math.random() * Math.PI * 2,
-                bobOffset: Math.random() * Math.PI * 2,
-                bobHeight: 0.5 + Math.random() * 1.0,
-                baseOpacity: 0.1 + Math.random() * 0.15 // Lower base opacity for subtlety
+                time: this.rng.next() * Math.PI * 2,
+                bobOffset: this.rng.next() * Math.PI * 2,
+                bobHeight: 0.5 + this.rng.next() * 1.0,
+                baseOpacity: 0.1 + this.rng.next() * 0.15 // Lower base opacity for subtlety
             });
         }
 
@@ -251,11 +267,11 @@ class ParticleSystem {
             }
 
             // Gentle random velocity changes for organic movement
-            if (Math.random() < 0.01) { // 1% chance per frame to change direction slightly
+            if (this.rng.next() < 0.01) { // 1% chance per frame to change direction slightly
                 particle.velocity.add(new THREE.Vector3(
-                    (Math.random() - 0.5) * 0.01,
-                    (Math.random() - 0.5) * 0.005,
-                    (Math.random() - 0.5) * 0.01
+                    (this.rng.next() - 0.5) * 0.01,
+                    (this.rng.next() - 0.5) * 0.005,
+                    (this.rng.next() - 0.5) * 0.01
                 ));
 
                 // Clamp velocity to reasonable limits
@@ -283,22 +299,22 @@ class ParticleSystem {
         const rearLeftWheel = new THREE.Vector3(-2.5, 0, -2); // Local wheel position
         const rearRightWheel = new THREE.Vector3(2.5, 0, -2); // Local wheel position
 
-        // Transform wheel positions to world space based on rover rotation
+        // Transform wheel positions to world space based on rover rotation, turning them like the rover mesh
         const cosYaw = Math.cos(roverRotation.yaw);
         const sinYaw = Math.sin(roverRotation.yaw);
 
         // Left wheel world position
         const leftWheelWorld = new THREE.Vector3(
-            roverPhysicsPosition.x + rearLeftWheel.x * cosYaw - rearLeftWheel.z * sinYaw,
+            roverPhysicsPosition.x + rearLeftWheel.x * cosYaw + rearLeftWheel.z * sinYaw,
             roverPhysicsPosition.y - 1, // Lower to ground level
-            roverPhysicsPosition.z + rearLeftWheel.x * sinYaw + rearLeftWheel.z * cosYaw
+            roverPhysicsPosition.z - rearLeftWheel.x * sinYaw + rearLeftWheel.z * cosYaw
         );
 
         // Right wheel world position
         const rightWheelWorld = new THREE.Vector3(
-            roverPhysicsPosition.x + rearRightWheel.x * cosYaw - rearRightWheel.z * sinYaw,
+            roverPhysicsPosition.x + rearRightWheel.x * cosYaw + rearRightWheel.z * sinYaw,
             roverPhysicsPosition.y - 1, // Lower to ground level
-            roverPhysicsPosition.z + rearRightWheel.x * sinYaw + rearRightWheel.z * cosYaw
+            roverPhysicsPosition.z - rearRightWheel.x * sinYaw + rearRightWheel.z * cosYaw
         );
 
         const movementVelocity = new THREE.Vector3(
@@ -316,12 +332,15 @@ class ParticleSystem {
 
     // Spawn dust from landing
     spawnLandingDust(roverPhysicsPosition, landingImpact) {
-        if (landingImpact > 0.3) {
+        // A drop from the same height lands harder under stronger gravity, so judge the impact
+        // against what it would be at 1 g
+        const impact = landingImpact / Math.sqrt(this.gravity);
+        if (impact > 0.3) {
             // Rover just landed with significant impact - reduced particle count
             this.spawnDustParticles(
                 roverPhysicsPosition.clone(),
-                new THREE.Vector3(0, landingImpact * 0.5, 0), // Much less upward velocity
-                Math.min(Math.floor(landingImpact * 5) + 1, 4) // Fewer particles, max 4
+                new THREE.Vector3(0, impact * 0.5, 0), // Much less upward velocity
+                Math.min(Math.floor(impact * 5) + 1, 4) // Fewer particles, max 4
             );
             this.lastLandingTime = Date.now();
         }
@@ -0,0 +1,125 @@
+/**
+ * RoverDamage
+ *
+ * Health of the rover's subsystems. Hard impacts wear them down: running into objects mostly
+ * breaks the headlight and wheels, hard landings mostly the wheels and solar panel. Damaged
+ * subsystems work less well - worn wheels lose top speed and acceleration, a cracked panel
+ * charges less, and a broken headlight dims.
+ *
+ * Health runs from 1 (intact) to 0 (broken). Gentle bumps below the damage thresholds are free.
+ *
+ * Usage:
+ *   const damage = new RoverDamage();
+ *   const impact = damage.applyImpact('landing', landingImpact);
+ *   if (impact) { ... } // {source, speed, damage: {wheels, panel, headlight}, broken}
+ *   physics.driveEfficiency = damage.getDriveFactor();
+ */
+
+class RoverDamage {
+    /**
+     * Create an undamaged rover
+     * @param {object} options - Overrides for any of the tuning values below
+     */
+    constructor(options = {}) {
+        this.collisionThreshold = options.collisionThreshold !== undefined ? options.collisionThreshold : 15; // Closing speed (units/second) below which collisions are harmless
+        this.collisionDamage = options.collisionDamage !== undefined ? options.collisionDamage : 0.012;       // Health lost per unit/second above it
+        this.landingThreshold = options.landingThreshold !== undefined ? options.landingThreshold : 3;        // Touchdown speed (units/tick) below which landings are harmless
+        this.landingDamage = options.landingDamage !== undefined ? options.landingDamage : 0.3;               // Health lost per unit/tick above it
+        this.minDriveFactor = options.minDriveFactor !== undefined ? options.minDriveFactor : 0.35;           // Drive performance left on broken wheels
+
+        this.health = {};
+        this.reset();
+    }
+
+    /**
+     * Take damage from an impact
+     * @param {string} source - 'collision' (speed in units/second) or 'landing' (units/tick)
+     * @param {number} speed - Impact speed
+     * @returns {object|null} {source, speed, damage, broken}: health lost per subsystem and the
+     *   subsystems this impact broke, or null when the impact was harmless
+     */
+    applyImpact(source, speed) {
+        const weights = RoverDamage.IMPACT_WEIGHTS[source];
+        if (!weights) return null;
+
+        const severity = source === 'landing'
+            ? (speed - this.landingThreshold) * this.landingDamage
+            : (speed - this.collisionThreshold) * this.collisionDamage;
+        if (severity <= 0) return null;
+
+        const damage = {};
+        const broken = [];
+        RoverDamage.SUBSYSTEMS.forEach(subsystem => {
+            const before = this.health[subsystem];
+            this.health[subsystem] = Math.max(0, before - severity * weights[subsystem]);
+            damage[subsystem] = before - this.health[subsystem];
+            if (before > 0 && this.health[subsystem] === 0) broken.push(subsystem);
+        });
+
+        return { source, speed, damage, broken };
+    }
+
+    /**
+     * Fraction of top speed and acceleration the wheels still deliver
+     * @returns {number} minDriveFactor (broken) to 1 (intact)
+     */
+    getDriveFactor() {
+        return this.minDriveFactor + (1 - this.minDriveFactor) * this.health.wheels;
+    }
+
+    /**
+     * Fraction of sunlight the solar panel still converts
+     * @returns {number} 0-1
+     */
+    getPanelEfficiency() {
+        return this.health.panel;
+    }
+
+    /**
+     * Fraction of full brightness the headlight still gives
+     * @returns {number} 0-1
+     */
+    getHeadlightLevel() {
+        return this.health.headlight;
+    }
+
+    /**
+     * Get a snapshot for the HUD and other systems
+     * @returns {object} {wheels, panel, headlight}, each 0-1
+     */
+    getState() {
+        return { ...this.health };
+    }
+
+    /**
+     * Restore some health to every subsystem, e.g. from salvaged parts
+     * @param {number} amount - Health restored per subsystem, 0-1
+     */
+    repair(amount) {
+        RoverDamage.SUBSYSTEMS.forEach(subsystem => {
+            this.health[subsystem] = Math.min(1, this.health[subsystem] + amount);
+        });
+    }
+
+    /**
+     * Repair every subsystem
+     */
+    reset() {
+        RoverDamage.SUBSYSTEMS.forEach(subsystem => {
+            this.health[subsystem] = 1;
+        });
+    }
+}
+
+RoverDamage.SUBSYSTEMS = ['wheels', 'panel', 'headlight'];
+
+// Share of an impact's damage each subsystem takes. The headlight sits on the nose, so it takes
+// collisions head-on; landings come up through the wheels and shake the panel loose.
+RoverDamage.IMPACT_WEIGHTS = {
+    collision: { wheels: 0.5, panel: 0.25, headlight: 1 },
+    landing: { wheels: 1, panel: 0.5, headlight: 0.25 }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RoverDamage;
+}
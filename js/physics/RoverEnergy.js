@@ -0,0 +1,180 @@
+/**
+ * RoverEnergy
+ *
+ * Battery model for the rover. Driving, turning and climbing drain charge; the solar panel
+ * recharges it in proportion to how directly it faces the sun. A flat battery strands the
+ * rover until the panel has recharged it past a restart threshold.
+ *
+ * Rates are per fixed physics tick (see GameConfig.physicsTickRate).
+ *
+ * Usage:
+ *   const energy = new RoverEnergy();
+ *   energy.configure(planetTypeManager.getEnergyProperties());
+ *   energy.update({ driving, turning, climb, panelNormal, sunDirection, daylight, panelEfficiency });
+ *   if (!energy.canMove()) { ... }
+ *   if (energy.consume(10)) { ... } // Pay for a one-off action
+ */
+
+class RoverEnergy {
+    /**
+     * Create a rover battery
+     * @param {object} options - Overrides for any of the tuning values below
+     */
+    constructor(options = {}) {
+        this.baseCapacity = options.capacity || 100;
+        this.capacity = this.baseCapacity;
+        this.driveDrain = options.driveDrain !== undefined ? options.driveDrain : 0.015;    // Per tick driving
+        this.turnDrain = options.turnDrain !== undefined ? options.turnDrain : 0.005;       // Per tick turning
+        this.climbDrain = options.climbDrain !== undefined ? options.climbDrain : 0.1;      // Per unit of height gained
+        this.solarRate = options.solarRate !== undefined ? options.solarRate : 0.02;        // Per tick facing the sun directly
+        this.restartLevel = options.restartLevel !== undefined ? options.restartLevel : 0.1; // Fraction needed to drive again
+        this.baseSolarRate = this.solarRate; // Before upgrades (see applyUpgrades)
+
+        // Per-planet tuning (see configure)
+        this.solarEfficiency = 1.0;
+        this.drainMultiplier = 1.0;
+
+        this.charge = this.capacity;
+        this.stranded = false;
+        this.solarInput = 0; // Charge gained on the last update, for display
+    }
+
+    /**
+     * How much sunlight a panel receives
+     * @param {object} panelNormal - Panel facing direction {x, y, z}
+     * @param {object} sunDirection - Direction towards the sun {x, y, z}
+     * @returns {number} 0 (edge-on or facing away) to 1 (facing the sun)
+     */
+    static solarExposure(panelNormal, sunDirection) {
+        const panelLength = Math.sqrt(panelNormal.x ** 2 + panelNormal.y ** 2 + panelNormal.z ** 2);
+        const sunLength = Math.sqrt(sunDirection.x ** 2 + sunDirection.y ** 2 + sunDirection.z ** 2);
+        if (panelLength === 0 || sunLength === 0) return 0;
+
+        const dot = (panelNormal.x * sunDirection.x + panelNormal.y * sunDirection.y + panelNormal.z * sunDirection.z) /
+            (panelLength * sunLength);
+        return Math.max(0, dot);
+    }
+
+    /**
+     * Apply per-planet tuning
+     * @param {object} energyConfig - {solarEfficiency, drainMultiplier}
+     */
+    configure(energyConfig = {}) {
+        this.solarEfficiency = energyConfig.solarEfficiency !== undefined ? energyConfig.solarEfficiency : 1.0;
+        this.drainMultiplier = energyConfig.drainMultiplier !== undefined ? energyConfig.drainMultiplier : 1.0;
+    }
+
+    /**
+     * Apply rover upgrades over the base capacity and solar rate. A bigger battery starts with the
+     * charge it had; a smaller one keeps what fits.
+     * @param {object} modifiers - From RoverUpgrades.getModifiers(): {batteryCapacity, solarRate}
+     */
+    applyUpgrades(modifiers = {}) {
+        this.capacity = this.baseCapacity * (modifiers.batteryCapacity || 1);
+        this.solarRate = this.baseSolarRate * (modifiers.solarRate || 1);
+        this.charge = Math.min(this.charge, this.capacity);
+    }
+
+    /**
+     * Advance the battery by one tick
+     * @param {object} activity - {driving, turning, climb, panelNormal, sunDirection, daylight,
+     *   panelEfficiency}; panelEfficiency (default 1) is what's left of a damaged panel
+     * @param {number} dt - Ticks elapsed (default 1)
+     * @returns {object} Current state (see getState)
+     */
+    update(activity = {}, dt = 1) {
+        let drain = 0;
+        if (activity.driving) drain += this.driveDrain * dt;
+        if (activity.turning) drain += this.turnDrain * dt;
+        if (activity.climb > 0) drain += this.climbDrain * activity.climb;
+        drain *= this.drainMultiplier;
+
+        const exposure = activity.panelNormal && activity.sunDirection
+            ? RoverEnergy.solarExposure(activity.panelNormal, activity.sunDirection)
+            : 0;
+        const daylight = activity.daylight !== undefined ? activity.daylight : 1; // 0 once the sun has set
+        const panelEfficiency = activity.panelEfficiency !== undefined ? activity.panelEfficiency : 1;
+        this.solarInput = this.solarRate * this.solarEfficiency * panelEfficiency * exposure * daylight * dt;
+
+        this.charge = Math.max(0, Math.min(this.capacity, this.charge - drain + this.solarInput));
+
+        // Strand at empty; only release once the panel has put some charge back
+        if (this.charge <= 0) {
+            this.stranded = true;
+        } else if (this.stranded && this.getLevel() >= this.restartLevel) {
+            this.stranded = false;
+        }
+
+        return this.getState();
+    }
+
+    /**
+     * Spend charge on a one-off action, if the battery holds enough
+     * @param {number} amount - Charge to spend
+     * @returns {boolean} Whether the charge was spent
+     */
+    consume(amount) {
+        if (this.stranded || this.charge < amount) return false;
+
+        this.charge -= amount;
+        return true;
+    }
+
+    /**
+     * Add charge from outside the solar panel, e.g. a discovery reward
+     * @param {number} amount - Charge to add
+     * @returns {number} Charge actually added, short of amount when the battery fills up
+     */
+    addCharge(amount) {
+        const added = Math.max(0, Math.min(amount, this.capacity - this.charge));
+        this.charge += added;
+
+        if (this.stranded && this.getLevel() >= this.restartLevel) {
+            this.stranded = false;
+        }
+        return added;
+    }
+
+    /**
+     * Whether the rover has power to drive
+     * @returns {boolean}
+     */
+    canMove() {
+        return !this.stranded;
+    }
+
+    /**
+     * Battery level as a fraction of capacity
+     * @returns {number} 0-1
+     */
+    getLevel() {
+        return this.charge / this.capacity;
+    }
+
+    /**
+     * Get a snapshot for the HUD and other systems
+     * @returns {object} {charge, capacity, level, stranded, solarInput}
+     */
+    getState() {
+        return {
+            charge: this.charge,
+            capacity: this.capacity,
+            level: this.getLevel(),
+            stranded: this.stranded,
+            solarInput: this.solarInput,
+        };
+    }
+
+    /**
+     * Refill the battery
+     */
+    reset() {
+        this.charge = this.capacity;
+        this.stranded = false;
+        this.solarInput = 0;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RoverEnergy;
+}
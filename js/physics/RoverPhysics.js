@@ -1,17 +1,52 @@
-// RoverPhysics.js - Handles rover physics, movement, and ground contact detection
+// RoverPhysics.js - Handles rover physics, movement, suspension and ground contact detection
 class RoverPhysics {
-    constructor() {
+    constructor(config = null) {
+        // Tuning constants; the global PhysicsConfig when none is passed
+        this.config = config || PhysicsConfig;
+
         // Physics variables
         this.roverVelocity = new THREE.Vector3(0, 0, 0); // Rover's current velocity
         this.roverPhysicsPosition = new THREE.Vector3(0, 80 + 20, 0); // Physics position (starts above surface)
         this.roverAngularVelocity = new THREE.Vector3(0, 0, 0); // Rover's rotational velocity
-        this.gravity = -0.3; // Gravity acceleration (negative = downward) - reduced for better settling
-        this.groundDamping = 0.7; // Energy loss when hitting ground (0-1) - increased for better settling
-        this.airDamping = 0.99; // Air resistance (close to 1 = little resistance) - reduced air drag
-        this.angularDamping = 0.95; // Rotational damping (prevents spinning)
-        this.stabilityForce = 0.05; // How strongly rover tries to right itself
+        this.gravityScale = 1; // Planet gravity in g (see setPlanetPhysics)
+        this.gravity = this.config.gravity; // Gravity acceleration (negative = downward) - reduced for better settling
+        this.groundDamping = this.config.groundDamping; // Energy loss when hitting ground (0-1) - increased for better settling
+        this.airDamping = this.config.airDamping; // Air resistance (close to 1 = little resistance) - reduced air drag
+        this.angularDamping = 0.85; // Rotational damping (prevents spinning)
+        this.stabilityForce = 0.3; // How strongly rover tries to right itself
+        this.maxTilt = 1.2; // Pitch and roll limit (radians); an overturned rover lies on its side at this angle
+
+        // Rollover: tilted past rolloverAngle from the ground under it for rolloverDelay ticks, the
+        // rover is overturned and lies still until it is self-righted (see startSelfRight)
+        this.rolloverAngle = 1.0;
+        this.rolloverDelay = 30;
+        this.tiltedTicks = 0;
+        this.overturned = false;
+        this.selfRightTicks = 0; // Ticks left of a self-right in progress
+
         this.isGrounded = false; // Is rover touching ground?
 
+        // Drive model, shared by keyboard, touch and gamepad. Speeds are surface distances per second
+        this.topSpeed = 48;             // Ground speed at full throttle, forward or reverse
+        this.acceleration = 40;         // Launch acceleration from standstill; eases off near top speed
+        this.brakeDeceleration = 120;   // When the throttle opposes the direction of travel
+        this.coastDeceleration = 30;    // Rolling resistance with the throttle released
+        this.turnRate = 1.8;            // Yaw rate at full steer (radians/second)
+        this.steerResponse = 8;         // How fast steering follows the input (full lock per second)
+        this.driveSpeed = 0;            // Current signed speed along the heading; positive is forward
+        this.steerAmount = 0;           // Current steering, -1 (left) to 1 (right)
+        this.driveEfficiency = 1;       // Fraction of top speed and acceleration the wheels deliver (see RoverDamage)
+        this.roverMass = 40;            // Empty rover, in the same units as cargo mass
+        this.cargoMass = 0;             // Collected cargo aboard (see RoverInventory); slows acceleration
+        this.motorTorque = 1;           // Acceleration multiplier from motor upgrades (see applyUpgrades)
+
+        // Surface under the wheels, sampled each tick from the planet's biomes (see setSurfaceSampler)
+        this.surface = { ...RoverPhysics.DEFAULT_SURFACE };
+        this.surfaceSampler = null;
+        this.slopeSlideAcceleration = 60; // Pull downhill on a slope the wheels can't hold, scaled by sin(slope)
+        this.slip = 0;                    // Wheel slip this tick, 0 (full grip) to 1 (no grip on the slope)
+        this.slopeSampleDistance = 2;     // Half the distance over which the slope ahead is measured
+
         // Terrain following variables
         this.roverRotation = { pitch: 0, roll: 0, yaw: -Math.PI / 2 }; // Initialize yaw to match north heading
         this.targetRotation = { pitch: 0, roll: 0, yaw: 0 };
@@ -24,382 +59,479 @@ class RoverPhysics {
             { x: -2.5, z: -2, name: "rear-left" },   // Rear-left wheel
             { x: 2.5, z: -2, name: "rear-right" }    // Rear-right wheel
         ];
-        this.wheelContacts = {
-            "front-left": { height: 0, grounded: false },
-            "front-right": { height: 0, grounded: false },
-            "rear-left": { height: 0, grounded: false },
-            "rear-right": { height: 0, grounded: false }
-        };
+        this.wheelContacts = {};
+        this.wheelOffsets.forEach(wheel => {
+            this.wheelContacts[wheel.name] = RoverPhysics.createWheelContact(this.config);
+        });
+
+        // Spring-damper suspension per wheel (see PhysicsConfig); integrated in a few iterations per
+        // tick because the springs are stiff against the per-tick gravity
+        this.wheelRadius = this.config.wheelRadius;
+        this.suspensionRestLength = this.config.suspensionRestLength;
+        this.suspensionTravel = this.config.wheelSuspensionTravel;
+        this.suspensionStiffness = this.config.suspensionStiffness;
+        this.suspensionDamping = this.config.suspensionDamping;
+        this.pitchInertia = this.config.pitchInertia;
+        this.rollInertia = this.config.rollInertia;
+        this.suspensionIterations = 4;
+        this.contactTolerance = 0.1; // A wheel this close above the ground still counts as touching
 
         // Reference to terrain generator for surface height calculations
         this.terrainGenerator = null;
-        this.planet = null;
+        this.planetQuaternion = null; // Planet orientation, used to evaluate terrain analytically
         this.planetRadius = 80;
     }
 
-    setReferences(terrainGenerator, planet, planetRadius) {
+    setReferences(terrainGenerator, planetQuaternion, planetRadius) {
         this.terrainGenerator = terrainGenerator;
-        this.planet = planet;
+        this.planetQuaternion = planetQuaternion;
         this.planetRadius = planetRadius;
         // Reset rover physics position to start above the new planet surface
         this.roverPhysicsPosition.set(0, planetRadius + 20, 0);
+        this.resetDrive();
+        this.resetSuspension();
+        this.resetRollover();
+    }
+
+    // Apply a planet's gravity and air: {gravity (in g), airDamping} from PlanetTypeManager.getPhysicsProperties
+    setPlanetPhysics(physics) {
+        this.gravityScale = physics.gravity;
+        this.gravity = this.config.gravity * physics.gravity;
+        this.airDamping = physics.airDamping;
+    }
+
+    // Apply rover upgrades: stat multipliers from RoverUpgrades.getModifiers() over the configured
+    // motor, suspension travel and wheel size
+    applyUpgrades(modifiers = {}) {
+        this.motorTorque = modifiers.torque || 1;
+        this.suspensionTravel = this.config.wheelSuspensionTravel * (modifiers.suspensionTravel || 1);
+        this.wheelRadius = this.config.wheelRadius * (modifiers.wheelRadius || 1);
     }
 
     lerp(start, end, factor) {
         return start + (end - start) * factor;
     }
 
-    calculateWheelBasedRotation() {
-        // Calculate rover orientation from wheel contact heights
-        const frontLeftHeight = this.wheelContacts["front-left"].height;
-        const frontRightHeight = this.wheelContacts["front-right"].height;
-        const rearLeftHeight = this.wheelContacts["rear-left"].height;
-        const rearRightHeight = this.wheelContacts["rear-right"].height;
+    // Forget suspension motion and the ground last seen under each wheel, e.g. after a teleport
+    resetSuspension() {
+        this.wheelOffsets.forEach(wheel => {
+            this.wheelContacts[wheel.name] = RoverPhysics.createWheelContact(this.config);
+        });
+        this.roverAngularVelocity.set(0, 0, 0);
+    }
 
-        // Calculate average heights for front and rear
-        const frontAverage = (frontLeftHeight + frontRightHeight) / 2;
-        const rearAverage = (rearLeftHeight + rearRightHeight) / 2;
+    // Back on the wheels, e.g. after a teleport
+    resetRollover() {
+        this.tiltedTicks = 0;
+        this.overturned = false;
+        this.selfRightTicks = 0;
+    }
 
-        // Calculate average heights for left and right
-        const leftAverage = (frontLeftHeight + rearLeftHeight) / 2;
-        const rightAverage = (frontRightHeight + rearRightHeight) / 2;
+    // Start turning an overturned rover back onto its wheels over a number of ticks
+    // @returns {boolean} Whether self-righting started
+    startSelfRight(ticks) {
+        if (!this.overturned || this.selfRightTicks > 0) return false;
 
-        // Calculate pitch from front-to-rear height difference
-        const wheelBase = 4; // Distance between front and rear wheels (2 + 2)
-        const pitch = Math.atan2(frontAverage - rearAverage, wheelBase);
+        this.selfRightTicks = Math.max(1, ticks);
+        return true;
+    }
 
-        // Calculate roll from left-to-right height difference
-        const wheelTrack = 5; // Distance between left and right wheels (2.5 + 2.5)
-        const roll = Math.atan2(rightAverage - leftAverage, wheelTrack);
+    isSelfRighting() {
+        return this.selfRightTicks > 0;
+    }
 
+    // Pitch and roll of the body relative to the ground plane under the wheels
+    getTiltFromGround() {
         return {
-            pitch: pitch * 0.8, // Dampen the effect for stability
-            roll: roll * 0.8,   // Dampen the effect for stability
-            yaw: 0
+            pitch: this.roverRotation.pitch - this.targetRotation.pitch,
+            roll: this.roverRotation.roll - this.targetRotation.roll
         };
     }
 
-    calculateTerrainRotation(surfaceNormal) {
-        // Legacy function - kept for fallback
-        // Surface normal is already in local rover space from our height sampling method
+    // Flag the rover as overturned once it has lain tilted past rolloverAngle from the ground for
+    // rolloverDelay ticks
+    // @returns {boolean} Whether it rolled over on this update
+    updateRollover(dt) {
+        if (this.overturned) return false;
 
-        // Calculate pitch (forward/backward tilt)
-        // When surface slopes up toward +Z (forward), rover should pitch up (negative pitch)
-        const pitch = -Math.atan2(surfaceNormal.z, surfaceNormal.y);
+        const tiltFromGround = this.getTiltFromGround();
+        const tilt = Math.max(Math.abs(tiltFromGround.pitch), Math.abs(tiltFromGround.roll));
+        this.tiltedTicks = tilt >= this.rolloverAngle && this.isGrounded ? this.tiltedTicks + dt : 0;
+        if (this.tiltedTicks < this.rolloverDelay) return false;
 
-        // Calculate roll (left/right tilt)
-        // When surface slopes up toward +X (right), rover should roll right (positive roll)
-        const roll = Math.atan2(surfaceNormal.x, surfaceNormal.y);
+        this.overturned = true;
+        this.resetDrive();
+        return true;
+    }
 
+    // World-space horizontal position of a wheel's mount. Tilting the body draws the mounts in towards
+    // the centre, so a rover on a slope rests at the slope's angle. Rotations match the rover mesh
+    // (Euler order YXZ, rotation.y = yaw).
+    getWheelWorldPosition(wheel) {
+        const { pitch, roll, yaw } = this.roverRotation;
+        const localX = wheel.x * Math.cos(roll);
+        const localZ = wheel.x * Math.sin(roll) * Math.sin(pitch) + wheel.z * Math.cos(pitch);
+        const cosYaw = Math.cos(yaw);
+        const sinYaw = Math.sin(yaw);
         return {
-            pitch: pitch * 0.8, // Increase tilt intensity to make effect more visible
-            roll: roll * 0.8,   // Increase tilt intensity to make effect more visible
-            yaw: 0
+            x: this.roverPhysicsPosition.x + localX * cosYaw + localZ * sinYaw,
+            z: this.roverPhysicsPosition.z - localX * sinYaw + localZ * cosYaw
         };
     }
 
-    updateWheelContactsAndOrientation() {
-        if (!this.terrainGenerator || !this.planet) return;
+    // Height of a wheel's mount above the body origin for the current pitch and roll, and how fast
+    // it rises per radian of each. Positive pitch dips the nose, positive roll lifts the +X side.
+    getMountOffset(wheel) {
+        const { pitch, roll } = this.roverRotation;
+        return {
+            height: wheel.x * Math.sin(roll) * Math.cos(pitch) - wheel.z * Math.sin(pitch),
+            perPitch: -wheel.x * Math.sin(roll) * Math.sin(pitch) - wheel.z * Math.cos(pitch),
+            perRoll: wheel.x * Math.cos(roll) * Math.cos(pitch)
+        };
+    }
 
-        // Get ground heights at each wheel position (ignoring current rover rotation)
-        const wheelHeights = {};
+    // Sample the ground under each wheel. The terrain only moves between ticks, so this runs once per
+    // physics step and the suspension iterations reuse it.
+    sampleWheelGround(dt = 1) {
+        if (!this.terrainGenerator || !this.planetQuaternion) return;
 
         this.wheelOffsets.forEach(wheel => {
-            // Calculate wheel position relative to rover center (in local coordinates)
-            const wheelWorldX = this.roverPhysicsPosition.x + wheel.x * Math.cos(this.roverRotation.yaw) - wheel.z * Math.sin(this.roverRotation.yaw);
-            const wheelWorldZ = this.roverPhysicsPosition.z + wheel.x * Math.sin(this.roverRotation.yaw) + wheel.z * Math.cos(this.roverRotation.yaw);
+            const contact = this.wheelContacts[wheel.name];
+            const position = this.getWheelWorldPosition(wheel);
+            const groundHeight = this.terrainGenerator.getSurfaceHeightAtPosition(position.x, position.z, this.planetQuaternion, this.planetRadius);
 
-            // Get ground height at this wheel position
-            const groundHeight = this.terrainGenerator.getSurfaceHeightAtPosition(wheelWorldX, wheelWorldZ, this.planet, this.planetRadius);
-            wheelHeights[wheel.name] = groundHeight;
+            // Soft ground lets the wheels sink in
+            const wheelHeight = groundHeight + this.wheelRadius - this.surface.sinkage;
 
-            // Update wheel contact info
-            this.wheelContacts[wheel.name].height = groundHeight + 1.0; // Rover center height when wheel touches
-            this.wheelContacts[wheel.name].grounded = this.roverPhysicsPosition.y <= groundHeight + 1.8; // More generous tolerance for contact detection
+            // Ground rising under a wheel compresses it, so the damper reacts to bumps as well as body motion
+            contact.groundRate = contact.wheelHeight !== null ? (wheelHeight - contact.wheelHeight) / dt : 0;
+            contact.groundHeight = groundHeight;
+            contact.wheelHeight = wheelHeight;
         });
 
-        // Calculate natural rover orientation from ground heights
-        const frontLeftH = wheelHeights["front-left"];
-        const frontRightH = wheelHeights["front-right"];
-        const rearLeftH = wheelHeights["rear-left"];
-        const rearRightH = wheelHeights["rear-right"];
-
-        // Calculate pitch from front-to-rear slope
-        const frontAvg = (frontLeftH + frontRightH) / 2;
-        const rearAvg = (rearLeftH + rearRightH) / 2;
-        const wheelBase = 4; // Distance between front and rear axles
-        const targetPitch = Math.atan2(frontAvg - rearAvg, wheelBase) * 0.7; // Dampen for stability
-
-        // Calculate roll from left-to-right slope
-        const leftAvg = (frontLeftH + rearLeftH) / 2;
-        const rightAvg = (frontRightH + rearRightH) / 2;
-        const wheelTrack = 5; // Distance between left and right wheels
-        const targetRoll = Math.atan2(rightAvg - leftAvg, wheelTrack) * 0.7; // Dampen for stability
-
-        // Apply gravitational torque for realistic tilting
-        this.applyGravitationalTorque(wheelHeights);
-
-        // Apply rotation smoothly but responsively
-        if (this.isGrounded) {
-            const responsiveness = 0.3; // How quickly rover follows terrain (higher = more responsive)
-            this.roverRotation.pitch = this.lerp(this.roverRotation.pitch, targetPitch, responsiveness);
-            this.roverRotation.roll = this.lerp(this.roverRotation.roll, targetRoll, responsiveness);
-        }
+        this.updateGroundTilt();
     }
 
-    applyGravitationalTorque(wheelHeights) {
-        // Get grounded wheel positions in world space
-        const groundedWheelPositions = [];
-
+    // Pitch and roll of the ground plane fitted through the wheels, which the rover rights itself
+    // towards (see stabilityForce)
+    updateGroundTilt() {
+        // The ground was sampled under the tilted mounts, which sit closer in than the wheel offsets
+        const cosPitch = Math.cos(this.roverRotation.pitch);
+        const cosRoll = Math.cos(this.roverRotation.roll);
+        let slopeX = 0, slopeZ = 0, sumX = 0, sumZ = 0;
         this.wheelOffsets.forEach(wheel => {
-            if (this.wheelContacts[wheel.name].grounded) {
-                // Transform wheel position to world coordinates
-                const wheelWorldX = this.roverPhysicsPosition.x + wheel.x * Math.cos(this.roverRotation.yaw) - wheel.z * Math.sin(this.roverRotation.yaw);
-                const wheelWorldZ = this.roverPhysicsPosition.z + wheel.x * Math.sin(this.roverRotation.yaw) + wheel.z * Math.cos(this.roverRotation.yaw);
-                groundedWheelPositions.push({ x: wheelWorldX, z: wheelWorldZ, localX: wheel.x, localZ: wheel.z });
-            }
+            const height = this.wheelContacts[wheel.name].wheelHeight;
+            const x = wheel.x * cosRoll;
+            const z = wheel.z * cosPitch;
+            slopeX += x * height;
+            slopeZ += z * height;
+            sumX += x * x;
+            sumZ += z * z;
         });
 
-        // Need at least one contact point for stability analysis
-        if (groundedWheelPositions.length === 0) return;
+        this.targetRotation.pitch = -Math.atan(slopeZ / sumZ);
+        this.targetRotation.roll = Math.atan(slopeX / sumX);
+    }
 
-        // Calculate center of mass projection onto ground plane
-        const centerOfMassLocal = { x: 0, z: 0 }; // Rover center of mass is at geometric center
+    // Spring and damper force of each wheel for the current body state; also updates the contacts
+    // @returns {object} {lift, pitchTorque, rollTorque, groundedCount}
+    calculateSuspensionForces() {
+        const result = { lift: 0, pitchTorque: 0, rollTorque: 0, groundedCount: 0 };
+        const minLength = this.suspensionRestLength - this.suspensionTravel;
 
-        // Check if center of mass is supported by contact points
-        const isStable = this.isCenterOfMassSupported(centerOfMassLocal, groundedWheelPositions);
+        this.wheelOffsets.forEach(wheel => {
+            const contact = this.wheelContacts[wheel.name];
+            if (contact.wheelHeight === null) return;
+
+            const mount = this.getMountOffset(wheel);
+            const length = this.roverPhysicsPosition.y + mount.height - contact.wheelHeight;
+            const compression = this.suspensionRestLength - length;
+
+            // Compression speed: the ground rising, less the mount rising with the body
+            const mountRate = this.roverVelocity.y + mount.perPitch * this.roverAngularVelocity.x + mount.perRoll * this.roverAngularVelocity.z;
+            const compressionRate = contact.groundRate - mountRate;
+
+            // Springs only push; a wheel hanging clear of the ground carries no load. The damper is
+            // limited to the full spring force, so hard landings go into the bump stops instead of
+            // flicking the body over.
+            let force = 0;
+            if (compression > 0) {
+                const springForce = this.suspensionStiffness * Math.min(compression, this.suspensionTravel);
+                const damperForce = Math.min(this.suspensionDamping * compressionRate, this.suspensionStiffness * this.suspensionTravel);
+                force = Math.max(0, springForce + damperForce);
+            }
 
-        if (!isStable) {
-            // Calculate torque direction to tip rover toward stability
-            const stabilityTorque = this.calculateStabilityTorque(centerOfMassLocal, groundedWheelPositions);
+            contact.compression = Math.max(0, Math.min(this.suspensionTravel, compression));
+            contact.length = Math.max(minLength, Math.min(this.suspensionRestLength, length));
+            contact.force = force;
+            contact.grounded = compression > -this.contactTolerance;
 
-            // Apply the torque
-            const torqueStrength = 0.12; // Increased for more decisive tipping
-            this.roverAngularVelocity.x += stabilityTorque.pitch * torqueStrength;
-            this.roverAngularVelocity.z += stabilityTorque.roll * torqueStrength;
-        }
+            result.lift += force;
+            result.pitchTorque += force * mount.perPitch;
+            result.rollTorque += force * mount.perRoll;
+            if (contact.grounded) result.groundedCount++;
+        });
 
-        // Apply angular damping
-        this.roverAngularVelocity.multiplyScalar(this.angularDamping);
+        return result;
+    }
 
-        // Apply angular velocity to rover rotation
-        this.roverRotation.pitch += this.roverAngularVelocity.x * 0.03;
-        this.roverRotation.roll += this.roverAngularVelocity.z * 0.03;
+    // Keep every wheel within its travel: a wheel pressed past it hits the bump stop, which holds the
+    // body up and bounces it back like a rigid landing
+    applyBumpStops() {
+        let lift = 0;
+        this.wheelOffsets.forEach(wheel => {
+            const contact = this.wheelContacts[wheel.name];
+            if (contact.wheelHeight === null) return;
 
-        // Limit extreme rotations
-        this.roverRotation.pitch = Math.max(-Math.PI/2, Math.min(Math.PI/2, this.roverRotation.pitch));
-        this.roverRotation.roll = Math.max(-Math.PI/2, Math.min(Math.PI/2, this.roverRotation.roll));
-    }
+            const length = this.roverPhysicsPosition.y + this.getMountOffset(wheel).height - contact.wheelHeight;
+            lift = Math.max(lift, this.suspensionRestLength - this.suspensionTravel - length);
+        });
 
-    isCenterOfMassSupported(centerOfMass, contactPoints) {
-        if (contactPoints.length === 0) return false;
-        if (contactPoints.length === 1) return false; // Single point can't provide stability
-        if (contactPoints.length === 2) {
-            // Two points: stable only if center of mass is between them
-            const p1 = contactPoints[0];
-            const p2 = contactPoints[1];
+        if (lift <= 0) return false;
 
-            // Check if center of mass is on the line between the two points (with tolerance)
-            const tolerance = 1.5; // Allow some distance from the line
-            const distanceFromLine = this.distancePointToLine(centerOfMass, p1, p2);
-            return distanceFromLine < tolerance;
-        }
+        this.roverPhysicsPosition.y += lift;
+        if (this.roverVelocity.y < 0) {
+            this.roverVelocity.y *= -this.groundDamping;
 
-        // 3+ points: use polygon containment
-        return this.isPointInPolygon(centerOfMass, contactPoints);
-    }
-
-    calculateStabilityTorque(centerOfMass, contactPoints) {
-        // Calculate the direction the rover needs to tip to become stable
-        const torque = { pitch: 0, roll: 0 };
-
-        if (contactPoints.length === 1) {
-            // Single contact point - tip toward center
-            const contact = contactPoints[0];
-            torque.pitch = centerOfMass.z - contact.localZ > 0 ? -1 : 1;
-            torque.roll = centerOfMass.x - contact.localX > 0 ? -1 : 1;
-        } else if (contactPoints.length === 2) {
-            // Two contact points - tip perpendicular to the line between them
-            const p1 = contactPoints[0];
-            const p2 = contactPoints[1];
-
-            // Calculate perpendicular direction from line to center of mass
-            const lineVec = { x: p2.localX - p1.localX, z: p2.localZ - p1.localZ };
-            const perpendicular = { x: -lineVec.z, z: lineVec.x }; // 90-degree rotation
-
-            // Normalize and apply
-            const length = Math.sqrt(perpendicular.x * perpendicular.x + perpendicular.z * perpendicular.z);
-            if (length > 0) {
-                torque.roll = (perpendicular.x / length) * 0.5;
-                torque.pitch = -(perpendicular.z / length) * 0.5;
+            // Stop very small bounces
+            if (Math.abs(this.roverVelocity.y) < 0.05) {
+                this.roverVelocity.y = 0;
             }
         }
+        return true;
+    }
 
-        return torque;
+    calculateGroundContact() {
+        const groundedCount = Object.values(this.wheelContacts).filter(contact => contact.grounded).length;
+        return { anyGrounded: groundedCount > 0, groundedCount };
     }
 
-    distancePointToLine(point, lineStart, lineEnd) {
-        const A = point.x - lineStart.localX;
-        const B = point.z - lineStart.localZ;
-        const C = lineEnd.localX - lineStart.localX;
-        const D = lineEnd.localZ - lineStart.localZ;
+    // Suspension length of each wheel, for posing the wheel meshes
+    getWheelLengths() {
+        const lengths = {};
+        this.wheelOffsets.forEach(wheel => {
+            lengths[wheel.name] = this.wheelContacts[wheel.name].length;
+        });
+        return lengths;
+    }
+
+    // Advance physics by dt ticks (1 = one fixed tick at GameConfig.physicsTickRate).
+    // Constants below are tuned per tick, so rates are scaled by dt and damping is raised to dt.
+    // The body rides on the wheel springs: their combined push holds it up, and the difference
+    // between them pitches and rolls it.
+    updatePhysics(dt = 1) {
+        const wasGrounded = this.isGrounded;
+        this.sampleWheelGround(dt);
+
+        const step = dt / this.suspensionIterations;
+        let landingImpact = 0;
+        let righted = false;
+        let contactResults = { anyGrounded: false, groundedCount: 0 };
+
+        for (let i = 0; i < this.suspensionIterations; i++) {
+            const touching = this.isGrounded;
+            const forces = this.calculateSuspensionForces();
+            this.isGrounded = forces.groundedCount > 0;
+            contactResults = { anyGrounded: this.isGrounded, groundedCount: forces.groundedCount };
+
+            // Touchdown speed, before the springs start slowing the rover
+            if (!touching && this.isGrounded && landingImpact === 0) {
+                landingImpact = Math.abs(this.roverVelocity.y);
+            }
 
-        const dot = A * C + B * D;
-        const lenSq = C * C + D * D;
+            // Gravity and the springs, then air resistance
+            this.roverVelocity.y += (this.gravity + forces.lift) * step;
+            this.roverVelocity.multiplyScalar(Math.pow(this.airDamping, step));
+
+            if (this.overturned) {
+                // On its side the rover lies still; self-righting turns it steadily back onto its wheels
+                this.roverAngularVelocity.set(0, 0, 0);
+                if (this.selfRightTicks > 0) {
+                    const blend = Math.min(1, step / this.selfRightTicks);
+                    this.roverRotation.pitch += (this.targetRotation.pitch - this.roverRotation.pitch) * blend;
+                    this.roverRotation.roll += (this.targetRotation.roll - this.roverRotation.roll) * blend;
+                    this.selfRightTicks -= step;
+                    if (this.selfRightTicks <= 1e-9) {
+                        this.resetRollover();
+                        righted = true;
+                    }
+                }
+            } else {
+                this.roverAngularVelocity.x += forces.pitchTorque / this.pitchInertia * step;
+                this.roverAngularVelocity.z += forces.rollTorque / this.rollInertia * step;
+
+                // The rover rights itself towards the terrain below, so balancing on two diagonal
+                // wheels or a tilted jump doesn't tip it over. Past its tipping point on the ground,
+                // its weight pulls it the rest of the way onto its side instead.
+                const tilt = this.getTiltFromGround();
+                if (Math.max(Math.abs(tilt.pitch), Math.abs(tilt.roll)) < this.rolloverAngle) {
+                    this.roverAngularVelocity.x -= tilt.pitch * this.stabilityForce * step;
+                    this.roverAngularVelocity.z -= tilt.roll * this.stabilityForce * step;
+                } else if (this.isGrounded) {
+                    const tip = -this.gravity * step;
+                    if (Math.abs(tilt.pitch) >= this.rolloverAngle) this.roverAngularVelocity.x += Math.sign(tilt.pitch) * tip / this.pitchInertia;
+                    if (Math.abs(tilt.roll) >= this.rolloverAngle) this.roverAngularVelocity.z += Math.sign(tilt.roll) * tip / this.rollInertia;
+                }
+                this.roverAngularVelocity.multiplyScalar(Math.pow(this.angularDamping, step));
+            }
 
-        if (lenSq === 0) return Math.sqrt(A * A + B * B);
+            this.roverPhysicsPosition.addScaledVector(this.roverVelocity, step);
+            this.roverRotation.pitch += this.roverAngularVelocity.x * step;
+            this.roverRotation.roll += this.roverAngularVelocity.z * step;
 
-        const param = dot / lenSq;
-        let xx, zz;
+            // Limit extreme rotations, stopping the spin that ran into the limit
+            if (Math.abs(this.roverRotation.pitch) > this.maxTilt) {
+                this.roverRotation.pitch = Math.sign(this.roverRotation.pitch) * this.maxTilt;
+                this.roverAngularVelocity.x = 0;
+            }
+            if (Math.abs(this.roverRotation.roll) > this.maxTilt) {
+                this.roverRotation.roll = Math.sign(this.roverRotation.roll) * this.maxTilt;
+                this.roverAngularVelocity.z = 0;
+            }
 
-        if (param < 0) {
-            xx = lineStart.localX;
-            zz = lineStart.localZ;
-        } else if (param > 1) {
-            xx = lineEnd.localX;
-            zz = lineEnd.localZ;
-        } else {
-            xx = lineStart.localX + param * C;
-            zz = lineStart.localZ + param * D;
+            this.applyBumpStops();
         }
 
-        const dx = point.x - xx;
-        const dz = point.z - zz;
-        return Math.sqrt(dx * dx + dz * dz);
+        const rolledOver = this.updateRollover(dt);
+
+        return {
+            wasGrounded: wasGrounded,
+            isGrounded: this.isGrounded,
+            contactResults: contactResults,
+            landingImpact: !wasGrounded && this.isGrounded ? landingImpact : 0,
+            rolledOver: rolledOver,
+            righted: righted
+        };
     }
 
-    isPointInPolygon(point, polygon) {
-        let inside = false;
-        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-            if (((polygon[i].localZ > point.z) !== (polygon[j].localZ > point.z)) &&
-                (point.x < (polygon[j].localX - polygon[i].localX) * (point.z - polygon[i].localZ) / (polygon[j].localZ - polygon[i].localZ) + polygon[i].localX)) {
-                inside = !inside;
-            }
-        }
-        return inside;
+    // Move a value towards a target by at most maxStep
+    moveTowards(value, target, maxStep) {
+        if (Math.abs(target - value) <= maxStep) return target;
+        return value + Math.sign(target - value) * maxStep;
     }
 
-    getLowestPossibleContactHeight() {
-        // Get the highest ground height under any wheel (lowest rover position needed for contact)
-        const allWheelHeights = Object.values(this.wheelContacts).map(contact => contact.height);
-        return allWheelHeights.length > 0 ? Math.max(...allWheelHeights) : null;
+    // Look up surface materials by planet-local direction: sampler({x, y, z}) returns a surface
+    // (see DEFAULT_SURFACE) or null for the default
+    setSurfaceSampler(sampler) {
+        this.surfaceSampler = sampler;
     }
 
-    calculateGroundContact() {
-        const groundedWheels = Object.values(this.wheelContacts).filter(contact => contact.grounded);
-        const anyGrounded = groundedWheels.length > 0;
+    // Sample the surface material directly under the rover
+    updateSurface() {
+        if (!this.surfaceSampler) return;
 
-        let lowestContactHeight = null;
-        if (anyGrounded) {
-            lowestContactHeight = Math.max(...groundedWheels.map(contact => contact.height));
+        const localUp = this.roverPhysicsPosition.clone().normalize();
+        if (this.planetQuaternion) {
+            localUp.applyQuaternion(this.planetQuaternion.clone().invert());
         }
 
-        return { anyGrounded, lowestContactHeight, groundedCount: groundedWheels.length };
+        const surface = this.surfaceSampler(localUp);
+        this.surface = surface ? { ...RoverPhysics.DEFAULT_SURFACE, ...surface } : { ...RoverPhysics.DEFAULT_SURFACE };
     }
 
-    updatePhysics() {
-        // Apply gravity acceleration
-        this.roverVelocity.y += this.gravity;
+    // Terrain slope along the heading in radians; positive when the ground rises ahead
+    getSlopeAlongHeading(roverHeading) {
+        if (!this.terrainGenerator || !this.planetQuaternion) return 0;
 
-        // Apply air resistance
-        this.roverVelocity.multiplyScalar(this.airDamping);
+        // Rover forward in world space, matching the direction the planet turns under it
+        const forwardX = -Math.sin(roverHeading);
+        const forwardZ = Math.cos(roverHeading);
+        const d = this.slopeSampleDistance;
+        const x = this.roverPhysicsPosition.x;
+        const z = this.roverPhysicsPosition.z;
 
-        // Apply settling assistance - extra downward force when close to ground
-        const settlingDistance = 3.0; // Distance within which settling assistance applies
-        const lowestPossibleContact = this.getLowestPossibleContactHeight();
-        if (lowestPossibleContact !== null) {
-            const distanceToGround = this.roverPhysicsPosition.y - lowestPossibleContact;
-            if (distanceToGround > 0 && distanceToGround < settlingDistance) {
-                // Apply gentle settling force
-                const settlingForce = -0.1 * (1 - distanceToGround / settlingDistance);
-                this.roverVelocity.y += settlingForce;
-            }
-        }
+        const ahead = this.terrainGenerator.getSurfaceHeightAtPosition(x + forwardX * d, z + forwardZ * d, this.planetQuaternion, this.planetRadius);
+        const behind = this.terrainGenerator.getSurfaceHeightAtPosition(x - forwardX * d, z - forwardZ * d, this.planetQuaternion, this.planetRadius);
+        return Math.atan2(ahead - behind, 2 * d);
+    }
 
-        // Update physics position with velocity
-        this.roverPhysicsPosition.add(this.roverVelocity);
+    // Wheel slip on a slope: none up to the surface's slipSlope, total 10 degrees beyond it
+    calculateSlip(slope) {
+        const slipStart = this.surface.slipSlope * Math.PI / 180;
+        const slipRange = 10 * Math.PI / 180;
+        return Math.max(0, Math.min(1, (Math.abs(slope) - slipStart) / slipRange));
+    }
 
-        // Check ground contact for each wheel and update rover orientation naturally
-        this.updateWheelContactsAndOrientation();
+    // Next drive speed for a throttle setting: accelerate along a curve that eases off near top
+    // speed, brake hard when the throttle opposes the direction of travel, and coast down otherwise.
+    // grip (surface traction less slip) scales how hard the wheels can push; drag slows soft ground.
+    updateDriveSpeed(throttle, dt, grip = 1) {
+        const speed = this.driveSpeed;
+        const topSpeed = this.topSpeed * (1 - this.surface.drag) * this.driveEfficiency;
+        const targetSpeed = throttle * topSpeed;
 
-        // Determine overall ground contact and lowest contact point
-        const contactResults = this.calculateGroundContact();
-        const wasGrounded = this.isGrounded;
-        this.isGrounded = contactResults.anyGrounded;
+        if (throttle !== 0 && speed * throttle < 0) {
+            return this.moveTowards(speed, 0, this.brakeDeceleration * grip * dt);
+        }
 
-        if (contactResults.lowestContactHeight !== null) {
-            const groundDistance = this.roverPhysicsPosition.y - contactResults.lowestContactHeight;
+        if (Math.abs(targetSpeed) > Math.abs(speed)) {
+            const speedFraction = Math.min(1, Math.abs(speed) / topSpeed);
+            const curve = 1 - 0.75 * speedFraction * speedFraction;
+            return this.moveTowards(speed, targetSpeed, this.acceleration * this.motorTorque * this.driveEfficiency * this.getCargoFactor() * curve * grip * dt);
+        }
 
-            if (groundDistance <= 0.2) { // Close enough to ground to be considered "touching"
-                // Settle rover onto ground
-                this.roverPhysicsPosition.y = contactResults.lowestContactHeight;
+        return this.moveTowards(speed, targetSpeed, this.coastDeceleration * (1 + 3 * this.surface.drag) * dt);
+    }
 
-                // Apply bounce/damping to vertical velocity
-                if (this.roverVelocity.y < 0) { // Only if moving downward
-                    this.roverVelocity.y *= -this.groundDamping; // Reverse and reduce velocity
+    // Share of its empty acceleration the rover keeps when loaded with cargo
+    getCargoFactor() {
+        return this.roverMass / (this.roverMass + Math.max(0, this.cargoMass));
+    }
 
-                    // Stop very small bounces - be more aggressive about settling
-                    if (Math.abs(this.roverVelocity.y) < 0.05) {
-                        this.roverVelocity.y = 0;
-                    }
-                }
+    // Movement handling - called once per fixed tick.
+    // control = {throttle, steer}, each in [-1, 1]; positive throttle drives forward, positive steer turns right.
+    handleMovement(control, roverHeading, planetQuaternion, planetRadius) {
+        const dt = 1 / GameConfig.physicsTickRate;
+        const throttle = Math.max(-1, Math.min(1, control.throttle || 0));
+        const steer = Math.max(-1, Math.min(1, control.steer || 0));
 
-                // If rover is very close to settled, snap it down
-                if (Math.abs(groundDistance) < 0.05 && Math.abs(this.roverVelocity.y) < 0.02) {
-                    this.roverPhysicsPosition.y = contactResults.lowestContactHeight;
-                    this.roverVelocity.y = 0;
-                }
-            }
-        }
+        // Traction comes from the surface under the wheels, and is lost on slopes too steep for it
+        this.updateSurface();
+        const slope = this.isGrounded ? this.getSlopeAlongHeading(roverHeading) : 0;
+        this.slip = this.calculateSlip(slope);
+        const grip = this.surface.traction * (1 - this.slip);
 
-        return {
-            wasGrounded: wasGrounded,
-            isGrounded: this.isGrounded,
-            contactResults: contactResults,
-            landingImpact: wasGrounded !== this.isGrounded ? Math.abs(this.roverVelocity.y) : 0
-        };
-    }
+        this.driveSpeed = this.updateDriveSpeed(throttle, dt, grip);
 
-    // Movement handling
-    handleMovement(keys, roverHeading, planetQuaternion, planetRadius) {
-        // Scale movement speed inversely with planet radius for consistent surface speed
-        const baseRadius = 80; // Reference radius for speed calibration
-        const moveSpeed = 0.01 * (baseRadius / planetRadius);
-        const turnSpeed = 0.03;
-        let moved = false;
-        let forwardMovement = false; // Track if rover is actually moving forward/backward
-
-        // Simple tank controls: A/D turn, W/S move forward/backward
-        if (keys['KeyA']) {
-            this.roverRotation.yaw += turnSpeed; // Turn left
-            moved = true;
-        }
-        if (keys['KeyD']) {
-            this.roverRotation.yaw -= turnSpeed; // Turn right
-            moved = true;
+        // Slipping wheels let the rover slide back down the slope
+        if (this.slip > 0 && !this.overturned) {
+            this.driveSpeed -= Math.sign(slope) * this.slopeSlideAcceleration * Math.sin(Math.abs(slope)) * this.slip * dt;
         }
 
-        // Movement using quaternion rotation to avoid gimbal lock
-        if (keys['KeyW']) {
-            // Forward movement - rotation axis perpendicular to heading direction
-            const rotationAxis = new THREE.Vector3(Math.cos(roverHeading), 0, Math.sin(roverHeading));
-            const rotationQuaternion = new THREE.Quaternion();
-            rotationQuaternion.setFromAxisAngle(rotationAxis, -moveSpeed); // Flip sign
-            planetQuaternion.multiplyQuaternions(rotationQuaternion, planetQuaternion);
-            moved = true;
-            forwardMovement = true;
+        // Steering follows the input quickly but not instantly, so key taps don't jerk the rover round
+        this.steerAmount = this.moveTowards(this.steerAmount, steer, this.steerResponse * dt);
+
+        const turned = this.steerAmount !== 0;
+        if (turned) {
+            const turnGrip = this.surface.turnGrip * (1 - 0.5 * this.slip);
+            this.roverRotation.yaw -= this.turnRate * this.steerAmount * turnGrip * dt;
         }
-        if (keys['KeyS']) {
-            // Backward movement - opposite of forward
+
+        // Movement using quaternion rotation to avoid gimbal lock; surface speed is the same on every planet
+        const forwardMovement = this.driveSpeed !== 0;
+        if (forwardMovement) {
+            // Rotation axis perpendicular to heading direction; forward turns the planet backwards under the rover
             const rotationAxis = new THREE.Vector3(Math.cos(roverHeading), 0, Math.sin(roverHeading));
             const rotationQuaternion = new THREE.Quaternion();
-            rotationQuaternion.setFromAxisAngle(rotationAxis, moveSpeed); // Flip sign
+            rotationQuaternion.setFromAxisAngle(rotationAxis, -this.driveSpeed * dt / planetRadius);
             planetQuaternion.multiplyQuaternions(rotationQuaternion, planetQuaternion);
-            moved = true;
-            forwardMovement = true;
         }
 
-        return { moved, forwardMovement };
+        return {
+            moved: forwardMovement || turned,
+            forwardMovement,
+            turned,
+            throttle,
+            speed: this.driveSpeed,
+            slip: this.slip,
+            surface: this.surface.name
+        };
+    }
+
+    // Stop driving and steering at once, e.g. after a teleport or planet change
+    resetDrive() {
+        this.driveSpeed = 0;
+        this.steerAmount = 0;
     }
 
     // Get rover state for other systems
@@ -407,17 +539,62 @@ class RoverPhysics {
         return {
             position: this.roverPhysicsPosition.clone(),
             velocity: this.roverVelocity.clone(),
+            driveSpeed: this.driveSpeed,
             rotation: { ...this.roverRotation },
             isGrounded: this.isGrounded,
             wheelContacts: { ...this.wheelContacts }
         };
     }
 
+    // Restore rover state saved from getRoverState
+    setRoverState(state) {
+        this.roverPhysicsPosition.set(state.position.x, state.position.y, state.position.z);
+        if (state.velocity) {
+            this.roverVelocity.set(state.velocity.x, state.velocity.y, state.velocity.z);
+        } else {
+            this.roverVelocity.set(0, 0, 0);
+        }
+        this.resetSuspension();
+        this.resetRollover();
+        this.resetDrive();
+        if (state.driveSpeed) {
+            this.driveSpeed = state.driveSpeed;
+        }
+        if (state.rotation) {
+            this.roverRotation = { ...this.roverRotation, ...state.rotation };
+        }
+        this.isGrounded = Boolean(state.isGrounded);
+    }
+
     // Update heading for display purposes
     updateHeading(newHeading) {
         this.roverRotation.yaw = this.lerp(this.roverRotation.yaw, -newHeading, this.rotationLerpSpeed);
     }
 }
 
+// Fresh suspension state for one wheel: hanging at rest length, ground not yet sampled.
+// wheelHeight is the height of the wheel centre when it touches the ground.
+RoverPhysics.createWheelContact = (config) => ({
+    groundHeight: 0,
+    wheelHeight: null,
+    groundRate: 0,
+    length: config.suspensionRestLength,
+    compression: 0,
+    force: 0,
+    grounded: false
+});
+
+// Surface material used where a planet declares none: firm ground with full grip.
+// traction scales acceleration and braking, turnGrip scales turning, slipSlope is the steepest
+// slope (degrees) the wheels hold, sinkage lowers the rover into soft ground (world units) and
+// drag is the fraction of top speed lost to it.
+RoverPhysics.DEFAULT_SURFACE = { name: 'ground', traction: 1, turnGrip: 1, slipSlope: 35, sinkage: 0, drag: 0 };
+
 // Export for global use
-window.RoverPhysics = RoverPhysics;
\ No newline at end of file
+if (typeof window !== 'undefined') {
+    window.RoverPhysics = RoverPhysics;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RoverPhysics;
+}
@@ -87,7 +87,9 @@ class PlanetGenerator {
                 atmosphere: {
                     fogDensity: { min: 0.001, max: 0.005 },
                     particleDensity: { min: 0.3, max: 0.7 }
-                }
+                },
+                // Wheel-ground interaction (see RoverPhysics.DEFAULT_SURFACE)
+                surface: { name: "dusty rock", traction: 0.9, turnGrip: 1.0, slipSlope: 30, sinkage: 0.05, drag: 0.05 }
             },
             moon: {
                 radius: { min: 40, max: 100 },
@@ -108,7 +110,9 @@ class PlanetGenerator {
                 atmosphere: {
                     fogDensity: { min: 0, max: 0 },
                     particleDensity: { min: 0, max: 0 }
-                }
+                },
+                // Wheel-ground interaction (see RoverPhysics.DEFAULT_SURFACE)
+                surface: { name: "regolith", traction: 0.75, turnGrip: 0.9, slipSlope: 28, sinkage: 0.15, drag: 0.1 }
             },
             ice: {
                 radius: { min: 100, max: 250 },
@@ -129,7 +133,9 @@ class PlanetGenerator {
                 atmosphere: {
                     fogDensity: { min: 0.003, max: 0.008 },
                     particleDensity: { min: 0.2, max: 0.5 }
-                }
+                },
+                // Wheel-ground interaction (see RoverPhysics.DEFAULT_SURFACE)
+                surface: { name: "ice", traction: 0.3, turnGrip: 0.5, slipSlope: 12, sinkage: 0, drag: 0 }
             },
             volcanic: {
                 radius: { min: 80, max: 200 },
@@ -150,7 +156,9 @@ class PlanetGenerator {
                 atmosphere: {
                     fogDensity: { min: 0.002, max: 0.006 },
                     particleDensity: { min: 0.5, max: 0.9 }
-                }
+                },
+                // Wheel-ground interaction (see RoverPhysics.DEFAULT_SURFACE)
+                surface: { name: "basalt", traction: 1.1, turnGrip: 1.1, slipSlope: 38, sinkage: 0, drag: 0 }
             },
             desert: {
                 radius: { min: 200, max: 500 },
@@ -171,7 +179,9 @@ class PlanetGenerator {
                 atmosphere: {
                     fogDensity: { min: 0.0005, max: 0.002 },
                     particleDensity: { min: 0.3, max: 0.6 }
-                }
+                },
+                // Wheel-ground interaction (see RoverPhysics.DEFAULT_SURFACE)
+                surface: { name: "loose sand", traction: 0.65, turnGrip: 0.8, slipSlope: 22, sinkage: 0.4, drag: 0.35 }
             }
         };
     }
@@ -225,6 +235,72 @@ class PlanetGenerator {
         };
     }
 
+    // Generate day length and night palette, drawn separately from the daytime lighting
+    generateDayNight(baseBiome, rng, atmosphere) {
+        const dayNightTemplates = {
+            mars: { dayLength: { min: 200, max: 300 }, nightAmbientColor: ["0x101020", "0x181018"], nightAmbientIntensity: { min: 0.05, max: 0.1 } },
+            moon: { dayLength: { min: 450, max: 750 }, nightAmbientColor: ["0x050510", "0x080808"], nightAmbientIntensity: { min: 0.02, max: 0.05 } },
+            ice: { dayLength: { min: 240, max: 360 }, nightAmbientColor: ["0x112244", "0x102040"], nightAmbientIntensity: { min: 0.1, max: 0.15 } },
+            volcanic: { dayLength: { min: 150, max: 220 }, nightAmbientColor: ["0x330000", "0x2A0800"], nightAmbientIntensity: { min: 0.2, max: 0.3 } },
+            desert: { dayLength: { min: 160, max: 240 }, nightAmbientColor: ["0x1A1A33", "0x202030"], nightAmbientIntensity: { min: 0.05, max: 0.1 } }
+        };
+
+        const template = dayNightTemplates[baseBiome];
+        return {
+            lighting: {
+                dayLength: Math.round(rng.range(template.dayLength.min, template.dayLength.max)),
+                nightAmbientColor: rng.choice(template.nightAmbientColor),
+                nightAmbientIntensity: Number(rng.range(template.nightAmbientIntensity.min, template.nightAmbientIntensity.max).toFixed(2))
+            },
+            // Night fog is the day fog at roughly a quarter brightness
+            nightFogColor: atmosphere.fogColor ? this.dimColor(atmosphere.fogColor, 0.25) : null
+        };
+    }
+
+    // Scale a "0xRRGGBB" color string towards black
+    dimColor(colorString, factor) {
+        const value = parseInt(colorString.replace('0x', ''), 16);
+        const r = Math.round(((value >> 16) & 0xFF) * factor);
+        const g = Math.round(((value >> 8) & 0xFF) * factor);
+        const b = Math.round((value & 0xFF) * factor);
+        return '0x' + ((r << 16) | (g << 8) | b).toString(16).padStart(6, '0').toUpperCase();
+    }
+
+    // Generate rover energy tuning - how strong the sun is and how hard the ground is on the battery
+    generateEnergy(baseBiome, rng) {
+        const energyTemplates = {
+            mars: { solarEfficiency: { min: 0.7, max: 0.9 }, drainMultiplier: { min: 0.9, max: 1.1 } },
+            moon: { solarEfficiency: { min: 1.1, max: 1.3 }, drainMultiplier: { min: 0.9, max: 1.0 } },
+            ice: { solarEfficiency: { min: 0.4, max: 0.6 }, drainMultiplier: { min: 1.1, max: 1.3 } },
+            volcanic: { solarEfficiency: { min: 0.5, max: 0.7 }, drainMultiplier: { min: 1.0, max: 1.2 } },
+            desert: { solarEfficiency: { min: 1.0, max: 1.2 }, drainMultiplier: { min: 0.9, max: 1.1 } }
+        };
+
+        const template = energyTemplates[baseBiome];
+        return {
+            solarEfficiency: Number(rng.range(template.solarEfficiency.min, template.solarEfficiency.max).toFixed(2)),
+            drainMultiplier: Number(rng.range(template.drainMultiplier.min, template.drainMultiplier.max).toFixed(2))
+        };
+    }
+
+    // Generate bulk density; with the radius it sets surface gravity unless gravity (in g) is given
+    generatePhysics(baseBiome, rng, gravity = null) {
+        const densityRanges = {
+            mars: { min: 0.9, max: 1.1 },
+            moon: { min: 0.6, max: 0.9 },
+            ice: { min: 0.4, max: 0.7 },
+            volcanic: { min: 1.0, max: 1.3 },
+            desert: { min: 0.3, max: 0.5 }
+        };
+
+        const range = densityRanges[baseBiome];
+        const physics = { density: Number(rng.range(range.min, range.max).toFixed(2)) };
+        if (gravity !== null && gravity !== undefined) {
+            physics.gravity = gravity;
+        }
+        return physics;
+    }
+
     // Generate atmosphere properties
     generateAtmosphere(baseBiome, rng, terrain) {
         const atmosphereTemplates = {
@@ -294,6 +370,8 @@ class PlanetGenerator {
             seed = this.hashString(seed);
         }
 
+        // A seed must always generate the same planet: new rng draws are appended after the existing
+        // ones, or come from a separate stream seeded from the planet seed
         const rng = this.createSeededRNG(seed);
         
         // Handle biome mixing
@@ -373,9 +451,24 @@ class PlanetGenerator {
                 mesaDensity: Number(terrain.mesaDensity.toFixed(2)),
                 boulderDensity: Number(terrain.boulderDensity.toFixed(2))
             },
-            objects: this.generateObjectDensities(baseBiome, rng)
+            objects: this.generateObjectDensities(baseBiome, rng, biomeMix),
+            // Rover energy tuning, drawn after the object densities
+            energy: this.generateEnergy(baseBiome, rng),
+            // Ground the rover drives on; biome regions on mixed planets use their own biome's surface
+            surface: { ...allRanges[baseBiome].surface }
         };
 
+        // Day/night settings, drawn after the energy tuning
+        const dayNight = this.generateDayNight(baseBiome, rng, atmosphere);
+        Object.assign(planetConfig.lighting, dayNight.lighting);
+        planetConfig.atmosphere.nightFogColor = dayNight.nightFogColor;
+
+        // Gravity, drawn after the day/night settings
+        planetConfig.physics = this.generatePhysics(baseBiome, rng, customParams?.gravity);
+
+        // Missions, drawn from their own stream seeded from the planet seed
+        planetConfig.missions = this.generateMissions(planetConfig);
+
         // Cache the generated planet
         this.generatedPlanets.set(planetConfig.id, planetConfig);
         
@@ -494,8 +587,9 @@ class PlanetGenerator {
         return blendedRanges;
     }
 
-    // Generate object densities for a planet based on biome
-    generateObjectDensities(baseBiome, rng) {
+    // Generate object densities for a planet based on biome, plus the biome-specific objects of
+    // every biome in biomeMix (or of the base biome alone)
+    generateObjectDensities(baseBiome, rng, biomeMix = null) {
         // Base densities per biome type
         const biomeObjectDensities = {
             mars: {
@@ -535,7 +629,73 @@ class PlanetGenerator {
             }
         };
         
-        return biomeObjectDensities[baseBiome] || biomeObjectDensities.mars;
+        const densities = { ...(biomeObjectDensities[baseBiome] || biomeObjectDensities.mars) };
+
+        // Scaled by each biome's share, as they only spawn in its regions; fixed, so no rng is drawn
+        for (const [biome, share] of Object.entries(biomeMix || { [baseBiome]: 1 })) {
+            for (const [type, density] of Object.entries(PlanetGenerator.BIOME_OBJECT_DENSITIES[biome] || {})) {
+                densities[type] = Number(((densities[type] || 0) + density * share).toFixed(3));
+            }
+        }
+
+        return densities;
+    }
+
+    // Generate a planet's missions (see MissionTracker): an expedition to collect a common resource
+    // and find one of its points of interest, then a trek to a waypoint, surveying biomes on the way
+    // on mixed planets
+    generateMissions(planetConfig) {
+        const rng = this.createSeededRNG(planetConfig.seed + 6000);
+        const missions = [];
+
+        const expedition = [];
+        const resources = Object.keys(PlanetGenerator.MISSION_RESOURCES)
+            .filter(type => (planetConfig.objects[type] || 0) >= 0.1);
+        if (resources.length > 0) {
+            const objectType = rng.choice(resources);
+            const count = Math.max(2, Math.floor(planetConfig.objects[objectType] * 10));
+            expedition.push({
+                type: 'collect',
+                objectType: objectType,
+                count: count,
+                label: `Collect ${count} ${PlanetGenerator.MISSION_RESOURCES[objectType]}`
+            });
+        }
+
+        // Sites are laid out from the planet seed alone, so the generator can tell which exist
+        if (typeof PointOfInterestGenerator !== 'undefined') {
+            const sites = new PointOfInterestGenerator().generateSites(planetConfig.seed, planetConfig.radius);
+            if (sites.length > 0) {
+                const site = rng.choice(sites);
+                expedition.push({
+                    type: 'find',
+                    target: site.type,
+                    label: `Find the ${site.definition.name.toLowerCase()}`
+                });
+            }
+        }
+
+        if (expedition.length > 0) {
+            missions.push({ id: 'expedition', title: 'Expedition', objectives: expedition });
+        }
+
+        const lat = rng.intRange(-50, 50);
+        const lon = rng.intRange(-179, 180);
+        const trek = [{
+            type: 'reach',
+            lat: lat,
+            lon: lon,
+            radius: Math.max(15, Math.round(planetConfig.radius * 0.15)),
+            label: `Reach the waypoint at ${Math.abs(lat)}°${lat >= 0 ? 'N' : 'S'} ${Math.abs(lon)}°${lon >= 0 ? 'E' : 'W'}`
+        }];
+
+        const biomes = Object.keys(planetConfig.biomeMix || {});
+        if (biomes.length > 1) {
+            trek.push({ type: 'surveyBiomes', count: biomes.length, label: `Survey ${biomes.length} biomes` });
+        }
+        missions.push({ id: 'trek', title: 'Long Trek', objectives: trek });
+
+        return missions;
     }
 
     // Create biome mix from ratios
@@ -567,6 +727,28 @@ class PlanetGenerator {
     }
 }
 
+// Densities of the objects found only in one biome (see PlanetObjectManager.setupObjectTypes)
+PlanetGenerator.BIOME_OBJECT_DENSITIES = {
+    ice: { iceSpire: 0.5, frozenGeyser: 0.3 },
+    volcanic: { lavaVent: 0.4, obsidianShard: 0.5 },
+    desert: { sandRuin: 0.4 },
+    moon: { regolithPit: 0.5 }
+};
+
+// Collectible objects generated missions ask for, with their plural names
+PlanetGenerator.MISSION_RESOURCES = {
+    crystal: 'Energy Crystals',
+    metal: 'Metal Deposits',
+    debris: 'pieces of Expedition Debris',
+    obsidianShard: 'Obsidian Shards'
+};
+
 // Export singleton instance
 const planetGenerator = new PlanetGenerator();
-window.planetGenerator = planetGenerator; // Make globally accessible for debugging
\ No newline at end of file
+if (typeof window !== 'undefined') {
+    window.planetGenerator = planetGenerator; // Make globally accessible for debugging
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlanetGenerator;
+}
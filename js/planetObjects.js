@@ -2,18 +2,31 @@
 class PlanetObjectManager {
     constructor() {
         this.objects = []; // All spawned objects on current planet
+        this.batches = []; // One InstancedMesh per object type and variant, drawing all its objects at once
+        this.sites = []; // Points of interest on current planet
         this.objectTypes = new Map(); // Object type definitions
         this.collisionRadius = 3; // Base collision radius for rover interaction
+
+        // Spatial index of objects by planet-local position, rebuilt with each planet
+        this.spatialGrid = null;
+        this.minGridCellSize = 10;
+        this.maxGridCellsPerAxis = 100; // Larger planets get larger cells, so the grid stays bounded
+        this.maxObjectCollisionRadius = 0; // Largest object collision radius, bounds collision queries
+
+        this.placementHelper = new THREE.Object3D(); // Builds each object's instance transform
+
         this.setupObjectTypes();
     }
 
-    // Define the universal object types that can appear on any planet
+    // Define the universal object types that can appear on any planet. Each type has `variants`
+    // shapes or colours (default 1); objects of a variant share one geometry and material.
     setupObjectTypes() {
         this.objectTypes.set('boulder', {
             name: 'Boulder',
             description: 'Large rock formation',
-            geometry: () => this.createBoulderGeometry(),
+            geometry: (rng) => this.createBoulderGeometry(rng),
             material: (planetMaterial) => this.createBoulderMaterial(planetMaterial),
+            variants: 4,
             sizeRange: { min: 1.5, max: 4.0 },
             collisionRadius: (size) => size * 0.8,
             canCollect: false,
@@ -24,10 +37,12 @@ class PlanetObjectManager {
             name: 'Energy Crystal',
             description: 'Glowing crystalline formation',
             geometry: () => this.createCrystalGeometry(),
-            material: (planetMaterial) => this.createCrystalMaterial(planetMaterial),
+            material: (planetMaterial, variant) => this.createCrystalMaterial(planetMaterial, variant),
+            variants: PlanetObjectManager.CRYSTAL_COLORS.length,
             sizeRange: { min: 0.8, max: 2.5 },
             collisionRadius: (size) => size * 0.6,
             canCollect: true,
+            mass: 2,
             glowing: true
         });
 
@@ -39,6 +54,7 @@ class PlanetObjectManager {
             sizeRange: { min: 1.0, max: 3.0 },
             collisionRadius: (size) => size * 0.7,
             canCollect: true,
+            mass: 5,
             glowing: false
         });
 
@@ -61,19 +77,132 @@ class PlanetObjectManager {
             sizeRange: { min: 0.5, max: 2.0 },
             collisionRadius: (size) => size * 0.8,
             canCollect: true,
+            mass: 3,
+            glowing: false
+        });
+
+        // Biome-specific types only spawn where the ground belongs to one of their `biomes`
+        this.objectTypes.set('iceSpire', {
+            name: 'Ice Spire',
+            description: 'Needle of wind-carved ice',
+            biomes: ['ice'],
+            geometry: () => this.createIceSpireGeometry(),
+            material: () => this.createIceMaterial(0xD8F0FF),
+            sizeRange: { min: 1.0, max: 2.5 },
+            collisionRadius: (size) => size * 0.4,
+            canCollect: false,
+            glowing: false
+        });
+
+        this.objectTypes.set('frozenGeyser', {
+            name: 'Frozen Geyser',
+            description: 'Ice mound around a dormant vent',
+            biomes: ['ice'],
+            geometry: () => this.createMoundGeometry(0.5, 0.9, 0.6),
+            material: () => this.createIceMaterial(0xF0F8FF),
+            sizeRange: { min: 1.5, max: 3.0 },
+            collisionRadius: (size) => size * 0.8,
+            canCollect: false,
+            glowing: false
+        });
+
+        this.objectTypes.set('lavaVent', {
+            name: 'Lava Vent',
+            description: 'Glowing fissure in cooling rock',
+            biomes: ['volcanic'],
+            geometry: () => this.createMoundGeometry(0.3, 1.0, 0.8),
+            material: () => this.createLavaVentMaterial(),
+            sizeRange: { min: 1.5, max: 3.0 },
+            collisionRadius: (size) => size * 0.8,
+            canCollect: false,
+            glowing: true
+        });
+
+        this.objectTypes.set('obsidianShard', {
+            name: 'Obsidian Shard',
+            description: 'Volcanic glass, sharp-edged and black',
+            biomes: ['volcanic'],
+            geometry: () => new THREE.TetrahedronGeometry(1, 0),
+            material: () => this.createObsidianMaterial(),
+            sizeRange: { min: 0.5, max: 1.5 },
+            collisionRadius: (size) => size * 0.6,
+            canCollect: true,
+            mass: 2,
+            glowing: false
+        });
+
+        this.objectTypes.set('sandRuin', {
+            name: 'Buried Ruin',
+            description: 'Wall of an old structure, half under the sand',
+            biomes: ['desert'],
+            geometry: () => this.createSandRuinGeometry(),
+            material: (planetMaterial) => this.createShiftedMaterial(planetMaterial, 50),
+            sizeRange: { min: 1.5, max: 3.5 },
+            collisionRadius: (size) => size * 0.9,
+            canCollect: false,
+            glowing: false
+        });
+
+        this.objectTypes.set('regolithPit', {
+            name: 'Regolith Pit',
+            description: 'Small impact pit ringed with loose regolith',
+            biomes: ['moon'],
+            geometry: () => new THREE.TorusGeometry(1, 0.25, 4, 10), // Lies flat: the ring's axis points up
+            material: (planetMaterial) => this.createShiftedMaterial(planetMaterial, -30),
+            sizeRange: { min: 1.5, max: 4.0 },
+            collisionRadius: (size) => size * 0.5,
+            canCollect: false,
+            glowing: false
+        });
+
+        // Parts of points of interest (see PointOfInterestGenerator), never spawned on their own
+        this.objectTypes.set('archPillar', {
+            name: 'Arch Pillar',
+            description: 'Squared stone column',
+            sitePart: true,
+            geometry: () => this.createArchPillarGeometry(),
+            material: (planetMaterial) => this.createShiftedMaterial(planetMaterial, 40),
+            sizeRange: { min: 1.2, max: 1.6 },
+            collisionRadius: (size) => size * 0.5,
+            canCollect: false,
+            glowing: false
+        });
+
+        this.objectTypes.set('archLintel', {
+            name: 'Arch Lintel',
+            description: 'Stone beam spanning two pillars',
+            sitePart: true,
+            geometry: () => this.createArchLintelGeometry(),
+            material: (planetMaterial) => this.createShiftedMaterial(planetMaterial, 40),
+            sizeRange: { min: 1.2, max: 1.6 },
+            collisionRadius: () => 0, // Overhead, out of the rover's reach
+            canCollect: false,
+            glowing: false
+        });
+
+        this.objectTypes.set('landerHull', {
+            name: 'Lander Hull',
+            description: 'Crumpled descent stage',
+            sitePart: true,
+            geometry: () => this.createMoundGeometry(1.2, 1.6, 1.4),
+            material: () => this.createMetalMaterial(),
+            sizeRange: { min: 1.5, max: 2.2 },
+            collisionRadius: (size) => size * 1.4,
+            canCollect: false,
             glowing: false
         });
     }
 
-    // Create object geometries
-    createBoulderGeometry() {
+    // Create object geometries. Anything random draws from the planet's seeded appearance RNG,
+    // so a planet looks the same on every visit
+    createBoulderGeometry(rng) {
         // Irregular rock shape using slightly deformed sphere
         const geometry = new THREE.SphereGeometry(1, 8, 6);
         const vertices = geometry.attributes.position.array;
         
         // Add some randomness to vertices for irregular shape
         for (let i = 0; i < vertices.length; i += 3) {
-            const noise = (Math.random() - 0.5) * 0.3;
+            const noise = (rng.next() - 0.5) * 0.3;
             vertices[i] += noise;
             vertices[i + 1] += noise;
             vertices[i + 2] += noise;
@@ -105,6 +234,44 @@ class PlanetObjectManager {
         return geometry;
     }
 
+    // Placed objects point their local +Z away from the planet and sit half their size above the
+    // ground, so upright shapes stand along +Z with their base at z = -0.5
+
+    createIceSpireGeometry() {
+        const geometry = new THREE.ConeGeometry(0.35, 2.5, 5);
+        geometry.rotateX(Math.PI / 2);
+        geometry.translate(0, 0, 0.75);
+        return geometry;
+    }
+
+    createMoundGeometry(topRadius, bottomRadius, height) {
+        // Truncated cone, like a vent or geyser cone
+        const geometry = new THREE.CylinderGeometry(topRadius, bottomRadius, height, 8);
+        geometry.rotateX(Math.PI / 2);
+        geometry.translate(0, 0, height / 2 - 0.5);
+        return geometry;
+    }
+
+    createArchPillarGeometry() {
+        const geometry = new THREE.BoxGeometry(0.8, 0.8, 3);
+        geometry.translate(0, 0, 1);
+        return geometry;
+    }
+
+    createArchLintelGeometry() {
+        // Spans pillars 2.2 units either side of the arch's centre
+        const geometry = new THREE.BoxGeometry(5.6, 0.9, 0.7);
+        geometry.translate(0, 0, -0.15);
+        return geometry;
+    }
+
+    createSandRuinGeometry() {
+        // Wall slab, its lower part below the surface
+        const geometry = new THREE.BoxGeometry(2, 0.4, 1.2);
+        geometry.translate(0, 0, -0.3);
+        return geometry;
+    }
+
     // Create object materials
     createBoulderMaterial(planetMaterial) {
         // Darken planet color for boulder
@@ -120,10 +287,9 @@ class PlanetObjectManager {
         });
     }
 
-    createCrystalMaterial(planetMaterial) {
-        // Glowing crystal with emission
-        const crystalColors = [0x00FFFF, 0xFF00FF, 0x00FF00, 0xFFFF00, 0xFF8000];
-        const color = crystalColors[Math.floor(Math.random() * crystalColors.length)];
+    createCrystalMaterial(planetMaterial, variant) {
+        // Glowing crystal with emission, one colour per variant
+        const color = PlanetObjectManager.CRYSTAL_COLORS[variant];
         
         return new THREE.MeshLambertMaterial({
             color: color,
@@ -164,12 +330,56 @@ class PlanetObjectManager {
         });
     }
 
-    // Generate objects for a planet based on configuration
-    generateObjects(planetConfig, rng, planetMesh) {
+    createIceMaterial(color) {
+        return new THREE.MeshLambertMaterial({
+            color: color,
+            transparent: true,
+            opacity: 0.85,
+            flatShading: true
+        });
+    }
+
+    createLavaVentMaterial() {
+        // Dark rock lit from within
+        return new THREE.MeshLambertMaterial({
+            color: 0x3A2A22,
+            emissive: 0xFF4400,
+            emissiveIntensity: 0.5,
+            flatShading: true
+        });
+    }
+
+    createObsidianMaterial() {
+        return new THREE.MeshLambertMaterial({
+            color: 0x1B1724,
+            flatShading: true
+        });
+    }
+
+    // Planet colour lightened (positive amount) or darkened per channel
+    createShiftedMaterial(planetMaterial, amount) {
+        const planetColor = planetMaterial.color;
+        const shift = (channel) => Math.max(0, Math.min(255, ((planetColor >> channel) & 0xFF) + amount));
+        const color = (shift(16) << 16) | (shift(8) << 8) | shift(0);
+
+        return new THREE.MeshLambertMaterial({
+            color: color,
+            flatShading: true
+        });
+    }
+
+    // Generate objects for a planet based on configuration. rng places the objects; appearanceRng
+    // shapes and colours them (default: rng). Keeping them apart means changes to how objects look
+    // never move them, so saved discoveries still point at the same objects. biomeAt(direction) names
+    // the biome at a planet-local direction; without it, biome-specific types spawn anywhere.
+    generateObjects(planetConfig, rng, planetMesh, terrainGenerator = null, materialProps = null, appearanceRng = null, biomeAt = null) {
         this.clearObjects(planetMesh);
+        appearanceRng = appearanceRng || rng;
         
         const planetRadius = planetConfig.radius || 80;
-        const materialProps = planetTypeManager.getMaterialProperties();
+
+        this.spatialGrid = this.createSpatialGrid(planetRadius);
+        const planetMaterial = materialProps || planetTypeManager.getMaterialProperties();
         
         // Get object densities from config, fallback to default if not present
         const objectDensities = planetConfig.objects || {
@@ -194,13 +404,75 @@ class PlanetObjectManager {
             const numObjects = Math.floor(maxObjects * density);
             
             console.log(`Generating ${numObjects} ${objectType} objects (density: ${density})`);
-            
+
+            const variants = this.createVariants(objectDef, planetMaterial, appearanceRng);
             for (let i = 0; i < numObjects; i++) {
-                this.spawnObject(objectType, objectDef, materialProps, planetRadius, rng, planetMesh);
+                this.spawnObject(objectType, objectDef, planetRadius, rng, terrainGenerator, appearanceRng, variants.length, biomeAt);
             }
+            this.buildBatches(objectType, variants, planetMesh);
         }
         
-        console.log(`Generated ${this.objects.length} total objects on planet`);
+        console.log(`Generated ${this.objects.length} total objects in ${this.batches.length} batches on planet`);
+    }
+
+    // Create the shared geometry and material for each of a type's variants
+    createVariants(objectDef, planetMaterial, appearanceRng) {
+        const variants = [];
+        for (let variant = 0; variant < (objectDef.variants || 1); variant++) {
+            variants.push({
+                geometry: objectDef.geometry(appearanceRng, variant),
+                material: objectDef.material(planetMaterial, variant)
+            });
+        }
+        return variants;
+    }
+
+    // Draw each variant's objects with one InstancedMesh, attached to the planet so it rotates with it.
+    // An object's instanceId is its index in its batch.
+    buildBatches(objectType, variants, planetMesh, objects = this.objects.filter(obj => obj.type === objectType)) {
+        const shade = new THREE.Color();
+
+        variants.forEach((variant, index) => {
+            const members = objects.filter(obj => obj.variant === index);
+            if (members.length === 0) {
+                variant.geometry.dispose();
+                variant.material.dispose();
+                return;
+            }
+
+            const batch = new THREE.InstancedMesh(variant.geometry, variant.material, members.length);
+            batch.name = `${objectType}_${index}`;
+            batch.frustumCulled = false; // Bounds only cover the base geometry, not instances across the planet
+            batch.userData.objects = members; // instanceId -> object
+
+            members.forEach((obj, instanceId) => {
+                batch.setMatrixAt(instanceId, obj.matrix);
+                batch.setColorAt(instanceId, shade.setScalar(obj.shade));
+                obj.batch = batch;
+                obj.instanceId = instanceId;
+            });
+
+            planetMesh.add(batch);
+            this.batches.push(batch);
+        });
+    }
+
+    // Create the spatial index for a planet. Bounds leave room for terrain above the base radius;
+    // positions outside are clamped to edge cells.
+    createSpatialGrid(planetRadius) {
+        const gridExtent = planetRadius * 1.5;
+        const cellSize = Math.max(this.minGridCellSize, Math.ceil((gridExtent * 2) / this.maxGridCellsPerAxis));
+        return new SpatialHashGrid(
+            { x: -gridExtent, y: -gridExtent, z: -gridExtent },
+            { x: gridExtent, y: gridExtent, z: gridExtent },
+            cellSize
+        );
+    }
+
+    // Add an object to the spatial index, widening collision queries to reach it
+    indexObject(objectData) {
+        this.spatialGrid.insert(objectData, objectData.position);
+        this.maxObjectCollisionRadius = Math.max(this.maxObjectCollisionRadius, objectData.collisionRadius);
     }
 
     // Get maximum number of objects for each type
@@ -210,119 +482,201 @@ class PlanetObjectManager {
             crystal: 30,
             metal: 25,
             marker: 15,
-            debris: 40
+            debris: 40,
+            iceSpire: 30,
+            frozenGeyser: 15,
+            lavaVent: 15,
+            obsidianShard: 30,
+            sandRuin: 15,
+            regolithPit: 20
         };
         return maxCounts[objectType] || 20;
     }
 
-    // Spawn a single object on the planet surface
-    spawnObject(objectType, objectDef, planetMaterial, planetRadius, rng, planetMesh) {
+    // Place a single object on the planet surface; buildBatches adds it to its variant's batch
+    spawnObject(objectType, objectDef, planetRadius, rng, terrainGenerator = null, appearanceRng = rng, variantCount = 1, biomeAt = null) {
         try {
-            // Generate random position on sphere
-            const lat = (rng.next() - 0.5) * Math.PI; // -π/2 to π/2
-            const lon = rng.next() * Math.PI * 2;     // 0 to 2π
-
-            // Convert to Cartesian coordinates on planet surface
-            const x = Math.cos(lat) * Math.cos(lon);
-            const y = Math.sin(lat);
-            const z = Math.cos(lat) * Math.sin(lon);
+            const location = this.pickLocation(objectDef, rng, biomeAt);
+            if (!location) return; // No spot in the type's biomes; the planet gets one fewer
+            const { x, y, z } = location;
 
             // Random size within range
             const size = rng.range(objectDef.sizeRange.min, objectDef.sizeRange.max);
 
-            // Get actual terrain height at this position using raycasting
+            // Get actual terrain height at this position from the analytic terrain function
             // If terrain generator is available, use it; otherwise fall back to base radius
             let surfaceHeight = planetRadius;
-            if (typeof window.terrainGenerator !== 'undefined' && window.terrainGenerator && planetMesh) {
-                const terrainHeight = window.terrainGenerator.getSurfaceHeightAtPosition(
-                    x * planetRadius,
-                    z * planetRadius,
-                    planetMesh,
-                    planetRadius
-                );
+            if (terrainGenerator) {
+                const terrainHeight = terrainGenerator.heightAt({ x, y, z }).height;
                 if (terrainHeight !== undefined && !isNaN(terrainHeight)) {
-                    surfaceHeight = planetRadius + terrainHeight;
+                    surfaceHeight = terrainHeight;
                 }
             }
 
-            // Create geometry and material
-            const geometry = objectDef.geometry();
-            const material = objectDef.material(planetMaterial);
-
-            // Create mesh
-            const mesh = new THREE.Mesh(geometry, material);
-
             // Position on planet surface - place object on the actual terrain surface
             const position = new THREE.Vector3(x, y, z).multiplyScalar(surfaceHeight + size * 0.5);
-            mesh.position.copy(position);
-            
-            // Orient to planet surface (point "up" away from center)
-            mesh.lookAt(position.clone().multiplyScalar(2));
-            
+
             // Random rotation around surface normal
             const randomRotation = rng.next() * Math.PI * 2;
-            mesh.rotateZ(randomRotation);
-            
-            // Scale the mesh
-            mesh.scale.setScalar(size);
-            
-            // Add to planet so it rotates with the planet
-            planetMesh.add(mesh);
-            
-            // Store object data
-            const objectData = {
-                id: `${objectType}_${this.objects.length}`,
-                type: objectType,
-                mesh: mesh,
-                position: position.clone(),
-                size: size,
-                collisionRadius: objectDef.collisionRadius(size),
-                canCollect: objectDef.canCollect,
-                glowing: objectDef.glowing,
-                discovered: false,
-                definition: objectDef
-            };
-            
-            this.objects.push(objectData);
-            
+
+            this.addObject(objectType, position, size, randomRotation, appearanceRng, variantCount);
         } catch (error) {
             console.error(`Error spawning ${objectType}:`, error);
         }
     }
 
+    // Register an object centred at a planet-local position, turned about the surface normal by
+    // rotation. properties override the defaults from its type (e.g. id, canCollect, site).
+    addObject(objectType, position, size, rotation, appearanceRng, variantCount = 1, properties = {}) {
+        const objectDef = this.objectTypes.get(objectType);
+        const placement = this.placementHelper;
+        placement.position.copy(position);
+        placement.quaternion.identity();
+        placement.scale.setScalar(1);
+
+        // Orient to planet surface (point "up" away from center)
+        placement.lookAt(position.clone().multiplyScalar(2));
+        placement.rotateZ(rotation);
+
+        // Scale the instance
+        placement.scale.setScalar(size);
+        placement.updateMatrix();
+
+        // Store object data
+        const objectData = {
+            id: `${objectType}_${this.objects.length}`,
+            type: objectType,
+            batch: null,
+            instanceId: null,
+            variant: Math.floor(appearanceRng.next() * variantCount),
+            shade: 0.85 + appearanceRng.next() * 0.15, // Instance colour, so a batch isn't uniform
+            matrix: placement.matrix.clone(),
+            position: position.clone(),
+            size: size,
+            collisionRadius: objectDef.collisionRadius(size),
+            canCollect: objectDef.canCollect,
+            glowing: objectDef.glowing,
+            discovered: false,
+            definition: objectDef,
+            site: null, // Point of interest the object is part of
+            ...properties
+        };
+
+        this.objects.push(objectData);
+        this.indexObject(objectData);
+        return objectData;
+    }
+
+    // Add points of interest: multi-part sites from PointOfInterestGenerator. Each site's parts
+    // ({type, position, size, rotation}) become objects that collide but can't be collected on their
+    // own; the site is discovered as a whole (see getSitesInRange).
+    addSites(sites, planetMesh, materialProps, appearanceRng) {
+        const partsByType = new Map();
+
+        for (const site of sites) {
+            site.parts = site.parts.map((part, index) => {
+                const objectDef = this.objectTypes.get(part.type);
+                const obj = this.addObject(part.type, part.position, part.size, part.rotation, appearanceRng,
+                    objectDef.variants || 1, { id: `${site.id}_${index}`, canCollect: false, site: site });
+
+                if (!partsByType.has(part.type)) partsByType.set(part.type, []);
+                partsByType.get(part.type).push(obj);
+                return obj;
+            });
+            this.sites.push(site);
+        }
+
+        partsByType.forEach((parts, objectType) => {
+            const variants = this.createVariants(this.objectTypes.get(objectType), materialProps, appearanceRng);
+            this.buildBatches(objectType, variants, planetMesh, parts);
+        });
+    }
+
+    // Random direction on the planet surface. Biome-specific types try candidates until one lands in
+    // their biomes, giving up after maxPlacementAttempts; universal types take the first.
+    pickLocation(objectDef, rng, biomeAt = null) {
+        const checkBiome = objectDef.biomes && biomeAt;
+        const attempts = checkBiome ? PlanetObjectManager.MAX_PLACEMENT_ATTEMPTS : 1;
+
+        for (let attempt = 0; attempt < attempts; attempt++) {
+            // Generate random position on sphere
+            const lat = (rng.next() - 0.5) * Math.PI; // -π/2 to π/2
+            const lon = rng.next() * Math.PI * 2;     // 0 to 2π
+
+            // Convert to Cartesian coordinates on planet surface
+            const location = {
+                x: Math.cos(lat) * Math.cos(lon),
+                y: Math.sin(lat),
+                z: Math.cos(lat) * Math.sin(lon)
+            };
+
+            if (!checkBiome || objectDef.biomes.includes(biomeAt(location))) return location;
+        }
+        return null;
+    }
+
     // Clear all objects from planet
     clearObjects(planetMesh) {
-        this.objects.forEach(obj => {
-            if (obj.mesh) {
-                // Remove from planet (or scene as fallback)
-                if (obj.mesh.parent) {
-                    obj.mesh.parent.remove(obj.mesh);
-                }
-                // Clean up geometry and materials
-                if (obj.mesh.geometry) obj.mesh.geometry.dispose();
-                if (obj.mesh.material) obj.mesh.material.dispose();
+        this.batches.forEach(batch => {
+            // Remove from planet (or scene as fallback)
+            if (batch.parent) {
+                batch.parent.remove(batch);
             }
+            // Clean up geometry, materials and instance buffers
+            batch.geometry.dispose();
+            batch.material.dispose();
+            batch.dispose();
         });
+        this.batches = [];
         this.objects = [];
+        this.sites = [];
+
+        if (this.spatialGrid) {
+            this.spatialGrid.clear();
+        }
+        this.maxObjectCollisionRadius = 0;
+    }
+
+    // Remove an object (e.g. once collected). Its instance shrinks to nothing, so the rest of the
+    // batch keeps drawing and keeps its instance ids.
+    removeObject(objectId) {
+        const index = this.objects.findIndex(o => o.id === objectId);
+        if (index === -1) return null;
+
+        const [obj] = this.objects.splice(index, 1);
+        if (this.spatialGrid) {
+            this.spatialGrid.remove(obj);
+        }
+        if (obj.batch) {
+            obj.batch.setMatrixAt(obj.instanceId, new THREE.Matrix4().makeScale(0, 0, 0));
+            obj.batch.instanceMatrix.needsUpdate = true;
+            obj.batch.userData.objects[obj.instanceId] = null;
+        }
+        return obj;
+    }
+
+    // Look up the object an instance draws, e.g. from a raycast hit's {object, instanceId}
+    getObjectByInstance(batch, instanceId) {
+        const objects = batch && batch.userData.objects;
+        return (objects && objects[instanceId]) || null;
     }
 
     // Check for collisions between rover and objects
-    checkCollisions(roverPosition) {
+    // roverLocalPosition is in planet-local space (same space objects are indexed in)
+    checkCollisions(roverLocalPosition) {
         const collisions = [];
-        
-        for (const obj of this.objects) {
-            // Get object's world position (since it's a child of the planet)
-            const objectWorldPos = new THREE.Vector3();
-            obj.mesh.getWorldPosition(objectWorldPos);
-            
-            const distance = roverPosition.distanceTo(objectWorldPos);
+        if (!this.spatialGrid) return collisions;
+
+        const reach = this.maxObjectCollisionRadius + this.collisionRadius;
+        for (const obj of this.spatialGrid.getNearby(roverLocalPosition, reach)) {
+            const distance = roverLocalPosition.distanceTo(obj.position);
             
             if (distance < obj.collisionRadius + this.collisionRadius) {
                 collisions.push({
                     object: obj,
                     distance: distance,
                     type: obj.type,
-                    worldPosition: objectWorldPos
+                    localPosition: obj.position
                 });
             }
         }
@@ -330,22 +684,17 @@ class PlanetObjectManager {
         return collisions;
     }
 
-    // Get objects within discovery range
-    getObjectsInRange(roverPosition, range = 10) {
-        return this.objects.filter(obj => {
-            const objectWorldPos = new THREE.Vector3();
-            obj.mesh.getWorldPosition(objectWorldPos);
-            const distance = roverPosition.distanceTo(objectWorldPos);
-            return distance <= range;
-        }).sort((a, b) => {
-            const objWorldPosA = new THREE.Vector3();
-            const objWorldPosB = new THREE.Vector3();
-            a.mesh.getWorldPosition(objWorldPosA);
-            b.mesh.getWorldPosition(objWorldPosB);
-            const distA = roverPosition.distanceTo(objWorldPosA);
-            const distB = roverPosition.distanceTo(objWorldPosB);
-            return distA - distB;
-        });
+    // Get objects within discovery range, nearest first
+    // roverLocalPosition is in planet-local space (same space objects are indexed in)
+    getObjectsInRange(roverLocalPosition, range = 10) {
+        if (!this.spatialGrid) return [];
+
+        // Compute each distance once, then sort on the cached value
+        return this.spatialGrid.getNearby(roverLocalPosition, range)
+            .map(obj => ({ obj, distance: roverLocalPosition.distanceTo(obj.position) }))
+            .filter(entry => entry.distance <= range)
+            .sort((a, b) => a.distance - b.distance)
+            .map(entry => entry.obj);
     }
 
     // Mark object as discovered
@@ -359,6 +708,51 @@ class PlanetObjectManager {
         return null;
     }
 
+    // Get undiscovered points of interest whose discovery radius the rover is inside
+    // roverLocalPosition is in planet-local space (same space objects are indexed in)
+    getSitesInRange(roverLocalPosition) {
+        return this.sites.filter(site => !site.discovered &&
+            roverLocalPosition.distanceTo(site.position) <= site.discoveryRadius);
+    }
+
+    // Mark a point of interest as discovered; its parts show up on the map with it
+    discoverSite(siteId) {
+        const site = this.sites.find(s => s.id === siteId);
+        if (site && !site.discovered) {
+            site.discovered = true;
+            site.parts.forEach(part => { part.discovered = true; });
+            console.log(`Discovered ${site.definition.name}: ${site.definition.description}`);
+            return site;
+        }
+        return null;
+    }
+
+    // Restore discovered flags (e.g. from the discovery journal) after regeneration
+    markDiscovered(objectIds) {
+        const ids = new Set(objectIds);
+        let restored = 0;
+        for (const obj of this.objects) {
+            if (ids.has(obj.id)) {
+                obj.discovered = true;
+                restored++;
+            }
+        }
+        for (const site of this.sites) {
+            if (ids.has(site.id)) {
+                site.discovered = true;
+                site.parts.forEach(part => { part.discovered = true; });
+                restored++;
+            }
+        }
+        return restored;
+    }
+
+    // Ids of discovered objects and points of interest, for saving
+    getDiscoveredIds() {
+        // Site parts come back with their site, so only the site is saved
+        return [...this.objects, ...this.sites].filter(obj => obj.discovered && !obj.site).map(obj => obj.id);
+    }
+
     // Get object statistics
     getObjectStats() {
         const stats = {};
@@ -389,6 +783,18 @@ class PlanetObjectManager {
     }
 }
 
+// Energy crystal colours; each is one crystal variant
+PlanetObjectManager.CRYSTAL_COLORS = [0x00FFFF, 0xFF00FF, 0x00FF00, 0xFFFF00, 0xFF8000];
+
+// Candidate locations a biome-specific object tries before it is skipped
+PlanetObjectManager.MAX_PLACEMENT_ATTEMPTS = 20;
+
 // Export singleton instance
 const planetObjectManager = new PlanetObjectManager();
-window.planetObjectManager = planetObjectManager; // Make globally accessible for debugging
\ No newline at end of file
+if (typeof window !== 'undefined') {
+    window.planetObjectManager = planetObjectManager; // Make globally accessible for debugging
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlanetObjectManager;
+}
\ No newline at end of file
@@ -14,12 +14,7 @@ class PlanetTypeManager {
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
-            const data = await response.json();
-            this.planetConfigs = data.planetTypes;
-            this.currentPlanetType = data.defaultPlanet || 'mars';
-            this.loaded = true;
-            console.log('Planet configurations loaded successfully:', Object.keys(this.planetConfigs));
-            console.log('Default planet set to:', this.currentPlanetType);
+            this.loadFromData(await response.json());
             return true;
         } catch (error) {
             console.error('Failed to load planet configurations:', error);
@@ -30,12 +25,26 @@ class PlanetTypeManager {
         }
     }
 
+    // Load planet configurations from already-parsed planets.json data (e.g. read from disk when headless)
+    loadFromData(data) {
+        if (!data || !data.planetTypes) {
+            throw new Error('Planet data must contain planetTypes');
+        }
+
+        this.planetConfigs = data.planetTypes;
+        this.currentPlanetType = data.defaultPlanet || 'mars';
+        this.loaded = true;
+        console.log('Planet configurations loaded successfully:', Object.keys(this.planetConfigs));
+        console.log('Default planet set to:', this.currentPlanetType);
+    }
+
     // Create fallback configuration if JSON loading fails
     createFallbackConfig() {
         this.planetConfigs = {
             mars: {
                 name: "Mars",
                 description: "Red planet with rocky terrain",
+                seed: 4211,
                 material: {
                     color: "0x8B4513",
                     flatShading: true
@@ -45,7 +54,26 @@ class PlanetTypeManager {
                     ambientIntensity: 0.3,
                     sunColor: "0xffffff",
                     sunIntensity: 0.8,
-                    sunPosition: [100, 50, 50]
+                    sunPosition: [100, 50, 50],
+                    dayLength: 246,
+                    nightAmbientColor: "0x101020",
+                    nightAmbientIntensity: 0.08
+                },
+                energy: {
+                    solarEfficiency: 0.8,
+                    drainMultiplier: 1.0
+                },
+                surface: {
+                    name: "dusty rock",
+                    traction: 0.9,
+                    turnGrip: 1.0,
+                    slipSlope: 30,
+                    sinkage: 0.05,
+                    drag: 0.05
+                },
+                physics: {
+                    gravity: 1.0,
+                    airDamping: 0.99
                 },
                 atmosphere: {
                     fogColor: null,
@@ -146,6 +174,13 @@ class PlanetTypeManager {
         return config.radius || 80; // Use configured radius or fallback to 80
     }
 
+    // Get planet seed - object placement and journal entries depend on this staying stable
+    getPlanetSeed(planetType = null) {
+        const config = planetType ? this.getPlanetConfig(planetType) : this.getCurrentPlanetConfig();
+        if (!config || config.seed === undefined || config.seed === null) return 12345; // Default fallback seed
+        return config.seed;
+    }
+
     // Convert hex string to THREE.js color
     parseColor(colorString) {
         if (!colorString) return null;
@@ -177,10 +212,57 @@ class PlanetTypeManager {
                 color: this.parseColor(config.lighting.sunColor),
                 intensity: config.lighting.sunIntensity,
                 position: config.lighting.sunPosition
+            },
+            // Seconds per full day/night cycle; planets saved before day/night support get the default
+            dayLength: config.lighting.dayLength !== undefined ? config.lighting.dayLength : 240,
+            night: {
+                color: this.parseColor(config.lighting.nightAmbientColor) ?? this.parseColor(config.lighting.ambientColor),
+                intensity: config.lighting.nightAmbientIntensity ?? config.lighting.ambientIntensity * 0.25
             }
         };
     }
 
+    // Get rover energy tuning - solar panel efficiency and battery drain scale
+    getEnergyProperties(planetType = null) {
+        const config = planetType ? this.getPlanetConfig(planetType) : this.getCurrentPlanetConfig();
+        const energy = config && config.energy ? config.energy : {};
+
+        return {
+            solarEfficiency: energy.solarEfficiency !== undefined ? energy.solarEfficiency : 1.0,
+            drainMultiplier: energy.drainMultiplier !== undefined ? energy.drainMultiplier : 1.0
+        };
+    }
+
+    // Get the surface material the rover drives on - traction, slope grip, sinkage and drag
+    getSurfaceProperties(planetType = null) {
+        const config = planetType ? this.getPlanetConfig(planetType) : this.getCurrentPlanetConfig();
+        const surface = config && config.surface ? config.surface : {};
+
+        return {
+            name: surface.name || 'ground',
+            traction: surface.traction !== undefined ? surface.traction : 1.0,
+            turnGrip: surface.turnGrip !== undefined ? surface.turnGrip : 1.0,
+            slipSlope: surface.slipSlope !== undefined ? surface.slipSlope : 35,
+            sinkage: surface.sinkage !== undefined ? surface.sinkage : 0,
+            drag: surface.drag !== undefined ? surface.drag : 0
+        };
+    }
+
+    // Get gravity (in g) and air damping, from the planet's physics block or derived from its
+    // radius, density and atmosphere (see PhysicsConfig.getPlanetPhysics)
+    getPhysicsProperties(planetType = null) {
+        const config = planetType ? this.getPlanetConfig(planetType) : this.getCurrentPlanetConfig();
+        const physics = config && config.physics ? config.physics : {};
+
+        return PhysicsConfig.getPlanetPhysics({
+            radius: config ? config.radius : undefined,
+            density: physics.density,
+            gravity: physics.gravity,
+            airDamping: physics.airDamping,
+            hasAtmosphere: !!(config && config.atmosphere && config.atmosphere.fogDensity > 0)
+        });
+    }
+
     // Get atmosphere properties
     getAtmosphereProperties(planetType = null) {
         const config = planetType ? this.getPlanetConfig(planetType) : this.getCurrentPlanetConfig();
@@ -189,6 +271,7 @@ class PlanetTypeManager {
         return {
             fog: config.atmosphere.fogColor ? {
                 color: this.parseColor(config.atmosphere.fogColor),
+                nightColor: this.parseColor(config.atmosphere.nightFogColor),
                 near: config.atmosphere.fogNear,
                 far: config.atmosphere.fogFar,
                 density: config.atmosphere.fogDensity
@@ -299,4 +382,10 @@ class PlanetTypeManager {
 
 // Export singleton instance
 const planetTypeManager = new PlanetTypeManager();
-window.planetTypeManager = planetTypeManager; // Make globally accessible for debugging
\ No newline at end of file
+if (typeof window !== 'undefined') {
+    window.planetTypeManager = planetTypeManager; // Make globally accessible for debugging
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlanetTypeManager;
+}
@@ -0,0 +1,263 @@
+/**
+ * PointOfInterestGenerator
+ *
+ * Places a few large, multi-part sites on each planet: ruined arches, stone circles of markers and
+ * crashed landers strewn with debris. Sites are laid out from the planet seed, so a world always
+ * has the same sites in the same places, and their parts are added to PlanetObjectManager as
+ * objects that the rover collides with. Reaching a site discovers it and pays out its reward.
+ *
+ * Sites keep clear of the landing point and of each other.
+ *
+ * Usage:
+ *   const poiGenerator = new PointOfInterestGenerator();
+ *   const sites = poiGenerator.populate(planetObjectManager, seed, planetRadius, planetMesh, terrainGenerator, materialProps);
+ *   sites[0].definition.name, sites[0].reward // {charge} or {repair}
+ */
+
+class PointOfInterestGenerator {
+    /**
+     * Create a generator
+     * @param {object} options - Overrides for any of the tuning values below
+     */
+    constructor(options = {}) {
+        this.minSites = options.minSites !== undefined ? options.minSites : 3;
+        this.maxSites = options.maxSites !== undefined ? options.maxSites : 5;
+        this.minSeparation = options.minSeparation !== undefined ? options.minSeparation : 0.6;       // Angle (radians) between site centres
+        this.spawnClearance = options.spawnClearance !== undefined ? options.spawnClearance : 0.35;   // Angle kept clear around the landing point
+        this.discoveryMargin = options.discoveryMargin !== undefined ? options.discoveryMargin : 6;   // Distance beyond a site's extent that discovers it
+        this.maxPlacementAttempts = 50;
+    }
+
+    /**
+     * Lay out the planet's sites and add their parts to the object manager
+     * @param {PlanetObjectManager} objectManager
+     * @param {number} seed - Planet seed
+     * @param {number} planetRadius
+     * @param {object} planetMesh - Object3D the part meshes are attached to
+     * @param {TerrainGenerator} terrainGenerator - Surface heights (optional: base radius without it)
+     * @param {object} materialProps - Planet material, which stone parts are tinted from
+     * @returns {array} Sites (see generateSites), with parts replaced by their objects
+     */
+    populate(objectManager, seed, planetRadius, planetMesh, terrainGenerator, materialProps) {
+        const sites = this.generateSites(seed, planetRadius, terrainGenerator);
+        objectManager.addSites(sites, planetMesh, materialProps, RNGUtils.createSeededRNG(seed + 5000));
+        return sites;
+    }
+
+    /**
+     * Lay out the planet's sites
+     * @param {number} seed - Planet seed
+     * @param {number} planetRadius
+     * @param {TerrainGenerator} terrainGenerator - Optional
+     * @returns {array} {id, type, definition, position, discoveryRadius, reward, discovered, parts}:
+     *   position is the planet-local centre on the surface, and parts are {type, position, size, rotation}
+     */
+    generateSites(seed, planetRadius, terrainGenerator = null) {
+        const rng = RNGUtils.createSeededRNG(seed + 4000);
+        const siteTypes = Object.keys(PointOfInterestGenerator.SITE_TYPES);
+        const count = rng.nextInt(this.minSites, this.maxSites + 1);
+
+        const sites = [];
+        const centres = [];
+        for (let i = 0; i < count; i++) {
+            const centre = this.pickCentre(rng, centres);
+            if (!centre) break; // The planet is too crowded for more
+
+            const type = rng.choice(siteTypes);
+            const definition = PointOfInterestGenerator.SITE_TYPES[type];
+            const spin = rng.next() * Math.PI * 2;
+            const frame = PointOfInterestGenerator.createFrame(centre);
+
+            const parts = this[definition.layout](rng).map(part => {
+                // Turn the layout by the site's spin, then drop each part onto the ground under it
+                const east = part.east * Math.cos(spin) - part.north * Math.sin(spin);
+                const north = part.east * Math.sin(spin) + part.north * Math.cos(spin);
+                const direction = frame.up.clone().multiplyScalar(planetRadius)
+                    .addScaledVector(frame.east, east)
+                    .addScaledVector(frame.north, north)
+                    .normalize();
+                const height = this.surfaceHeight(direction, planetRadius, terrainGenerator);
+
+                return {
+                    type: part.type,
+                    position: direction.multiplyScalar(height + part.size * 0.5 + (part.lift || 0)),
+                    size: part.size,
+                    rotation: spin + part.rotation
+                };
+            });
+
+            centres.push(centre);
+            sites.push({
+                id: `site_${i}`,
+                type: type,
+                definition: definition,
+                position: centre.clone().multiplyScalar(this.surfaceHeight(centre, planetRadius, terrainGenerator)),
+                discoveryRadius: definition.radius + this.discoveryMargin,
+                reward: { ...definition.reward },
+                discovered: false,
+                parts: parts
+            });
+        }
+
+        return sites;
+    }
+
+    /**
+     * Random site centre clear of the landing point (planet-local +Y), the poles and other sites
+     * @param {object} rng
+     * @param {array} centres - Unit vectors of sites placed so far
+     * @returns {THREE.Vector3|null} Unit vector, or null when no spot was found
+     */
+    pickCentre(rng, centres) {
+        const minSeparationCos = Math.cos(this.minSeparation);
+        const spawnClearanceCos = Math.cos(this.spawnClearance);
+
+        for (let attempt = 0; attempt < this.maxPlacementAttempts; attempt++) {
+            // Uniform over the sphere
+            const y = rng.next() * 2 - 1;
+            const lon = rng.next() * Math.PI * 2;
+            const ring = Math.sqrt(1 - y * y);
+            const centre = new THREE.Vector3(ring * Math.cos(lon), y, ring * Math.sin(lon));
+
+            if (y > spawnClearanceCos || Math.abs(y) > 0.95) continue;
+            if (centres.some(other => other.dot(centre) > minSeparationCos)) continue;
+            return centre;
+        }
+        return null;
+    }
+
+    /**
+     * Terrain height along a direction
+     * @param {object} direction - Unit vector
+     * @param {number} planetRadius
+     * @param {TerrainGenerator} terrainGenerator - Optional
+     * @returns {number}
+     */
+    surfaceHeight(direction, planetRadius, terrainGenerator) {
+        if (!terrainGenerator) return planetRadius;
+
+        const height = terrainGenerator.heightAt(direction).height;
+        return height !== undefined && !isNaN(height) ? height : planetRadius;
+    }
+
+    /**
+     * Surface frame at a site centre. East and north match the local X and Y axes placed objects
+     * get from PlanetObjectManager, so a part's rotation lines up with the layout.
+     * @param {THREE.Vector3} up - Unit vector
+     * @returns {object} {up, east, north}
+     */
+    static createFrame(up) {
+        const east = new THREE.Vector3(0, 1, 0).cross(up).normalize();
+        const north = up.clone().cross(east);
+        return { up, east, north };
+    }
+
+    // Layouts: parts as {type, east, north, size, rotation, lift} in surface units around the centre
+
+    /**
+     * Two pillars under a lintel, with fallen blocks nearby
+     * @param {object} rng
+     * @returns {array}
+     */
+    layoutRuinedArch(rng) {
+        const size = rng.nextFloat(1.2, 1.6);
+        const parts = [
+            { type: 'archPillar', east: -2.2 * size, north: 0, size, rotation: 0 },
+            { type: 'archPillar', east: 2.2 * size, north: 0, size, rotation: 0 },
+            { type: 'archLintel', east: 0, north: 0, size, rotation: 0, lift: 3 * size }
+        ];
+
+        const rubble = rng.nextInt(1, 4);
+        for (let i = 0; i < rubble; i++) {
+            const angle = rng.next() * Math.PI * 2;
+            const distance = rng.nextFloat(5, 8);
+            parts.push({
+                type: 'marker',
+                east: Math.cos(angle) * distance,
+                north: Math.sin(angle) * distance,
+                size: rng.nextFloat(1.2, 2),
+                rotation: rng.next() * Math.PI * 2
+            });
+        }
+        return parts;
+    }
+
+    /**
+     * Ring of markers around a larger central one
+     * @param {object} rng
+     * @returns {array}
+     */
+    layoutStoneCircle(rng) {
+        const stones = rng.nextInt(6, 10);
+        const radius = rng.nextFloat(6, 8);
+        const parts = [{ type: 'marker', east: 0, north: 0, size: 3.5, rotation: rng.next() * Math.PI * 2 }];
+
+        for (let i = 0; i < stones; i++) {
+            const angle = (i / stones) * Math.PI * 2;
+            parts.push({
+                type: 'marker',
+                east: Math.cos(angle) * radius,
+                north: Math.sin(angle) * radius,
+                size: rng.nextFloat(2, 3),
+                rotation: angle + Math.PI / 2 // Stones lie along the ring
+            });
+        }
+        return parts;
+    }
+
+    /**
+     * Lander hull at the end of a skid trail of debris
+     * @param {object} rng
+     * @returns {array}
+     */
+    layoutCrashedLander(rng) {
+        const parts = [{ type: 'landerHull', east: 0, north: 0, size: rng.nextFloat(1.5, 2.2), rotation: rng.next() * Math.PI * 2 }];
+
+        const debris = rng.nextInt(5, 9);
+        for (let i = 0; i < debris; i++) {
+            parts.push({
+                type: 'debris',
+                east: rng.nextFloat(-2.5, 2.5),
+                north: -5 - i * 2 - rng.next() * 1.5,
+                size: rng.nextFloat(0.6, 1.6),
+                rotation: rng.next() * Math.PI * 2
+            });
+        }
+        return parts;
+    }
+}
+
+// Site types. radius is the site's extent from its centre; reward is paid out on discovery:
+// charge tops up the battery, repair restores that much health to every subsystem.
+PointOfInterestGenerator.SITE_TYPES = {
+    ruinedArch: {
+        name: 'Ruined Arch',
+        description: 'Weathered gateway left by a vanished civilisation',
+        layout: 'layoutRuinedArch',
+        radius: 8,
+        reward: { charge: 30 }
+    },
+    stoneCircle: {
+        name: 'Stone Circle',
+        description: 'Ring of standing markers that still hums with stored energy',
+        layout: 'layoutStoneCircle',
+        radius: 9,
+        reward: { charge: 50 }
+    },
+    crashedLander: {
+        name: 'Crashed Lander',
+        description: 'Wreck of an earlier expedition, with spare parts still aboard',
+        layout: 'layoutCrashedLander',
+        radius: 22,
+        reward: { repair: 0.5 }
+    }
+};
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.PointOfInterestGenerator = PointOfInterestGenerator;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PointOfInterestGenerator;
+}
@@ -0,0 +1,120 @@
+/**
+ * DayNightCycle
+ *
+ * Tracks time of day on the current planet and works out where the sun is.
+ * The sun circles the planet's local Z axis once per day, starting from the configured
+ * lighting.sunPosition. Because the rover stays on top of the world and the planet rotates
+ * underneath it, the planet quaternion is applied afterwards: driving around the planet
+ * moves the rover towards or away from local noon, just like the passage of time does.
+ *
+ * Usage:
+ *   const cycle = new DayNightCycle();
+ *   cycle.configure({ dayLength: 240, sunPosition: [100, 50, 50] });
+ *   cycle.update(deltaSeconds);
+ *   const sunDirection = cycle.getSunDirection(planetQuaternion);
+ *   const daylight = DayNightCycle.daylightFactor(sunDirection);
+ */
+
+class DayNightCycle {
+    /**
+     * Create a day/night cycle
+     * @param {object} options - {dayLength, sunPosition, timeOfDay}
+     */
+    constructor(options = {}) {
+        this.dayLength = 240; // Seconds for a full day; 0 freezes the sun in place
+        this.baseSunDirection = { x: 0, y: 1, z: 0 };
+        this.timeOfDay = options.timeOfDay || 0; // 0-1, 0 = configured sun position
+
+        this.configure(options);
+    }
+
+    /**
+     * How much daylight reaches a point on the surface
+     * @param {object} sunDirection - Direction towards the sun {x, y, z}
+     * @param {object} up - Surface up direction (default world up, where the rover sits)
+     * @returns {number} 0 (night) to 1 (full day), easing through dawn and dusk
+     */
+    static daylightFactor(sunDirection, up = { x: 0, y: 1, z: 0 }) {
+        const elevation = sunDirection.x * up.x + sunDirection.y * up.y + sunDirection.z * up.z;
+
+        // Smoothstep from just below the horizon to a little above it
+        const t = Math.max(0, Math.min(1, (elevation + 0.15) / 0.4));
+        return t * t * (3 - 2 * t);
+    }
+
+    /**
+     * Apply per-planet lighting settings
+     * @param {object} config - {dayLength, sunPosition}
+     */
+    configure(config = {}) {
+        if (config.dayLength !== undefined) {
+            this.dayLength = config.dayLength;
+        }
+
+        if (config.sunPosition) {
+            const [x, y, z] = config.sunPosition;
+            const length = Math.sqrt(x * x + y * y + z * z) || 1;
+            this.baseSunDirection = { x: x / length, y: y / length, z: z / length };
+        }
+    }
+
+    /**
+     * Advance time of day
+     * @param {number} deltaSeconds
+     */
+    update(deltaSeconds) {
+        if (!(this.dayLength > 0)) return;
+
+        this.timeOfDay = (this.timeOfDay + deltaSeconds / this.dayLength) % 1;
+    }
+
+    /**
+     * Start the day over at the configured sun position
+     */
+    reset() {
+        this.timeOfDay = 0;
+    }
+
+    /**
+     * Sun direction in the planet's local frame
+     * @returns {object} Unit vector {x, y, z}
+     */
+    getLocalSunDirection() {
+        const angle = this.timeOfDay * Math.PI * 2;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const d = this.baseSunDirection;
+
+        return {
+            x: d.x * cos - d.y * sin,
+            y: d.x * sin + d.y * cos,
+            z: d.z,
+        };
+    }
+
+    /**
+     * Sun direction in world space
+     * @param {object} planetQuaternion - Planet orientation {x, y, z, w}, or null for none
+     * @returns {object} Unit vector {x, y, z}
+     */
+    getSunDirection(planetQuaternion = null) {
+        const v = this.getLocalSunDirection();
+        if (!planetQuaternion) return v;
+
+        // v' = v + w * t + q x t, where t = 2 * (q x v)
+        const { x: qx, y: qy, z: qz, w: qw } = planetQuaternion;
+        const tx = 2 * (qy * v.z - qz * v.y);
+        const ty = 2 * (qz * v.x - qx * v.z);
+        const tz = 2 * (qx * v.y - qy * v.x);
+
+        return {
+            x: v.x + qw * tx + (qy * tz - qz * ty),
+            y: v.y + qw * ty + (qz * tx - qx * tz),
+            z: v.z + qw * tz + (qx * ty - qy * tx),
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DayNightCycle;
+}
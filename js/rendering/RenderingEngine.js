@@ -19,6 +19,16 @@ class RenderingEngine {
         this.rover = null;
         this.planetRadius = 80;
 
+        // Lights and palettes blended by the day/night cycle
+        this.sunLight = null;
+        this.ambientLight = null;
+        this.sunIntensity = 0.8;
+        this.sunDistance = 100;
+        this.dayAmbient = { color: new THREE.Color(0x404040), intensity: 0.3 };
+        this.nightAmbient = { color: new THREE.Color(0x101020), intensity: 0.08 };
+        this.dayFogColor = null;
+        this.nightFogColor = null;
+
         // Mouse control state
         this.mouseDown = false;
         this.mouseX = 0;
@@ -167,20 +177,17 @@ class RenderingEngine {
         window.updateCameraPosition = this.updateCameraPosition;
     }
 
-    handlePixelSizeControls(keys) {
-        // Pixel size controls
-        if (keys['Minus'] || keys['NumpadSubtract']) {
-            this.pixelSize = Math.max(1, this.pixelSize - 1);
-            this.updatePixelArtSize();
-            console.log('Pixel size:', this.pixelSize);
-            return true;
-        } else if (keys['Equal'] || keys['NumpadAdd']) {
-            this.pixelSize = Math.min(8, this.pixelSize + 1);
-            this.updatePixelArtSize();
-            console.log('Pixel size:', this.pixelSize);
-            return true;
-        }
-        return false;
+    // Step the pixel size up or down, within 1-8
+    changePixelSize(delta) {
+        this.pixelSize = Math.max(1, Math.min(8, this.pixelSize + delta));
+        this.updatePixelArtSize();
+        console.log('Pixel size:', this.pixelSize);
+    }
+
+    // Orbit the camera around the rover; used by analog inputs such as a gamepad's right stick
+    orbitCamera(deltaTheta, deltaPhi) {
+        this.cameraAngle.theta += deltaTheta;
+        this.cameraAngle.phi = Math.max(0.1, Math.min(Math.PI - 0.1, this.cameraAngle.phi + deltaPhi));
     }
 
     handleWindowResize() {
@@ -207,6 +214,14 @@ class RenderingEngine {
         const sunColor = lightingProps ? lightingProps.sun.color : 0xffffff;
         const sunIntensity = lightingProps ? lightingProps.sun.intensity : 0.8;
         const sunPosition = lightingProps ? lightingProps.sun.position : [100, 50, 50];
+        const nightAmbientColor = lightingProps ? lightingProps.night.color : 0x101020;
+        const nightAmbientIntensity = lightingProps ? lightingProps.night.intensity : 0.08;
+
+        // Remember both palettes so updateDaylight can blend between them
+        this.dayAmbient = { color: new THREE.Color(ambientColor), intensity: ambientIntensity };
+        this.nightAmbient = { color: new THREE.Color(nightAmbientColor), intensity: nightAmbientIntensity };
+        this.sunIntensity = sunIntensity;
+        this.sunDistance = Math.sqrt(sunPosition[0] ** 2 + sunPosition[1] ** 2 + sunPosition[2] ** 2);
 
         // Remove existing lights
         const existingLights = this.scene.children.filter(child =>
@@ -216,10 +231,12 @@ class RenderingEngine {
 
         // Ambient light
         const ambientLight = new THREE.AmbientLight(ambientColor, ambientIntensity);
+        this.ambientLight = ambientLight;
         this.scene.add(ambientLight);
 
         // Directional light (sun)
         const directionalLight = new THREE.DirectionalLight(sunColor, sunIntensity);
+        this.sunLight = directionalLight;
         directionalLight.position.set(sunPosition[0], sunPosition[1], sunPosition[2]);
         directionalLight.castShadow = true;
         directionalLight.shadow.mapSize.width = 2048;
@@ -239,6 +256,8 @@ class RenderingEngine {
 
         // Clear existing fog
         this.scene.fog = null;
+        this.dayFogColor = null;
+        this.nightFogColor = null;
 
         // Apply fog if the planet has atmospheric settings
         if (atmosphereProps && atmosphereProps.fog) {
@@ -250,6 +269,12 @@ class RenderingEngine {
                 fogSettings.density
             );
 
+            // Night fog falls back to a darkened day fog
+            this.dayFogColor = new THREE.Color(fogSettings.color);
+            this.nightFogColor = fogSettings.nightColor !== null && fogSettings.nightColor !== undefined
+                ? new THREE.Color(fogSettings.nightColor)
+                : this.dayFogColor.clone().multiplyScalar(0.25);
+
             console.log('Applied atmospheric fog:', {
                 color: fogSettings.color.toString(16),
                 density: fogSettings.density
@@ -259,6 +284,22 @@ class RenderingEngine {
         }
     }
 
+    // Move the sun and blend ambient light and fog between the night (0) and day (1) palettes
+    updateDaylight(sunDirection, daylight) {
+        if (!this.sunLight || !this.ambientLight) return;
+
+        this.sunLight.position.set(sunDirection.x, sunDirection.y, sunDirection.z).multiplyScalar(this.sunDistance);
+        this.sunLight.intensity = this.sunIntensity * daylight;
+
+        this.ambientLight.color.copy(this.nightAmbient.color).lerp(this.dayAmbient.color, daylight);
+        this.ambientLight.intensity = this.nightAmbient.intensity +
+            (this.dayAmbient.intensity - this.nightAmbient.intensity) * daylight;
+
+        if (this.scene.fog && this.dayFogColor) {
+            this.scene.fog.color.copy(this.nightFogColor).lerp(this.dayFogColor, daylight);
+        }
+    }
+
     // Getters for external access
     getPixelSize() {
         return this.pixelSize;
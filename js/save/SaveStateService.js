@@ -0,0 +1,163 @@
+/**
+ * SaveStateService
+ *
+ * Persists the current expedition (planet, planet orientation, rover pose and discovery
+ * flags) so a reload can pick up where the player left off.
+ *
+ * Saves are versioned JSON: {version, savedAt, state}. When the shape of the state changes,
+ * bump VERSION and add a migration keyed by the version it upgrades from; older saves are
+ * passed through each migration in turn when loaded. Saves from a newer version than this
+ * build understands are ignored rather than half-restored.
+ *
+ * Usage:
+ *   const saves = new SaveStateService({ storageKey: GameConfig.storageKeyCurrentState });
+ *   saves.save(gameEngine.captureSaveState());
+ *   const state = saves.load();
+ *   if (state) gameEngine.restoreSaveState(state);
+ */
+
+class SaveStateService {
+    /**
+     * Create a save state service
+     * @param {object} options - {storage, storageKey, version, migrations}
+     */
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.storageKey = options.storageKey || 'pixelPlanetRover_currentState';
+        this.version = options.version || SaveStateService.VERSION;
+        this.migrations = options.migrations || SaveStateService.MIGRATIONS;
+    }
+
+    /**
+     * Check that a state has everything needed to restore it
+     * @param {object} state
+     * @returns {boolean}
+     */
+    static isValidState(state) {
+        return Boolean(
+            state &&
+            state.planet && typeof state.planet.id === 'string' &&
+            state.planetQuaternion &&
+            state.rover && state.rover.position
+        );
+    }
+
+    /**
+     * Wrap a state in the versioned save format
+     * @param {object} state
+     * @returns {object} {version, savedAt, state}
+     */
+    serialize(state) {
+        return {
+            version: this.version,
+            savedAt: Date.now(),
+            state,
+        };
+    }
+
+    /**
+     * Upgrade saved data to the current version
+     * @param {object} data - {version, savedAt, state}
+     * @returns {object|null} Migrated data, or null if it cannot be upgraded
+     */
+    migrate(data) {
+        let migrated = data;
+        let version = migrated.version || 1;
+
+        if (version > this.version) {
+            console.warn(`[SaveStateService] Save version ${version} is newer than supported version ${this.version}`);
+            return null;
+        }
+
+        while (version < this.version) {
+            const migration = this.migrations[version];
+            if (!migration) {
+                console.warn(`[SaveStateService] No migration from save version ${version}`);
+                return null;
+            }
+
+            migrated = { ...migrated, state: migration(migrated.state), version: version + 1 };
+            version++;
+        }
+
+        return migrated;
+    }
+
+    /**
+     * Write a state to storage
+     * @param {object} state
+     * @returns {boolean} Whether the state was saved
+     */
+    save(state) {
+        if (!this.storage) return false;
+
+        if (!SaveStateService.isValidState(state)) {
+            console.warn('[SaveStateService] Refusing to save incomplete state');
+            return false;
+        }
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.serialize(state)));
+            return true;
+        } catch (error) {
+            console.error('[SaveStateService] Failed to save game state:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Read and migrate the saved state
+     * @returns {object|null} The saved state, or null if there is no usable save
+     */
+    load() {
+        if (!this.storage) return null;
+
+        try {
+            const stored = this.storage.getItem(this.storageKey);
+            if (!stored) return null;
+
+            const data = this.migrate(JSON.parse(stored));
+            if (!data || !SaveStateService.isValidState(data.state)) {
+                return null;
+            }
+
+            return data.state;
+        } catch (error) {
+            console.error('[SaveStateService] Failed to load game state:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Whether a usable save exists
+     * @returns {boolean}
+     */
+    hasSave() {
+        return this.load() !== null;
+    }
+
+    /**
+     * Delete the saved state
+     */
+    clear() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.removeItem(this.storageKey);
+        } catch (error) {
+            console.error('[SaveStateService] Failed to clear game state:', error);
+        }
+    }
+}
+
+// Current save format version
+SaveStateService.VERSION = 1;
+
+// version -> function(state) returning the state upgraded to version + 1
+SaveStateService.MIGRATIONS = {};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaveStateService;
+}
@@ -1,39 +1,53 @@
 // TerrainGenerator.js - Handles all terrain generation algorithms
 class TerrainGenerator {
     constructor() {
-        // No state needed for pure terrain generation functions
+        // Seeded gradient noise shared by every terrain layer; GameEngine reseeds per planet
+        this.setSeed(12345);
+
+        // Terrain stack inputs for analytic height queries (set by configure)
+        this.terrainProps = {};
+        this.planetRadius = 80;
+    }
+
+    // Rebuild the noise permutation table for a planet seed
+    setSeed(seed) {
+        this.seed = seed;
+        this.noise = new SimplexNoise(seed);
+    }
+
+    // Project a position onto the unit sphere so sampling has no lat/lon seams
+    toUnitSphere(x, y, z) {
+        const radius = Math.sqrt(x*x + y*y + z*z) || 1;
+        return { x: x / radius, y: y / radius, z: z / radius };
+    }
+
+    // Sample noise on the unit sphere at a given frequency; offset decorrelates layers
+    sphereNoise(dir, scale, offset = 0) {
+        return this.improvedNoise(dir.x * scale + offset, dir.y * scale + offset, dir.z * scale + offset);
     }
 
     // Advanced noise generation functions for terrain
     generateLayeredNoise(x, y, z, scale, amplitude) {
-        // Convert to spherical coordinates for better planet-wide noise distribution
-        const radius = Math.sqrt(x*x + y*y + z*z);
-        const lat = Math.asin(y / radius);
-        const lon = Math.atan2(z, x);
+        const dir = this.toUnitSphere(x, y, z);
 
-        // Layer 1: Base terrain using improved Perlin-like noise
-        const baseNoise = this.improvedNoise(lon * scale * 4, lat * scale * 4, 0) * amplitude * 3.0;
+        // Layer 1: Base terrain
+        const baseNoise = this.sphereNoise(dir, scale * 4, 0) * amplitude * 3.0;
 
         // Layer 2: Mid-frequency features (hills, valleys)
-        const midNoise = this.improvedNoise(lon * scale * 8, lat * scale * 8, 100) * amplitude * 2.0;
+        const midNoise = this.sphereNoise(dir, scale * 8, 100) * amplitude * 2.0;
 
         // Layer 3: High-frequency detail (surface roughness)
-        const detailNoise = this.improvedNoise(lon * scale * 16, lat * scale * 16, 200) * amplitude * 1.0;
+        const detailNoise = this.sphereNoise(dir, scale * 16, 200) * amplitude * 1.0;
 
         // Layer 4: Large-scale continental features
-        const continentalNoise = this.improvedNoise(lon * scale * 1, lat * scale * 1, 300) * amplitude * 2.0;
+        const continentalNoise = this.sphereNoise(dir, scale * 1, 300) * amplitude * 2.0;
 
         return baseNoise + midNoise + detailNoise + continentalNoise;
     }
 
     improvedNoise(x, y, z) {
-        // Improved noise function with better distribution than simple sin/cos
-        const a = Math.sin(x * 1.2) * Math.cos(y * 0.8) * Math.sin(z * 1.5);
-        const b = Math.cos(x * 2.1) * Math.sin(y * 1.7) * Math.cos(z * 0.9);
-        const c = Math.sin(x * 0.5) * Math.sin(y * 2.3) * Math.cos(z * 1.8);
-
-        // Combine with different weights for more natural variation
-        return (a * 0.5 + b * 0.3 + c * 0.2);
+        // Seeded 3D simplex noise, roughly in [-1, 1]
+        return this.noise.noise3D(x, y, z);
     }
 
     ridgedNoise(x, y, z) {
@@ -58,10 +72,7 @@ class TerrainGenerator {
     }
 
     generateMountains(x, y, z, planetRadius, terrainProps) {
-        // Convert to spherical coordinates
-        const radius = Math.sqrt(x*x + y*y + z*z);
-        const lat = Math.asin(y / radius);
-        const lon = Math.atan2(z, x);
+        const dir = this.toUnitSphere(x, y, z);
 
         // Get mountain density from terrain properties, with fallback
         const mountainDensity = terrainProps && terrainProps.mountainDensity !== undefined ?
@@ -73,14 +84,15 @@ class TerrainGenerator {
 
         // Generate mountain ranges using ridged noise
         const ridgeScale = 3;
-        const ridgeNoise = this.ridgedNoise(lon * ridgeScale, lat * ridgeScale, 0);
+        const ridgeNoise = this.ridgedNoise(dir.x * ridgeScale, dir.y * ridgeScale, dir.z * ridgeScale);
 
         // Only create mountains where ridge noise is high
         if (ridgeNoise > 0.6) {
             const mountainHeight = (ridgeNoise - 0.6) * 0.4 * mountainDensity;
 
             // Add jagged peaks using higher frequency noise
-            const peakNoise = this.turbulence(lon * ridgeScale * 4, lat * ridgeScale * 4, 0, 3);
+            const peakScale = ridgeScale * 4;
+            const peakNoise = this.turbulence(dir.x * peakScale, dir.y * peakScale, dir.z * peakScale, 3);
             const jaggedPeaks = peakNoise * mountainHeight * 0.3;
 
             mountainEffect += (mountainHeight * 120 + jaggedPeaks * 50); // EXTREME mountains
@@ -88,7 +100,7 @@ class TerrainGenerator {
 
         // Generate isolated hills
         const hillScale = 6;
-        const hillNoise = this.improvedNoise(lon * hillScale + 500, lat * hillScale + 500, 0);
+        const hillNoise = this.sphereNoise(dir, hillScale, 500);
 
         if (hillNoise > 0.5 && Math.abs(hillNoise) < 0.8) {
             const hillHeight = (Math.abs(hillNoise) - 0.5) * 0.3 * mountainDensity;
@@ -100,17 +112,14 @@ class TerrainGenerator {
 
         // Add rolling terrain variation
         const rollingScale = 4;
-        const rollingNoise = this.improvedNoise(lon * rollingScale, lat * rollingScale, 700);
+        const rollingNoise = this.sphereNoise(dir, rollingScale, 700);
         mountainEffect += rollingNoise * mountainDensity * 20;
 
         return mountainEffect;
     }
 
     generateValleys(x, y, z, planetRadius, terrainProps) {
-        // Convert to spherical coordinates
-        const radius = Math.sqrt(x*x + y*y + z*z);
-        const lat = Math.asin(y / radius);
-        const lon = Math.atan2(z, x);
+        const dir = this.toUnitSphere(x, y, z);
 
         // Get valley density from terrain properties, with fallback
         const valleyDensity = terrainProps && terrainProps.valleyDensity !== undefined ?
@@ -122,7 +131,7 @@ class TerrainGenerator {
 
         // Generate river valleys using inverted ridged noise
         const riverScale = 2.5;
-        const riverNoise = this.ridgedNoise(lon * riverScale + 100, lat * riverScale + 100, 0);
+        const riverNoise = this.ridgedNoise(dir.x * riverScale + 100, dir.y * riverScale + 100, dir.z * riverScale + 100);
 
         // Create valleys where ridge noise is low (invert the ridged effect)
         const invertedRidge = 1.0 - riverNoise;
@@ -130,7 +139,7 @@ class TerrainGenerator {
             const valleyDepth = (invertedRidge - 0.7) * 0.3 * valleyDensity;
 
             // Add meandering effect to valleys
-            const meanderNoise = this.improvedNoise(lon * riverScale * 3, lat * riverScale * 3, 400);
+            const meanderNoise = this.sphereNoise(dir, riverScale * 3, 400);
             const meandering = meanderNoise * valleyDepth * 0.2;
 
             valleyEffect -= (valleyDepth * 100 + meandering * 40); // EXTREME valleys
@@ -138,8 +147,8 @@ class TerrainGenerator {
 
         // Generate canyon systems using layered noise
         const canyonScale = 1.8;
-        const canyonNoise1 = this.improvedNoise(lon * canyonScale, lat * canyonScale, 600);
-        const canyonNoise2 = this.improvedNoise(lon * canyonScale * 2, lat * canyonScale * 2, 800);
+        const canyonNoise1 = this.sphereNoise(dir, canyonScale, 600);
+        const canyonNoise2 = this.sphereNoise(dir, canyonScale * 2, 800);
 
         // Combine noises to create canyon network
         const canyonPattern = canyonNoise1 * 0.7 + canyonNoise2 * 0.3;
@@ -148,7 +157,7 @@ class TerrainGenerator {
             const canyonDepth = (0.6 - Math.abs(canyonPattern - 0.5) * 2) * valleyDensity;
 
             // Add canyon wall steepness
-            const wallNoise = this.improvedNoise(lon * canyonScale * 8, lat * canyonScale * 8, 1000);
+            const wallNoise = this.sphereNoise(dir, canyonScale * 8, 1000);
             const wallEffect = wallNoise * canyonDepth * 0.1;
 
             valleyEffect -= (canyonDepth * 90 + wallEffect * 30); // EXTREME canyons
@@ -156,7 +165,7 @@ class TerrainGenerator {
 
         // Add small gullies and erosion channels
         const gullyScale = 8;
-        const gullyNoise = this.turbulence(lon * gullyScale, lat * gullyScale, 1200, 2);
+        const gullyNoise = this.turbulence(dir.x * gullyScale + 1200, dir.y * gullyScale + 1200, dir.z * gullyScale + 1200, 2);
 
         if (Math.abs(gullyNoise) > 0.6) {
             const gullyDepth = (Math.abs(gullyNoise) - 0.6) * 0.4 * valleyDensity;
@@ -167,10 +176,7 @@ class TerrainGenerator {
     }
 
     generateCliffs(x, y, z, planetRadius, terrainProps) {
-        // Convert to spherical coordinates
-        const radius = Math.sqrt(x*x + y*y + z*z);
-        const lat = Math.asin(y / radius);
-        const lon = Math.atan2(z, x);
+        const dir = this.toUnitSphere(x, y, z);
 
         // Get cliff density from terrain properties, with fallback
         const cliffDensity = terrainProps && terrainProps.cliffDensity !== undefined ?
@@ -182,7 +188,7 @@ class TerrainGenerator {
 
         // Generate cliff lines using sharp transitions in noise
         const cliffScale = 3.5;
-        const cliffNoise = this.improvedNoise(lon * cliffScale, lat * cliffScale, 1500);
+        const cliffNoise = this.sphereNoise(dir, cliffScale, 1500);
 
         // Create sharp discontinuities for cliff faces
         const cliffThreshold = 0.3;
@@ -199,13 +205,13 @@ class TerrainGenerator {
             cliffEffect += stepFunction * cliffHeight * 80; // EXTREME cliffs
 
             // Add cliff face texture using high frequency noise
-            const faceTexture = this.improvedNoise(lon * cliffScale * 8, lat * cliffScale * 8, 2000);
+            const faceTexture = this.sphereNoise(dir, cliffScale * 8, 2000);
             cliffEffect += faceTexture * cliffHeight * 2;
         }
 
         // Generate terraced cliffs (like sedimentary layers)
         const terraceScale = 2;
-        const terraceNoise = this.improvedNoise(lon * terraceScale, lat * terraceScale, 2500);
+        const terraceNoise = this.sphereNoise(dir, terraceScale, 2500);
 
         if (Math.abs(terraceNoise) > 0.5) {
             const terraceHeight = (Math.abs(terraceNoise) - 0.5) * 2.0 * cliffDensity;
@@ -220,8 +226,8 @@ class TerrainGenerator {
 
         // Generate fault lines (linear cliff features)
         const faultScale = 1.5;
-        const fault1 = this.improvedNoise(lon * faultScale + 0.5, lat * faultScale, 3000);
-        const fault2 = this.improvedNoise(lon * faultScale, lat * faultScale + 0.5, 3500);
+        const fault1 = this.sphereNoise(dir, faultScale, 3000);
+        const fault2 = this.sphereNoise(dir, faultScale, 3500);
 
         // Create linear discontinuities
         const faultPattern = Math.abs(fault1 * fault2);
@@ -237,10 +243,7 @@ class TerrainGenerator {
     }
 
     generateMesas(x, y, z, planetRadius, terrainProps) {
-        // Convert to spherical coordinates
-        const radius = Math.sqrt(x*x + y*y + z*z);
-        const lat = Math.asin(y / radius);
-        const lon = Math.atan2(z, x);
+        const dir = this.toUnitSphere(x, y, z);
 
         // Get mesa density from terrain properties, with fallback
         const mesaDensity = terrainProps && terrainProps.mesaDensity !== undefined ?
@@ -252,7 +255,7 @@ class TerrainGenerator {
 
         // Generate large flat-topped mesas
         const mesaScale = 1.8;
-        const mesaBase = this.improvedNoise(lon * mesaScale, lat * mesaScale, 4000);
+        const mesaBase = this.sphereNoise(dir, mesaScale, 4000);
 
         if (mesaBase > 0.4) {
             // Create flat-topped mesa with steep sides
@@ -278,14 +281,14 @@ class TerrainGenerator {
 
             // Add mesa edge erosion details
             if (distanceFromCenter >= 0.25 && distanceFromCenter <= 0.35) {
-                const erosion = this.improvedNoise(lon * mesaScale * 12, lat * mesaScale * 12, 4500);
+                const erosion = this.sphereNoise(dir, mesaScale * 12, 4500);
                 mesaEffect += erosion * mesaHeight * 3; // Edge detail
             }
         }
 
         // Generate smaller buttes (mini-mesas)
         const butteScale = 4;
-        const butteNoise = this.improvedNoise(lon * butteScale + 200, lat * butteScale + 200, 0);
+        const butteNoise = this.sphereNoise(dir, butteScale, 4200);
 
         if (butteNoise > 0.6) {
             const butteHeight = (butteNoise - 0.6) * 2.5 * mesaDensity;
@@ -307,13 +310,13 @@ class TerrainGenerator {
 
         // Generate plateau regions (large flat areas)
         const plateauScale = 0.8;
-        const plateauNoise = this.improvedNoise(lon * plateauScale, lat * plateauScale, 5000);
+        const plateauNoise = this.sphereNoise(dir, plateauScale, 5000);
 
         if (plateauNoise > 0.3 && plateauNoise < 0.7) {
             const plateauHeight = (0.7 - Math.abs(plateauNoise - 0.5) * 2) * mesaDensity;
 
             // Large, gently undulating flat areas
-            const plateauVariation = this.improvedNoise(lon * plateauScale * 3, lat * plateauScale * 3, 5500);
+            const plateauVariation = this.sphereNoise(dir, plateauScale * 3, 5500);
             const flatness = plateauHeight * 8 + plateauVariation * plateauHeight * 1.5;
 
             mesaEffect += flatness;
@@ -323,10 +326,7 @@ class TerrainGenerator {
     }
 
     generateCraters(x, y, z, planetRadius, terrainProps) {
-        // Convert to spherical coordinates
-        const radius = Math.sqrt(x*x + y*y + z*z);
-        const lat = Math.asin(y / radius);
-        const lon = Math.atan2(z, x);
+        const dir = this.toUnitSphere(x, y, z);
 
         // Get crater density from terrain properties, with fallback
         const craterDensity = terrainProps && terrainProps.craterDensity !== undefined ?
@@ -345,17 +345,13 @@ class TerrainGenerator {
 
         craterSizes.forEach(crater => {
             // Create crater centers using noise as a pseudo-random field
-            const centerNoise = this.improvedNoise(lon * crater.scale + 1000, lat * crater.scale + 2000, 0);
+            const centerNoise = this.sphereNoise(dir, crater.scale, 1000);
 
             if (centerNoise > (1.0 - crater.density)) {
-                // Calculate distance from crater center
-                const craterLat = lat + (this.improvedNoise(lon * crater.scale + 3000, lat * crater.scale + 4000, 0) * 0.2);
-                const craterLon = lon + (this.improvedNoise(lon * crater.scale + 5000, lat * crater.scale + 6000, 0) * 0.2);
-
-                // Calculate angular distance on sphere
-                const deltaLat = lat - craterLat;
-                const deltaLon = lon - craterLon;
-                const distance = Math.sqrt(deltaLat * deltaLat + deltaLon * deltaLon);
+                // Offset from the crater center, in radians of arc
+                const offsetA = this.sphereNoise(dir, crater.scale, 3000) * 0.2;
+                const offsetB = this.sphereNoise(dir, crater.scale, 5000) * 0.2;
+                const distance = Math.sqrt(offsetA * offsetA + offsetB * offsetB);
 
                 // Create crater profile (bowl shape with raised rim)
                 const craterRadius = (0.15 + Math.abs(centerNoise) * 0.1) / crater.scale;
@@ -382,32 +378,144 @@ class TerrainGenerator {
         return craterEffect;
     }
 
-    // Helper method to get surface height information at a position
-    getSurfaceHeightAtPosition(localX, localZ, planet, planetRadius) {
-        // Raycast to find surface height - start much higher for extreme terrain
-        const raycaster = new THREE.Raycaster();
-        const origin = new THREE.Vector3(localX, planetRadius + 150, localZ); // Much higher start point
-        const direction = new THREE.Vector3(0, -1, 0);
+    // Store the inputs of the layered terrain stack so heights can be queried without the mesh
+    configure(terrainProps, planetRadius, seed) {
+        this.terrainProps = terrainProps || {};
+        this.planetRadius = planetRadius;
+        if (seed !== undefined) {
+            this.setSeed(seed);
+        }
+    }
+
+    // Elevation above the base radius - the same layered stack used to build the planet mesh
+    elevationAt(x, y, z) {
+        const terrainProps = this.terrainProps;
+        const noiseScale = terrainProps.noiseScale !== undefined ? terrainProps.noiseScale : 0.1;
+
+        let elevation = this.generateLayeredNoise(x, y, z, noiseScale, terrainProps.heightVariation || 3);
+
+        // Add mountain and hill formations
+        elevation += this.generateMountains(x, y, z, this.planetRadius, terrainProps) * (terrainProps.mountainDensity || 0.3);
+
+        // Add valleys and canyons
+        elevation += this.generateValleys(x, y, z, this.planetRadius, terrainProps) * (terrainProps.valleyDensity || 0.2);
+
+        // Add cliff faces and steep terrain
+        elevation += this.generateCliffs(x, y, z, this.planetRadius, terrainProps) * (terrainProps.cliffDensity || 0.15);
+
+        // Add mesa and plateau formations
+        elevation += this.generateMesas(x, y, z, this.planetRadius, terrainProps) * (terrainProps.mesaDensity || 0.1);
 
-        raycaster.set(origin, direction);
-        const intersects = raycaster.intersectObject(planet);
+        // Add crater features
+        elevation += this.generateCraters(x, y, z, this.planetRadius, terrainProps) * (terrainProps.craterDensity || 0.25);
 
-        if (intersects.length > 0) {
-            return intersects[0].point.y;
+        return elevation;
+    }
+
+    // Terrain height (distance from planet center) and surface normal along a planet-local direction
+    heightAt(direction) {
+        const dir = this.toUnitSphere(direction.x, direction.y, direction.z);
+        const elevation = this.elevationAt(dir.x, dir.y, dir.z);
+        const height = this.planetRadius + elevation;
+
+        return {
+            height: height,
+            elevation: elevation,
+            normal: this.normalAt(dir, height)
+        };
+    }
+
+    // Finite-difference surface normal from two nearby samples in the tangent plane
+    normalAt(dir, height) {
+        // Build a tangent basis around the direction
+        const up = Math.abs(dir.y) < 0.99 ? { x: 0, y: 1, z: 0 } : { x: 1, y: 0, z: 0 };
+        const tangent = this.toUnitSphere(
+            up.y * dir.z - up.z * dir.y,
+            up.z * dir.x - up.x * dir.z,
+            up.x * dir.y - up.y * dir.x
+        );
+        const bitangent = {
+            x: dir.y * tangent.z - dir.z * tangent.y,
+            y: dir.z * tangent.x - dir.x * tangent.z,
+            z: dir.x * tangent.y - dir.y * tangent.x
+        };
+
+        // Step roughly one world unit across the surface
+        const step = 1.0 / this.planetRadius;
+        const surfacePoint = (d) => {
+            const unit = this.toUnitSphere(d.x, d.y, d.z);
+            const h = this.planetRadius + this.elevationAt(unit.x, unit.y, unit.z);
+            return { x: unit.x * h, y: unit.y * h, z: unit.z * h };
+        };
+
+        const p0 = { x: dir.x * height, y: dir.y * height, z: dir.z * height };
+        const p1 = surfacePoint({ x: dir.x + tangent.x * step, y: dir.y + tangent.y * step, z: dir.z + tangent.z * step });
+        const p2 = surfacePoint({ x: dir.x + bitangent.x * step, y: dir.y + bitangent.y * step, z: dir.z + bitangent.z * step });
+
+        const a = { x: p1.x - p0.x, y: p1.y - p0.y, z: p1.z - p0.z };
+        const b = { x: p2.x - p0.x, y: p2.y - p0.y, z: p2.z - p0.z };
+
+        // tangent x bitangent points outward, so this normal does too
+        return this.toUnitSphere(
+            a.y * b.z - a.z * b.y,
+            a.z * b.x - a.x * b.z,
+            a.x * b.y - a.y * b.x
+        );
+    }
+
+    // Rotate a world-space point into the planet's local frame (inverse of the planet quaternion)
+    toPlanetLocal(x, y, z, quaternion) {
+        if (!quaternion) return { x, y, z };
+
+        // Conjugate of a unit quaternion is its inverse
+        const qx = -quaternion.x, qy = -quaternion.y, qz = -quaternion.z, qw = quaternion.w;
+
+        // v' = v + w * t + q x t, where t = 2 * (q x v)
+        const tx = 2 * (qy * z - qz * y);
+        const ty = 2 * (qz * x - qx * z);
+        const tz = 2 * (qx * y - qy * x);
+
+        return {
+            x: x + qw * tx + (qy * tz - qz * ty),
+            y: y + qw * ty + (qz * tx - qx * tz),
+            z: z + qw * tz + (qx * ty - qy * tx)
+        };
+    }
+
+    // Helper method to get surface height information at a position.
+    // Solves |(x, y, z)| = terrain height for y instead of raycasting the planet mesh.
+    // orientation is the planet quaternion, or anything carrying one in .quaternion (e.g. the planet mesh)
+    getSurfaceHeightAtPosition(localX, localZ, orientation, planetRadius) {
+        const quaternion = orientation && orientation.quaternion ? orientation.quaternion : orientation;
+        const horizontalSq = localX * localX + localZ * localZ;
+
+        // Fixed-point iteration converges in a few steps for points near the top of the planet
+        let surfaceY = planetRadius;
+        for (let i = 0; i < 4; i++) {
+            const local = this.toPlanetLocal(localX, surfaceY, localZ, quaternion);
+            const dir = this.toUnitSphere(local.x, local.y, local.z);
+            const height = planetRadius + this.elevationAt(dir.x, dir.y, dir.z);
+            const ySq = height * height - horizontalSq;
+
+            if (ySq <= 0) {
+                return planetRadius; // fallback
+            }
+            surfaceY = Math.sqrt(ySq);
         }
-        return planetRadius; // fallback
+
+        return surfaceY;
     }
 
-    getSurfaceInfoAtPosition(localX, localZ, planet, planetRadius) {
+    getSurfaceInfoAtPosition(localX, localZ, orientation, planetRadius) {
         // Get height at center position
-        const centerHeight = this.getSurfaceHeightAtPosition(localX, localZ, planet, planetRadius);
+        const centerHeight = this.getSurfaceHeightAtPosition(localX, localZ, orientation, planetRadius);
 
         // Sample nearby points to calculate surface normal
         const sampleDistance = 1.0;
-        const frontHeight = this.getSurfaceHeightAtPosition(localX, localZ + sampleDistance, planet, planetRadius);
-        const backHeight = this.getSurfaceHeightAtPosition(localX, localZ - sampleDistance, planet, planetRadius);
-        const rightHeight = this.getSurfaceHeightAtPosition(localX + sampleDistance, localZ, planet, planetRadius);
-        const leftHeight = this.getSurfaceHeightAtPosition(localX - sampleDistance, localZ, planet, planetRadius);
+        const frontHeight = this.getSurfaceHeightAtPosition(localX, localZ + sampleDistance, orientation, planetRadius);
+        const backHeight = this.getSurfaceHeightAtPosition(localX, localZ - sampleDistance, orientation, planetRadius);
+        const rightHeight = this.getSurfaceHeightAtPosition(localX + sampleDistance, localZ, orientation, planetRadius);
+        const leftHeight = this.getSurfaceHeightAtPosition(localX - sampleDistance, localZ, orientation, planetRadius);
 
         // Calculate surface normal from height differences
         const normal = new THREE.Vector3();
@@ -433,4 +541,10 @@ class TerrainGenerator {
 }
 
 // Export for global use
-window.TerrainGenerator = TerrainGenerator;
\ No newline at end of file
+if (typeof window !== 'undefined') {
+    window.TerrainGenerator = TerrainGenerator;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TerrainGenerator;
+}
\ No newline at end of file
@@ -0,0 +1,138 @@
+// HudManager.js - Handles the in-game heads-up display gauges
+class HudManager {
+    constructor() {
+        this.batteryFill = document.getElementById('batteryFill');
+        this.batteryValue = document.getElementById('batteryValue');
+        this.energyStatus = document.getElementById('energyStatus');
+        this.roverStatus = document.getElementById('roverStatus');
+        this.cargoFill = document.getElementById('cargoFill');
+        this.cargoValue = document.getElementById('cargoValue');
+        this.missionTracker = document.getElementById('missionTracker');
+
+        // Condition gauge per rover subsystem (see RoverDamage.SUBSYSTEMS)
+        this.damageGauges = {};
+        ['wheels', 'panel', 'headlight'].forEach(subsystem => {
+            this.damageGauges[subsystem] = {
+                fill: document.getElementById(`${subsystem}Fill`),
+                value: document.getElementById(`${subsystem}Value`),
+                lastPercent: null
+            };
+        });
+        this.selfRightKeyLabel = 'R'; // Key named in the overturned warning; follows the control bindings
+
+        // Last displayed values, so the DOM is only touched when something changes
+        this.lastPercent = null;
+        this.lastStatus = null;
+        this.lastCharge = null;
+        this.lastRoverStatus = null;
+        this.lastMission = null;
+        this.lastCargoMass = null;
+    }
+
+    setSelfRightKeyLabel(label) {
+        this.selfRightKeyLabel = label;
+        this.lastRoverStatus = null; // Rewrite the warning with the new key
+    }
+
+    updateEnergy(energyState) {
+        if (!this.batteryFill) return;
+
+        const percent = Math.round(energyState.level * 100);
+        if (percent !== this.lastPercent) {
+            this.batteryFill.style.width = `${percent}%`;
+            this.batteryFill.classList.toggle('low', percent <= 20);
+            this.batteryValue.textContent = `${percent}%`;
+            this.lastPercent = percent;
+        }
+
+        let status = '';
+        if (energyState.stranded) {
+            status = 'STRANDED - RECHARGING';
+        } else if (this.lastCharge !== null && energyState.charge > this.lastCharge) {
+            status = 'SOLAR CHARGING';
+        }
+        this.lastCharge = energyState.charge;
+
+        if (status !== this.lastStatus) {
+            this.energyStatus.textContent = status;
+            this.energyStatus.classList.toggle('warning', energyState.stranded);
+            this.lastStatus = status;
+        }
+    }
+
+    // damageState: subsystem -> health 0-1 (see RoverDamage.getState)
+    updateDamage(damageState) {
+        for (const [subsystem, gauge] of Object.entries(this.damageGauges)) {
+            if (!gauge.fill || damageState[subsystem] === undefined) continue;
+
+            const percent = Math.round(damageState[subsystem] * 100);
+            if (percent === gauge.lastPercent) continue;
+
+            gauge.fill.style.width = `${percent}%`;
+            gauge.fill.classList.toggle('low', percent <= 30);
+            gauge.value.textContent = `${percent}%`;
+            gauge.lastPercent = percent;
+        }
+    }
+
+    // inventory: RoverInventory; the gauge shows how full the hold is, the value the mass aboard
+    updateCargo(inventory) {
+        if (!this.cargoFill) return;
+
+        const mass = inventory.getMass();
+        if (mass === this.lastCargoMass) return;
+
+        this.cargoFill.style.width = `${Math.round(inventory.getLoad() * 100)}%`;
+        this.cargoFill.classList.toggle('low', inventory.getLoad() >= 0.9); // Nearly full shows as a warning
+        this.cargoValue.textContent = `${mass}/${inventory.capacity}`;
+        this.lastCargoMass = mass;
+    }
+
+    // roverState: {overturned, selfRighting} from GameWorld.step
+    updateRoverStatus(roverState) {
+        if (!this.roverStatus) return;
+
+        let status = '';
+        if (roverState.selfRighting) {
+            status = 'SELF-RIGHTING';
+        } else if (roverState.overturned) {
+            status = `OVERTURNED - PRESS ${this.selfRightKeyLabel} TO SELF-RIGHT`;
+        }
+
+        if (status !== this.lastRoverStatus) {
+            this.roverStatus.textContent = status;
+            this.lastRoverStatus = status;
+        }
+    }
+
+    // mission: MissionTracker.getActiveMission(), or null to hide the tracker
+    updateMissions(mission) {
+        if (!this.missionTracker) return;
+
+        const summary = mission
+            ? `${mission.id}:${mission.objectives.map(objective => objective.progress).join(',')}`
+            : '';
+        if (summary === this.lastMission) return;
+        this.lastMission = summary;
+
+        this.missionTracker.style.display = mission ? 'block' : 'none';
+        this.missionTracker.replaceChildren();
+        if (!mission) return;
+
+        const title = document.createElement('div');
+        title.className = 'mission-title';
+        title.textContent = mission.title;
+        this.missionTracker.appendChild(title);
+
+        mission.objectives.forEach(objective => {
+            const line = document.createElement('div');
+            line.className = objective.completed ? 'mission-objective complete' : 'mission-objective';
+            const count = objective.target > 1 ? ` ${objective.progress}/${objective.target}` : '';
+            line.textContent = `${objective.completed ? '[X]' : '[ ]'} ${objective.label}${count}`;
+            this.missionTracker.appendChild(line);
+        });
+    }
+}
+
+// Export for global use
+window.HudManager = HudManager;
@@ -0,0 +1,282 @@
+// Minimap.js - Overlay map of the planet: terrain, biomes, explored area and discoveries
+class Minimap {
+    constructor() {
+        this.container = document.getElementById('minimap');
+        this.canvas = document.getElementById('minimapCanvas');
+        this.modeLabel = document.getElementById('minimapMode');
+        this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+
+        // 'local' is a disc around the rover with forward pointing up; 'planet' is the whole surface
+        this.mode = 'local';
+        this.toggleKeyLabel = 'M';  // Key shown in the mode label; follows the control bindings
+        this.localSize = 80;       // Local view resolution in pixels
+        this.localRange = 60;      // Surface distance from the rover to the edge of the local view
+        this.revealRange = 15;     // Surface distance the rover uncovers around itself
+
+        // Full-planet map (equirectangular), built a few rows per frame; the local view samples it too
+        this.mapWidth = 256;
+        this.mapHeight = 128;
+        this.rowsPerFrame = 8;
+        this.elevations = new Float32Array(this.mapWidth * this.mapHeight);
+        this.surfaceColors = new Int32Array(this.mapWidth * this.mapHeight);
+        this.mapColors = null; // RGB bytes per map pixel once every row is sampled
+        this.buildRow = this.mapHeight;
+
+        this.fogOfWar = new FogOfWar({ width: this.mapWidth, height: this.mapHeight });
+        this.lastRevealDirection = null;
+
+        // Redraw every few frames; the map changes slowly
+        this.redrawInterval = 5;
+        this.framesSinceDraw = 0;
+
+        // Current planet
+        this.terrainGenerator = null;
+        this.biomeManager = null;
+        this.planetRadius = 80;
+        this.baseColor = 0x8B4513;
+
+        // Pixel colours for map markers
+        this.objectColors = {
+            crystal: [68, 255, 255],
+            metal: [204, 204, 221],
+            debris: [255, 170, 68],
+            marker: [255, 255, 68],
+            boulder: [136, 136, 136],
+            iceSpire: [200, 240, 255],
+            frozenGeyser: [150, 220, 255],
+            lavaVent: [255, 90, 20],
+            obsidianShard: [140, 100, 180],
+            sandRuin: [230, 200, 140],
+            regolithPit: [110, 110, 120],
+            archPillar: [255, 220, 120],
+            archLintel: [255, 220, 120],
+            landerHull: [255, 120, 200]
+        };
+
+        if (this.canvas) {
+            this.canvas.addEventListener('click', () => this.toggleView());
+            this.applyMode();
+        }
+    }
+
+    // Start mapping a new planet; exploration starts over
+    setPlanet(terrainGenerator, biomeManager, planetRadius, baseColor) {
+        this.terrainGenerator = terrainGenerator;
+        this.biomeManager = biomeManager;
+        this.planetRadius = planetRadius;
+        this.baseColor = baseColor;
+
+        this.mapColors = null;
+        this.buildRow = 0;
+        this.fogOfWar.reset();
+        this.lastRevealDirection = null;
+        this.framesSinceDraw = this.redrawInterval;
+    }
+
+    setToggleKeyLabel(label) {
+        this.toggleKeyLabel = label;
+        this.updateModeLabel();
+    }
+
+    toggleView() {
+        this.mode = this.mode === 'local' ? 'planet' : 'local';
+        this.applyMode();
+        this.framesSinceDraw = this.redrawInterval; // Redraw on the next update
+    }
+
+    applyMode() {
+        const isLocal = this.mode === 'local';
+        this.canvas.width = isLocal ? this.localSize : this.mapWidth;
+        this.canvas.height = isLocal ? this.localSize : this.mapHeight;
+        this.imageData = this.ctx.createImageData(this.canvas.width, this.canvas.height);
+
+        this.container.classList.toggle('planet-view', !isLocal);
+        this.updateModeLabel();
+    }
+
+    updateModeLabel() {
+        if (this.modeLabel) {
+            this.modeLabel.textContent = `${this.mode === 'local' ? 'LOCAL' : 'PLANET'} [${this.toggleKeyLabel}]`;
+        }
+    }
+
+    // roverUp and roverForward are planet-local unit vectors; objects come from planetObjectManager
+    update(roverUp, roverForward, objects) {
+        if (!this.ctx || !this.terrainGenerator) return;
+
+        if (this.buildRow < this.mapHeight) {
+            this.buildTerrainRows(this.rowsPerFrame);
+        }
+
+        this.revealAround(roverUp);
+
+        if (++this.framesSinceDraw < this.redrawInterval) return;
+        this.framesSinceDraw = 0;
+
+        if (this.mode === 'local') {
+            this.drawLocal(roverUp, roverForward, objects);
+        } else {
+            this.drawPlanet(roverUp, objects);
+        }
+        this.ctx.putImageData(this.imageData, 0, 0);
+    }
+
+    // Sample terrain height and biome for the next rows of the full-planet map
+    buildTerrainRows(rowCount) {
+        const regionData = this.biomeManager ? this.biomeManager.getCurrentBiomeRegionData() : null;
+        const lastRow = Math.min(this.mapHeight, this.buildRow + rowCount);
+
+        for (let row = this.buildRow; row < lastRow; row++) {
+            for (let col = 0; col < this.mapWidth; col++) {
+                const index = row * this.mapWidth + col;
+                const dir = MinimapProjection.fromEquirectangular(col + 0.5, row + 0.5, this.mapWidth, this.mapHeight);
+
+                this.elevations[index] = this.terrainGenerator.elevationAt(
+                    dir.x * this.planetRadius,
+                    dir.y * this.planetRadius,
+                    dir.z * this.planetRadius
+                );
+
+                let color = this.baseColor;
+                if (regionData) {
+                    const biome = this.biomeManager.sampleBiomeAtPosition(dir.x, dir.y, dir.z, regionData);
+                    const biomeColor = biome ? this.biomeManager.getBiomeColor(biome) : null;
+                    if (biomeColor !== null) color = biomeColor;
+                }
+                this.surfaceColors[index] = color;
+            }
+        }
+
+        this.buildRow = lastRow;
+        if (this.buildRow >= this.mapHeight) {
+            this.shadeMap();
+        }
+    }
+
+    // Shade surface colours by elevation: low ground darker, high ground brighter
+    shadeMap() {
+        let minElevation = Infinity;
+        let maxElevation = -Infinity;
+        for (const elevation of this.elevations) {
+            minElevation = Math.min(minElevation, elevation);
+            maxElevation = Math.max(maxElevation, elevation);
+        }
+        const elevationRange = maxElevation - minElevation || 1;
+
+        this.mapColors = new Uint8ClampedArray(this.mapWidth * this.mapHeight * 3);
+        for (let i = 0; i < this.elevations.length; i++) {
+            const shade = 0.45 + 0.75 * (this.elevations[i] - minElevation) / elevationRange;
+            const color = this.surfaceColors[i];
+            this.mapColors[i * 3] = ((color >> 16) & 255) * shade;
+            this.mapColors[i * 3 + 1] = ((color >> 8) & 255) * shade;
+            this.mapColors[i * 3 + 2] = (color & 255) * shade;
+        }
+    }
+
+    // Uncover the area around the rover, skipping the work until it has moved a fraction of a cell
+    revealAround(roverUp) {
+        const last = this.lastRevealDirection;
+        const minMoveCos = Math.cos(Math.PI / this.mapHeight * 0.25);
+        if (last && last.x * roverUp.x + last.y * roverUp.y + last.z * roverUp.z > minMoveCos) return;
+
+        this.fogOfWar.reveal(roverUp, this.revealRange / this.planetRadius);
+        this.lastRevealDirection = { x: roverUp.x, y: roverUp.y, z: roverUp.z };
+    }
+
+    // Write a map pixel; unexplored cells are drawn through dark fog
+    writeMapPixel(data, pixel, mapIndex) {
+        const offset = pixel * 4;
+        if (!this.mapColors) {
+            data[offset] = data[offset + 1] = data[offset + 2] = 16;
+            data[offset + 3] = 255;
+            return;
+        }
+
+        const fog = this.fogOfWar.cells[mapIndex] ? 1 : 0.2;
+        data[offset] = this.mapColors[mapIndex * 3] * fog;
+        data[offset + 1] = this.mapColors[mapIndex * 3 + 1] * fog;
+        data[offset + 2] = this.mapColors[mapIndex * 3 + 2] * fog;
+        data[offset + 3] = 255;
+    }
+
+    setPixel(x, y, color) {
+        const width = this.imageData.width;
+        const height = this.imageData.height;
+        const px = Math.floor(x);
+        const py = Math.floor(y);
+        if (px < 0 || py < 0 || px >= width || py >= height) return;
+
+        const offset = (py * width + px) * 4;
+        this.imageData.data[offset] = color[0];
+        this.imageData.data[offset + 1] = color[1];
+        this.imageData.data[offset + 2] = color[2];
+        this.imageData.data[offset + 3] = 255;
+    }
+
+    drawLocal(roverUp, roverForward, objects) {
+        const size = this.localSize;
+        const half = size / 2;
+        const range = this.localRange / this.planetRadius;
+        const frame = MinimapProjection.createFrame(roverUp, roverForward);
+        const data = this.imageData.data;
+
+        for (let py = 0; py < size; py++) {
+            for (let px = 0; px < size; px++) {
+                const mapX = (px + 0.5) / half - 1;
+                const mapY = 1 - (py + 0.5) / half;
+                const pixel = py * size + px;
+
+                // Round map: leave the corners transparent
+                if (mapX * mapX + mapY * mapY > 1) {
+                    data[pixel * 4 + 3] = 0;
+                    continue;
+                }
+
+                const dir = MinimapProjection.fromAzimuthal(mapX, mapY, frame, range);
+                this.writeMapPixel(data, pixel, this.fogOfWar.cellIndex(dir));
+            }
+        }
+
+        for (const obj of objects) {
+            if (!obj.discovered) continue;
+
+            const point = MinimapProjection.toAzimuthal(obj.position.clone().normalize(), frame, range);
+            if (point.distance <= 1) {
+                this.drawMarker((point.x + 1) * half, (1 - point.y) * half, this.objectColors[obj.type]);
+            }
+        }
+
+        // Rover in the centre, nose pointing up the map
+        this.drawMarker(half, half, [255, 255, 255]);
+        this.setPixel(half, half - 2, [255, 255, 255]);
+    }
+
+    drawPlanet(roverUp, objects) {
+        const data = this.imageData.data;
+        for (let i = 0; i < this.mapWidth * this.mapHeight; i++) {
+            this.writeMapPixel(data, i, i);
+        }
+
+        for (const obj of objects) {
+            if (!obj.discovered) continue;
+
+            const point = MinimapProjection.toEquirectangular(obj.position, this.mapWidth, this.mapHeight);
+            this.drawMarker(point.x, point.y, this.objectColors[obj.type]);
+        }
+
+        const rover = MinimapProjection.toEquirectangular(roverUp, this.mapWidth, this.mapHeight);
+        this.drawMarker(rover.x, rover.y, [255, 255, 255]);
+    }
+
+    // Small plus-shaped marker
+    drawMarker(x, y, color = [255, 255, 255]) {
+        this.setPixel(x, y, color);
+        this.setPixel(x - 1, y, color);
+        this.setPixel(x + 1, y, color);
+        this.setPixel(x, y - 1, color);
+        this.setPixel(x, y + 1, color);
+    }
+}
+
+// Export for global use
+window.Minimap = Minimap;
@@ -9,6 +9,10 @@ class ModalManager {
             { id: 'volcanicSlider', valueId: 'volcanicValue', biome: 'volcanic' },
             { id: 'desertSlider', valueId: 'desertValue', biome: 'desert' }
         ];
+
+        // Control rebinding: the slot waiting for a key press, and the player's keyboard layout for key labels
+        this.listeningBinding = null;
+        this.keyboardLayoutMap = null;
     }
 
     initializePlanetModal() {
@@ -21,6 +25,9 @@ class ModalManager {
         // Initialize generator sliders
         this.initializeGeneratorSliders();
 
+        // Initialize control rebinding
+        this.initializeBindingCapture();
+
         // Populate planet options
         const populatePlanetOptions = () => {
             this.populatePresetPlanets();
@@ -121,11 +128,12 @@ class ModalManager {
 
             // Get preview color from planet config
             const previewColor = planetConfig ? planetConfig.material.color.replace('0x', '#') : '#8B4513';
+            const gravity = planetTypeManager.getPhysicsProperties(planet.id).gravity;
 
             planetOption.innerHTML = `
                 <canvas class="planet-preview" width="32" height="32"></canvas>
                 <div class="planet-name">${planet.name}</div>
-                <div class="planet-description">Based on ${planet.baseBiome} • Seed: ${planet.seed}</div>
+                <div class="planet-description">Based on ${planet.baseBiome} • ${gravity.toFixed(1)} g • Seed: ${planet.seed}</div>
                 <button class="planet-export-btn" onclick="event.stopPropagation(); window.modalManager.exportPlanet('${planet.id}')" title="Export Planet">📤</button>
             `;
 
@@ -196,6 +204,8 @@ class ModalManager {
     }
 
     closePlanetModal() {
+        this.stopListeningForBinding();
+
         const modal = document.getElementById('planetModal');
         modal.style.display = 'none';
 
@@ -231,14 +241,21 @@ class ModalManager {
 
         tabButtons.forEach(button => {
             button.addEventListener('click', () => {
-                const tabName = button.textContent.toLowerCase().includes('preset') ? 'preset' :
-                              button.textContent.toLowerCase().includes('generator') ? 'generator' : 'generated';
+                const label = button.textContent.toLowerCase();
+                const tabName = label.includes('preset') ? 'preset' :
+                              label.includes('generator') ? 'generator' :
+                              label.includes('journal') ? 'journal' :
+                              label.includes('controls') ? 'controls' :
+                              label.includes('achievements') ? 'achievements' :
+                              label.includes('upgrades') ? 'upgrades' : 'generated';
                 this.showPlanetTab(tabName);
             });
         });
     }
 
     showPlanetTab(tabName) {
+        this.stopListeningForBinding();
+
         // Update tab buttons
         document.querySelectorAll('.tab-button').forEach(btn => btn.classList.remove('active'));
         document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
@@ -254,26 +271,340 @@ class ModalManager {
             document.querySelector('.tab-button:nth-child(3)').classList.add('active');
             document.getElementById('generatedTab').classList.add('active');
             if (window.populateGeneratedPlanets) window.populateGeneratedPlanets();
+        } else if (tabName === 'journal') {
+            document.querySelector('.tab-button:nth-child(4)').classList.add('active');
+            document.getElementById('journalTab').classList.add('active');
+            this.populateJournalFilters();
+            this.populateJournal();
+        } else if (tabName === 'controls') {
+            document.querySelector('.tab-button:nth-child(5)').classList.add('active');
+            document.getElementById('controlsTab').classList.add('active');
+            this.populateBindings();
+        } else if (tabName === 'achievements') {
+            document.querySelector('.tab-button:nth-child(6)').classList.add('active');
+            document.getElementById('achievementsTab').classList.add('active');
+            this.populateAchievements();
+        } else if (tabName === 'upgrades') {
+            document.querySelector('.tab-button:nth-child(7)').classList.add('active');
+            document.getElementById('upgradesTab').classList.add('active');
+            this.populateUpgrades();
+        }
+    }
+
+    // Control Binding Functions
+    getInputBindings() {
+        return window.gameEngine ? window.gameEngine.inputBindings : null;
+    }
+
+    initializeBindingCapture() {
+        // Key labels follow the player's layout (AZERTY, Dvorak...) where the browser can report it
+        if (typeof navigator !== 'undefined' && navigator.keyboard && navigator.keyboard.getLayoutMap) {
+            navigator.keyboard.getLayoutMap().then(layoutMap => {
+                this.keyboardLayoutMap = layoutMap;
+                if (window.gameEngine) window.gameEngine.updateBindingLabels(layoutMap);
+                if (document.getElementById('controlsTab').classList.contains('active')) this.populateBindings();
+            }).catch(error => {
+                console.warn('Keyboard layout unavailable, showing key codes:', error);
+            });
+        }
+
+        // Capture the next key press before gameplay handlers see it
+        window.addEventListener('keydown', (event) => {
+            if (!this.listeningBinding) return;
+
+            event.preventDefault();
+            event.stopImmediatePropagation();
+
+            const { controlId, slot } = this.listeningBinding;
+            this.stopListeningForBinding();
+
+            if (event.code === 'Escape') {
+                this.populateBindings();
+            } else if (event.code === 'Backspace' || event.code === 'Delete') {
+                this.getInputBindings().unbind(controlId, slot);
+                this.saveBindings();
+            } else {
+                this.assignBinding(controlId, slot, event.code);
+            }
+        }, true);
+    }
+
+    populateBindings() {
+        const bindings = this.getInputBindings();
+        const bindingList = document.getElementById('bindingList');
+        if (!bindings || !bindingList) return;
+
+        bindingList.innerHTML = '';
+        InputBindings.CONTROLS.forEach(control => {
+            const row = document.createElement('div');
+            row.className = 'binding-row';
+
+            const label = document.createElement('div');
+            label.className = 'binding-label';
+            label.textContent = control.label;
+            row.appendChild(label);
+
+            bindings.getKeys(control.id).forEach((code, slot) => {
+                const keyButton = document.createElement('button');
+                keyButton.className = 'binding-key';
+                keyButton.textContent = InputBindings.formatKey(code, this.keyboardLayoutMap);
+                keyButton.addEventListener('click', () => this.listenForBinding(control.id, slot, keyButton));
+                row.appendChild(keyButton);
+            });
+
+            bindingList.appendChild(row);
+        });
+    }
+
+    listenForBinding(controlId, slot, keyButton) {
+        this.stopListeningForBinding();
+
+        this.listeningBinding = { controlId, slot, keyButton };
+        keyButton.classList.add('listening');
+        keyButton.textContent = 'Press a key';
+    }
+
+    stopListeningForBinding() {
+        if (!this.listeningBinding) return;
+
+        this.listeningBinding.keyButton.classList.remove('listening');
+        this.listeningBinding = null;
+    }
+
+    assignBinding(controlId, slot, code) {
+        const bindings = this.getInputBindings();
+        const result = bindings.bind(controlId, slot, code);
+
+        if (result.bound) {
+            this.saveBindings();
+            return;
         }
+
+        if (result.conflict) {
+            // The key already drives another control: offer to move it
+            const keyLabel = InputBindings.formatKey(code, this.keyboardLayoutMap);
+            const current = InputBindings.getControl(result.conflict).label;
+            const target = InputBindings.getControl(controlId).label;
+
+            showConfirmDialog(
+                `${keyLabel} is already bound to ${current}. Use it for ${target} instead?`,
+                () => {
+                    bindings.bind(controlId, slot, code, { replace: true });
+                    this.saveBindings();
+                    toastManager.info(`${current} no longer has ${keyLabel} bound.`);
+                },
+                () => this.populateBindings(),
+                { title: 'Key Already Bound', confirmLabel: 'Reassign' }
+            );
+        }
+    }
+
+    saveBindings() {
+        const bindings = this.getInputBindings();
+        if (!bindings.save()) {
+            toastManager.warning('Controls changed for this session only; they could not be saved.');
+        }
+
+        this.populateBindings();
+        if (window.gameEngine) window.gameEngine.updateBindingLabels(this.keyboardLayoutMap);
+    }
+
+    resetBindings() {
+        const bindings = this.getInputBindings();
+        if (!bindings) return;
+
+        bindings.resetToDefaults();
+        this.saveBindings();
+        toastManager.success('Controls reset to defaults.');
+    }
+
+    // Discovery Journal Functions
+    getDiscoveryJournal() {
+        return window.gameEngine ? window.gameEngine.discoveryJournal : null;
+    }
+
+    populateJournalFilters() {
+        const journal = this.getDiscoveryJournal();
+        const planetFilter = document.getElementById('journalPlanetFilter');
+        const typeFilter = document.getElementById('journalTypeFilter');
+        if (!journal || !planetFilter || !typeFilter) return;
+
+        // Default the planet filter to the current planet the first time the tab is opened
+        const selectedPlanet = planetFilter.dataset.initialized ? planetFilter.value : planetTypeManager.getCurrentPlanetType();
+        const selectedType = typeFilter.value;
+
+        planetFilter.innerHTML = '<option value="">All Planets</option>';
+        journal.getPlanets().forEach(planet => {
+            const option = document.createElement('option');
+            option.value = planet.id;
+            option.textContent = `${planet.name} (${planet.count})`;
+            planetFilter.appendChild(option);
+        });
+        planetFilter.value = journal.getPlanets().some(p => p.id === selectedPlanet) ? selectedPlanet : '';
+        planetFilter.dataset.initialized = 'true';
+
+        typeFilter.innerHTML = '<option value="">All Types</option>';
+        const journalTypes = [...planetObjectManager.objectTypes].filter(([, definition]) => !definition.sitePart);
+        journalTypes.push(...Object.entries(PointOfInterestGenerator.SITE_TYPES));
+        journalTypes.forEach(([type, definition]) => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = definition.name;
+            typeFilter.appendChild(option);
+        });
+        typeFilter.value = selectedType;
+    }
+
+    populateJournal() {
+        const journal = this.getDiscoveryJournal();
+        const journalList = document.getElementById('journalList');
+        if (!journalList) return;
+
+        const planetId = document.getElementById('journalPlanetFilter').value || null;
+        const objectType = document.getElementById('journalTypeFilter').value || null;
+        const entries = journal ? journal.getEntries({ planetId, objectType }) : [];
+
+        if (entries.length === 0) {
+            journalList.innerHTML = '<div class="no-generated-planets">No discoveries logged yet. Drive close to objects to add them to your journal!</div>';
+            return;
+        }
+
+        const planetNames = {};
+        journal.getPlanets().forEach(planet => {
+            planetNames[planet.id] = planet.name;
+        });
+
+        journalList.innerHTML = '';
+        entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'journal-entry';
+
+            const latLabel = `${Math.abs(entry.lat).toFixed(1)}°${entry.lat >= 0 ? 'N' : 'S'}`;
+            const lonLabel = `${Math.abs(entry.lon).toFixed(1)}°${entry.lon >= 0 ? 'E' : 'W'}`;
+
+            item.innerHTML = `
+                <div class="journal-entry-name">${entry.objectName}</div>
+                <div class="journal-entry-details">${planetNames[entry.planetId] || entry.planetId} • ${latLabel} ${lonLabel}</div>
+                <div class="journal-entry-details">Seed: ${entry.seed} • ${new Date(entry.timestamp).toLocaleString()}</div>
+            `;
+            journalList.appendChild(item);
+        });
+    }
+
+    // Achievement Functions
+    populateAchievements() {
+        const achievementList = document.getElementById('achievementList');
+        if (!achievementList) return;
+
+        const achievements = window.gameEngine ? window.gameEngine.achievements.getAll() : [];
+        const unlockedCount = achievements.filter(achievement => achievement.unlockedAt).length;
+
+        achievementList.innerHTML = `<p class="bindings-help">${unlockedCount} of ${achievements.length} unlocked</p>`;
+        achievements.forEach(achievement => {
+            const item = document.createElement('div');
+            item.className = achievement.unlockedAt ? 'journal-entry achievement-entry' : 'journal-entry achievement-entry locked';
+
+            const status = achievement.unlockedAt ? `Unlocked ${new Date(achievement.unlockedAt).toLocaleString()}` : 'Locked';
+            item.innerHTML = `
+                ${AchievementTracker.renderBadge(achievement, 32)}
+                <div>
+                    <div class="journal-entry-name">${achievement.name}</div>
+                    <div class="journal-entry-details">${achievement.description}</div>
+                    <div class="journal-entry-details">${status}</div>
+                </div>
+            `;
+            achievementList.appendChild(item);
+        });
+    }
+
+    // Rover Upgrade Functions
+    populateUpgrades() {
+        const upgradeList = document.getElementById('upgradeList');
+        if (!upgradeList) return;
+
+        const engine = window.gameEngine;
+        const upgrades = engine ? engine.upgrades.getAll() : [];
+        if (upgrades.length === 0) {
+            upgradeList.innerHTML = '<div class="no-generated-planets">No upgrades available.</div>';
+            return;
+        }
+
+        const formatCost = (cost) => Object.entries(cost)
+            .map(([type, count]) => `${count} ${RoverUpgrades.getResourceName(type)}`)
+            .join(', ');
+        const formatStats = (stats) => Object.entries(stats)
+            .map(([stat, multiplier]) => `+${Math.round((multiplier - 1) * 100)}% ${RoverUpgrades.STAT_NAMES[stat] || stat}`)
+            .join(', ');
+
+        // Everything in the hold, with a way to jettison what no upgrade needs
+        const inventory = engine.inventory;
+        const items = inventory.getItems();
+        upgradeList.innerHTML = `<p class="bindings-help">In the hold (${inventory.getMass()}/${inventory.capacity}): ${items.length > 0 ? '' : 'empty'}</p>`;
+        items.forEach(cargo => {
+            const item = document.createElement('div');
+            item.className = 'journal-entry upgrade-entry';
+            item.innerHTML = `
+                <div class="upgrade-info">
+                    <div class="journal-entry-name">${cargo.name} x${cargo.count}</div>
+                    <div class="journal-entry-details">Mass ${cargo.mass}</div>
+                </div>
+                <button class="btn btn-secondary btn-small" onclick="jettisonCargo('${cargo.type}')">Jettison</button>
+            `;
+            upgradeList.appendChild(item);
+        });
+
+        upgrades.forEach(upgrade => {
+            const item = document.createElement('div');
+            item.className = 'journal-entry upgrade-entry';
+
+            const next = upgrade.next
+                ? `Next: ${formatStats(upgrade.next.stats)} for ${formatCost(upgrade.next.cost)}`
+                : 'Fully upgraded';
+            const affordable = engine.upgrades.canAfford(upgrade.id, engine.inventory);
+            item.innerHTML = `
+                <div class="upgrade-info">
+                    <div class="journal-entry-name">${upgrade.name} (level ${upgrade.level}/${upgrade.maxLevel})</div>
+                    <div class="journal-entry-details">${upgrade.description}</div>
+                    <div class="journal-entry-details">${next}</div>
+                </div>
+                <button class="btn btn-primary" ${affordable ? '' : 'disabled'} onclick="purchaseUpgrade('${upgrade.id}')">Upgrade</button>
+            `;
+            upgradeList.appendChild(item);
+        });
+    }
+
+    jettisonCargo(objectType) {
+        if (!window.gameEngine) return;
+
+        window.gameEngine.jettison(objectType);
+        this.populateUpgrades();
+    }
+
+    purchaseUpgrade(upgradeId) {
+        if (!window.gameEngine) return;
+
+        window.gameEngine.purchaseUpgrade(upgradeId);
+        this.populateUpgrades();
     }
 
     // Planet Generator Functions
     initializeGeneratorSliders() {
         const sliders = [
             { id: 'radiusSlider', valueId: 'radiusValue' },
+            { id: 'gravitySlider', valueId: 'gravityValue', format: (value) => this.formatGravity(value) },
             { id: 'roughnessSlider', valueId: 'roughnessValue' },
             { id: 'heightSlider', valueId: 'heightValue' },
             { id: 'craterSlider', valueId: 'craterValue' },
             { id: 'mountainSlider', valueId: 'mountainValue' }
         ];
 
-        sliders.forEach(({ id, valueId }) => {
+        sliders.forEach(({ id, valueId, format }) => {
             const slider = document.getElementById(id);
             const valueDisplay = document.getElementById(valueId);
 
             if (slider && valueDisplay) {
                 slider.addEventListener('input', () => {
-                    valueDisplay.textContent = slider.value;
+                    valueDisplay.textContent = format ? format(slider.value) : slider.value;
                 });
             }
         });
@@ -282,6 +613,12 @@ class ModalManager {
         this.initializeBiomeMixingControls();
     }
 
+    // Gravity slider label: 0 means derived from the planet's size
+    formatGravity(value) {
+        const gravity = parseFloat(value);
+        return gravity > 0 ? `${gravity.toFixed(1)} g` : 'Auto';
+    }
+
     initializeBiomeMixingControls() {
         const enableCheckbox = document.getElementById('enableBiomeMixing');
         const biomeMixingControls = document.getElementById('biomeMixingControls');
@@ -434,6 +771,7 @@ class ModalManager {
 
         // Randomize sliders
         document.getElementById('radiusSlider').value = Math.floor(Math.random() * 460) + 40;
+        document.getElementById('gravitySlider').value = Math.random() < 0.5 ? 0 : (Math.random() * 2.9 + 0.1).toFixed(1);
         document.getElementById('roughnessSlider').value = (Math.random() * 0.9 + 0.1).toFixed(1);
         document.getElementById('heightSlider').value = Math.floor(Math.random() * 14) + 1;
         document.getElementById('craterSlider').value = Math.random().toFixed(1);
@@ -441,6 +779,7 @@ class ModalManager {
 
         // Update value displays
         document.getElementById('radiusValue').textContent = document.getElementById('radiusSlider').value;
+        document.getElementById('gravityValue').textContent = this.formatGravity(document.getElementById('gravitySlider').value);
         document.getElementById('roughnessValue').textContent = document.getElementById('roughnessSlider').value;
         document.getElementById('heightValue').textContent = document.getElementById('heightSlider').value;
         document.getElementById('craterValue').textContent = document.getElementById('craterSlider').value;
@@ -498,6 +837,7 @@ class ModalManager {
         const customParams = {
             name: planetName,
             radius: parseFloat(document.getElementById('radiusSlider').value),
+            gravity: parseFloat(document.getElementById('gravitySlider').value) || null, // 0 derives it from size
             roughness: parseFloat(document.getElementById('roughnessSlider').value),
             heightVariation: parseFloat(document.getElementById('heightSlider').value),
             craterDensity: parseFloat(document.getElementById('craterSlider').value),
@@ -604,12 +944,16 @@ window.showPlanetModal = () => modalManager.showPlanetModal();
 window.closePlanetModal = () => modalManager.closePlanetModal();
 window.applyPlanetSelection = () => modalManager.applyPlanetSelection();
 window.showPlanetTab = (tabName) => modalManager.showPlanetTab(tabName);
+window.resetBindings = () => modalManager.resetBindings();
 window.randomizeGeneratorParams = () => modalManager.randomizeGeneratorParams();
 window.generateAndVisitPlanet = () => modalManager.generateAndVisitPlanet();
 window.exportPlanet = (planetId) => modalManager.exportPlanet(planetId);
 window.clearGeneratedPlanets = () => modalManager.clearGeneratedPlanets();
 window.importPlanet = () => modalManager.importPlanet();
 window.exportAllGeneratedPlanets = () => modalManager.exportAllGeneratedPlanets();
+window.populateJournal = () => modalManager.populateJournal();
+window.purchaseUpgrade = (upgradeId) => modalManager.purchaseUpgrade(upgradeId);
+window.jettisonCargo = (objectType) => modalManager.jettisonCargo(objectType);
 
 // Export for module use
 window.ModalManager = ModalManager;
\ No newline at end of file
@@ -67,20 +67,25 @@ class ToastManager {
 }
 
 // Custom confirmation dialog
-function showConfirmDialog(message, onConfirm, onCancel = null) {
+// options: {title, confirmLabel, cancelLabel} to reword the dialog
+function showConfirmDialog(message, onConfirm, onCancel = null, options = {}) {
+    const title = options.title || 'Confirm Action';
+    const confirmLabel = options.confirmLabel || 'Confirm';
+    const cancelLabel = options.cancelLabel || 'Cancel';
+
     const backdrop = document.createElement('div');
     backdrop.className = 'modal';
     backdrop.style.display = 'block';
     backdrop.innerHTML = `
         <div class="modal-content" style="max-width: 400px; margin: 20% auto;">
             <div class="modal-header">
-                <h2>Confirm Action</h2>
+                <h2>${title}</h2>
             </div>
             <div class="modal-body">
                 <p style="margin: 20px 0; line-height: 1.4;">${message}</p>
                 <div class="planet-buttons">
-                    <button class="btn btn-secondary" id="confirmCancel">Cancel</button>
-                    <button class="btn btn-primary" id="confirmOk">Confirm</button>
+                    <button class="btn btn-secondary" id="confirmCancel">${cancelLabel}</button>
+                    <button class="btn btn-primary" id="confirmOk">${confirmLabel}</button>
                 </div>
             </div>
         </div>
@@ -0,0 +1,248 @@
+/**
+ * RoverUpgrades
+ *
+ * Improvements bought with collected cargo. Upgrades are data (config/upgrades.json): each has a
+ * few levels, and each level costs object counts from the cargo hold and lists the rover's stat
+ * multipliers and visible parts at that level. Levels are bought in order and persist in storage.
+ *
+ * Stats the game reads (all multipliers of the base value):
+ *   - torque: drive acceleration (RoverPhysics)
+ *   - suspensionTravel, wheelRadius: suspension and wheel size (RoverPhysics, and the wheel meshes)
+ *   - batteryCapacity, solarRate: battery size and charging (RoverEnergy)
+ *   - scannerRange: how close collectibles must be to be discovered (GameWorld)
+ *   - headlightPower: headlight brightness and reach
+ *
+ * Parts name extra pieces the rover mesh shows: hubMotors, secondPanel, scannerMast, scannerDish
+ * and twinHeadlights.
+ *
+ * Usage:
+ *   const upgrades = new RoverUpgrades({ storageKey: GameConfig.storageKeyUpgrades });
+ *   await upgrades.loadDefinitions(); // or upgrades.loadFromData(data) when headless
+ *   upgrades.load();
+ *   const result = upgrades.purchase('motor', inventory); // {upgrade, level, purchased, missing}
+ *   physics.applyUpgrades(upgrades.getModifiers());
+ *   if (upgrades.hasPart('secondPanel')) { ... }
+ */
+
+class RoverUpgrades {
+    /**
+     * Create a rover with nothing bought
+     * @param {object} options - {storage, storageKey}
+     */
+    constructor(options = {}) {
+        this.storage = StorageUtils.resolveStorage(options.storage);
+        this.storageKey = options.storageKey || 'pixelPlanetRover_upgrades';
+
+        // upgradeId -> {name, description, levels: [{cost, stats, parts}]}
+        this.definitions = {};
+
+        // upgradeId -> levels bought
+        this.levels = {};
+    }
+
+    /**
+     * Display name of a cost's object type
+     * @param {string} objectType
+     * @returns {string}
+     */
+    static getResourceName(objectType) {
+        return RoverUpgrades.RESOURCE_NAMES[objectType] || objectType;
+    }
+
+    /**
+     * Fetch the upgrade definitions
+     * @param {string} url
+     * @returns {Promise<boolean>} Whether they loaded; without them nothing can be bought
+     */
+    async loadDefinitions(url = 'config/upgrades.json') {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            this.loadFromData(await response.json());
+            return true;
+        } catch (error) {
+            console.error('[RoverUpgrades] Failed to load upgrade definitions:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Use already-parsed upgrades.json data (e.g. read from disk when headless)
+     * @param {object} data - {upgrades}
+     */
+    loadFromData(data) {
+        if (!data || !data.upgrades) {
+            throw new Error('Upgrade data must contain upgrades');
+        }
+        this.definitions = data.upgrades;
+    }
+
+    /**
+     * Load bought levels from storage
+     * @returns {boolean} Whether any data was loaded
+     */
+    load() {
+        const data = StorageUtils.loadJSON(this.storage, this.storageKey, 'RoverUpgrades');
+        if (!data) return false;
+
+        this.levels = data.levels || {};
+        return true;
+    }
+
+    /**
+     * Write bought levels to storage
+     */
+    save() {
+        StorageUtils.saveJSON(this.storage, this.storageKey, { levels: this.levels }, 'RoverUpgrades');
+    }
+
+    /**
+     * Levels bought of an upgrade, capped at what its definition offers
+     * @param {string} upgradeId
+     * @returns {number} 0 when none
+     */
+    getLevel(upgradeId) {
+        const definition = this.definitions[upgradeId];
+        if (!definition) return 0;
+        return Math.min(this.levels[upgradeId] || 0, definition.levels.length);
+    }
+
+    /**
+     * The level an upgrade would buy next
+     * @param {string} upgradeId
+     * @returns {object|null} {cost, stats, parts}, or null when unknown or fully upgraded
+     */
+    getNextLevel(upgradeId) {
+        const definition = this.definitions[upgradeId];
+        if (!definition) return null;
+        return definition.levels[this.getLevel(upgradeId)] || null;
+    }
+
+    /**
+     * Cargo still needed for an upgrade's next level
+     * @param {string} upgradeId
+     * @param {RoverInventory} inventory
+     * @returns {array} {type, count} short per object type; empty when affordable
+     */
+    getMissing(upgradeId, inventory) {
+        const next = this.getNextLevel(upgradeId);
+        if (!next) return [];
+
+        return Object.entries(next.cost)
+            .map(([type, count]) => ({ type, count: count - inventory.getCount(type) }))
+            .filter(item => item.count > 0);
+    }
+
+    /**
+     * Whether the cargo pays for an upgrade's next level
+     * @param {string} upgradeId
+     * @param {RoverInventory} inventory
+     * @returns {boolean}
+     */
+    canAfford(upgradeId, inventory) {
+        return this.getNextLevel(upgradeId) !== null && this.getMissing(upgradeId, inventory).length === 0;
+    }
+
+    /**
+     * Buy an upgrade's next level, taking its cost out of the cargo
+     * @param {string} upgradeId
+     * @param {RoverInventory} inventory
+     * @returns {object} {upgrade, level, purchased, missing}: the definition (null when unknown), the
+     *   level now reached, whether it was bought, and the cargo still needed when it wasn't
+     */
+    purchase(upgradeId, inventory) {
+        const upgrade = this.definitions[upgradeId] || null;
+        const next = this.getNextLevel(upgradeId);
+        const result = { upgrade, level: this.getLevel(upgradeId), purchased: false, missing: [] };
+        if (!next) return result;
+
+        result.missing = this.getMissing(upgradeId, inventory);
+        if (result.missing.length > 0) return result;
+
+        Object.entries(next.cost).forEach(([type, count]) => inventory.remove(type, count));
+        this.levels[upgradeId] = result.level + 1;
+        this.save();
+
+        result.level++;
+        result.purchased = true;
+        return result;
+    }
+
+    /**
+     * Combined stat multipliers of every bought level
+     * @returns {object} stat -> multiplier; stats nothing improves are left out (read them as 1)
+     */
+    getModifiers() {
+        const modifiers = {};
+        this.getCurrentLevels().forEach(level => {
+            Object.entries(level.stats || {}).forEach(([stat, multiplier]) => {
+                modifiers[stat] = (modifiers[stat] || 1) * multiplier;
+            });
+        });
+        return modifiers;
+    }
+
+    /**
+     * Whether a bought level adds a part to the rover
+     * @param {string} part
+     * @returns {boolean}
+     */
+    hasPart(part) {
+        return this.getCurrentLevels().some(level => (level.parts || []).includes(part));
+    }
+
+    /**
+     * Highest bought level of each upgrade
+     * @returns {array} {cost, stats, parts}
+     */
+    getCurrentLevels() {
+        return Object.keys(this.definitions)
+            .filter(upgradeId => this.getLevel(upgradeId) > 0)
+            .map(upgradeId => this.definitions[upgradeId].levels[this.getLevel(upgradeId) - 1]);
+    }
+
+    /**
+     * Every upgrade with its progress, for listing
+     * @returns {array} {id, name, description, level, maxLevel, next}: next is the level to buy, or null
+     */
+    getAll() {
+        return Object.entries(this.definitions).map(([id, definition]) => ({
+            id,
+            name: definition.name,
+            description: definition.description,
+            level: this.getLevel(id),
+            maxLevel: definition.levels.length,
+            next: this.getNextLevel(id)
+        }));
+    }
+}
+
+// Names of the object types upgrades cost, as counted in a price
+RoverUpgrades.RESOURCE_NAMES = {
+    crystal: 'crystal',
+    metal: 'metal',
+    debris: 'debris',
+    obsidianShard: 'obsidian'
+};
+
+// Names of the stats upgrades improve, for describing a level
+RoverUpgrades.STAT_NAMES = {
+    torque: 'torque',
+    suspensionTravel: 'suspension travel',
+    wheelRadius: 'wheel size',
+    batteryCapacity: 'battery capacity',
+    solarRate: 'solar charging',
+    scannerRange: 'scanner range',
+    headlightPower: 'headlight power'
+};
+
+// Export for global use
+if (typeof window !== 'undefined') {
+    window.RoverUpgrades = RoverUpgrades;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RoverUpgrades;
+}
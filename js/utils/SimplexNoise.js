@@ -0,0 +1,140 @@
+/**
+ * SimplexNoise
+ *
+ * Seeded 3D simplex gradient noise (after Stefan Gustavson's reference implementation).
+ * The permutation table is shuffled with RNGUtils, so every planet seed produces
+ * its own landforms. Sample it with points on the unit sphere to avoid lat/lon seams.
+ *
+ * Usage:
+ *   const noise = new SimplexNoise(planetConfig.seed);
+ *   const value = noise.noise3D(x, y, z); // Roughly in [-1, 1]
+ */
+
+class SimplexNoise {
+    /**
+     * Create a noise generator for a seed
+     * @param {number} seed - Planet seed used to shuffle the permutation table
+     */
+    constructor(seed = 0) {
+        this.seed = seed;
+
+        // Build a shuffled permutation of 0-255 using the shared seeded RNG
+        const rng = RNGUtils.createSeededRNG(seed);
+        const p = new Uint8Array(256);
+        for (let i = 0; i < 256; i++) {
+            p[i] = i;
+        }
+        for (let i = 255; i > 0; i--) {
+            const j = Math.floor(rng.next() * (i + 1));
+            const tmp = p[i];
+            p[i] = p[j];
+            p[j] = tmp;
+        }
+
+        // Duplicate the table to avoid index wrapping
+        this.perm = new Uint8Array(512);
+        this.permMod12 = new Uint8Array(512);
+        for (let i = 0; i < 512; i++) {
+            this.perm[i] = p[i & 255];
+            this.permMod12[i] = this.perm[i] % 12;
+        }
+    }
+
+    /**
+     * Sample 3D simplex noise
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @returns {number} Value roughly between -1 and 1
+     */
+    noise3D(x, y, z) {
+        const grad3 = SimplexNoise.GRAD3;
+        const perm = this.perm;
+        const permMod12 = this.permMod12;
+        const F3 = 1 / 3;
+        const G3 = 1 / 6;
+
+        // Skew the input space to find the containing simplex cell
+        const s = (x + y + z) * F3;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const k = Math.floor(z + s);
+        const t = (i + j + k) * G3;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+        const z0 = z - (k - t);
+
+        // Determine which of the six tetrahedra we are in
+        let i1, j1, k1, i2, j2, k2;
+        if (x0 >= y0) {
+            if (y0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+            else if (x0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1; }
+            else { i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1; }
+        } else {
+            if (y0 < z0) { i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1; }
+            else if (x0 < z0) { i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1; }
+            else { i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+        }
+
+        // Offsets for the remaining corners
+        const x1 = x0 - i1 + G3;
+        const y1 = y0 - j1 + G3;
+        const z1 = z0 - k1 + G3;
+        const x2 = x0 - i2 + 2 * G3;
+        const y2 = y0 - j2 + 2 * G3;
+        const z2 = z0 - k2 + 2 * G3;
+        const x3 = x0 - 1 + 3 * G3;
+        const y3 = y0 - 1 + 3 * G3;
+        const z3 = z0 - 1 + 3 * G3;
+
+        // Hashed gradient indices of the four corners
+        const ii = i & 255;
+        const jj = j & 255;
+        const kk = k & 255;
+        const gi0 = permMod12[ii + perm[jj + perm[kk]]] * 3;
+        const gi1 = permMod12[ii + i1 + perm[jj + j1 + perm[kk + k1]]] * 3;
+        const gi2 = permMod12[ii + i2 + perm[jj + j2 + perm[kk + k2]]] * 3;
+        const gi3 = permMod12[ii + 1 + perm[jj + 1 + perm[kk + 1]]] * 3;
+
+        // Sum the contributions from each corner
+        let n = 0;
+
+        let t0 = 0.6 - x0 * x0 - y0 * y0 - z0 * z0;
+        if (t0 > 0) {
+            t0 *= t0;
+            n += t0 * t0 * (grad3[gi0] * x0 + grad3[gi0 + 1] * y0 + grad3[gi0 + 2] * z0);
+        }
+
+        let t1 = 0.6 - x1 * x1 - y1 * y1 - z1 * z1;
+        if (t1 > 0) {
+            t1 *= t1;
+            n += t1 * t1 * (grad3[gi1] * x1 + grad3[gi1 + 1] * y1 + grad3[gi1 + 2] * z1);
+        }
+
+        let t2 = 0.6 - x2 * x2 - y2 * y2 - z2 * z2;
+        if (t2 > 0) {
+            t2 *= t2;
+            n += t2 * t2 * (grad3[gi2] * x2 + grad3[gi2 + 1] * y2 + grad3[gi2 + 2] * z2);
+        }
+
+        let t3 = 0.6 - x3 * x3 - y3 * y3 - z3 * z3;
+        if (t3 > 0) {
+            t3 *= t3;
+            n += t3 * t3 * (grad3[gi3] * x3 + grad3[gi3 + 1] * y3 + grad3[gi3 + 2] * z3);
+        }
+
+        // Scale the result to stay roughly within [-1, 1]
+        return 32 * n;
+    }
+}
+
+// Gradient directions: midpoints of the edges of a cube
+SimplexNoise.GRAD3 = new Float32Array([
+    1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1, 0,
+    1, 0, 1, -1, 0, 1, 1, 0, -1, -1, 0, -1,
+    0, 1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1,
+]);
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SimplexNoise;
+}
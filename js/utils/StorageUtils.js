@@ -0,0 +1,89 @@
+/**
+ * StorageUtils
+ *
+ * Shared persistence for the classes that keep their state in localStorage. Each stores one
+ * versioned JSON object under its own key: {version, ...fields}. Reads and writes never throw;
+ * failures are logged against the owning class and reported as null/false, so a blocked or
+ * corrupted storage only costs the saved progress.
+ *
+ * Data without a version is read as version 1. Data from a newer version than VERSION is
+ * ignored rather than half-applied.
+ *
+ * Usage:
+ *   this.storage = StorageUtils.resolveStorage(options.storage);
+ *   const data = StorageUtils.loadJSON(this.storage, this.storageKey, 'RoverInventory');
+ *   if (data) this.cargo = data.cargo || {};
+ *   StorageUtils.saveJSON(this.storage, this.storageKey, { cargo: this.cargo }, 'RoverInventory');
+ */
+
+class StorageUtils {
+    /**
+     * Storage to use for a class's options: the one given (null disables saving), else localStorage
+     * @param {Storage|null|undefined} storage
+     * @returns {Storage|null}
+     */
+    static resolveStorage(storage) {
+        if (storage !== undefined) return storage;
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    }
+
+    /**
+     * Read a stored object
+     * @param {Storage|null} storage
+     * @param {string} key
+     * @param {string} owner - Class name to log failures under
+     * @returns {object|null} The stored fields, or null when there is no storage, nothing is stored,
+     *   or the data is corrupt or too new
+     */
+    static loadJSON(storage, key, owner) {
+        if (!storage) return null;
+
+        try {
+            const stored = storage.getItem(key);
+            if (!stored) return null;
+
+            const data = JSON.parse(stored);
+            if (!data || typeof data !== 'object') {
+                throw new Error('Stored data is not an object');
+            }
+
+            const version = data.version || 1;
+            if (version > StorageUtils.VERSION) {
+                console.warn(`[${owner}] Stored version ${version} is newer than supported version ${StorageUtils.VERSION}`);
+                return null;
+            }
+
+            return data;
+        } catch (error) {
+            console.error(`[${owner}] Failed to load ${key}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Write an object to storage, stamped with the current version
+     * @param {Storage|null} storage
+     * @param {string} key
+     * @param {object} fields
+     * @param {string} owner - Class name to log failures under
+     * @returns {boolean} Whether it was saved
+     */
+    static saveJSON(storage, key, fields, owner) {
+        if (!storage) return false;
+
+        try {
+            storage.setItem(key, JSON.stringify({ version: StorageUtils.VERSION, ...fields }));
+            return true;
+        } catch (error) {
+            console.error(`[${owner}] Failed to save ${key}:`, error);
+            return false;
+        }
+    }
+}
+
+// Version written with every save; bump it and handle the older shape when a stored format changes
+StorageUtils.VERSION = 1;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StorageUtils;
+}
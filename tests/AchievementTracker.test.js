@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import AchievementTracker from '../js/achievements/AchievementTracker.js';
+import MemoryStorage from './helpers/MemoryStorage.js';
+
+const PRESETS = ['mars', 'moon'];
+
+const visit = (planetId, objectTypes = ['crystal', 'metal']) =>
+    ({ type: 'visit', planetId, seed: 1, presets: PRESETS, objectTypes });
+const discover = (type, planetId = 'mars') => ({ type: 'discover', planetId, seed: 1, object: { type } });
+const ids = (achievements) => achievements.map(achievement => achievement.id);
+
+describe('AchievementTracker', () => {
+    let storage;
+    let tracker;
+
+    beforeEach(() => {
+        storage = new MemoryStorage();
+        tracker = new AchievementTracker({ storage, storageKey: 'testAchievements' });
+    });
+
+    it('should unlock on the first discovery, once', () => {
+        tracker.record(visit('mars'));
+        expect(ids(tracker.record(discover('crystal')))).toEqual(['firstDiscovery']);
+        expect(tracker.record(discover('crystal'))).toEqual([]);
+        expect(tracker.isUnlocked('firstDiscovery')).toBe(true);
+    });
+
+    it('should unlock a full survey once every collectible kind on a planet is found', () => {
+        tracker.record(visit('mars'));
+        tracker.record(discover('crystal'));
+        expect(tracker.isUnlocked('fullSurvey')).toBe(false);
+
+        // Finds on another planet don't count towards this one
+        tracker.record(visit('moon', ['metal']));
+        expect(ids(tracker.record(discover('metal', 'moon')))).toEqual(['fullSurvey']);
+    });
+
+    it('should add up distance driven in either direction', () => {
+        for (let i = 0; i < 99; i++) {
+            expect(tracker.record({ type: 'drive', distance: i % 2 ? 100 : -100 })).toEqual([]);
+        }
+        expect(ids(tracker.record({ type: 'drive', distance: 100 }))).toEqual(['longDrive']);
+    });
+
+    it('should unlock the grand tour after visiting every preset planet', () => {
+        tracker.record(visit('mars'));
+        tracker.record(visit('generated_5'));
+        expect(tracker.isUnlocked('grandTour')).toBe(false);
+        expect(ids(tracker.record(visit('moon')))).toEqual(['grandTour']);
+    });
+
+    it('should only count hard landings that broke nothing', () => {
+        expect(tracker.record({ type: 'landing', impact: 2, broken: [] })).toEqual([]);
+        expect(tracker.record({ type: 'landing', impact: 9, broken: ['wheels'] })).toEqual([]);
+        expect(ids(tracker.record({ type: 'landing', impact: AchievementTracker.HARD_LANDING_IMPACT, broken: [] }))).toEqual(['hardLanding']);
+    });
+
+    it('should keep unlocks and stats across a reload', () => {
+        tracker.record(visit('mars'));
+        tracker.record(discover('crystal'));
+        tracker.record({ type: 'drive', distance: 40 });
+        tracker.save();
+
+        const reloaded = new AchievementTracker({ storage, storageKey: 'testAchievements' });
+        expect(reloaded.load()).toBe(true);
+        expect(reloaded.isUnlocked('firstDiscovery')).toBe(true);
+        expect(reloaded.stats.distance).toBe(40);
+
+        // Only metal is left to find on Mars
+        expect(ids(reloaded.record(discover('metal')))).toEqual(['fullSurvey']);
+    });
+
+    it('should ignore corrupted storage data', () => {
+        storage.setItem('testAchievements', '{not json');
+        expect(tracker.load()).toBe(false);
+        expect(tracker.getAll().every(achievement => achievement.unlockedAt === null)).toBe(true);
+    });
+
+    it('should draw each badge as 8x8 pixel art', () => {
+        AchievementTracker.ACHIEVEMENTS.forEach(achievement => {
+            expect(achievement.badge.pixels).toHaveLength(8);
+            achievement.badge.pixels.forEach(row => expect(row).toMatch(/^[#.]{8}$/));
+        });
+
+        const badge = AchievementTracker.renderBadge(AchievementTracker.getAchievement('firstDiscovery'));
+        expect(badge).toContain('viewBox="0 0 8 8"');
+        expect(badge.match(/<rect/g)).toHaveLength(32);
+    });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import DayNightCycle from '../js/rendering/DayNightCycle.js';
+
+describe('DayNightCycle', () => {
+    let cycle;
+
+    beforeEach(() => {
+        cycle = new DayNightCycle({ dayLength: 100, sunPosition: [0, 10, 0] });
+    });
+
+    describe('daylightFactor', () => {
+        it('should be full day with the sun overhead', () => {
+            expect(DayNightCycle.daylightFactor({ x: 0, y: 1, z: 0 })).toBe(1);
+        });
+
+        it('should be night with the sun below the horizon', () => {
+            expect(DayNightCycle.daylightFactor({ x: 0, y: -1, z: 0 })).toBe(0);
+        });
+
+        it('should be partial at the horizon', () => {
+            const dusk = DayNightCycle.daylightFactor({ x: 1, y: 0, z: 0 });
+            expect(dusk).toBeGreaterThan(0);
+            expect(dusk).toBeLessThan(1);
+        });
+    });
+
+    describe('update', () => {
+        it('should start at the configured sun position', () => {
+            const sun = cycle.getSunDirection();
+            expect(sun.y).toBeCloseTo(1);
+        });
+
+        it('should put the sun on the far side at half a day', () => {
+            cycle.update(50);
+            expect(cycle.timeOfDay).toBeCloseTo(0.5);
+            expect(cycle.getSunDirection().y).toBeCloseTo(-1);
+        });
+
+        it('should wrap after a full day', () => {
+            cycle.update(125);
+            expect(cycle.timeOfDay).toBeCloseTo(0.25);
+        });
+
+        it('should freeze the sun when day length is zero', () => {
+            cycle.configure({ dayLength: 0 });
+            cycle.update(50);
+            expect(cycle.timeOfDay).toBe(0);
+        });
+
+        it('should return to the start on reset', () => {
+            cycle.update(30);
+            cycle.reset();
+            expect(cycle.timeOfDay).toBe(0);
+        });
+    });
+
+    describe('getSunDirection', () => {
+        it('should keep a unit length', () => {
+            cycle.configure({ sunPosition: [100, 50, 50] });
+            cycle.update(17);
+            const { x, y, z } = cycle.getSunDirection();
+            expect(Math.sqrt(x * x + y * y + z * z)).toBeCloseTo(1);
+        });
+
+        it('should rotate the sun with the planet', () => {
+            // Half a turn about X flips the overhead sun underneath the rover
+            const halfTurnX = { x: 1, y: 0, z: 0, w: 0 };
+            const sun = cycle.getSunDirection(halfTurnX);
+
+            expect(sun.y).toBeCloseTo(-1);
+            expect(DayNightCycle.daylightFactor(sun)).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import DiscoveryJournal from '../js/journal/DiscoveryJournal.js';
+import MemoryStorage from './helpers/MemoryStorage.js';
+
+const crystalDiscovery = {
+    planetId: 'mars',
+    planetName: 'Mars',
+    seed: 4211,
+    objectId: 'crystal_3',
+    objectType: 'crystal',
+    objectName: 'Energy Crystal',
+    position: { x: 0, y: 80, z: 0 },
+    timestamp: 1000,
+};
+
+describe('DiscoveryJournal', () => {
+    let storage;
+    let journal;
+
+    beforeEach(() => {
+        storage = new MemoryStorage();
+        journal = new DiscoveryJournal({ storage, storageKey: 'testJournal' });
+    });
+
+    describe('recordDiscovery', () => {
+        it('should create a new entry with surface coordinates', () => {
+            const { entry, isNew } = journal.recordDiscovery(crystalDiscovery);
+
+            expect(isNew).toBe(true);
+            expect(entry.id).toBe('mars:4211:crystal_3');
+            expect(entry.objectType).toBe('crystal');
+            expect(entry.lat).toBeCloseTo(90);
+            expect(entry.timestamp).toBe(1000);
+        });
+
+        it('should map a rediscovered object back to the same entry', () => {
+            const first = journal.recordDiscovery(crystalDiscovery);
+            const second = journal.recordDiscovery({ ...crystalDiscovery, timestamp: 5000 });
+
+            expect(second.isNew).toBe(false);
+            expect(second.entry).toBe(first.entry);
+            expect(journal.getEntries()).toHaveLength(1);
+        });
+
+        it('should keep separate entries for the same object id on two seeds of a planet', () => {
+            journal.recordDiscovery(crystalDiscovery);
+            const other = journal.recordDiscovery({ ...crystalDiscovery, seed: 77, timestamp: 2000 });
+
+            expect(other.isNew).toBe(true);
+            expect(other.entry.id).toBe('mars:77:crystal_3');
+            expect(journal.getEntries({ planetId: 'mars' })).toHaveLength(2);
+
+            // Returning to the first seed still finds its discovery
+            expect(journal.getDiscoveredObjectIds('mars', 4211)).toEqual(['crystal_3']);
+            expect(journal.getDiscoveredObjectIds('mars', 77)).toEqual(['crystal_3']);
+            expect(journal.hasEntry('mars', 'crystal_3', 4211)).toBe(true);
+            expect(journal.recordDiscovery({ ...crystalDiscovery, timestamp: 3000 }).isNew).toBe(false);
+        });
+
+        it('should require a planet and object id', () => {
+            expect(() => journal.recordDiscovery({ planetId: 'mars' })).toThrow();
+        });
+    });
+
+    describe('persistence', () => {
+        it('should survive a reload from storage', () => {
+            journal.recordDiscovery(crystalDiscovery);
+
+            const reloaded = new DiscoveryJournal({ storage, storageKey: 'testJournal' });
+            expect(reloaded.load()).toBe(true);
+            expect(reloaded.hasEntry('mars', 'crystal_3')).toBe(true);
+            expect(reloaded.getDiscoveredObjectIds('mars', 4211)).toEqual(['crystal_3']);
+        });
+
+        it('should ignore corrupted storage data', () => {
+            storage.setItem('testJournal', '{not json');
+            expect(journal.load()).toBe(false);
+            expect(journal.getEntries()).toEqual([]);
+        });
+    });
+
+    describe('filtering', () => {
+        beforeEach(() => {
+            journal.recordDiscovery(crystalDiscovery);
+            journal.recordDiscovery({ ...crystalDiscovery, objectId: 'metal_0', objectType: 'metal', timestamp: 2000 });
+            journal.recordDiscovery({ ...crystalDiscovery, planetId: 'moon', planetName: 'Moon', seed: 1969, timestamp: 3000 });
+        });
+
+        it('should filter entries by planet', () => {
+            const entries = journal.getEntries({ planetId: 'mars' });
+            expect(entries).toHaveLength(2);
+            expect(entries.every(e => e.planetId === 'mars')).toBe(true);
+        });
+
+        it('should filter entries by object type', () => {
+            const entries = journal.getEntries({ objectType: 'crystal' });
+            expect(entries).toHaveLength(2);
+        });
+
+        it('should sort entries newest first', () => {
+            const timestamps = journal.getEntries().map(e => e.timestamp);
+            expect(timestamps).toEqual([3000, 2000, 1000]);
+        });
+
+        it('should only return object ids for the matching seed', () => {
+            expect(journal.getDiscoveredObjectIds('moon', 1969)).toEqual(['crystal_3']);
+            expect(journal.getDiscoveredObjectIds('moon', 42)).toEqual([]);
+        });
+
+        it('should list planets with entry counts', () => {
+            expect(journal.getPlanets()).toEqual([
+                { id: 'mars', name: 'Mars', count: 2 },
+                { id: 'moon', name: 'Moon', count: 1 },
+            ]);
+        });
+    });
+
+    describe('toLatLon', () => {
+        it('should convert planet-local positions to degrees', () => {
+            const { lat, lon } = DiscoveryJournal.toLatLon({ x: 0, y: 0, z: 10 });
+            expect(lat).toBeCloseTo(0);
+            expect(lon).toBeCloseTo(90);
+        });
+    });
+});
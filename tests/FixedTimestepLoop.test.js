@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import FixedTimestepLoop from '../js/core/FixedTimestepLoop.js';
+
+// Count ticks simulated over a number of seconds at a given refresh rate
+function countTicks(loop, refreshRate, seconds) {
+    let ticks = 0;
+    for (let i = 0; i < refreshRate * seconds; i++) {
+        ticks += loop.advance(1 / refreshRate).steps;
+    }
+    return ticks;
+}
+
+describe('FixedTimestepLoop', () => {
+    it('should run one tick per frame at the tick rate', () => {
+        const loop = new FixedTimestepLoop({ tickRate: 60 });
+        for (let i = 0; i < 10; i++) {
+            expect(loop.advance(1 / 60).steps).toBe(1);
+        }
+    });
+
+    it('should simulate the same number of ticks regardless of refresh rate', () => {
+        const at60 = countTicks(new FixedTimestepLoop({ tickRate: 60 }), 60, 2);
+        const at120 = countTicks(new FixedTimestepLoop({ tickRate: 60 }), 120, 2);
+        const at144 = countTicks(new FixedTimestepLoop({ tickRate: 60 }), 144, 2);
+
+        expect(at60).toBe(120);
+        expect(Math.abs(at120 - 120)).toBeLessThanOrEqual(1);
+        expect(Math.abs(at144 - 120)).toBeLessThanOrEqual(1);
+    });
+
+    it('should return the leftover fraction as the interpolation factor', () => {
+        const loop = new FixedTimestepLoop({ tickRate: 60 });
+        const { steps, alpha } = loop.advance(1 / 120);
+
+        expect(steps).toBe(0);
+        expect(alpha).toBeCloseTo(0.5);
+    });
+
+    it('should cap catch-up ticks at maxFrameSkip + 1 and drop the backlog', () => {
+        const loop = new FixedTimestepLoop({ tickRate: 60, maxFrameSkip: 2 });
+
+        expect(loop.advance(1).steps).toBe(3);
+        expect(loop.advance(1 / 60).steps).toBe(1);
+    });
+
+    it('should ignore negative or invalid frame times', () => {
+        const loop = new FixedTimestepLoop({ tickRate: 60 });
+
+        expect(loop.advance(-5).steps).toBe(0);
+        expect(loop.advance(NaN).steps).toBe(0);
+    });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import FogOfWar from '../js/minimap/FogOfWar.js';
+
+describe('FogOfWar', () => {
+    let fog;
+
+    beforeEach(() => {
+        fog = new FogOfWar({ width: 64, height: 32 });
+    });
+
+    it('should start unexplored', () => {
+        expect(fog.isExplored({ x: 1, y: 0, z: 0 })).toBe(false);
+        expect(fog.getExploredFraction()).toBe(0);
+    });
+
+    it('should explore cells within the reveal radius only', () => {
+        fog.reveal({ x: 1, y: 0, z: 0 }, 0.3);
+
+        expect(fog.isExplored({ x: 1, y: 0, z: 0 })).toBe(true);
+        expect(fog.isExplored({ x: Math.cos(0.2), y: Math.sin(0.2), z: 0 })).toBe(true);
+        expect(fog.isExplored({ x: -1, y: 0, z: 0 })).toBe(false);
+    });
+
+    it('should reveal across the pole', () => {
+        fog.reveal({ x: 0, y: 1, z: 0 }, 0.3);
+
+        // Every longitude near the pole is in range
+        expect(fog.isExplored({ x: Math.sin(0.2), y: Math.cos(0.2), z: 0 })).toBe(true);
+        expect(fog.isExplored({ x: -Math.sin(0.2), y: Math.cos(0.2), z: 0 })).toBe(true);
+    });
+
+    it('should not count the same area twice', () => {
+        const first = fog.reveal({ x: 1, y: 0, z: 0 }, 0.3);
+        const fraction = fog.getExploredFraction();
+
+        expect(first).toBeGreaterThan(0);
+        expect(fog.reveal({ x: 1, y: 0, z: 0 }, 0.3)).toBe(0);
+        expect(fog.getExploredFraction()).toBe(fraction);
+    });
+
+    it('should weight explored area by surface area', () => {
+        // The whole sphere is 4 pi steradians; a cap of angle r covers 2 pi (1 - cos r)
+        fog.reveal({ x: 1, y: 0, z: 0 }, 0.5);
+        expect(fog.getExploredFraction()).toBeCloseTo((1 - Math.cos(0.5)) / 2, 2);
+    });
+
+    it('should forget everything on reset', () => {
+        fog.reveal({ x: 1, y: 0, z: 0 }, 0.3);
+        fog.reset();
+        expect(fog.isExplored({ x: 1, y: 0, z: 0 })).toBe(false);
+        expect(fog.getExploredFraction()).toBe(0);
+    });
+});
@@ -0,0 +1,652 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { readFileSync } from 'fs';
+import PlanetTypeManager from '../js/planetTypes.js';
+import PlanetObjectManager from '../js/planetObjects.js';
+import PlanetGenerator from '../js/planetGenerator.js';
+import GameWorld from '../js/core/GameWorld.js';
+
+const planetData = JSON.parse(readFileSync(new URL('../config/planets.json', import.meta.url), 'utf8'));
+const upgradeData = JSON.parse(readFileSync(new URL('../config/upgrades.json', import.meta.url), 'utf8'));
+
+function createWorld(planetId = 'mars') {
+    const planetTypeManager = new PlanetTypeManager();
+    planetTypeManager.loadFromData(planetData);
+
+    const world = new GameWorld({ planetTypeManager, objectManager: new PlanetObjectManager() });
+    world.loadPlanet(planetId);
+    world.populateObjects();
+    return world;
+}
+
+function run(world, ticks, keys = null) {
+    const discoveries = [];
+    for (let i = 0; i < ticks; i++) {
+        const events = world.step({ keys });
+        discoveries.push(...events.discoveries.map(obj => obj.id));
+    }
+    return discoveries;
+}
+
+// FNV-1a over everything that makes up the generated objects: placement, shape and colour
+function hashObjects(objects) {
+    const values = [];
+    const matrix = new THREE.Matrix4();
+    const shade = new THREE.Color();
+    objects.forEach(obj => {
+        obj.batch.getMatrixAt(obj.instanceId, matrix);
+        obj.batch.getColorAt(obj.instanceId, shade);
+        values.push(obj.size, ...obj.position.toArray(), ...matrix.toArray(), ...shade.toArray());
+        values.push(...obj.batch.geometry.attributes.position.array, obj.batch.material.color.getHex());
+    });
+
+    const bytes = new Uint8Array(new Float64Array(values).buffer);
+    let hash = 0x811c9dc5;
+    for (const byte of bytes) {
+        hash = Math.imul(hash ^ byte, 0x01000193) >>> 0;
+    }
+    return `${objects.map(obj => obj.id).join(',')}:${hash.toString(16)}`;
+}
+
+describe('GameWorld (headless)', () => {
+    let world;
+
+    beforeEach(() => {
+        world = createWorld();
+    });
+
+    it('should load a planet and generate its objects without a renderer', () => {
+        expect(world.planetRadius).toBe(planetData.planetTypes.mars.radius || 80);
+        expect(world.objectManager.objects.length).toBeGreaterThan(0);
+        expect(world.objectRoot.children).toEqual(world.objectManager.batches);
+        expect(world.objectManager.batches.reduce((sum, batch) => sum + batch.count, 0)).toBe(world.objectManager.objects.length);
+    });
+
+    it('should generate identical objects for the same seed', () => {
+        const again = createWorld();
+        const other = createWorld('moon');
+        expect(hashObjects(again.objectManager.objects)).toBe(hashObjects(world.objectManager.objects));
+        expect(hashObjects(other.objectManager.objects)).not.toBe(hashObjects(world.objectManager.objects));
+
+        // Regenerating reuses the seed rather than carrying on from the previous draw
+        world.populateObjects();
+        expect(hashObjects(world.objectManager.objects)).toBe(hashObjects(again.objectManager.objects));
+    });
+
+    it('should settle the rover onto the surface', () => {
+        run(world, 240);
+
+        const surface = world.terrainGenerator.heightAt({ x: 0, y: 1, z: 0 }).height;
+        expect(world.roverPhysics.isGrounded).toBe(true);
+        expect(Math.abs(world.roverPhysics.roverPhysicsPosition.y - surface)).toBeLessThan(3);
+    });
+
+    it('should drive across the planet when driving forward', () => {
+        // Boulders on the route would slow the rover down
+        world.objectManager.clearObjects(world.objectRoot);
+        run(world, 120);
+        run(world, 300, { KeyW: true });
+
+        // The planet turns under the rover about a fixed axis while the heading is unchanged.
+        // The rover accelerates from standstill, so it covers less than 300 ticks at top speed,
+        // and the Martian dust drags a little off that top speed
+        const topSpeed = world.roverPhysics.topSpeed * (1 - world.roverPhysics.surface.drag);
+        const topSpeedAngle = topSpeed / GameConfig.physicsTickRate / world.planetRadius;
+        const turned = 2 * Math.acos(Math.min(1, Math.abs(world.planetQuaternion.w)));
+        expect(turned).toBeGreaterThan(200 * topSpeedAngle);
+        expect(turned).toBeLessThan(300 * topSpeedAngle);
+        expect(world.roverPhysics.driveSpeed).toBeCloseTo(topSpeed, 5);
+        expect(world.tickCount).toBe(420);
+        expect(world.roverEnergy.getLevel()).toBeLessThan(1);
+    });
+
+    it('should ignore driving input while the rover is stranded', () => {
+        run(world, 120);
+        world.roverEnergy.charge = 0;
+        world.roverEnergy.stranded = true;
+
+        const before = world.planetQuaternion.clone();
+        run(world, 10, { KeyW: true });
+
+        expect(world.planetQuaternion.equals(before)).toBe(true);
+    });
+
+    it('should accept continuous drive input alongside keys', () => {
+        run(world, 120);
+        let events = null;
+        for (let i = 0; i < 300; i++) {
+            events = world.step({ keys: {}, drive: { throttle: 0.5, steer: 0 } });
+        }
+
+        // The route crosses slopes steep enough to slip on, so speed is only roughly half of top speed
+        const topSpeed = world.roverPhysics.topSpeed * (1 - world.roverPhysics.surface.drag);
+        expect(events.movement.throttle).toBe(0.5);
+        expect(world.roverPhysics.driveSpeed).toBeGreaterThan(topSpeed * 0.45);
+        expect(world.roverPhysics.driveSpeed).toBeLessThanOrEqual(topSpeed * 0.5 + 1e-9);
+    });
+
+    it('should coast to a stop when driving input is disabled', () => {
+        run(world, 120);
+        run(world, 120, { KeyW: true });
+        run(world, 1);
+        expect(world.roverPhysics.driveSpeed).toBeGreaterThan(0);
+
+        run(world, 300);
+        expect(world.roverPhysics.driveSpeed).toBe(0);
+    });
+
+    it('should drive on the surface declared for the planet', () => {
+        run(world, 2);
+        expect(world.roverPhysics.surface).toEqual(planetData.planetTypes.mars.surface);
+    });
+
+    it('should sink into soft ground', () => {
+        const desert = createWorld('desert');
+        const firm = createWorld('desert');
+        firm.planetSurface = { ...firm.planetSurface, sinkage: 0 };
+        run(desert, 240);
+        run(firm, 240);
+
+        // Same terrain, but the sand lets the wheels sink in (the dune slope moves both rovers a little)
+        const depth = firm.roverPhysics.roverPhysicsPosition.y - desert.roverPhysics.roverPhysicsPosition.y;
+        expect(depth).toBeCloseTo(desert.roverPhysics.surface.sinkage, 1);
+    });
+
+    it('should use each biome\'s surface on a mixed planet', () => {
+        const generator = new PlanetGenerator();
+        const config = generator.generatePlanet(777, 'ice', { biomeMix: { ice: 0.5, desert: 0.5 } });
+        expect(config.surface).toEqual(generator.getBiomeGenerationRanges().ice.surface);
+
+        const mixed = createWorld('mars');
+        mixed.planetTypeManager.addGeneratedPlanet(config);
+        mixed.loadPlanet(config.id);
+
+        const names = new Set();
+        for (let i = 0; i < 200; i++) {
+            const lat = Math.asin(2 * ((i * 0.618) % 1) - 1);
+            const lon = i * 2.4;
+            names.add(mixed.getSurfaceAt({ x: Math.cos(lat) * Math.cos(lon), y: Math.sin(lat), z: Math.cos(lat) * Math.sin(lon) }).name);
+        }
+        expect(names).toEqual(new Set(['ice', 'loose sand']));
+    });
+
+    it('should spawn each region\'s own objects on a mixed planet', () => {
+        const generator = new PlanetGenerator();
+        const config = generator.generatePlanet(777, 'ice', { biomeMix: { ice: 0.5, volcanic: 0.5 } });
+        expect(config.objects.iceSpire).toBeCloseTo(PlanetGenerator.BIOME_OBJECT_DENSITIES.ice.iceSpire * 0.5, 3);
+        expect(config.objects.lavaVent).toBeCloseTo(PlanetGenerator.BIOME_OBJECT_DENSITIES.volcanic.lavaVent * 0.5, 3);
+        expect(config.objects.sandRuin).toBeUndefined();
+
+        const mixed = createWorld('mars');
+        mixed.planetTypeManager.addGeneratedPlanet(config);
+        mixed.loadPlanet(config.id);
+        mixed.populateObjects();
+
+        const objects = mixed.objectManager.objects;
+        const biomesOf = (types) => new Set(objects
+            .filter(obj => types.includes(obj.type))
+            .map(obj => mixed.getBiomeAt(obj.position.clone().normalize())));
+        expect(biomesOf(['iceSpire', 'frozenGeyser'])).toEqual(new Set(['ice']));
+        expect(biomesOf(['lavaVent', 'obsidianShard'])).toEqual(new Set(['volcanic']));
+        expect(biomesOf(['boulder'])).toEqual(new Set(['ice', 'volcanic']));
+    });
+
+    it('should generate the same missions for the same seed, with biome surveys on mixed planets', () => {
+        const generator = new PlanetGenerator();
+        const config = generator.generatePlanet(777, 'ice', { biomeMix: { ice: 0.5, volcanic: 0.5 } });
+        expect(config.missions).toEqual(new PlanetGenerator().generatePlanet(777, 'ice', { biomeMix: { ice: 0.5, volcanic: 0.5 } }).missions);
+
+        const objectives = config.missions.flatMap(mission => mission.objectives);
+        expect(objectives.map(objective => objective.type)).toEqual(['collect', 'find', 'reach', 'surveyBiomes']);
+        expect(objectives[3].count).toBe(2);
+
+        // Every target exists on the planet
+        const mixed = createWorld('mars');
+        mixed.planetTypeManager.addGeneratedPlanet(config);
+        mixed.loadPlanet(config.id);
+        mixed.populateObjects();
+        const collectible = mixed.objectManager.objects.filter(obj => obj.canCollect && obj.type === objectives[0].objectType);
+        expect(collectible.length).toBeGreaterThanOrEqual(objectives[0].count);
+        expect(mixed.objectManager.sites.map(site => site.type)).toContain(objectives[1].target);
+    });
+
+    it('should spawn only the planet\'s biome objects on a single-biome planet', () => {
+        const ice = createWorld('ice');
+        const types = new Set(ice.objectManager.objects.map(obj => obj.type));
+        expect(types.has('iceSpire')).toBe(true);
+        expect(types.has('lavaVent')).toBe(false);
+        expect(ice.getBiomeAt({ x: 0, y: 1, z: 0 })).toBe('ice');
+    });
+
+    it('should fall under the planet\'s own gravity', () => {
+        const moon = createWorld('moon');
+        run(world, 4);
+        run(moon, 4);
+
+        // Both are still dropping towards the surface; the Moon pulls at 0.4 g
+        expect(moon.planetPhysics.gravity).toBe(planetData.planetTypes.moon.physics.gravity);
+        expect(world.roverPhysics.isGrounded).toBe(false);
+        expect(moon.roverPhysics.roverVelocity.y / world.roverPhysics.roverVelocity.y).toBeCloseTo(0.4, 1);
+    });
+
+    it('should derive gravity from a generated planet\'s size', () => {
+        const generator = new PlanetGenerator();
+        const derived = generator.generatePlanet(4242, 'desert');
+        const fixed = generator.generatePlanet(4243, 'desert', { gravity: 0.5 });
+        expect(derived.physics.gravity).toBeUndefined();
+
+        const generated = createWorld('mars');
+        generated.planetTypeManager.addGeneratedPlanet(derived);
+        generated.planetTypeManager.addGeneratedPlanet(fixed);
+
+        generated.loadPlanet(derived.id);
+        const expected = Math.min(PhysicsConfig.maxGravity, (derived.radius / PhysicsConfig.referenceRadius) * derived.physics.density);
+        expect(generated.planetPhysics.gravity).toBeCloseTo(expected, 10);
+        expect(generated.roverPhysics.gravity).toBeCloseTo(PhysicsConfig.gravity * expected, 10);
+
+        generated.loadPlanet(fixed.id);
+        expect(generated.planetPhysics.gravity).toBe(0.5);
+    });
+
+    it('should not count the drop onto a new planet as a hard landing', () => {
+        // Volcanic gravity makes the drop land hard enough to hurt anywhere else
+        const volcanic = createWorld('volcanic');
+        const landings = [];
+        for (let i = 0; i < 240; i++) {
+            landings.push(...volcanic.step({ keys: null }).landings);
+        }
+
+        expect(landings[0].impact).toBeGreaterThan(volcanic.roverDamage.landingThreshold);
+        expect(volcanic.roverDamage.getState()).toEqual({ wheels: 1, panel: 1, headlight: 1 });
+    });
+
+    it('should damage the rover in a hard landing', () => {
+        run(world, 240);
+        world.roverPhysics.roverPhysicsPosition.y += 10;
+        world.roverPhysics.roverVelocity.y = -5;
+
+        const impacts = [];
+        for (let i = 0; i < 30; i++) {
+            impacts.push(...world.step({ keys: null }).impacts);
+        }
+
+        expect(impacts.length).toBe(1);
+        expect(impacts[0].source).toBe('landing');
+        expect(world.roverDamage.health.wheels).toBeLessThan(1);
+        expect(world.roverPhysics.driveEfficiency).toBe(world.roverDamage.getDriveFactor());
+    });
+
+    describe('points of interest', () => {
+        // Turn the planet so the site is under the rover
+        function driveTo(site) {
+            world.planetQuaternion.setFromUnitVectors(site.position.clone().normalize(), new THREE.Vector3(0, 1, 0));
+            world.roverPhysics.roverPhysicsPosition.set(0, site.position.length() + 1, 0);
+        }
+
+        it('should place the same sites on every visit', () => {
+            const again = createWorld();
+            const layout = (w) => w.objectManager.sites.map(site => [site.id, site.type, ...site.position.toArray()]);
+            expect(layout(world).length).toBeGreaterThan(0);
+            expect(layout(again)).toEqual(layout(world));
+        });
+
+        it('should discover a site on arrival and pay out its reward', () => {
+            const site = world.objectManager.sites.find(s => s.reward.charge);
+            world.roverEnergy.charge = 10;
+            driveTo(site);
+
+            const { discoveries } = world.checkObjectCollisions();
+            expect(discoveries).toContain(site);
+            expect(world.roverEnergy.charge).toBe(10 + site.reward.charge);
+
+            // Only once
+            expect(world.checkObjectCollisions().discoveries).not.toContain(site);
+            expect(world.roverEnergy.charge).toBe(10 + site.reward.charge);
+        });
+
+        it('should repair the rover at a crashed lander', () => {
+            const lander = createWorld('volcanic');
+            const site = lander.objectManager.sites.find(s => s.type === 'crashedLander');
+            lander.roverDamage.health.wheels = 0.2;
+            lander.roverPhysics.driveEfficiency = lander.roverDamage.getDriveFactor();
+            lander.planetQuaternion.setFromUnitVectors(site.position.clone().normalize(), new THREE.Vector3(0, 1, 0));
+            lander.roverPhysics.roverPhysicsPosition.set(0, site.position.length() + 1, 0);
+
+            lander.checkObjectCollisions();
+            expect(lander.roverDamage.health.wheels).toBeCloseTo(0.2 + site.reward.repair, 9);
+            expect(lander.roverPhysics.driveEfficiency).toBe(lander.roverDamage.getDriveFactor());
+        });
+    });
+
+    it('should flag the drop onto a new planet', () => {
+        const landings = [];
+        for (let i = 0; i < 300 && landings.length === 0; i++) {
+            landings.push(...world.step({ keys: null }).landings);
+        }
+        expect(landings[0].planetfall).toBe(true);
+
+        world.roverPhysics.roverPhysicsPosition.multiplyScalar((world.planetRadius + 30) / world.roverPhysics.roverPhysicsPosition.length());
+        world.roverPhysics.isGrounded = false;
+        const next = [];
+        for (let i = 0; i < 300 && next.length === 0; i++) {
+            next.push(...world.step({ keys: null }).landings);
+        }
+        expect(next[0].planetfall).toBe(false);
+    });
+
+    describe('collecting', () => {
+        // Turn the planet so the object is under the rover
+        function driveTo(target, obj) {
+            target.planetQuaternion.setFromUnitVectors(obj.position.clone().normalize(), new THREE.Vector3(0, 1, 0));
+            target.roverPhysics.roverPhysicsPosition.set(0, obj.position.length(), 0);
+        }
+
+        it('should collect nothing out of reach', () => {
+            expect(world.collect()).toEqual({ object: null, collected: false, discovered: false, full: false, missions: [] });
+        });
+
+        it('should take a collected object off the planet and into the cargo', () => {
+            const crystal = world.objectManager.objects.find(obj => obj.type === 'crystal');
+            driveTo(world, crystal);
+
+            const result = world.collect();
+            expect(result.object).toBe(crystal);
+            expect(result.collected).toBe(true);
+            expect(result.discovered).toBe(true);
+            expect(crystal.discovered).toBe(true);
+            expect(world.objectManager.objects).not.toContain(crystal);
+            expect(world.inventory.getCount('crystal')).toBe(1);
+            expect(world.roverPhysics.cargoMass).toBe(crystal.definition.mass);
+
+            // The mission counts it
+            const collectObjective = result.missions.find(update => update.objective.definition.type === 'collect');
+            expect(collectObjective.objective.progress).toBe(1);
+        });
+
+        it('should leave collected objects out when the planet is generated again', () => {
+            const crystal = world.objectManager.objects.find(obj => obj.type === 'crystal');
+            driveTo(world, crystal);
+            world.collect();
+
+            const again = new GameWorld({
+                planetTypeManager: world.planetTypeManager,
+                objectManager: new PlanetObjectManager(),
+                inventory: world.inventory
+            });
+            again.loadPlanet('mars');
+            again.populateObjects();
+            expect(again.objectManager.objects.map(obj => obj.id)).not.toContain(crystal.id);
+            expect(again.objectManager.objects.length).toBe(createWorld().objectManager.objects.length - 1);
+            expect(again.roverPhysics.cargoMass).toBe(crystal.definition.mass);
+        });
+
+        it('should leave objects where they are when the cargo is full', () => {
+            world.inventory.capacity = 1;
+            const metal = world.objectManager.objects.find(obj => obj.type === 'metal');
+            driveTo(world, metal);
+
+            const result = world.collect();
+            expect(result.full).toBe(true);
+            expect(result.collected).toBe(false);
+            expect(world.objectManager.objects).toContain(metal);
+        });
+
+        it('should empty a full hold by jettisoning, so collecting resumes', () => {
+            const crystals = world.objectManager.objects.filter(obj => obj.type === 'crystal');
+            world.inventory.capacity = crystals[0].definition.mass;
+            driveTo(world, crystals[0]);
+            expect(world.collect().collected).toBe(true);
+
+            driveTo(world, crystals[1]);
+            expect(world.collect().full).toBe(true);
+
+            const dropped = world.jettison();
+            expect(dropped.type).toBe('crystal');
+            expect(world.inventory.getMass()).toBe(0);
+            expect(world.roverPhysics.cargoMass).toBe(0);
+            expect(world.jettison()).toBeNull();
+
+            const result = world.collect();
+            expect(result.collected).toBe(true);
+            expect(result.object).toBe(crystals[1]);
+        });
+    });
+
+    describe('upgrades', () => {
+        let upgrades;
+
+        beforeEach(() => {
+            upgrades = new RoverUpgrades({ storage: null });
+            upgrades.loadFromData(upgradeData);
+        });
+
+        function createUpgradedWorld() {
+            const upgraded = new GameWorld({
+                planetTypeManager: world.planetTypeManager,
+                objectManager: new PlanetObjectManager(),
+                upgrades: upgrades
+            });
+            upgraded.loadPlanet('mars');
+            upgraded.populateObjects();
+            return upgraded;
+        }
+
+        function fillCargo(target, cost) {
+            Object.entries(cost).forEach(([type, count]) => {
+                for (let i = 0; i < count; i++) {
+                    target.inventory.add({ id: `${type}_${i}`, type, canCollect: true, definition: { name: type, mass: 1 } }, 'mars', 0);
+                }
+            });
+        }
+
+        it('should fit upgrades bought in an earlier session', () => {
+            upgrades.levels = { battery: 3, suspension: 2 };
+            const upgraded = createUpgradedWorld();
+
+            expect(upgraded.roverEnergy.capacity).toBe(200);
+            expect(upgraded.roverPhysics.wheelRadius).toBeCloseTo(PhysicsConfig.wheelRadius * 1.15, 10);
+            expect(upgraded.roverPhysics.suspensionTravel).toBeCloseTo(PhysicsConfig.wheelSuspensionTravel * 1.5, 10);
+        });
+
+        it('should buy upgrades with cargo and fit them straight away', () => {
+            const upgraded = createUpgradedWorld();
+            expect(upgraded.purchaseUpgrade('motor').purchased).toBe(false);
+
+            fillCargo(upgraded, upgradeData.upgrades.motor.levels[0].cost);
+            upgraded.roverPhysics.cargoMass = upgraded.inventory.getMass();
+
+            const result = upgraded.purchaseUpgrade('motor');
+            expect(result.purchased).toBe(true);
+            expect(upgraded.roverPhysics.motorTorque).toBe(upgradeData.upgrades.motor.levels[0].stats.torque);
+            expect(upgraded.inventory.getMass()).toBe(0);
+            expect(upgraded.roverPhysics.cargoMass).toBe(0);
+        });
+
+        it('should discover objects from further away with an upgraded scanner', () => {
+            // Just past the base discovery range of the first crystal
+            const place = (target) => {
+                const crystal = target.objectManager.objects.find(obj => obj.type === 'crystal');
+                const up = crystal.position.clone().normalize();
+                const side = new THREE.Vector3(1, 0, 0).cross(up).normalize();
+                target.planetQuaternion.identity();
+                target.roverPhysics.roverPhysicsPosition.copy(crystal.position).addScaledVector(side, target.discoveryRange + 1);
+                return crystal;
+            };
+
+            const crystal = place(world);
+            expect(world.checkObjectCollisions().discoveries).not.toContain(crystal);
+
+            upgrades.levels = { scanner: 1 };
+            const upgraded = createUpgradedWorld();
+            const upgradedCrystal = place(upgraded);
+            expect(upgraded.scannerRange).toBe(upgradeData.upgrades.scanner.levels[0].stats.scannerRange);
+            expect(upgraded.checkObjectCollisions().discoveries).toContain(upgradedCrystal);
+        });
+    });
+
+    describe('missions', () => {
+        it('should load the planet\'s missions', () => {
+            expect(world.missionTracker.getActiveMission().id).toBe(planetData.planetTypes.mars.missions[0].id);
+
+            world.loadPlanet('moon');
+            expect(world.missionTracker.missions.map(mission => mission.id))
+                .toEqual(planetData.planetTypes.moon.missions.map(mission => mission.id));
+        });
+
+        it('should have enough targets for every preset mission', () => {
+            for (const id of Object.keys(planetData.planetTypes)) {
+                const planet = createWorld(id);
+                const objectives = planetData.planetTypes[id].missions.flatMap(mission => mission.objectives);
+                for (const objective of objectives) {
+                    if (objective.type === 'collect') {
+                        const count = planet.objectManager.objects.filter(obj => obj.canCollect && obj.type === objective.objectType).length;
+                        expect(count, `${id}: ${objective.label}`).toBeGreaterThanOrEqual(objective.count);
+                    } else if (objective.type === 'find') {
+                        expect(planet.objectManager.sites.map(site => site.type), `${id}: ${objective.label}`).toContain(objective.target);
+                    }
+                }
+            }
+        });
+
+        it('should progress from discoveries and the rover\'s position', () => {
+            const lander = world.objectManager.sites.find(site => site.type === 'crashedLander');
+            world.planetQuaternion.setFromUnitVectors(lander.position.clone().normalize(), new THREE.Vector3(0, 1, 0));
+            world.roverPhysics.roverPhysicsPosition.set(0, lander.position.length() + 1, 0);
+
+            const events = world.step({ keys: null });
+            const found = events.missions.find(update => update.objective.definition.type === 'find');
+            expect(found.objective.completed).toBe(true);
+
+            const crater = planetData.planetTypes.mars.missions[1].objectives[0];
+            const spot = MissionTracker.fromLatLon(crater.lat, crater.lon);
+            world.planetQuaternion.setFromUnitVectors(new THREE.Vector3(spot.x, spot.y, spot.z), new THREE.Vector3(0, 1, 0));
+            world.roverPhysics.roverPhysicsPosition.set(0, world.planetRadius + 1, 0);
+
+            const reached = world.step({ keys: null }).missions.find(update => update.objective.definition.type === 'reach');
+            expect(reached.objective.completed).toBe(true);
+        });
+    });
+
+    describe('collisions', () => {
+        // An object two units from the rover, ahead of it (forward) or beside it
+        function collideWith(offset) {
+            const rover = world.roverPhysics.roverPhysicsPosition;
+            const heading = world.roverHeading;
+            const forward = new THREE.Vector3(-Math.sin(heading), 0, Math.cos(heading));
+            const side = new THREE.Vector3(Math.cos(heading), 0, Math.sin(heading));
+            const position = rover.clone().addScaledVector(offset === 'ahead' ? forward : side, 2);
+
+            const impacts = [];
+            const pushed = world.resolveCollision({ object: { position, collisionRadius: 2 }, distance: 2 }, impacts);
+            return { pushed, impacts };
+        }
+
+        beforeEach(() => {
+            run(world, 240);
+        });
+
+        it('should damage the rover by how fast it drove into an object', () => {
+            world.roverPhysics.driveSpeed = 40;
+            const { pushed, impacts } = collideWith('ahead');
+
+            expect(pushed).toBe(true);
+            expect(impacts.length).toBe(1);
+            expect(impacts[0].source).toBe('collision');
+            expect(impacts[0].speed).toBeCloseTo(40, 5);
+            expect(world.roverDamage.health.headlight).toBeLessThan(1);
+
+            // The impact takes most of the speed away
+            expect(world.roverPhysics.driveSpeed).toBeCloseTo(12, 5);
+        });
+
+        it('should not damage the rover brushing past an object', () => {
+            world.roverPhysics.driveSpeed = 40;
+            const { pushed, impacts } = collideWith('beside');
+
+            expect(pushed).toBe(true);
+            expect(impacts).toEqual([]);
+            expect(world.roverPhysics.driveSpeed).toBeCloseTo(40, 5);
+        });
+
+        it('should not damage the rover for a gentle bump', () => {
+            world.roverPhysics.driveSpeed = world.roverDamage.collisionThreshold * 0.5;
+            expect(collideWith('ahead').impacts).toEqual([]);
+        });
+    });
+
+    describe('rollover', () => {
+        beforeEach(() => {
+            run(world, 240);
+            world.roverPhysics.overturned = true;
+        });
+
+        it('should not drive while overturned', () => {
+            const before = world.planetQuaternion.clone();
+            const events = world.step({ keys: { KeyW: true } });
+
+            expect(events.rover.overturned).toBe(true);
+            expect(world.planetQuaternion.equals(before)).toBe(true);
+        });
+
+        it('should self-right for battery charge and drive again', () => {
+            const charge = world.roverEnergy.charge;
+            expect(world.selfRight()).toEqual({ started: true, powered: true });
+            expect(world.roverEnergy.charge).toBeLessThanOrEqual(charge - GameConfig.selfRightEnergyCost);
+            expect(world.selfRight().started).toBe(false);
+
+            const ticks = GameConfig.selfRightSeconds * GameConfig.physicsTickRate;
+            const events = [];
+            for (let i = 0; i < ticks; i++) {
+                events.push(world.step({ keys: null }));
+            }
+
+            expect(events[0].rover.selfRighting).toBe(true);
+            expect(events[ticks - 1].rover.righted).toBe(true);
+            expect(world.roverPhysics.overturned).toBe(false);
+
+            const before = world.planetQuaternion.clone();
+            run(world, 10, { KeyW: true });
+            expect(world.planetQuaternion.equals(before)).toBe(false);
+        });
+
+        it('should self-right slowly when the battery is low', () => {
+            world.roverEnergy.charge = GameConfig.selfRightEnergyCost / 2;
+
+            expect(world.selfRight()).toEqual({ started: true, powered: false });
+            expect(world.roverEnergy.charge).toBe(GameConfig.selfRightEnergyCost / 2);
+            expect(world.roverPhysics.selfRightTicks).toBe(GameConfig.selfRightUnpoweredSeconds * GameConfig.physicsTickRate);
+        });
+
+        it('should repair the rover and stand it back up', () => {
+            world.roverDamage.applyImpact('collision', 1000);
+            world.repairRover();
+
+            expect(world.roverDamage.getState()).toEqual({ wheels: 1, panel: 1, headlight: 1 });
+            expect(world.roverPhysics.driveEfficiency).toBe(1);
+            expect(world.roverPhysics.overturned).toBe(false);
+        });
+    });
+
+    it('should discover a collectible the rover drives up to', () => {
+        const crystal = world.objectManager.objects.find(obj => obj.canCollect);
+        expect(crystal).toBeDefined();
+
+        // Rotate the planet so the crystal sits directly under the rover
+        const direction = crystal.position.clone().normalize();
+        world.planetQuaternion.setFromUnitVectors(direction, new THREE.Vector3(0, 1, 0));
+
+        const discoveries = run(world, 240);
+        expect(discoveries).toContain(crystal.id);
+        expect(crystal.discovered).toBe(true);
+    });
+
+    it('should replay identically for the same seed and input', () => {
+        const script = (target) => {
+            run(target, 120);
+            const found = run(target, 600, { KeyW: true, KeyA: true });
+            return { found, quaternion: target.planetQuaternion.toArray(), position: target.roverPhysics.roverPhysicsPosition.toArray() };
+        };
+
+        const other = createWorld();
+        expect(script(world)).toEqual(script(other));
+    });
+});
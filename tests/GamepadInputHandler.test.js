@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import GamepadInputHandler from '../js/input/GamepadInputHandler.js';
+
+// Minimal stand-in for a browser Gamepad in the standard layout
+function createGamepad(index, { axes = [0, 0, 0, 0], pressed = [], values = {} } = {}) {
+    const buttons = [];
+    for (let i = 0; i < 17; i++) {
+        const isPressed = pressed.includes(i);
+        buttons.push({ pressed: isPressed, value: values[i] !== undefined ? values[i] : (isPressed ? 1 : 0) });
+    }
+    return { index, id: `Test pad ${index}`, connected: true, axes, buttons };
+}
+
+describe('GamepadInputHandler', () => {
+    let pads;
+    let handler;
+    let changes;
+
+    beforeEach(() => {
+        pads = [];
+        changes = [];
+        handler = new GamepadInputHandler({
+            deadZone: 0.2,
+            listen: false,
+            getGamepads: () => pads,
+            onConnectionChange: (status, gamepad) => changes.push([status, gamepad.index])
+        });
+    });
+
+    describe('dead zones', () => {
+        it('should ignore small deflections and rescale the rest', () => {
+            expect(GamepadInputHandler.applyDeadZone(0.1, 0.2)).toBe(0);
+            expect(GamepadInputHandler.applyDeadZone(-0.2, 0.2)).toBe(0);
+            expect(GamepadInputHandler.applyDeadZone(0.6, 0.2)).toBeCloseTo(0.5);
+            expect(GamepadInputHandler.applyDeadZone(-1, 0.2)).toBe(-1);
+        });
+
+        it('should apply a radial dead zone without clipping diagonals', () => {
+            expect(GamepadInputHandler.applyRadialDeadZone(0.1, 0.1, 0.2)).toEqual({ x: 0, y: 0 });
+
+            const diagonal = GamepadInputHandler.applyRadialDeadZone(0.7071, 0.7071, 0.2);
+            expect(diagonal.x).toBeCloseTo(diagonal.y);
+            expect(Math.hypot(diagonal.x, diagonal.y)).toBeCloseTo(1, 3);
+        });
+    });
+
+    describe('polling', () => {
+        it('should return neutral input with no controller', () => {
+            const input = handler.poll();
+            expect(input.throttle).toBe(0);
+            expect(input.steer).toBe(0);
+            expect(input.pressed.size).toBe(0);
+        });
+
+        it('should map the left stick to throttle and steering', () => {
+            pads[0] = createGamepad(0, { axes: [1, -1, 0, 0] });
+            handler.handleConnected(pads[0]);
+
+            const input = handler.poll();
+            expect(input.throttle).toBeGreaterThan(0.6); // Stick up drives forward
+            expect(input.steer).toBeGreaterThan(0.6);    // Stick right steers right
+        });
+
+        it('should drive with the triggers', () => {
+            pads[0] = createGamepad(0, { values: { 6: 1 } });
+            handler.handleConnected(pads[0]);
+
+            expect(handler.poll().throttle).toBe(-1); // Left trigger reverses
+        });
+
+        it('should map the right stick to the camera', () => {
+            pads[0] = createGamepad(0, { axes: [0, 0, -1, 0.05] });
+            handler.handleConnected(pads[0]);
+
+            const input = handler.poll();
+            expect(input.camera.x).toBeCloseTo(-1);
+            expect(input.camera.y).toBeCloseTo(0.05, 1);
+        });
+
+        it('should report a held button as pressed only once', () => {
+            pads[0] = createGamepad(0, { pressed: [9] });
+            handler.handleConnected(pads[0]);
+
+            expect(handler.poll().pressed.has('openPlanets')).toBe(true);
+            expect(handler.poll().pressed.has('openPlanets')).toBe(false);
+
+            pads[0] = createGamepad(0);
+            handler.poll();
+            pads[0] = createGamepad(0, { pressed: [9] });
+            expect(handler.poll().pressed.has('openPlanets')).toBe(true);
+        });
+    });
+
+    describe('connection changes', () => {
+        it('should keep the first controller and fall back when it disconnects', () => {
+            pads[0] = createGamepad(0);
+            pads[1] = createGamepad(1);
+            handler.handleConnected(pads[0]);
+            handler.handleConnected(pads[1]);
+            expect(handler.getGamepad()).toBe(pads[0]);
+
+            pads[0] = { ...pads[0], connected: false };
+            handler.handleDisconnected(pads[0]);
+
+            expect(handler.getGamepad()).toBe(pads[1]);
+            expect(changes).toEqual([['connected', 0], ['disconnected', 0], ['connected', 1]]);
+        });
+
+        it('should report no controller once the last one disconnects', () => {
+            pads[0] = createGamepad(0);
+            handler.handleConnected(pads[0]);
+
+            pads[0] = { ...pads[0], connected: false };
+            handler.handleDisconnected(pads[0]);
+
+            expect(handler.isConnected()).toBe(false);
+            expect(handler.poll().throttle).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import InputBindings from '../js/input/InputBindings.js';
+import MemoryStorage from './helpers/MemoryStorage.js';
+
+describe('InputBindings', () => {
+    let storage;
+    let bindings;
+
+    beforeEach(() => {
+        storage = new MemoryStorage();
+        bindings = new InputBindings({ storage, storageKey: 'testBindings' });
+    });
+
+    describe('defaults', () => {
+        it('should drive with WASD', () => {
+            expect(bindings.getDrive({ KeyW: true, KeyD: true })).toEqual({ throttle: 1, steer: 1 });
+            expect(bindings.getDrive({ KeyS: true, KeyA: true })).toEqual({ throttle: -1, steer: -1 });
+            expect(bindings.getDrive({ KeyW: true, KeyS: true })).toEqual({ throttle: 0, steer: 0 });
+            expect(bindings.getDrive(null)).toEqual({ throttle: 0, steer: 0 });
+        });
+
+        it('should map button keys to their controls', () => {
+            expect(bindings.getControlForKey('KeyP')).toBe('openPlanets');
+            expect(bindings.getControlForKey('KeyM')).toBe('toggleMinimap');
+            expect(bindings.getControlForKey('KeyJ')).toBe('jettison');
+            expect(bindings.getControlForKey('NumpadAdd')).toBe('pixelUp');
+            expect(bindings.getControlForKey('Minus')).toBe('pixelDown');
+            expect(bindings.getControlForKey('KeyQ')).toBeNull();
+        });
+    });
+
+    describe('rebinding', () => {
+        it('should drive with a rebound key', () => {
+            // ZQSD, as an AZERTY player would press it by label
+            expect(bindings.bind('throttleForward', 0, 'KeyZ').bound).toBe(true);
+
+            expect(bindings.getDrive({ KeyZ: true }).throttle).toBe(1);
+            expect(bindings.getDrive({ KeyW: true }).throttle).toBe(0);
+        });
+
+        it('should refuse a key bound to another control', () => {
+            const result = bindings.bind('throttleForward', 0, 'KeyA');
+
+            expect(result).toEqual({ bound: false, conflict: 'steerLeft' });
+            expect(bindings.getKeys('throttleForward')[0]).toBe('KeyW');
+            expect(bindings.getControlForKey('KeyA')).toBe('steerLeft');
+        });
+
+        it('should move a conflicting key when replacing', () => {
+            const result = bindings.bind('throttleForward', 0, 'KeyA', { replace: true });
+
+            expect(result).toEqual({ bound: true, conflict: 'steerLeft' });
+            expect(bindings.getControlForKey('KeyA')).toBe('throttleForward');
+            expect(bindings.getKeys('steerLeft')).toEqual([null, null]);
+        });
+
+        it('should move a key between slots of the same control', () => {
+            bindings.bind('pixelUp', 0, 'NumpadAdd');
+
+            expect(bindings.getKeys('pixelUp')).toEqual(['NumpadAdd', null]);
+        });
+
+        it('should clear a slot', () => {
+            bindings.unbind('pixelUp', 1);
+
+            expect(bindings.getKeys('pixelUp')).toEqual(['Equal', null]);
+            expect(bindings.getControlForKey('NumpadAdd')).toBeNull();
+        });
+
+        it('should ignore unknown controls and slots', () => {
+            expect(bindings.bind('fly', 0, 'KeyF').bound).toBe(false);
+            expect(bindings.bind('pixelUp', 5, 'KeyF').bound).toBe(false);
+        });
+
+        it('should reset to defaults', () => {
+            bindings.bind('throttleForward', 0, 'ArrowUp');
+            bindings.resetToDefaults();
+
+            expect(bindings.getKeys('throttleForward')).toEqual(['KeyW', null]);
+        });
+    });
+
+    describe('persistence', () => {
+        it('should save and load bindings', () => {
+            bindings.bind('throttleForward', 1, 'ArrowUp');
+            expect(bindings.save()).toBe(true);
+
+            const loaded = new InputBindings({ storage, storageKey: 'testBindings' });
+            expect(loaded.load()).toBe(true);
+            expect(loaded.getKeys('throttleForward')).toEqual(['KeyW', 'ArrowUp']);
+        });
+
+        it('should keep defaults when nothing is saved or the save is corrupt', () => {
+            expect(bindings.load()).toBe(false);
+
+            storage.setItem('testBindings', '{not json');
+            expect(bindings.load()).toBe(false);
+            expect(bindings.getKeys('steerLeft')).toEqual(['KeyA', null]);
+        });
+
+        it('should not load duplicate keys from a saved keymap', () => {
+            storage.setItem('testBindings', JSON.stringify({
+                bindings: { throttleForward: ['KeyA'], steerLeft: ['KeyA', 'KeyQ'] }
+            }));
+
+            bindings.load();
+            expect(bindings.getKeys('throttleForward')).toEqual(['KeyA', null]);
+            expect(bindings.getKeys('steerLeft')).toEqual([null, 'KeyQ']);
+        });
+
+        it('should give up default keys that saved controls took', () => {
+            storage.setItem('testBindings', JSON.stringify({ bindings: { openPlanets: ['KeyW'] } }));
+
+            bindings.load();
+            expect(bindings.getControlForKey('KeyW')).toBe('openPlanets');
+            expect(bindings.getKeys('throttleForward')).toEqual([null, null]);
+        });
+    });
+
+    describe('formatKey', () => {
+        it('should format common key codes', () => {
+            expect(InputBindings.formatKey('KeyW')).toBe('W');
+            expect(InputBindings.formatKey('Digit3')).toBe('3');
+            expect(InputBindings.formatKey('ArrowUp')).toBe('↑');
+            expect(InputBindings.formatKey('NumpadAdd')).toBe('Num +');
+            expect(InputBindings.formatKey(null)).toBe('—');
+        });
+
+        it('should use the keyboard layout when available', () => {
+            // AZERTY: the key in the W position is labelled Z
+            const azerty = new Map([['KeyW', 'z'], ['KeyA', 'q']]);
+
+            expect(InputBindings.formatKey('KeyW', azerty)).toBe('Z');
+            expect(InputBindings.formatKey('KeyD', azerty)).toBe('D');
+        });
+    });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import MinimapProjection from '../js/minimap/MinimapProjection.js';
+
+const expectDirection = (actual, expected) => {
+    expect(actual.x).toBeCloseTo(expected.x);
+    expect(actual.y).toBeCloseTo(expected.y);
+    expect(actual.z).toBeCloseTo(expected.z);
+};
+
+describe('MinimapProjection', () => {
+    describe('equirectangular', () => {
+        it('should put the north pole on the top edge', () => {
+            expect(MinimapProjection.toEquirectangular({ x: 0, y: 1, z: 0 }, 256, 128).y).toBeCloseTo(0);
+        });
+
+        it('should put the equator across the middle', () => {
+            const point = MinimapProjection.toEquirectangular({ x: 1, y: 0, z: 0 }, 256, 128);
+            expect(point.x).toBeCloseTo(128);
+            expect(point.y).toBeCloseTo(64);
+        });
+
+        it('should invert its projection', () => {
+            const direction = MinimapProjection.fromLatLon(0.4, -2.1);
+            const point = MinimapProjection.toEquirectangular(direction, 256, 128);
+            expectDirection(MinimapProjection.fromEquirectangular(point.x, point.y, 256, 128), direction);
+        });
+    });
+
+    describe('azimuthal', () => {
+        const frame = MinimapProjection.createFrame({ x: 0, y: 1, z: 0 }, { x: 0, y: 0, z: 1 });
+
+        it('should build an orthonormal frame even from a tilted forward vector', () => {
+            const tilted = MinimapProjection.createFrame({ x: 0, y: 1, z: 0 }, { x: 0, y: 0.5, z: 1 });
+            expectDirection(tilted.forward, { x: 0, y: 0, z: 1 });
+            expectDirection(tilted.right, { x: -1, y: 0, z: 0 });
+        });
+
+        it('should put the centre direction at the origin', () => {
+            const point = MinimapProjection.toAzimuthal({ x: 0, y: 1, z: 0 }, frame, 0.5);
+            expect(point.x).toBeCloseTo(0);
+            expect(point.y).toBeCloseTo(0);
+        });
+
+        it('should put forward up the map at its true angular distance', () => {
+            const direction = { x: 0, y: Math.cos(0.25), z: Math.sin(0.25) };
+            const point = MinimapProjection.toAzimuthal(direction, frame, 0.5);
+            expect(point.x).toBeCloseTo(0);
+            expect(point.y).toBeCloseTo(0.5);
+            expect(point.distance).toBeCloseTo(0.5);
+        });
+
+        it('should invert its projection', () => {
+            const direction = MinimapProjection.fromAzimuthal(0.3, -0.6, frame, 0.5);
+            const point = MinimapProjection.toAzimuthal(direction, frame, 0.5);
+            expect(point.x).toBeCloseTo(0.3);
+            expect(point.y).toBeCloseTo(-0.6);
+        });
+    });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import MissionTracker from '../js/missions/MissionTracker.js';
+
+const MISSIONS = [
+    {
+        id: 'prospecting',
+        title: 'Prospecting',
+        objectives: [
+            { type: 'collect', objectType: 'crystal', count: 2, label: 'Collect 2 Energy Crystals' },
+            { type: 'find', target: 'crashedLander', label: 'Find the crashed lander' }
+        ]
+    },
+    {
+        id: 'trek',
+        title: 'Trek',
+        objectives: [
+            { type: 'reach', lat: 30, lon: -45, radius: 10, label: 'Reach the crater' },
+            { type: 'surveyBiomes', count: 2, label: 'Survey 2 biomes' }
+        ]
+    }
+];
+
+const discover = (type, canCollect = true) => ({ type: 'discover', object: { type, canCollect } });
+const collect = (type) => ({ type: 'collect', object: { type, canCollect: true } });
+
+describe('MissionTracker', () => {
+    let tracker;
+
+    beforeEach(() => {
+        tracker = new MissionTracker();
+        tracker.setMissions(MISSIONS);
+    });
+
+    it('should count collected objects of the objective\'s type', () => {
+        expect(tracker.record(collect('metal'))).toEqual([]);
+        expect(tracker.record(discover('crystal'))).toEqual([]); // Finding one isn't collecting it
+
+        const [update] = tracker.record(collect('crystal'));
+        expect(update.objective.progress).toBe(1);
+        expect(update.objective.completed).toBe(false);
+
+        tracker.record(collect('crystal'));
+        expect(tracker.missions[0].objectives[0].completed).toBe(true);
+        expect(tracker.record(collect('crystal'))).toEqual([]); // Done objectives stop counting
+    });
+
+    it('should complete a mission once every objective is done', () => {
+        tracker.record(collect('crystal'));
+        tracker.record(collect('crystal'));
+        expect(tracker.getActiveMission().id).toBe('prospecting');
+
+        const [update] = tracker.record(discover('crashedLander', false));
+        expect(update.missionCompleted).toBe(true);
+        expect(tracker.getActiveMission().id).toBe('trek');
+    });
+
+    it('should reach a spot within its radius at any altitude', () => {
+        const spot = MissionTracker.fromLatLon(30, -45);
+        const far = MissionTracker.fromLatLon(30, -30);
+        const at = (v, scale) => ({ type: 'position', position: { x: v.x * scale, y: v.y * scale, z: v.z * scale } });
+
+        expect(tracker.record(at(far, 80))).toEqual([]);
+        const [update] = tracker.record(at(spot, 85));
+        expect(update.objective.label).toBe('Reach the crater');
+        expect(update.objective.completed).toBe(true);
+    });
+
+    it('should count each surveyed biome once', () => {
+        expect(tracker.record({ type: 'biome', biome: 'ice' })).toHaveLength(1);
+        expect(tracker.record({ type: 'biome', biome: 'ice' })).toEqual([]);
+        expect(tracker.record({ type: 'biome', biome: null })).toEqual([]);
+
+        const [update] = tracker.record({ type: 'biome', biome: 'desert' });
+        expect(update.objective.completed).toBe(true);
+        expect(update.objective.seen).toEqual(['ice', 'desert']);
+    });
+
+    it('should only listen for events an open objective needs', () => {
+        expect(tracker.isListening('position')).toBe(true);
+        tracker.record({ type: 'position', position: MissionTracker.fromLatLon(30, -45) });
+        expect(tracker.isListening('position')).toBe(false);
+        expect(tracker.isListening('biome')).toBe(true);
+    });
+
+    it('should restore saved progress', () => {
+        tracker.record(collect('crystal'));
+        tracker.record({ type: 'biome', biome: 'ice' });
+        tracker.record(discover('crashedLander', false));
+        const state = JSON.parse(JSON.stringify(tracker.getState()));
+
+        const restored = new MissionTracker();
+        restored.setMissions(MISSIONS);
+        restored.restoreState(state);
+        expect(restored.getState()).toEqual(tracker.getState());
+        expect(restored.missions[0].objectives[1].completed).toBe(true);
+
+        // The surveyed biome still counts, so another one finishes the objective
+        restored.record({ type: 'biome', biome: 'ice' });
+        expect(restored.record({ type: 'biome', biome: 'moon' })[0].objective.completed).toBe(true);
+    });
+
+    it('should skip objectives of unknown types', () => {
+        const warn = console.warn;
+        console.warn = () => {};
+        tracker.setMissions([{ id: 'odd', title: 'Odd', objectives: [{ type: 'dance' }, { type: 'find', target: 'marker' }] }]);
+        console.warn = warn;
+
+        expect(tracker.missions[0].objectives).toHaveLength(1);
+        expect(tracker.record(discover('marker', false))[0].missionCompleted).toBe(true);
+        expect(tracker.getActiveMission()).toBeNull();
+    });
+});
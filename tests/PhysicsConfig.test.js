@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import PhysicsConfig from '../js/config/PhysicsConfig.js';
+
+describe('PhysicsConfig', () => {
+    it('should have a valid default configuration', () => {
+        expect(PhysicsConfig.validate()).toEqual([]);
+    });
+
+    describe('getPlanetPhysics', () => {
+        it('should give 1 g on a planet of the reference size and density', () => {
+            const physics = PhysicsConfig.getPlanetPhysics({ radius: PhysicsConfig.referenceRadius, density: 1 });
+
+            expect(physics.gravity).toBe(1);
+            expect(physics.acceleration).toBe(PhysicsConfig.gravity);
+            expect(physics.airDamping).toBe(PhysicsConfig.airDamping);
+        });
+
+        it('should scale gravity with radius and density', () => {
+            const big = PhysicsConfig.getPlanetPhysics({ radius: PhysicsConfig.referenceRadius * 2 });
+            const light = PhysicsConfig.getPlanetPhysics({ radius: PhysicsConfig.referenceRadius * 2, density: 0.25 });
+
+            expect(big.gravity).toBeCloseTo(2, 10);
+            expect(light.gravity).toBeCloseTo(0.5, 10);
+            expect(light.acceleration).toBeCloseTo(PhysicsConfig.gravity * 0.5, 10);
+        });
+
+        it('should keep derived gravity within limits', () => {
+            expect(PhysicsConfig.getPlanetPhysics({ radius: 10000 }).gravity).toBe(PhysicsConfig.maxGravity);
+            expect(PhysicsConfig.getPlanetPhysics({ radius: 1, density: 0.01 }).gravity).toBe(PhysicsConfig.minGravity);
+        });
+
+        it('should prefer explicit gravity and air damping', () => {
+            const physics = PhysicsConfig.getPlanetPhysics({ radius: 400, density: 2, gravity: 0.4, airDamping: 0.95 });
+
+            expect(physics.gravity).toBe(0.4);
+            expect(physics.airDamping).toBe(0.95);
+        });
+
+        it('should barely damp falls on airless planets', () => {
+            expect(PhysicsConfig.getPlanetPhysics({ hasAtmosphere: false }).airDamping).toBe(PhysicsConfig.vacuumAirDamping);
+            expect(PhysicsConfig.getPlanetPhysics({ hasAtmosphere: true }).airDamping).toBe(PhysicsConfig.airDamping);
+        });
+    });
+});
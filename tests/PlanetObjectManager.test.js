@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import PlanetObjectManager from '../js/planetObjects.js';
+
+const config = { radius: 80, objects: { boulder: 0.3, crystal: 0.5, metal: 0.2 } };
+const material = { color: 0x8B4513 };
+
+describe('PlanetObjectManager', () => {
+    let manager;
+    let planet;
+
+    beforeEach(() => {
+        manager = new PlanetObjectManager();
+        planet = new THREE.Group();
+        manager.generateObjects(config, manager.createSeededRNG(4211), planet, null, material, manager.createSeededRNG(6211));
+    });
+
+    it('should draw each type variant with a single instanced mesh', () => {
+        expect(manager.objects.length).toBe(30 + 15 + 5);
+        expect(planet.children).toEqual(manager.batches);
+        expect(manager.batches.length).toBeLessThanOrEqual(4 + PlanetObjectManager.CRYSTAL_COLORS.length + 1);
+
+        for (const batch of manager.batches) {
+            expect(batch.isInstancedMesh).toBe(true);
+            const types = new Set(batch.userData.objects.map(obj => obj.type));
+            expect(types.size).toBe(1);
+        }
+    });
+
+    it('should place each instance where its object is', () => {
+        const matrix = new THREE.Matrix4();
+        const position = new THREE.Vector3();
+        const scale = new THREE.Vector3();
+
+        for (const obj of manager.objects) {
+            obj.batch.getMatrixAt(obj.instanceId, matrix);
+            matrix.decompose(position, new THREE.Quaternion(), scale);
+            expect(position.distanceTo(obj.position)).toBeLessThan(1e-4); // Instance matrices are float32
+            expect(scale.x).toBeCloseTo(obj.size, 5);
+            expect(manager.getObjectByInstance(obj.batch, obj.instanceId)).toBe(obj);
+        }
+    });
+
+    it('should keep crystals of a batch one colour', () => {
+        const crystals = manager.batches.filter(batch => batch.userData.objects[0].type === 'crystal');
+        expect(crystals.length).toBeGreaterThan(1);
+        for (const batch of crystals) {
+            expect(PlanetObjectManager.CRYSTAL_COLORS).toContain(batch.material.color.getHex());
+        }
+    });
+
+    it('should remove an object without disturbing the rest of its batch', () => {
+        const target = manager.objects.find(obj => obj.type === 'boulder');
+        const neighbour = target.batch.userData.objects.find(obj => obj !== target);
+        const neighbourMatrix = new THREE.Matrix4();
+        target.batch.getMatrixAt(neighbour.instanceId, neighbourMatrix);
+
+        expect(manager.removeObject(target.id)).toBe(target);
+
+        const matrix = new THREE.Matrix4();
+        target.batch.getMatrixAt(target.instanceId, matrix);
+        expect(matrix.determinant()).toBe(0);
+        target.batch.getMatrixAt(neighbour.instanceId, matrix);
+        expect(matrix.equals(neighbourMatrix)).toBe(true);
+
+        expect(manager.objects).not.toContain(target);
+        expect(manager.getObjectByInstance(target.batch, target.instanceId)).toBe(null);
+        expect(manager.checkCollisions(target.position).map(hit => hit.object)).not.toContain(target);
+        expect(manager.removeObject(target.id)).toBe(null);
+    });
+
+    it('should only spawn biome-specific types in their biomes', () => {
+        // Northern hemisphere ice, southern desert
+        const biomeAt = (direction) => (direction.y > 0 ? 'ice' : 'desert');
+        const mixed = { radius: 80, objects: { boulder: 0.2, iceSpire: 0.5, sandRuin: 0.4, lavaVent: 0.4 } };
+        manager.generateObjects(mixed, manager.createSeededRNG(99), planet, null, material, null, biomeAt);
+
+        const byType = (type) => manager.objects.filter(obj => obj.type === type);
+        expect(byType('iceSpire').length).toBe(15);
+        expect(byType('sandRuin').length).toBe(6);
+        expect(byType('lavaVent').length).toBe(0);
+        expect(byType('iceSpire').every(obj => obj.position.y > 0)).toBe(true);
+        expect(byType('sandRuin').every(obj => obj.position.y < 0)).toBe(true);
+
+        // Universal types still spawn in every biome
+        const boulders = byType('boulder');
+        expect(boulders.some(obj => obj.position.y > 0) && boulders.some(obj => obj.position.y < 0)).toBe(true);
+    });
+
+    it('should spawn biome-specific types anywhere without a biome sampler', () => {
+        manager.generateObjects({ radius: 80, objects: { lavaVent: 1 } }, manager.createSeededRNG(99), planet, null, material);
+        expect(manager.objects.length).toBe(15);
+    });
+
+    describe('spatial queries', () => {
+        let nextId;
+
+        // Index an object by hand, so distances to it are known
+        const place = (type, position, collisionRadius = 1) => {
+            const obj = { id: `${type}_${nextId++}`, type, position, collisionRadius };
+            manager.objects.push(obj);
+            manager.indexObject(obj);
+            return obj;
+        };
+
+        beforeEach(() => {
+            nextId = 0;
+            manager.clearObjects(planet);
+            manager.spatialGrid = manager.createSpatialGrid(80);
+        });
+
+        it('should collide with an object whose radius spans several grid cells', () => {
+            const boulder = place('boulder', new THREE.Vector3(0, 0, 80), 24);
+            expect(boulder.collisionRadius).toBeGreaterThan(2 * manager.spatialGrid.cellSize);
+
+            // The rover's cell is two cells from the boulder's, further than its own radius reaches
+            const reach = boulder.collisionRadius + manager.collisionRadius;
+            const hits = manager.checkCollisions(new THREE.Vector3(reach - 1, 0, 80));
+            expect(hits.map(hit => hit.object)).toEqual([boulder]);
+            expect(hits[0].distance).toBeCloseTo(reach - 1, 10);
+
+            expect(manager.checkCollisions(new THREE.Vector3(reach + 1, 0, 80))).toEqual([]);
+        });
+
+        it('should list objects in range nearest first', () => {
+            const far = place('crystal', new THREE.Vector3(6, 0, 80));
+            const near = place('crystal', new THREE.Vector3(2, 0, 80));
+            const middle = place('metal', new THREE.Vector3(0, 4, 80));
+            place('crystal', new THREE.Vector3(12, 0, 80));
+
+            expect(manager.getObjectsInRange(new THREE.Vector3(0, 0, 80), 10)).toEqual([near, middle, far]);
+        });
+
+        it('should find objects from a planet-local position after the planet rotates', () => {
+            const crystal = place('crystal', new THREE.Vector3(0, 0, 80));
+
+            // A quarter turn carries the crystal from +z to +x in world space
+            const planetQuaternion = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI / 2);
+            const roverWorld = new THREE.Vector3(80, 0, 1);
+            const roverLocal = roverWorld.clone().applyQuaternion(planetQuaternion.clone().invert());
+
+            expect(manager.checkCollisions(roverLocal).map(hit => hit.object)).toEqual([crystal]);
+            expect(manager.getObjectsInRange(roverLocal, 5)).toEqual([crystal]);
+
+            // The world position is in the wrong space and finds nothing
+            expect(manager.checkCollisions(roverWorld)).toEqual([]);
+            expect(manager.getObjectsInRange(roverWorld, 5)).toEqual([]);
+        });
+
+        it('should grow grid cells with the planet so the cell count stays bounded', () => {
+            expect(manager.spatialGrid.cellSize).toBe(manager.minGridCellSize);
+
+            for (const radius of [400, 437.3, 500]) {
+                const grid = manager.createSpatialGrid(radius);
+                expect(Math.max(grid.width, grid.height, grid.depth)).toBeLessThanOrEqual(manager.maxGridCellsPerAxis);
+            }
+        });
+    });
+
+    it('should dispose every batch when clearing', () => {
+        const batches = [...manager.batches];
+        manager.clearObjects(planet);
+
+        expect(manager.batches).toEqual([]);
+        expect(manager.objects).toEqual([]);
+        expect(planet.children.length).toBe(0);
+        expect(batches.every(batch => batch.parent === null)).toBe(true);
+    });
+});
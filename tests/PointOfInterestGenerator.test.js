@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import PlanetObjectManager from '../js/planetObjects.js';
+import PointOfInterestGenerator from '../js/poi/PointOfInterestGenerator.js';
+
+const radius = 80;
+const material = { color: 0x8B4513 };
+
+// Layout of a set of sites, for comparing runs
+function describeSites(sites) {
+    return sites.map(site => ({
+        id: site.id,
+        type: site.type,
+        position: site.position.toArray(),
+        parts: site.parts.map(part => [part.type, part.size, ...part.position.toArray()])
+    }));
+}
+
+describe('PointOfInterestGenerator', () => {
+    let generator;
+
+    beforeEach(() => {
+        generator = new PointOfInterestGenerator();
+    });
+
+    it('should lay out the same sites for the same seed', () => {
+        expect(describeSites(generator.generateSites(4211, radius))).toEqual(describeSites(generator.generateSites(4211, radius)));
+        expect(describeSites(generator.generateSites(4212, radius))).not.toEqual(describeSites(generator.generateSites(4211, radius)));
+    });
+
+    it('should place a few sites apart from each other and the landing point', () => {
+        for (const seed of [1, 42, 4211, 9001]) {
+            const sites = generator.generateSites(seed, radius);
+            expect(sites.length).toBeGreaterThanOrEqual(generator.minSites);
+            expect(sites.length).toBeLessThanOrEqual(generator.maxSites);
+
+            const centres = sites.map(site => site.position.clone().normalize());
+            centres.forEach((centre, i) => {
+                expect(centre.y).toBeLessThan(Math.cos(generator.spawnClearance));
+                centres.slice(i + 1).forEach(other => {
+                    expect(centre.angleTo(other)).toBeGreaterThanOrEqual(generator.minSeparation);
+                });
+            });
+        }
+    });
+
+    it('should keep every part within its site', () => {
+        const sites = generator.generateSites(4211, radius);
+        for (const site of sites) {
+            expect(site.parts.length).toBeGreaterThan(2);
+            for (const part of site.parts) {
+                const surface = part.position.clone().setLength(radius);
+                expect(surface.distanceTo(site.position)).toBeLessThanOrEqual(site.definition.radius + 1e-9);
+            }
+        }
+    });
+
+    it('should rest the arch lintel on its pillars', () => {
+        const arch = generator.layoutRuinedArch(RNGUtils.createSeededRNG(7));
+        const [left, right, lintel] = arch;
+        expect(left.type).toBe('archPillar');
+        expect(right.east).toBeCloseTo(-left.east, 9);
+
+        // A pillar stands 3 sizes tall from the ground; the lintel's underside sits on top
+        expect(lintel.lift).toBeCloseTo(3 * left.size, 9);
+    });
+
+    describe('populate', () => {
+        let manager;
+        let planet;
+        let sites;
+
+        beforeEach(() => {
+            manager = new PlanetObjectManager();
+            planet = new THREE.Group();
+            manager.generateObjects({ radius, objects: { boulder: 0.1 } }, manager.createSeededRNG(4211), planet, null, material);
+            sites = generator.populate(manager, 4211, radius, planet, null, material);
+        });
+
+        it('should add site parts as objects that collide but can\'t be collected', () => {
+            expect(manager.sites).toEqual(sites);
+
+            const parts = sites.flatMap(site => site.parts);
+            expect(manager.objects.length).toBe(10 + parts.length);
+            for (const part of parts) {
+                expect(manager.objects).toContain(part);
+                expect(part.canCollect).toBe(false);
+                expect(part.batch.isInstancedMesh).toBe(true);
+            }
+
+            const pillar = parts.find(part => part.type === 'archPillar' || part.type === 'marker' || part.type === 'landerHull');
+            expect(manager.checkCollisions(pillar.position).map(hit => hit.object)).toContain(pillar);
+        });
+
+        it('should discover a site and its parts together', () => {
+            const site = sites[0];
+            expect(manager.getSitesInRange(site.position)).toEqual([site]);
+
+            expect(manager.discoverSite(site.id)).toBe(site);
+            expect(site.parts.every(part => part.discovered)).toBe(true);
+            expect(manager.getSitesInRange(site.position)).toEqual([]);
+            expect(manager.discoverSite(site.id)).toBe(null);
+
+            // Only the site itself is saved; its parts come back with it
+            expect(manager.getDiscoveredIds()).toEqual([site.id]);
+        });
+
+        it('should restore discovered sites after regeneration', () => {
+            manager.clearObjects(planet);
+            expect(manager.sites).toEqual([]);
+
+            const again = generator.populate(manager, 4211, radius, planet, null, material);
+            manager.markDiscovered([again[1].id]);
+            expect(again[1].discovered).toBe(true);
+            expect(again[1].parts.every(part => part.discovered)).toBe(true);
+            expect(again[0].discovered).toBe(false);
+        });
+    });
+});
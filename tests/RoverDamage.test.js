@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import RoverDamage from '../js/physics/RoverDamage.js';
+
+describe('RoverDamage', () => {
+    let damage;
+
+    beforeEach(() => {
+        damage = new RoverDamage();
+    });
+
+    describe('applyImpact', () => {
+        it('should ignore impacts below the damage thresholds', () => {
+            expect(damage.applyImpact('collision', damage.collisionThreshold)).toBeNull();
+            expect(damage.applyImpact('landing', damage.landingThreshold * 0.5)).toBeNull();
+            expect(damage.getState()).toEqual({ wheels: 1, panel: 1, headlight: 1 });
+        });
+
+        it('should damage the headlight most in collisions', () => {
+            const impact = damage.applyImpact('collision', damage.collisionThreshold + 10);
+
+            expect(impact.source).toBe('collision');
+            expect(impact.damage.headlight).toBeCloseTo(10 * damage.collisionDamage);
+            expect(impact.damage.wheels).toBeCloseTo(impact.damage.headlight * 0.5);
+            expect(damage.health.headlight).toBeLessThan(damage.health.wheels);
+        });
+
+        it('should damage the wheels most in hard landings', () => {
+            const impact = damage.applyImpact('landing', damage.landingThreshold + 1);
+
+            expect(impact.damage.wheels).toBeCloseTo(damage.landingDamage);
+            expect(damage.health.wheels).toBeLessThan(damage.health.panel);
+            expect(damage.health.panel).toBeLessThan(damage.health.headlight);
+        });
+
+        it('should report subsystems an impact breaks, once', () => {
+            const first = damage.applyImpact('collision', 1000);
+            const second = damage.applyImpact('collision', 1000);
+
+            expect(first.broken).toEqual(['wheels', 'panel', 'headlight']);
+            expect(second.broken).toEqual([]);
+            expect(damage.health.headlight).toBe(0);
+        });
+
+        it('should ignore unknown impact sources', () => {
+            expect(damage.applyImpact('meteor', 1000)).toBeNull();
+        });
+    });
+
+    describe('performance', () => {
+        it('should slow the rover as its wheels wear', () => {
+            expect(damage.getDriveFactor()).toBe(1);
+
+            damage.health.wheels = 0.5;
+            expect(damage.getDriveFactor()).toBeCloseTo(damage.minDriveFactor + (1 - damage.minDriveFactor) * 0.5);
+
+            damage.health.wheels = 0;
+            expect(damage.getDriveFactor()).toBe(damage.minDriveFactor);
+        });
+
+        it('should follow panel and headlight health', () => {
+            damage.health.panel = 0.25;
+            damage.health.headlight = 0.6;
+
+            expect(damage.getPanelEfficiency()).toBe(0.25);
+            expect(damage.getHeadlightLevel()).toBe(0.6);
+        });
+
+        it('should repair part of the damage', () => {
+            damage.health.wheels = 0.2;
+            damage.health.panel = 0.9;
+
+            damage.repair(0.5);
+            expect(damage.getState()).toEqual({ wheels: 0.7, panel: 1, headlight: 1 });
+        });
+
+        it('should repair everything on reset', () => {
+            damage.applyImpact('collision', 1000);
+            damage.reset();
+
+            expect(damage.getState()).toEqual({ wheels: 1, panel: 1, headlight: 1 });
+        });
+    });
+});
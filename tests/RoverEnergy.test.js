@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import RoverEnergy from '../js/physics/RoverEnergy.js';
+
+const up = { x: 0, y: 1, z: 0 };
+
+describe('RoverEnergy', () => {
+    let energy;
+
+    beforeEach(() => {
+        energy = new RoverEnergy();
+    });
+
+    describe('solarExposure', () => {
+        it('should be 1 when the panel faces the sun', () => {
+            expect(RoverEnergy.solarExposure(up, { x: 0, y: 5, z: 0 })).toBeCloseTo(1);
+        });
+
+        it('should follow the dot product of panel and sun directions', () => {
+            expect(RoverEnergy.solarExposure(up, { x: 1, y: 1, z: 0 })).toBeCloseTo(Math.SQRT1_2);
+        });
+
+        it('should be 0 when the sun is below the panel', () => {
+            expect(RoverEnergy.solarExposure(up, { x: 0, y: -1, z: 0 })).toBe(0);
+        });
+    });
+
+    describe('update', () => {
+        it('should drain more when driving, turning and climbing than when driving alone', () => {
+            const driver = new RoverEnergy();
+            driver.update({ driving: true });
+            energy.update({ driving: true, turning: true, climb: 0.5 });
+
+            expect(energy.charge).toBeLessThan(driver.charge);
+            expect(driver.charge).toBeLessThan(driver.capacity);
+        });
+
+        it('should recharge in proportion to sun exposure', () => {
+            energy.charge = 50;
+            energy.update({ panelNormal: up, sunDirection: up });
+            const fullSunGain = energy.charge - 50;
+
+            energy.charge = 50;
+            energy.update({ panelNormal: up, sunDirection: { x: 1, y: 1, z: 0 } });
+            const angledGain = energy.charge - 50;
+
+            expect(fullSunGain).toBeGreaterThan(0);
+            expect(angledGain).toBeCloseTo(fullSunGain * Math.SQRT1_2);
+        });
+
+        it('should scale solar input by planet efficiency', () => {
+            energy.configure({ solarEfficiency: 0.5 });
+            energy.charge = 50;
+            energy.update({ panelNormal: up, sunDirection: up });
+
+            expect(energy.charge - 50).toBeCloseTo(energy.solarRate * 0.5);
+        });
+
+        it('should scale solar input by what is left of a damaged panel', () => {
+            energy.charge = 50;
+            energy.update({ panelNormal: up, sunDirection: up, panelEfficiency: 0.25 });
+
+            expect(energy.charge - 50).toBeCloseTo(energy.solarRate * 0.25);
+        });
+
+        it('should not recharge at night', () => {
+            energy.charge = 50;
+            energy.update({ panelNormal: up, sunDirection: up, daylight: 0 });
+
+            expect(energy.charge).toBe(50);
+        });
+
+        it('should never exceed capacity', () => {
+            energy.update({ panelNormal: up, sunDirection: up });
+            expect(energy.charge).toBe(energy.capacity);
+        });
+    });
+
+    describe('consume', () => {
+        it('should spend charge the battery holds', () => {
+            expect(energy.consume(10)).toBe(true);
+            expect(energy.charge).toBe(energy.capacity - 10);
+        });
+
+        it('should refuse to spend more than the battery holds', () => {
+            energy.charge = 5;
+
+            expect(energy.consume(10)).toBe(false);
+            expect(energy.charge).toBe(5);
+        });
+    });
+
+    describe('addCharge', () => {
+        it('should add charge up to capacity', () => {
+            energy.charge = energy.capacity - 20;
+
+            expect(energy.addCharge(50)).toBe(20);
+            expect(energy.charge).toBe(energy.capacity);
+        });
+
+        it('should release a stranded rover once past the restart level', () => {
+            energy.charge = 0;
+            energy.stranded = true;
+
+            energy.addCharge(energy.capacity * energy.restartLevel);
+            expect(energy.canMove()).toBe(true);
+        });
+    });
+
+    describe('applyUpgrades', () => {
+        it('should scale capacity and solar rate from the base values', () => {
+            energy.applyUpgrades({ batteryCapacity: 1.5, solarRate: 1.25 });
+            expect(energy.capacity).toBe(150);
+            expect(energy.solarRate).toBeCloseTo(0.025, 10);
+            expect(energy.charge).toBe(100); // Charge carries over into the bigger battery
+
+            energy.applyUpgrades({ batteryCapacity: 2 });
+            expect(energy.capacity).toBe(200);
+            expect(energy.solarRate).toBe(0.02);
+        });
+
+        it('should keep only the charge that fits a smaller battery', () => {
+            energy.applyUpgrades({ batteryCapacity: 2 });
+            energy.reset();
+            energy.applyUpgrades({});
+
+            expect(energy.capacity).toBe(100);
+            expect(energy.charge).toBe(100);
+        });
+    });
+
+    describe('stranding', () => {
+        it('should strand the rover when the battery runs flat', () => {
+            energy.charge = 0.01;
+            energy.update({ driving: true });
+
+            expect(energy.charge).toBe(0);
+            expect(energy.canMove()).toBe(false);
+        });
+
+        it('should stay stranded until recharged past the restart level', () => {
+            energy.charge = 0;
+            energy.update({});
+
+            // Charge a little, but not enough
+            energy.update({ panelNormal: up, sunDirection: up });
+            expect(energy.canMove()).toBe(false);
+
+            energy.charge = energy.capacity * energy.restartLevel;
+            energy.update({ panelNormal: up, sunDirection: up });
+            expect(energy.canMove()).toBe(true);
+        });
+
+        it('should clear stranding on reset', () => {
+            energy.charge = 0;
+            energy.update({});
+            energy.reset();
+
+            expect(energy.canMove()).toBe(true);
+            expect(energy.getLevel()).toBe(1);
+        });
+    });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import RoverInventory from '../js/inventory/RoverInventory.js';
+import MemoryStorage from './helpers/MemoryStorage.js';
+
+let nextId = 0;
+function createObject(type, mass, canCollect = true) {
+    return { id: `${type}_${nextId++}`, type, canCollect, definition: { name: type, mass } };
+}
+
+describe('RoverInventory', () => {
+    let storage;
+    let inventory;
+
+    beforeEach(() => {
+        storage = new MemoryStorage();
+        inventory = new RoverInventory({ storage, storageKey: 'testInventory', capacity: 10 });
+    });
+
+    it('should load collected objects into the cargo by type', () => {
+        expect(inventory.add(createObject('crystal', 2), 'mars', 4211)).toBe(true);
+        expect(inventory.add(createObject('crystal', 2), 'mars', 4211)).toBe(true);
+        expect(inventory.add(createObject('metal', 5), 'mars', 4211)).toBe(true);
+
+        expect(inventory.getCount('crystal')).toBe(2);
+        expect(inventory.getMass()).toBe(9);
+        expect(inventory.getLoad()).toBeCloseTo(0.9, 10);
+        expect(inventory.getItems().map(item => [item.type, item.count, item.mass])).toEqual([['metal', 1, 5], ['crystal', 2, 4]]);
+    });
+
+    it('should refuse objects that don\'t fit or can\'t be collected', () => {
+        inventory.add(createObject('metal', 5), 'mars', 4211);
+        expect(inventory.add(createObject('metal', 6), 'mars', 4211)).toBe(false);
+        expect(inventory.add(createObject('marker', 1, false), 'mars', 4211)).toBe(false);
+        expect(inventory.getMass()).toBe(5);
+        expect(inventory.getCollectedIds('mars', 4211)).toHaveLength(1);
+    });
+
+    it('should remember collected objects per planet and seed', () => {
+        const crystal = createObject('crystal', 2);
+        inventory.add(crystal, 'generated_1', 1);
+
+        expect(inventory.getCollectedIds('generated_1', 1)).toEqual([crystal.id]);
+        expect(inventory.getCollectedIds('generated_1', 2)).toEqual([]);
+        expect(inventory.getCollectedIds('mars', 1)).toEqual([]);
+    });
+
+    it('should spend cargo without forgetting where it came from', () => {
+        const metal = createObject('metal', 5);
+        inventory.add(metal, 'mars', 4211);
+
+        expect(inventory.remove('metal', 2)).toBe(false);
+        expect(inventory.remove('metal')).toBe(true);
+        expect(inventory.getMass()).toBe(0);
+        expect(inventory.getItems()).toEqual([]);
+        expect(inventory.getCollectedIds('mars', 4211)).toEqual([metal.id]);
+    });
+
+    it('should jettison the heaviest load, or a chosen type', () => {
+        inventory.add(createObject('crystal', 2), 'mars', 4211);
+        inventory.add(createObject('crystal', 2), 'mars', 4211);
+        inventory.add(createObject('metal', 5), 'mars', 4211);
+
+        expect(inventory.jettison()).toEqual({ type: 'metal', name: 'metal', count: 1, mass: 5 });
+        expect(inventory.getMass()).toBe(4);
+        expect(inventory.jettison('debris')).toBeNull();
+        expect(inventory.jettison('crystal').count).toBe(2);
+        expect(inventory.getMass()).toBe(0);
+        expect(inventory.jettison()).toBeNull();
+        expect(inventory.getCollectedIds('mars', 4211)).toHaveLength(3);
+    });
+
+    it('should survive a reload from storage', () => {
+        const crystal = createObject('crystal', 2);
+        inventory.add(crystal, 'mars', 4211);
+
+        const reloaded = new RoverInventory({ storage, storageKey: 'testInventory' });
+        expect(reloaded.load()).toBe(true);
+        expect(reloaded.getCount('crystal')).toBe(1);
+        expect(reloaded.getMass()).toBe(2);
+        expect(reloaded.getCollectedIds('mars', 4211)).toEqual([crystal.id]);
+    });
+
+    it('should ignore corrupted storage data', () => {
+        storage.setItem('testInventory', '{not json');
+        expect(inventory.load()).toBe(false);
+        expect(inventory.getItems()).toEqual([]);
+    });
+});
@@ -0,0 +1,404 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import RoverPhysics from '../js/physics/RoverPhysics.js';
+
+describe('RoverPhysics drive model', () => {
+    let physics;
+    let planetQuaternion;
+    const heading = Math.PI / 2;
+    const radius = 80;
+
+    function drive(control, ticks) {
+        let movement = null;
+        for (let i = 0; i < ticks; i++) {
+            movement = physics.handleMovement(control, heading, planetQuaternion, radius);
+        }
+        return movement;
+    }
+
+    beforeEach(() => {
+        physics = new RoverPhysics();
+        planetQuaternion = new THREE.Quaternion();
+    });
+
+    describe('acceleration', () => {
+        it('should build up speed rather than jumping to top speed', () => {
+            drive({ throttle: 1, steer: 0 }, 1);
+            expect(physics.driveSpeed).toBeGreaterThan(0);
+            expect(physics.driveSpeed).toBeLessThan(physics.topSpeed * 0.1);
+        });
+
+        it('should level off at top speed', () => {
+            drive({ throttle: 1, steer: 0 }, 600);
+            expect(physics.driveSpeed).toBe(physics.topSpeed);
+        });
+
+        it('should gain speed more slowly approaching top speed', () => {
+            drive({ throttle: 1, steer: 0 }, 1);
+            const launchGain = physics.driveSpeed;
+
+            drive({ throttle: 1, steer: 0 }, 60);
+            const before = physics.driveSpeed;
+            drive({ throttle: 1, steer: 0 }, 1);
+
+            expect(physics.driveSpeed - before).toBeLessThan(launchGain);
+        });
+
+        it('should scale top speed with partial throttle', () => {
+            drive({ throttle: 0.25, steer: 0 }, 600);
+            expect(physics.driveSpeed).toBeCloseTo(physics.topSpeed * 0.25, 5);
+        });
+
+        it('should reverse with negative throttle', () => {
+            drive({ throttle: -1, steer: 0 }, 600);
+            expect(physics.driveSpeed).toBe(-physics.topSpeed);
+        });
+    });
+
+    describe('braking', () => {
+        it('should stop faster braking than coasting', () => {
+            drive({ throttle: 1, steer: 0 }, 600);
+            const coasting = new RoverPhysics();
+            coasting.driveSpeed = physics.driveSpeed;
+
+            let brakeTicks = 0;
+            while (physics.driveSpeed > 0) {
+                physics.handleMovement({ throttle: -1, steer: 0 }, heading, planetQuaternion, radius);
+                brakeTicks++;
+            }
+
+            let coastTicks = 0;
+            while (coasting.driveSpeed > 0) {
+                coasting.handleMovement({ throttle: 0, steer: 0 }, heading, new THREE.Quaternion(), radius);
+                coastTicks++;
+            }
+
+            expect(brakeTicks).toBeLessThan(coastTicks);
+        });
+
+        it('should not roll backwards when braking to a stop', () => {
+            drive({ throttle: 1, steer: 0 }, 30);
+            const movement = drive({ throttle: -1, steer: 0 }, 1);
+
+            expect(physics.driveSpeed).toBeGreaterThanOrEqual(0);
+            expect(movement.throttle).toBe(-1);
+        });
+    });
+
+    describe('movement', () => {
+        it('should rotate the planet by the distance driven', () => {
+            drive({ throttle: 1, steer: 0 }, 600);
+            const before = planetQuaternion.clone();
+            drive({ throttle: 1, steer: 0 }, 1);
+
+            const step = before.angleTo(planetQuaternion);
+            expect(step).toBeCloseTo(physics.topSpeed / GameConfig.physicsTickRate / radius, 8);
+        });
+
+        it('should not move or turn at rest without input', () => {
+            const movement = drive({ throttle: 0, steer: 0 }, 10);
+
+            expect(movement.moved).toBe(false);
+            expect(planetQuaternion.equals(new THREE.Quaternion())).toBe(true);
+        });
+
+        it('should steer proportionally to the input', () => {
+            const full = new RoverPhysics();
+            const steerFull = () => full.handleMovement({ throttle: 0, steer: 1 }, heading, new THREE.Quaternion(), radius);
+
+            // Let steering settle, then compare one tick's yaw change
+            drive({ throttle: 0, steer: 0.5 }, 60);
+            for (let i = 0; i < 60; i++) steerFull();
+
+            const halfStart = physics.roverRotation.yaw;
+            const fullStart = full.roverRotation.yaw;
+            drive({ throttle: 0, steer: 0.5 }, 1);
+            steerFull();
+
+            const halfTurn = halfStart - physics.roverRotation.yaw;
+            const fullTurn = fullStart - full.roverRotation.yaw;
+            expect(halfTurn).toBeGreaterThan(0); // Positive steer turns right
+            expect(halfTurn / fullTurn).toBeCloseTo(0.5, 5);
+        });
+
+        it('should clamp out-of-range controls', () => {
+            drive({ throttle: 5, steer: 0 }, 600);
+            expect(physics.driveSpeed).toBe(physics.topSpeed);
+        });
+
+        it('should lose top speed on worn wheels', () => {
+            physics.driveEfficiency = 0.5;
+            drive({ throttle: 1, steer: 0 }, 600);
+            expect(physics.driveSpeed).toBeCloseTo(physics.topSpeed * 0.5, 10);
+        });
+
+        it('should accelerate more slowly with cargo aboard, but reach the same top speed', () => {
+            const loaded = new RoverPhysics();
+            loaded.cargoMass = loaded.roverMass;
+            expect(loaded.getCargoFactor()).toBe(0.5);
+
+            drive({ throttle: 1, steer: 0 }, 1);
+            loaded.handleMovement({ throttle: 1, steer: 0 }, heading, new THREE.Quaternion(), radius);
+            expect(loaded.driveSpeed).toBeCloseTo(physics.driveSpeed * 0.5, 10);
+
+            for (let i = 0; i < 1200; i++) loaded.handleMovement({ throttle: 1, steer: 0 }, heading, new THREE.Quaternion(), radius);
+            expect(loaded.driveSpeed).toBeCloseTo(loaded.topSpeed, 5);
+        });
+
+        it('should accelerate harder with an upgraded motor, to the same top speed', () => {
+            const upgraded = new RoverPhysics();
+            upgraded.applyUpgrades({ torque: 1.5 });
+
+            drive({ throttle: 1, steer: 0 }, 1);
+            upgraded.handleMovement({ throttle: 1, steer: 0 }, heading, new THREE.Quaternion(), radius);
+            expect(upgraded.driveSpeed).toBeCloseTo(physics.driveSpeed * 1.5, 10);
+
+            for (let i = 0; i < 1200; i++) upgraded.handleMovement({ throttle: 1, steer: 0 }, heading, new THREE.Quaternion(), radius);
+            expect(upgraded.driveSpeed).toBeCloseTo(upgraded.topSpeed, 5);
+        });
+
+        it('should scale suspension travel and wheel size from the config', () => {
+            physics.applyUpgrades({ suspensionTravel: 1.5, wheelRadius: 1.2 });
+            expect(physics.suspensionTravel).toBeCloseTo(PhysicsConfig.wheelSuspensionTravel * 1.5, 10);
+            expect(physics.wheelRadius).toBeCloseTo(PhysicsConfig.wheelRadius * 1.2, 10);
+
+            physics.applyUpgrades({});
+            expect(physics.motorTorque).toBe(1);
+            expect(physics.suspensionTravel).toBe(PhysicsConfig.wheelSuspensionTravel);
+            expect(physics.wheelRadius).toBe(PhysicsConfig.wheelRadius);
+        });
+    });
+
+    describe('surfaces', () => {
+        const ice = { name: 'ice', traction: 0.3, turnGrip: 0.5, slipSlope: 12, sinkage: 0, drag: 0 };
+        const sand = { name: 'loose sand', traction: 0.65, turnGrip: 0.8, slipSlope: 22, sinkage: 0.4, drag: 0.35 };
+
+        // Tilted plane rising ahead of a rover facing heading (forward is -X)
+        function setSlope(target, degrees) {
+            const rise = Math.tan(degrees * Math.PI / 180);
+            target.terrainGenerator = { getSurfaceHeightAtPosition: (x) => radius - x * rise };
+            target.planetQuaternion = planetQuaternion;
+            target.isGrounded = true;
+        }
+
+        it('should use the sampled surface under the rover', () => {
+            physics.setSurfaceSampler(() => ice);
+            const movement = drive({ throttle: 1, steer: 0 }, 1);
+
+            expect(movement.surface).toBe('ice');
+            expect(physics.surface.traction).toBe(0.3);
+        });
+
+        it('should fall back to firm ground without a surface', () => {
+            physics.setSurfaceSampler(() => null);
+            drive({ throttle: 0, steer: 0 }, 1);
+
+            expect(physics.surface).toEqual(RoverPhysics.DEFAULT_SURFACE);
+        });
+
+        it('should accelerate more slowly with less traction', () => {
+            const firm = new RoverPhysics();
+            physics.setSurfaceSampler(() => ice);
+
+            drive({ throttle: 1, steer: 0 }, 1);
+            firm.handleMovement({ throttle: 1, steer: 0 }, heading, new THREE.Quaternion(), radius);
+
+            expect(physics.driveSpeed).toBeCloseTo(firm.driveSpeed * 0.3, 5);
+        });
+
+        it('should lose top speed to drag on soft ground', () => {
+            physics.setSurfaceSampler(() => sand);
+            drive({ throttle: 1, steer: 0 }, 900);
+
+            expect(physics.driveSpeed).toBeCloseTo(physics.topSpeed * 0.65, 5);
+        });
+
+        it('should turn less with less turn grip', () => {
+            physics.setSurfaceSampler(() => ice);
+            const firm = new RoverPhysics();
+            const yawStart = physics.roverRotation.yaw;
+
+            drive({ throttle: 0, steer: 1 }, 60);
+            for (let i = 0; i < 60; i++) {
+                firm.handleMovement({ throttle: 0, steer: 1 }, heading, new THREE.Quaternion(), radius);
+            }
+
+            expect((yawStart - physics.roverRotation.yaw) / (yawStart - firm.roverRotation.yaw)).toBeCloseTo(0.5, 5);
+        });
+
+        it('should keep grip on slopes the surface can hold', () => {
+            physics.setSurfaceSampler(() => sand);
+            setSlope(physics, 15);
+
+            const movement = drive({ throttle: 0, steer: 0 }, 30);
+            expect(movement.slip).toBe(0);
+            expect(physics.driveSpeed).toBe(0);
+        });
+
+        it('should slip and slide back down slopes too steep for the surface', () => {
+            physics.setSurfaceSampler(() => ice);
+            setSlope(physics, 20);
+
+            const movement = drive({ throttle: 1, steer: 0 }, 60);
+            expect(movement.slip).toBeGreaterThan(0.5);
+            expect(physics.driveSpeed).toBeLessThan(0);
+        });
+
+        it('should not slip while airborne', () => {
+            physics.setSurfaceSampler(() => ice);
+            setSlope(physics, 20);
+            physics.isGrounded = false;
+
+            expect(drive({ throttle: 1, steer: 0 }, 1).slip).toBe(0);
+        });
+    });
+
+    it('should stop driving after a reset', () => {
+        drive({ throttle: 1, steer: 1 }, 60);
+        physics.resetDrive();
+
+        expect(physics.driveSpeed).toBe(0);
+        expect(physics.steerAmount).toBe(0);
+    });
+});
+
+describe('RoverPhysics suspension', () => {
+    let physics;
+    const radius = 80;
+    const staticSag = -PhysicsConfig.gravity / (4 * PhysicsConfig.suspensionStiffness);
+
+    // Terrain as a height offset from the planet radius; the rover drops onto it from above
+    function setGround(heightAt) {
+        physics.setReferences({ getSurfaceHeightAtPosition: (x, z) => radius + heightAt(x, z) }, new THREE.Quaternion(), radius);
+    }
+
+    function settle(ticks = 600) {
+        const results = [];
+        for (let i = 0; i < ticks; i++) {
+            results.push(physics.updatePhysics());
+        }
+        return results;
+    }
+
+    function compressions() {
+        return Object.values(physics.wheelContacts).map(contact => contact.compression);
+    }
+
+    beforeEach(() => {
+        physics = new RoverPhysics();
+        setGround(() => 0);
+    });
+
+    it('should settle on its springs at the static sag', () => {
+        settle();
+
+        compressions().forEach(compression => expect(compression).toBeCloseTo(staticSag, 3));
+        expect(physics.roverPhysicsPosition.y).toBeCloseTo(radius + physics.wheelRadius + physics.suspensionRestLength - staticSag, 3);
+        expect(physics.roverRotation.pitch).toBeCloseTo(0, 5);
+        expect(physics.roverRotation.roll).toBeCloseTo(0, 5);
+        expect(physics.isGrounded).toBe(true);
+    });
+
+    it('should sag further under stronger gravity', () => {
+        physics.setPlanetPhysics({ gravity: 1.5, airDamping: 0.99 });
+        settle();
+
+        compressions().forEach(compression => expect(compression).toBeCloseTo(staticSag * 1.5, 3));
+    });
+
+    it('should rest on the bump stops when the springs bottom out', () => {
+        physics.setPlanetPhysics({ gravity: 3, airDamping: 0.99 });
+        settle();
+
+        compressions().forEach(compression => expect(compression).toBeCloseTo(physics.suspensionTravel, 10));
+        expect(physics.roverPhysicsPosition.y).toBeCloseTo(radius + physics.wheelRadius + physics.suspensionRestLength - physics.suspensionTravel, 5);
+    });
+
+    it('should report the touchdown speed when landing', () => {
+        const landings = settle(120).filter(result => result.landingImpact > 0);
+
+        expect(landings.length).toBeGreaterThan(0);
+        expect(landings[0].wasGrounded).toBe(false);
+        expect(landings[0].isGrounded).toBe(true);
+        expect(landings[0].landingImpact).toBeGreaterThan(1);
+    });
+
+    it('should tilt to lie along a slope', () => {
+        // Facing -X (the default heading), with the ground rising ahead
+        const angle = 10 * Math.PI / 180;
+        setGround((x) => -x * Math.tan(angle));
+        settle();
+
+        // Nose up is negative pitch
+        expect(physics.roverRotation.pitch).toBeCloseTo(-angle, 3);
+        expect(physics.roverRotation.roll).toBeCloseTo(0, 5);
+    });
+
+    it('should rock and settle when one side drops onto a rock', () => {
+        settle();
+
+        // The +X wheels sit on the +Z side while facing -X
+        const rise = 0.3;
+        setGround((x, z) => (z > 0 ? rise : 0));
+        physics.roverPhysicsPosition.y = radius + physics.wheelRadius + physics.suspensionRestLength - staticSag;
+        physics.roverVelocity.set(0, 0, 0);
+
+        let maxRoll = 0;
+        for (let i = 0; i < 300; i++) {
+            physics.updatePhysics();
+            maxRoll = Math.max(maxRoll, physics.roverRotation.roll);
+        }
+
+        // Lifting the +X side rolls the rover over, past level with the rock, then it settles on it
+        const restingRoll = Math.atan(rise / (2 * 2.5));
+        expect(physics.roverRotation.roll).toBeCloseTo(restingRoll, 3);
+        expect(maxRoll).toBeGreaterThan(restingRoll * 1.05);
+
+        const lengths = physics.getWheelLengths();
+        expect(lengths['front-right']).toBeCloseTo(lengths['front-left'], 3);
+    });
+
+    it('should right itself after a tilted landing', () => {
+        physics.roverRotation.roll = physics.rolloverAngle * 0.8;
+        physics.roverAngularVelocity.set(0, 0, 0.02);
+        settle();
+
+        expect(physics.roverRotation.roll).toBeCloseTo(0, 3);
+        expect(physics.roverRotation.pitch).toBeCloseTo(0, 3);
+        expect(physics.overturned).toBe(false);
+    });
+
+    it('should roll over when left on its side, until self-righted', () => {
+        physics.roverRotation.roll = physics.maxTilt;
+        physics.driveSpeed = 10;
+        const results = settle(120);
+
+        expect(results.filter(result => result.rolledOver).length).toBe(1);
+        expect(physics.overturned).toBe(true);
+        expect(physics.driveSpeed).toBe(0);
+        expect(physics.roverRotation.roll).toBeCloseTo(physics.maxTilt, 5);
+
+        expect(physics.startSelfRight(60)).toBe(true);
+        expect(physics.startSelfRight(60)).toBe(false);
+        const righting = settle(60);
+
+        expect(righting[59].righted).toBe(true);
+        expect(physics.overturned).toBe(false);
+        expect(physics.isSelfRighting()).toBe(false);
+        expect(physics.roverRotation.roll).toBeCloseTo(0, 5);
+    });
+
+    it('should only self-right when overturned', () => {
+        settle();
+        expect(physics.startSelfRight(60)).toBe(false);
+    });
+
+    it('should never tilt past the limit', () => {
+        physics.roverAngularVelocity.set(1, 0, -1);
+
+        for (let i = 0; i < 30; i++) {
+            physics.updatePhysics();
+            expect(Math.abs(physics.roverRotation.pitch)).toBeLessThanOrEqual(physics.maxTilt);
+            expect(Math.abs(physics.roverRotation.roll)).toBeLessThanOrEqual(physics.maxTilt);
+        }
+    });
+});
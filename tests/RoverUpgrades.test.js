@@ -0,0 +1,187 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { readFileSync } from 'fs';
+import RoverUpgrades from '../js/upgrades/RoverUpgrades.js';
+import RoverInventory from '../js/inventory/RoverInventory.js';
+import PlanetObjectManager from '../js/planetObjects.js';
+import MemoryStorage from './helpers/MemoryStorage.js';
+
+const upgradeData = JSON.parse(readFileSync(new URL('../config/upgrades.json', import.meta.url), 'utf8'));
+
+const testData = {
+    upgrades: {
+        motor: {
+            name: 'Motor Torque',
+            description: 'Faster starts',
+            levels: [
+                { cost: { metal: 2 }, stats: { torque: 1.2 }, parts: [] },
+                { cost: { metal: 1, crystal: 2 }, stats: { torque: 1.5 }, parts: ['hubMotors'] }
+            ]
+        },
+        battery: {
+            name: 'Battery Capacity',
+            description: 'More charge',
+            levels: [
+                { cost: { crystal: 1 }, stats: { batteryCapacity: 1.5, torque: 1.1 }, parts: ['secondPanel'] }
+            ]
+        }
+    }
+};
+
+let nextId = 0;
+function fill(inventory, type, count) {
+    for (let i = 0; i < count; i++) {
+        inventory.add({ id: `${type}_${nextId++}`, type, canCollect: true, definition: { name: type, mass: 1 } }, 'mars', 4211);
+    }
+}
+
+describe('RoverUpgrades', () => {
+    let storage;
+    let upgrades;
+    let inventory;
+
+    beforeEach(() => {
+        storage = new MemoryStorage();
+        upgrades = new RoverUpgrades({ storage, storageKey: 'testUpgrades' });
+        upgrades.loadFromData(testData);
+        inventory = new RoverInventory({ storage: null });
+    });
+
+    it('should start with nothing bought', () => {
+        expect(upgrades.getLevel('motor')).toBe(0);
+        expect(upgrades.getNextLevel('motor')).toBe(testData.upgrades.motor.levels[0]);
+        expect(upgrades.getModifiers()).toEqual({});
+        expect(upgrades.hasPart('hubMotors')).toBe(false);
+    });
+
+    it('should refuse data without upgrades', () => {
+        expect(() => upgrades.loadFromData({})).toThrow('Upgrade data must contain upgrades');
+    });
+
+    it('should report the cargo still needed', () => {
+        fill(inventory, 'metal', 1);
+
+        expect(upgrades.canAfford('motor', inventory)).toBe(false);
+        expect(upgrades.getMissing('motor', inventory)).toEqual([{ type: 'metal', count: 1 }]);
+
+        const result = upgrades.purchase('motor', inventory);
+        expect(result.purchased).toBe(false);
+        expect(result.level).toBe(0);
+        expect(result.missing).toEqual([{ type: 'metal', count: 1 }]);
+        expect(inventory.getCount('metal')).toBe(1);
+    });
+
+    it('should spend the cost from the cargo and buy levels in order', () => {
+        fill(inventory, 'metal', 3);
+        fill(inventory, 'crystal', 2);
+
+        const first = upgrades.purchase('motor', inventory);
+        expect(first).toEqual({ upgrade: testData.upgrades.motor, level: 1, purchased: true, missing: [] });
+        expect(inventory.getCount('metal')).toBe(1);
+        expect(upgrades.getModifiers()).toEqual({ torque: 1.2 });
+
+        const second = upgrades.purchase('motor', inventory);
+        expect(second.level).toBe(2);
+        expect(inventory.getCount('metal')).toBe(0);
+        expect(inventory.getCount('crystal')).toBe(0);
+
+        // Each level lists the full multiplier, so they replace rather than stack
+        expect(upgrades.getModifiers()).toEqual({ torque: 1.5 });
+        expect(upgrades.hasPart('hubMotors')).toBe(true);
+
+        // Nothing left to buy
+        expect(upgrades.getNextLevel('motor')).toBeNull();
+        expect(upgrades.canAfford('motor', inventory)).toBe(false);
+        expect(upgrades.purchase('motor', inventory).purchased).toBe(false);
+    });
+
+    it('should multiply stats that several upgrades improve', () => {
+        fill(inventory, 'metal', 2);
+        fill(inventory, 'crystal', 1);
+        upgrades.purchase('motor', inventory);
+        upgrades.purchase('battery', inventory);
+
+        const modifiers = upgrades.getModifiers();
+        expect(modifiers.torque).toBeCloseTo(1.32, 10);
+        expect(modifiers.batteryCapacity).toBe(1.5);
+        expect(upgrades.hasPart('secondPanel')).toBe(true);
+    });
+
+    it('should ignore unknown upgrades', () => {
+        const result = upgrades.purchase('warpDrive', inventory);
+        expect(result).toEqual({ upgrade: null, level: 0, purchased: false, missing: [] });
+        expect(upgrades.getLevel('warpDrive')).toBe(0);
+    });
+
+    it('should list every upgrade with its progress', () => {
+        fill(inventory, 'crystal', 1);
+        upgrades.purchase('battery', inventory);
+
+        expect(upgrades.getAll()).toEqual([
+            { id: 'motor', name: 'Motor Torque', description: 'Faster starts', level: 0, maxLevel: 2, next: testData.upgrades.motor.levels[0] },
+            { id: 'battery', name: 'Battery Capacity', description: 'More charge', level: 1, maxLevel: 1, next: null }
+        ]);
+    });
+
+    it('should persist bought levels', () => {
+        fill(inventory, 'metal', 2);
+        upgrades.purchase('motor', inventory);
+
+        const reloaded = new RoverUpgrades({ storage, storageKey: 'testUpgrades' });
+        reloaded.loadFromData(testData);
+        expect(reloaded.load()).toBe(true);
+        expect(reloaded.getLevel('motor')).toBe(1);
+    });
+
+    it('should cap stored levels at what the definitions offer', () => {
+        storage.setItem('testUpgrades', JSON.stringify({ version: 1, levels: { motor: 5 } }));
+        upgrades.load();
+
+        expect(upgrades.getLevel('motor')).toBe(2);
+        expect(upgrades.getModifiers()).toEqual({ torque: 1.5 });
+    });
+
+    it('should recover from corrupted storage', () => {
+        storage.setItem('testUpgrades', '{not json');
+        expect(upgrades.load()).toBe(false);
+        expect(upgrades.levels).toEqual({});
+    });
+
+    describe('config/upgrades.json', () => {
+        it('should define the rover upgrades', () => {
+            upgrades.loadFromData(upgradeData);
+            expect(Object.keys(upgrades.definitions)).toEqual(['motor', 'battery', 'suspension', 'scanner', 'headlight']);
+        });
+
+        it('should only cost resources the rover can collect, and only improve stats', () => {
+            Object.values(upgradeData.upgrades).forEach(upgrade => {
+                upgrade.levels.forEach(level => {
+                    Object.entries(level.cost).forEach(([type, count]) => {
+                        expect(Object.keys(RoverUpgrades.RESOURCE_NAMES)).toContain(type);
+                        expect(count).toBeGreaterThan(0);
+                    });
+                    Object.entries(level.stats).forEach(([stat, multiplier]) => {
+                        expect(Object.keys(RoverUpgrades.STAT_NAMES)).toContain(stat);
+                        expect(multiplier).toBeGreaterThanOrEqual(1);
+                    });
+                });
+            });
+        });
+
+        it('should spend every collectible type, in loads an empty hold can carry', () => {
+            const collectibles = [...new PlanetObjectManager().objectTypes].filter(([, definition]) => definition.canCollect);
+            const masses = Object.fromEntries(collectibles.map(([type, definition]) => [type, definition.mass]));
+            const spent = new Set();
+
+            Object.values(upgradeData.upgrades).forEach(upgrade => {
+                upgrade.levels.forEach(level => {
+                    const mass = Object.entries(level.cost).reduce((sum, [type, count]) => sum + count * masses[type], 0);
+                    expect(mass).toBeLessThanOrEqual(new RoverInventory({ storage: null }).capacity);
+                    Object.keys(level.cost).forEach(type => spent.add(type));
+                });
+            });
+
+            expect([...spent].sort()).toEqual(Object.keys(masses).sort());
+            expect(Object.keys(RoverUpgrades.RESOURCE_NAMES).sort()).toEqual(Object.keys(masses).sort());
+        });
+    });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import SaveStateService from '../js/save/SaveStateService.js';
+import MemoryStorage from './helpers/MemoryStorage.js';
+
+const savedState = {
+    planet: { id: 'mars', seed: 4211, config: null },
+    planetQuaternion: { x: 0, y: 0.7071, z: 0, w: 0.7071 },
+    roverHeading: 1.2,
+    rover: {
+        position: { x: 0, y: 83.5, z: 0 },
+        velocity: { x: 0, y: -0.1, z: 0 },
+        rotation: { pitch: 0.1, roll: -0.05, yaw: -1.2 },
+        isGrounded: true,
+    },
+    discoveredObjectIds: ['crystal_3', 'boulder_12'],
+};
+
+describe('SaveStateService', () => {
+    let storage;
+    let saves;
+
+    beforeEach(() => {
+        storage = new MemoryStorage();
+        saves = new SaveStateService({ storage, storageKey: 'testSave' });
+    });
+
+    describe('save and load', () => {
+        it('should round-trip a saved state', () => {
+            expect(saves.save(savedState)).toBe(true);
+            expect(saves.load()).toEqual(savedState);
+        });
+
+        it('should write versioned JSON', () => {
+            saves.save(savedState);
+            const data = JSON.parse(storage.getItem('testSave'));
+
+            expect(data.version).toBe(SaveStateService.VERSION);
+            expect(typeof data.savedAt).toBe('number');
+            expect(data.state.planet.id).toBe('mars');
+        });
+
+        it('should refuse to save incomplete state', () => {
+            expect(saves.save({ planet: { id: 'mars' } })).toBe(false);
+            expect(storage.getItem('testSave')).toBeNull();
+        });
+
+        it('should return null when nothing is saved', () => {
+            expect(saves.load()).toBeNull();
+            expect(saves.hasSave()).toBe(false);
+        });
+
+        it('should return null for corrupted data', () => {
+            storage.setItem('testSave', '{not json');
+            expect(saves.load()).toBeNull();
+        });
+
+        it('should remove the save on clear', () => {
+            saves.save(savedState);
+            saves.clear();
+            expect(saves.hasSave()).toBe(false);
+        });
+
+        it('should do nothing without storage', () => {
+            const offline = new SaveStateService({ storage: null });
+            expect(offline.save(savedState)).toBe(false);
+            expect(offline.load()).toBeNull();
+        });
+    });
+
+    describe('migrate', () => {
+        it('should upgrade old saves through each migration in order', () => {
+            saves.save(savedState);
+
+            const upgraded = new SaveStateService({
+                storage,
+                storageKey: 'testSave',
+                version: 3,
+                migrations: {
+                    1: (state) => ({ ...state, energy: { charge: 100 } }),
+                    2: (state) => ({ ...state, energy: { ...state.energy, capacity: 100 } }),
+                },
+            });
+
+            const state = upgraded.load();
+            expect(state.energy).toEqual({ charge: 100, capacity: 100 });
+            expect(state.rover).toEqual(savedState.rover);
+        });
+
+        it('should reject saves with a missing migration', () => {
+            saves.save(savedState);
+
+            const upgraded = new SaveStateService({ storage, storageKey: 'testSave', version: 2, migrations: {} });
+            expect(upgraded.load()).toBeNull();
+        });
+
+        it('should reject saves from a newer version', () => {
+            storage.setItem('testSave', JSON.stringify({ version: SaveStateService.VERSION + 1, state: savedState }));
+            expect(saves.load()).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import SimplexNoise from '../js/utils/SimplexNoise.js';
+import TerrainGenerator from '../js/terrain/TerrainGenerator.js';
+
+// Sample a small grid of points for comparisons
+function sampleGrid(noise) {
+    const values = [];
+    for (let i = 0; i < 20; i++) {
+        values.push(noise.noise3D(i * 0.37, i * 0.11 - 2, i * 0.53 + 1));
+    }
+    return values;
+}
+
+describe('SimplexNoise', () => {
+    it('should be deterministic for the same seed', () => {
+        expect(sampleGrid(new SimplexNoise(4211))).toEqual(sampleGrid(new SimplexNoise(4211)));
+    });
+
+    it('should produce different fields for different seeds', () => {
+        expect(sampleGrid(new SimplexNoise(4211))).not.toEqual(sampleGrid(new SimplexNoise(1969)));
+    });
+
+    it('should stay within [-1, 1]', () => {
+        const noise = new SimplexNoise(7730);
+        for (let i = 0; i < 2000; i++) {
+            const value = noise.noise3D(Math.sin(i) * 50, Math.cos(i * 1.3) * 50, i * 0.05);
+            expect(value).toBeGreaterThanOrEqual(-1);
+            expect(value).toBeLessThanOrEqual(1);
+        }
+    });
+
+    it('should vary smoothly between nearby points', () => {
+        const noise = new SimplexNoise(3907);
+        const a = noise.noise3D(1.5, 2.5, 3.5);
+        const b = noise.noise3D(1.5001, 2.5, 3.5);
+        expect(Math.abs(a - b)).toBeLessThan(0.01);
+    });
+});
+
+describe('TerrainGenerator noise', () => {
+    const terrainProps = { mountainDensity: 0.5, valleyDensity: 0.4, cliffDensity: 0.3, mesaDensity: 0.3, craterDensity: 0.5 };
+
+    function elevation(generator, x, y, z) {
+        return generator.generateLayeredNoise(x, y, z, 0.1, 3) +
+            generator.generateMountains(x, y, z, 80, terrainProps) +
+            generator.generateValleys(x, y, z, 80, terrainProps) +
+            generator.generateMesas(x, y, z, 80, terrainProps);
+    }
+
+    it('should have no seam at the 180 degree meridian', () => {
+        const generator = new TerrainGenerator();
+        generator.setSeed(4211);
+
+        // Points just either side of lon = +/-180 degrees
+        const epsilon = 1e-6;
+        const east = elevation(generator, -80, 0, epsilon);
+        const west = elevation(generator, -80, 0, -epsilon);
+        expect(Math.abs(east - west)).toBeLessThan(0.01);
+    });
+
+    it('should give different terrain for different planet seeds', () => {
+        const a = new TerrainGenerator();
+        const b = new TerrainGenerator();
+        a.setSeed(4211);
+        b.setSeed(6651);
+
+        expect(elevation(a, 30, 60, 40)).not.toBeCloseTo(elevation(b, 30, 60, 40), 5);
+    });
+});
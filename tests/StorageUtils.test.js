@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import StorageUtils from '../js/utils/StorageUtils.js';
+import MemoryStorage from './helpers/MemoryStorage.js';
+
+describe('StorageUtils', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = new MemoryStorage();
+    });
+
+    describe('resolveStorage', () => {
+        it('should use the storage given, including null to disable saving', () => {
+            expect(StorageUtils.resolveStorage(storage)).toBe(storage);
+            expect(StorageUtils.resolveStorage(null)).toBeNull();
+        });
+
+        it('should fall back to localStorage when it exists', () => {
+            const expected = typeof localStorage !== 'undefined' ? localStorage : null;
+            expect(StorageUtils.resolveStorage(undefined)).toBe(expected);
+        });
+    });
+
+    describe('saveJSON and loadJSON', () => {
+        it('should round-trip fields stamped with the current version', () => {
+            expect(StorageUtils.saveJSON(storage, 'testKey', { levels: { motor: 2 } }, 'Test')).toBe(true);
+
+            expect(JSON.parse(storage.getItem('testKey'))).toEqual({ version: StorageUtils.VERSION, levels: { motor: 2 } });
+            expect(StorageUtils.loadJSON(storage, 'testKey', 'Test')).toEqual({ version: StorageUtils.VERSION, levels: { motor: 2 } });
+        });
+
+        it('should read unversioned data as the first version', () => {
+            storage.setItem('testKey', JSON.stringify({ bindings: {} }));
+            expect(StorageUtils.loadJSON(storage, 'testKey', 'Test')).toEqual({ bindings: {} });
+        });
+
+        it('should return null without storage or data', () => {
+            expect(StorageUtils.loadJSON(null, 'testKey', 'Test')).toBeNull();
+            expect(StorageUtils.loadJSON(storage, 'testKey', 'Test')).toBeNull();
+            expect(StorageUtils.saveJSON(null, 'testKey', {}, 'Test')).toBe(false);
+        });
+
+        it('should ignore corrupt and newer data', () => {
+            const error = console.error;
+            const warn = console.warn;
+            console.error = () => {};
+            console.warn = () => {};
+
+            storage.setItem('testKey', '{not json');
+            expect(StorageUtils.loadJSON(storage, 'testKey', 'Test')).toBeNull();
+
+            storage.setItem('testKey', '42');
+            expect(StorageUtils.loadJSON(storage, 'testKey', 'Test')).toBeNull();
+
+            storage.setItem('testKey', JSON.stringify({ version: StorageUtils.VERSION + 1, levels: {} }));
+            expect(StorageUtils.loadJSON(storage, 'testKey', 'Test')).toBeNull();
+
+            console.error = error;
+            console.warn = warn;
+        });
+
+        it('should report a failed write', () => {
+            const error = console.error;
+            console.error = () => {};
+
+            const full = { setItem() { throw new Error('QuotaExceededError'); } };
+            expect(StorageUtils.saveJSON(full, 'testKey', {}, 'Test')).toBe(false);
+
+            console.error = error;
+        });
+    });
+});
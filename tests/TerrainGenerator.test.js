@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import TerrainGenerator from '../js/terrain/TerrainGenerator.js';
+
+const terrainProps = {
+    noiseScale: 0.1,
+    heightVariation: 3,
+    mountainDensity: 0.4,
+    valleyDensity: 0.3,
+    cliffDensity: 0.2,
+    mesaDensity: 0.2,
+    craterDensity: 0.4,
+};
+
+describe('TerrainGenerator', () => {
+    let generator;
+
+    beforeEach(() => {
+        generator = new TerrainGenerator();
+        generator.configure(terrainProps, 80, 4211);
+    });
+
+    describe('heightAt', () => {
+        it('should return the base radius plus elevation', () => {
+            const { height, elevation } = generator.heightAt({ x: 0.3, y: 0.8, z: -0.5 });
+            expect(height).toBeCloseTo(80 + elevation);
+        });
+
+        it('should only depend on direction, not vector length', () => {
+            const a = generator.heightAt({ x: 1, y: 2, z: 3 });
+            const b = generator.heightAt({ x: 10, y: 20, z: 30 });
+            expect(a.height).toBe(b.height);
+        });
+
+        it('should be deterministic for a seed', () => {
+            const other = new TerrainGenerator();
+            other.configure(terrainProps, 80, 4211);
+            expect(other.heightAt({ x: 0, y: 1, z: 0 })).toEqual(generator.heightAt({ x: 0, y: 1, z: 0 }));
+        });
+
+        it('should return a unit normal pointing away from the planet', () => {
+            const dir = { x: 0.6, y: 0.0, z: 0.8 };
+            const { normal } = generator.heightAt(dir);
+
+            const length = Math.sqrt(normal.x ** 2 + normal.y ** 2 + normal.z ** 2);
+            expect(length).toBeCloseTo(1);
+            expect(normal.x * dir.x + normal.y * dir.y + normal.z * dir.z).toBeGreaterThan(0);
+        });
+    });
+
+    describe('getSurfaceHeightAtPosition', () => {
+        it('should match heightAt at the top of an unrotated planet', () => {
+            const surfaceY = generator.getSurfaceHeightAtPosition(0, 0, { x: 0, y: 0, z: 0, w: 1 }, 80);
+            expect(surfaceY).toBeCloseTo(generator.heightAt({ x: 0, y: 1, z: 0 }).height);
+        });
+
+        it('should land on the terrain surface away from the center', () => {
+            const surfaceY = generator.getSurfaceHeightAtPosition(3, -2, null, 80);
+            const { height } = generator.heightAt({ x: 3, y: surfaceY, z: -2 });
+            expect(Math.sqrt(9 + surfaceY * surfaceY + 4)).toBeCloseTo(height, 3);
+        });
+
+        it('should account for the planet rotation', () => {
+            // Planet rotated +90 degrees around X puts local -Z at the top
+            const angle = Math.PI / 4;
+            const quaternion = { x: Math.sin(angle), y: 0, z: 0, w: Math.cos(angle) };
+
+            const surfaceY = generator.getSurfaceHeightAtPosition(0, 0, { quaternion }, 80);
+            expect(surfaceY).toBeCloseTo(generator.heightAt({ x: 0, y: 0, z: -1 }).height);
+        });
+    });
+});
@@ -0,0 +1,18 @@
+// Minimal in-memory stand-in for localStorage, shared by the tests of stored modules
+export default class MemoryStorage {
+    constructor() {
+        this.data = new Map();
+    }
+
+    getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.data.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.data.delete(key);
+    }
+}
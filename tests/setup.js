@@ -0,0 +1,42 @@
+// Browser scripts share classes through globals; expose the ones other modules expect
+import * as THREE from 'three';
+import RNGUtils from '../js/utils/RNGUtils.js';
+import SimplexNoise from '../js/utils/SimplexNoise.js';
+import SpatialHashGrid from '../js/utils/SpatialHashGrid.js';
+import StorageUtils from '../js/utils/StorageUtils.js';
+import GameConfig from '../js/config/GameConfig.js';
+import PhysicsConfig from '../js/config/PhysicsConfig.js';
+import TerrainGenerator from '../js/terrain/TerrainGenerator.js';
+import RoverPhysics from '../js/physics/RoverPhysics.js';
+import RoverEnergy from '../js/physics/RoverEnergy.js';
+import RoverDamage from '../js/physics/RoverDamage.js';
+import DayNightCycle from '../js/rendering/DayNightCycle.js';
+import InputBindings from '../js/input/InputBindings.js';
+import PlanetGenerator from '../js/planetGenerator.js';
+import BiomeManager from '../js/biomes/BiomeManager.js';
+import PointOfInterestGenerator from '../js/poi/PointOfInterestGenerator.js';
+import MissionTracker from '../js/missions/MissionTracker.js';
+import AchievementTracker from '../js/achievements/AchievementTracker.js';
+import RoverInventory from '../js/inventory/RoverInventory.js';
+import RoverUpgrades from '../js/upgrades/RoverUpgrades.js';
+
+globalThis.THREE = THREE;
+globalThis.RNGUtils = RNGUtils;
+globalThis.SimplexNoise = SimplexNoise;
+globalThis.SpatialHashGrid = SpatialHashGrid;
+globalThis.StorageUtils = StorageUtils;
+globalThis.GameConfig = GameConfig;
+globalThis.PhysicsConfig = PhysicsConfig;
+globalThis.TerrainGenerator = TerrainGenerator;
+globalThis.RoverPhysics = RoverPhysics;
+globalThis.RoverEnergy = RoverEnergy;
+globalThis.RoverDamage = RoverDamage;
+globalThis.DayNightCycle = DayNightCycle;
+globalThis.InputBindings = InputBindings;
+globalThis.BiomeManager = BiomeManager;
+globalThis.PointOfInterestGenerator = PointOfInterestGenerator;
+globalThis.MissionTracker = MissionTracker;
+globalThis.AchievementTracker = AchievementTracker;
+globalThis.RoverInventory = RoverInventory;
+globalThis.RoverUpgrades = RoverUpgrades;
+globalThis.planetGenerator = new PlanetGenerator();